@@ -39,7 +39,8 @@ const AssetsToBorrow = () => {
                     name={token.name}
                     image={token.image}
                     borrowApy={token.borrowApy}
-                    borrowQty={token.borrowQty}
+                    availableWei={token.availableWei}
+                    decimals={token.decimals}
                   />
                 ))
               ) : (
@@ -1,8 +1,9 @@
 import Image from "next/image";
 import React, { useState } from "react";
 import { ModalBorderLayout, ModalBorrow } from ".";
+import { formatAmount } from "../lib/tokenAmounts";
 
-const AssetsToBorrowRow = ({ address, name, image, borrowQty, borrowApy }) => {
+const AssetsToBorrowRow = ({ address, name, image, availableWei, decimals, borrowApy }) => {
   const [showModal, setShowModal] = useState(false);
   return (
     <>
@@ -23,15 +24,13 @@ const AssetsToBorrowRow = ({ address, name, image, borrowQty, borrowApy }) => {
         </td>
         <td
           className={
-            parseInt(Number(borrowQty)) != 0
+            !availableWei.isZero()
               ? "md:px-4 align-middle border-b-[1px] border-blueGrey-100 text-gray-600  md:whitespace-nowrap md:p-4"
               : "md:px-4 align-middle border-b-[1px] border-blueGrey-100  text-gray-300 md:whitespace-nowrap md:p-4"
           }
         >
           <p className="text-center md:text-[13px] text-[12px]  font-semibold">
-            {Number(borrowQty).toFixed(2).toString(2).length < 10
-              ? Number(borrowQty).toFixed(2).toString().slice(0, 10)
-              : `${Number(borrowQty).toFixed(2).toString().slice(0, 10)}...`}
+            {formatAmount(availableWei, decimals, { maxDecimals: 2 })}
           </p>
         </td>
         <td className="md:px-4 align-middle border-b-[1px] border-blueGrey-100 md:whitespace-nowrap md:p-4">
@@ -49,12 +48,12 @@ const AssetsToBorrowRow = ({ address, name, image, borrowQty, borrowApy }) => {
           <div className="flex item-center justify-end">
             <button
               className={
-                parseInt(Number(borrowQty)) != 0
+                !availableWei.isZero()
                   ? "border-spacing-1 py-[6px] rounded-[4px] outline-none text-[12px] md:text-[13px] text-white bg-[#383D51] hover:bg-[#212430] w-20"
                   : "w-full bg-[#9597a0] bg-opacity-10 p-2 rounded text-gray-600 tracking-wide text-opacity-30 font-semibold"
               }
               onClick={() => {
-                if (parseInt(Number(borrowQty)) != 0) setShowModal(true);
+                if (!availableWei.isZero()) setShowModal(true);
               }}
             >
               Borrow
@@ -71,7 +70,7 @@ const AssetsToBorrowRow = ({ address, name, image, borrowQty, borrowApy }) => {
           name={name}
           image={image}
           borrowApy={borrowApy}
-          available={borrowQty}
+          availableWei={availableWei}
           onClose={() => setShowModal(false)}
         />
       </ModalBorderLayout>
@@ -38,7 +38,8 @@ const AssetsToSupplies = () => {
                   name={token.name}
                   image={token.image}
                   apy={token.apy}
-                  balance={token.balance}
+                  balanceWei={token.balanceWei}
+                  decimals={token.decimals}
                   isCollateral={token.isCollateral}
                 />
               ))
@@ -1,12 +1,14 @@
 import Image from "next/image";
 import React, { useState } from "react";
 import { ModalBorderLayout, ModalLend } from "../components";
+import { formatAmount } from "../lib/tokenAmounts";
 
 const AssetsToSuppliesRow = ({
   address,
   name,
   image,
-  balance,
+  balanceWei,
+  decimals,
   apy,
   isCollateral,
 }) => {
@@ -30,9 +32,7 @@ const AssetsToSuppliesRow = ({
         </td>
         <td className="md:px-4 align-middle border-b-[1px] border-blueGrey-100  md:whitespace-nowrap md:p-4">
           <p className="text-center md:text-[13px] text-[12px] text-gray-600 font-semibold">
-            {Number(balance).toFixed(2).toString(2).length < 10
-              ? Number(balance).toFixed(2).toString().slice(0, 10)
-              : `${Number(balance).toFixed(2).toString().slice(0, 10)}...`}
+            {formatAmount(balanceWei, decimals, { maxDecimals: 2 })}
           </p>
         </td>
         <td className="md:px-4 align-middle border-b-[1px] border-blueGrey-100 md:whitespace-nowrap md:p-4">
@@ -71,7 +71,7 @@ const AssetsToSuppliesRow = ({
         <ModalLend
           address={address}
           name={name}
-          balance={balance}
+          balanceWei={balanceWei}
           image={image}
           apy={apy}
           isCollateral={isCollateral}
@@ -1,5 +1,5 @@
 import React, { useContext, useEffect } from "react";
-import { ConnectButton } from "../components";
+import { ConnectButton, TransactionDrawer } from "../components";
 import { logo } from "../assets";
 import Image from "next/image";
 import lendContext from "../context/lendContext";
@@ -43,6 +43,12 @@ const Header = () => {
             {getNetworkDisplay()}
           </div>
         )}
+        <a href="/liquidations" className="text-sm text-gray-300 hover:text-white">
+          Liquidations
+        </a>
+        <a href="/treasury" className="text-sm text-gray-300 hover:text-white">
+          Treasury
+        </a>
       </div>
       
       <div className="flex items-center space-x-4">
@@ -51,6 +57,7 @@ const Header = () => {
             {getNetworkDisplay()}
           </div>
         )}
+        {metamaskDetails.currentAccount && <TransactionDrawer />}
         <ConnectButton />
       </div>
     </nav>
@@ -0,0 +1,124 @@
+import React, { useEffect, useState } from "react";
+import { ethers } from "ethers";
+import { BiError } from "react-icons/bi";
+import { formatHealthFactor } from "../lib/healthFactor";
+
+const getHealthFactorColor = (healthFactor, threshold) => {
+  if (healthFactor.eq(ethers.constants.MaxUint256)) return "text-green-500";
+  const num = parseFloat(ethers.utils.formatEther(healthFactor));
+  if (num < 1) return "text-red-500";
+  if (num < threshold) return "text-orange-500";
+  return "text-green-500";
+};
+
+const formatUSD = (valueUSD) => {
+  return Number(ethers.utils.formatEther(valueUSD)).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+};
+
+const formatPrice = (price) => (price ? `$${formatUSD(price)}` : "-");
+
+/**
+ * Health factor, borrow power and liquidation price before → after the modal's
+ * action (hooks/useHealthSimulation), with the threshold warning and confirmation
+ */
+const HealthSimulator = ({ simulation }) => {
+  const {
+    before,
+    after,
+    liquidationPrice,
+    liquidationSymbol,
+    threshold,
+    setThreshold,
+    warning,
+    blocked,
+    acknowledged,
+    setAcknowledged,
+  } = simulation;
+  const [thresholdInput, setThresholdInput] = useState(threshold.toString());
+
+  useEffect(() => {
+    setThresholdInput(threshold.toString());
+  }, [threshold]);
+
+  return (
+    <>
+      <div className="flex flex-col mb-5">
+        <h1 className="text-sm font-normal text text-[#A5A8B6] pb-[3px]">
+          Account health
+        </h1>
+        <div className="border border-[#A5A8B6] border-opacity-20 p-2 rounded flex flex-col gap-1 text-[13px] text-[#F1F1F3]">
+          <div className="flex flex-row items-center justify-between">
+            <p>Health factor</p>
+            <p className="justify-end">
+              <span className={getHealthFactorColor(before.healthFactor, threshold)}>
+                {formatHealthFactor(before.healthFactor)}
+              </span>
+              <span className="text-[#A5A8B6]"> → </span>
+              <span className={getHealthFactorColor(after.healthFactor, threshold)}>
+                {formatHealthFactor(after.healthFactor)}
+              </span>
+            </p>
+          </div>
+          <div className="flex flex-row items-center justify-between">
+            <p>Borrow power</p>
+            <p className="justify-end">
+              ${formatUSD(before.borrowPowerUSD)}
+              <span className="text-[#A5A8B6]"> → </span>${formatUSD(after.borrowPowerUSD)}
+            </p>
+          </div>
+          <div className="flex flex-row items-center justify-between">
+            <p>Liquidation price ({liquidationSymbol})</p>
+            <p className="justify-end">
+              {formatPrice(liquidationPrice.before)}
+              <span className="text-[#A5A8B6]"> → </span>
+              {formatPrice(liquidationPrice.after)}
+            </p>
+          </div>
+          <div className="flex flex-row items-center justify-between text-xs text-[#8E92A3]">
+            <p>Warn below health factor</p>
+            <input
+              type="text"
+              value={thresholdInput}
+              onChange={(e) => setThresholdInput(e.target.value)}
+              onBlur={() => {
+                setThreshold(thresholdInput);
+                setThresholdInput(threshold.toString());
+              }}
+              className="bg-transparent outline-none text-right w-12 border-b border-[#A5A8B6] border-opacity-20"
+            />
+          </div>
+        </div>
+      </div>
+
+      {(warning || blocked) && (
+        <div className="flex justify-center items-center text-xs p-2 bg-[#2E0C0A] text-[#FBB4AF] rounded mb-5">
+          <BiError className="text-3xl pr-2 " />
+
+          <div className="flex flex-col">
+            {blocked ? (
+              <p className="font-medium text-[10px] tracking-[0.005rem]">
+                This would bring your health factor below 1 and make your
+                position liquidatable.
+              </p>
+            ) : (
+              <label className="font-medium text-[10px] tracking-[0.005rem] flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={acknowledged}
+                  onChange={(e) => setAcknowledged(e.target.checked)}
+                />
+                Your health factor would drop below {threshold}. I understand
+                the liquidation risk.
+              </label>
+            )}
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default HealthSimulator;
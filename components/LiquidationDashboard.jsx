@@ -0,0 +1,231 @@
+import React, { useContext, useMemo, useState } from "react";
+import { ethers } from "ethers";
+import { toast } from "react-toastify";
+import lendContext from "../context/lendContext";
+import { useLiquidations } from "../hooks/useLiquidations";
+import { sortPositions } from "../lib/liquidations";
+import { findPool } from "../lib/pools";
+import { formatHealthFactor } from "../lib/healthFactor";
+import { formatAmount as formatTokenAmount } from "../lib/tokenAmounts";
+
+const SORT_OPTIONS = [
+  { key: "profit", label: "Profit" },
+  { key: "healthFactor", label: "Health Factor" }
+];
+
+const positionKey = (position) => `${position.pool}-${position.user}`;
+
+const LiquidationDashboard = () => {
+  const { lendData, pools = [] } = useContext(lendContext);
+  const { positions, isLoading, error, lastUpdate, isAvailable, refresh, liquidatePosition } = useLiquidations(lendData);
+  const [sort, setSort] = useState({ key: "profit", direction: "desc" });
+  const [selectedPairs, setSelectedPairs] = useState({});
+  const [pending, setPending] = useState(null);
+
+  const sorted = useMemo(
+    () => sortPositions(positions, sort.key, sort.direction),
+    [positions, sort]
+  );
+
+  // Format 1e18 USD value for display
+  const formatUSD = (value) => {
+    return `$${parseFloat(ethers.utils.formatEther(value)).toLocaleString(undefined, {
+      maximumFractionDigits: 2,
+    })}`;
+  };
+
+  // Format a raw token amount for display
+  const formatAmount = (amount, decimals, symbol) => {
+    return formatTokenAmount(amount, decimals, { maxDecimals: 4, symbol });
+  };
+
+  const toggleSort = (key) => {
+    setSort((current) => ({
+      key,
+      direction: current.key === key && current.direction === "desc" ? "asc" : "desc"
+    }));
+  };
+
+  const getCandidate = (position) => {
+    return position.plan.candidates[selectedPairs[positionKey(position)] || 0];
+  };
+
+  const handleLiquidate = async (position) => {
+    const candidate = getCandidate(position);
+    setPending(positionKey(position));
+    try {
+      const result = await liquidatePosition(position, candidate);
+      if (result.status === 200) {
+        toast.success(`Liquidated ${formatAmount(candidate.repayAmount, candidate.debtDecimals, candidate.debtSymbol)}`);
+      } else {
+        toast.error(result.message);
+      }
+    } finally {
+      setPending(null);
+    }
+  };
+
+  if (!isAvailable) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 mb-6 text-gray-500 dark:text-gray-400">
+        Liquidations are not available on this network.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            At-Risk Positions
+          </h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Every pool, health factor below 1.1. Positions below 1.0 can be liquidated by anyone.
+            {lastUpdate && ` Updated ${lastUpdate.toLocaleTimeString()}.`}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          {SORT_OPTIONS.map((option) => (
+            <button
+              key={option.key}
+              className={`text-xs font-semibold px-3 py-1 rounded ${
+                sort.key === option.key
+                  ? "bg-blue-500 text-white"
+                  : "bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-200"
+              }`}
+              onClick={() => toggleSort(option.key)}
+            >
+              {option.label} {sort.key === option.key && (sort.direction === "desc" ? "↓" : "↑")}
+            </button>
+          ))}
+          <button
+            className="text-xs font-semibold px-3 py-1 rounded bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-200"
+            onClick={refresh}
+            disabled={isLoading}
+          >
+            {isLoading ? "Loading…" : "Refresh"}
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-500 mb-4">⚠️ {error}</div>
+      )}
+
+      {sorted.length === 0 ? (
+        <div className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">
+          {isLoading ? "Scanning pools…" : "No positions at risk."}
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th className="text-left py-3 px-2 font-medium text-gray-900 dark:text-white">Position</th>
+                <th className="text-right py-3 px-2 font-medium text-gray-900 dark:text-white">HF</th>
+                <th className="text-left py-3 px-2 font-medium text-gray-900 dark:text-white">Collateral</th>
+                <th className="text-left py-3 px-2 font-medium text-gray-900 dark:text-white">Debt</th>
+                <th className="text-left py-3 px-2 font-medium text-gray-900 dark:text-white">Max Repay → Seize</th>
+                <th className="text-right py-3 px-2 font-medium text-gray-900 dark:text-white">Profit</th>
+                <th className="py-3 px-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.map((position) => {
+                const key = positionKey(position);
+                const { plan } = position;
+                const candidate = plan && getCandidate(position);
+                const pool = findPool(pools, position.pool);
+
+                return (
+                  <tr key={key} className="border-b border-gray-100 dark:border-gray-700 align-top">
+                    <td className="py-3 px-2">
+                      <div className="font-medium text-gray-900 dark:text-white">
+                        {position.user.slice(0, 6)}…{position.user.slice(-4)}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {pool?.name || `${position.pool.slice(0, 6)}…${position.pool.slice(-4)}`}
+                      </div>
+                    </td>
+                    <td className={`text-right py-3 px-2 font-semibold ${position.liquidatable ? "text-red-500" : "text-orange-500"}`}>
+                      {formatHealthFactor(position.healthFactor)}
+                    </td>
+                    <td className="py-3 px-2 text-gray-900 dark:text-white">
+                      {plan?.collaterals.map((balance) => (
+                        <div key={balance.token}>
+                          {formatAmount(balance.amount, balance.decimals, balance.symbol)}
+                          <span className="text-xs text-gray-500 dark:text-gray-400"> {formatUSD(balance.valueUSD)}</span>
+                        </div>
+                      ))}
+                    </td>
+                    <td className="py-3 px-2 text-gray-900 dark:text-white">
+                      {plan?.debts.map((balance) => (
+                        <div key={balance.token}>
+                          {formatAmount(balance.amount, balance.decimals, balance.symbol)}
+                          <span className="text-xs text-gray-500 dark:text-gray-400"> {formatUSD(balance.valueUSD)}</span>
+                        </div>
+                      ))}
+                    </td>
+                    <td className="py-3 px-2 text-gray-900 dark:text-white">
+                      {candidate ? (
+                        <>
+                          {plan.candidates.length > 1 && (
+                            <select
+                              className="text-xs mb-1 rounded border border-gray-300 dark:bg-gray-700"
+                              value={selectedPairs[key] || 0}
+                              onChange={(e) => setSelectedPairs({ ...selectedPairs, [key]: Number(e.target.value) })}
+                            >
+                              {plan.candidates.map((option, i) => (
+                                <option key={`${option.debtToken}-${option.collateralToken}`} value={i}>
+                                  {option.debtSymbol} → {option.collateralSymbol}
+                                </option>
+                              ))}
+                            </select>
+                          )}
+                          <div>
+                            {formatAmount(candidate.repayAmount, candidate.debtDecimals, candidate.debtSymbol)} →{" "}
+                            {formatAmount(candidate.seizeAmount, candidate.collateralDecimals, candidate.collateralSymbol)}
+                          </div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            Bonus {formatUSD(candidate.grossProfitUSD)}
+                            {candidate.fullLiquidation && " · full liquidation"}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="text-xs text-gray-500 dark:text-gray-400">Unpriced</span>
+                      )}
+                    </td>
+                    <td className="text-right py-3 px-2">
+                      {candidate && (
+                        <>
+                          <div className={candidate.profitUSD.gt(0) ? "text-green-600" : "text-red-500"}>
+                            {formatUSD(candidate.profitUSD)}
+                          </div>
+                          <div className="text-xs text-gray-500 dark:text-gray-400">
+                            gas {formatUSD(candidate.gasCostUSD)}
+                          </div>
+                        </>
+                      )}
+                    </td>
+                    <td className="text-right py-3 px-2">
+                      <button
+                        className="text-xs font-semibold px-3 py-1 rounded bg-red-500 text-white hover:bg-red-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled={!position.liquidatable || !candidate || pending !== null}
+                        onClick={() => handleLiquidate(position)}
+                      >
+                        {pending === key ? "Liquidating…" : "Liquidate"}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LiquidationDashboard;
@@ -0,0 +1,78 @@
+import React from "react";
+import { useLiquidationPrices } from "../hooks/useLiquidationPrices";
+
+const LiquidationPriceCard = () => {
+  const { prices, hasDebt } = useLiquidationPrices();
+
+  // Format USD price for display
+  const formatPrice = (price) => {
+    return `$${price.toLocaleString(undefined, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })}`;
+  };
+
+  // Get drop color: the smaller the cushion, the closer to liquidation
+  const getDropColor = (drop) => {
+    if (drop <= 0) return "text-red-500";
+    if (drop < 20) return "text-orange-500";
+    if (drop < 40) return "text-yellow-500";
+    return "text-green-500";
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+        Liquidation Prices
+      </h3>
+
+      {!hasDebt || prices.length === 0 ? (
+        <div className="text-center text-gray-500 dark:text-gray-400 py-8 text-sm">
+          No debt, no liquidation risk
+        </div>
+      ) : (
+        <div className="flex flex-col gap-3">
+          {prices.map((entry) => (
+            <div
+              key={entry.token}
+              className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm"
+            >
+              <div className="flex justify-between text-gray-600 dark:text-gray-400">
+                <span className="font-medium text-gray-900 dark:text-white">
+                  {entry.symbol}
+                </span>
+                <span>
+                  Now {formatPrice(entry.price)}
+                  {entry.isPriceStale && " (stale)"}
+                </span>
+              </div>
+
+              {entry.liquidationPrice === null ? (
+                <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                  Other collateral covers your debt at any {entry.symbol} price
+                </div>
+              ) : (
+                <div className="flex justify-between mt-1">
+                  <span className="font-bold text-gray-900 dark:text-white">
+                    {formatPrice(entry.liquidationPrice)}
+                  </span>
+                  <span className={getDropColor(entry.dropPercent)}>
+                    {entry.dropPercent <= 0
+                      ? "Liquidatable"
+                      : `-${entry.dropPercent.toFixed(1)}%`}
+                  </span>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+        <p>Price at which your health factor reaches 1.0, other prices unchanged.</p>
+      </div>
+    </div>
+  );
+};
+
+export default LiquidationPriceCard;
@@ -1,61 +1,64 @@
 import Image from "next/image";
 import React, { useState, useContext } from "react";
-import { BiError } from "react-icons/bi";
 import lendContext from "../context/lendContext";
 import { toast } from "react-toastify";
 import { ImSpinner8 } from "react-icons/im";
+import HealthSimulator from "./HealthSimulator";
+import TransactionPreview from "./TransactionPreview";
+import { useHealthSimulation } from "../hooks/useHealthSimulation";
+import { usePreflight } from "../hooks/usePreflight";
+import { useTokenAmount } from "../hooks/useTokenAmount";
 
 const ModalBorrow = ({
   address,
   name,
-  available,
+  availableWei,
   image,
   borrowApy,
   onClose,
 }) => {
-  const { getAmountInUSD, borrowAsset, numberToEthers, connectWallet } =
+  const { getAmountInUSD, borrowAsset, connectWallet } =
     useContext(lendContext);
+  const { parse, sanitize, toInput, format } = useTokenAmount(address);
   const [dollarPrice, setDollarPrice] = useState(0);
   const [isInputValidate, setInputValidate] = useState(false);
   const [inputValue, setInputValue] = useState("");
   const [isBorrowing, setIsBorrowing] = useState(false);
+  const simulation = useHealthSimulation("borrow", address, inputValue);
+  const preflight = usePreflight("borrow", address, inputValue);
+  const canSend = simulation.canProceed && preflight.canSend;
 
   const setMax = () => {
-    setInputValue(available);
-    getAvailableInUSD(available);
+    setInputValue(toInput(availableWei));
+    getAvailableInUSD(availableWei);
     setInputValidate(true);
   };
 
   const getAvailableInUSD = async (amount) => {
-    const amount2 = numberToEthers(amount);
-    const amountInUSD = await getAmountInUSD(address, amount2);
+    const amountInUSD = await getAmountInUSD(address, amount);
     setDollarPrice(amountInUSD);
   };
 
   const validateInput = (input) => {
-    if (input) {
-      var pattern = new RegExp(/^\d*\.?\d*$/);
-      if (!pattern.test(input)) {
-        setInputValue("");
-        setInputValidate(false);
-      } else {
-        if (Number(input) > Number(available)) {
-          setInputValue(available);
-          getAvailableInUSD(available);
-        } else {
-          setInputValue(input);
-          getAvailableInUSD(input);
-        }
-        setInputValidate(true);
-      }
-    } else {
-      setInputValue("");
+    const value = sanitize(input);
+    if (value === null) return;
+
+    const amount = parse(value);
+    if (!amount) {
+      setInputValue(value);
       setDollarPrice(0);
       setInputValidate(false);
+    } else if (amount.gt(availableWei)) {
+      setMax();
+    } else {
+      setInputValue(value);
+      getAvailableInUSD(amount);
+      setInputValidate(true);
     }
   };
 
   const handleBorrow = async () => {
+    if (!canSend) return;
     setIsBorrowing(true);
     const transaction = await borrowAsset(address, inputValue);
     if (transaction.status == 200) {
@@ -64,7 +67,7 @@ const ModalBorrow = ({
       onClose();
       await connectWallet();
     } else {
-      toast.error(`Borrow Failed...`);
+      toast.error(transaction.message);
       setIsBorrowing(false);
     }
   };
@@ -115,12 +118,7 @@ const ModalBorrow = ({
             </p>
             <p className="justify-end">
               Available{" "}
-              {Number(available).toFixed(2).toString(2).length < 10
-                ? Number(available).toFixed(2).toString().slice(0, 10)
-                : `${Number(available)
-                    .toFixed(2)
-                    .toString()
-                    .slice(0, 10)}...`}{" "}
+              {format(availableWei, { maxDecimals: 2 })}{" "}
               <button
                 className="font-bold text-[10px] text-[#F1F1F3]"
                 onClick={() => setMax()}
@@ -146,15 +144,9 @@ const ModalBorrow = ({
         </div>
       </div>
 
-      <div className="flex justify-center items-center text-xs p-2 bg-[#2E0C0A] text-[#FBB4AF] rounded mb-5">
-        <BiError className="text-3xl pr-2 " />
+      <HealthSimulator simulation={simulation} />
 
-        <div className="flex flex-col">
-          <p className="font-medium text-[10px] tracking-[0.005rem]">
-            Borrowing this amount will increase risk of liquidation.
-          </p>
-        </div>
-      </div>
+      <TransactionPreview preflight={preflight} />
 
       <div className={!isInputValidate ? "block" : "hidden"}>
         <button className="w-full bg-[#EBEBEF] bg-opacity-10 p-2 rounded text-[#EBEBEF] tracking-wide text-opacity-30 font-semibold">
@@ -164,7 +156,10 @@ const ModalBorrow = ({
 
       <div className={!isInputValidate ? "hidden" : "block"}>
         <button
-          className="w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
+          className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+            canSend ? "" : "opacity-30 cursor-not-allowed"
+          }`}
+          disabled={!canSend}
           onClick={() => {
             handleBorrow();
           }}
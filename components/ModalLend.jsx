@@ -2,6 +2,11 @@ import Image from "next/image";
 import React, { useState, useContext } from "react";
 import { FiAlertCircle } from "react-icons/fi";
 import { ImSpinner8 } from "react-icons/im";
+import HealthSimulator from "./HealthSimulator";
+import TransactionPreview from "./TransactionPreview";
+import { useHealthSimulation } from "../hooks/useHealthSimulation";
+import { usePreflight } from "../hooks/usePreflight";
+import { useTokenAmount } from "../hooks/useTokenAmount";
 import lendContext from "../context/lendContext";
 import { toast } from "react-toastify";
 
@@ -9,7 +14,7 @@ import { toast } from "react-toastify";
 const ModalLend = ({
   address,
   name,
-  balance,
+  balanceWei,
   image,
   apy,
   isCollateral,
@@ -20,8 +25,8 @@ const ModalLend = ({
     ApproveToContinue,
     LendAsset,
     connectWallet,
-    numberToEthers,
   } = useContext(lendContext);
+  const { parse, sanitize, toInput, format } = useTokenAmount(address);
   const [dollarPrice, setDollarPrice] = useState(0);
 
   const [isInputValidate, setInputValidate] = useState(false);
@@ -29,45 +34,41 @@ const ModalLend = ({
   const [isSuppliying, setIsSupplying] = useState(false);
   const [isApproved, setIsApproved] = useState(false);
   const [inputValue, setInputValue] = useState("");
+  const simulation = useHealthSimulation("lend", address, inputValue);
+  const preflight = usePreflight("lend", address, inputValue);
 
   const setMax = () => {
-    setInputValue(balance);
-    getBalanceInUSD(balance);
+    setInputValue(toInput(balanceWei));
+    getBalanceInUSD(balanceWei);
     setInputValidate(true);
   };
 
   const getBalanceInUSD = async (amount) => {
-    const amount2 = numberToEthers(amount);
-    const amountInUSD = await getAmountInUSD(address, amount2);
+    const amountInUSD = await getAmountInUSD(address, amount);
     setDollarPrice(amountInUSD);
   };
 
   const validateInput = (input) => {
-    if (input) {
-      var pattern = new RegExp(/^\d*\.?\d*$/);
-      if (!pattern.test(input)) {
-        setInputValue("");
-        setInputValidate(false);
-      } else {
-        if (Number(input) > Number(balance)) {
-          setInputValue(balance);
-          getBalanceInUSD(balance);
-        } else {
-          if (name == "ETH") {
-            if (input >= 1) {
-              setInputValue(input);
-            }
-          } else {
-            setInputValue(input);
-          }
-          getBalanceInUSD(input);
-        }
-        setInputValidate(true);
-      }
-    } else {
-      setInputValue("");
+    const value = sanitize(input);
+    if (value === null) return;
+
+    const amount = parse(value);
+    if (!amount) {
+      setInputValue(value);
       setDollarPrice(0);
       setInputValidate(false);
+    } else if (amount.gt(balanceWei)) {
+      setMax();
+    } else {
+      if (name == "ETH") {
+        if (amount.gte(parse("1"))) {
+          setInputValue(value);
+        }
+      } else {
+        setInputValue(value);
+      }
+      getBalanceInUSD(amount);
+      setInputValidate(true);
     }
   };
 
@@ -78,8 +79,9 @@ const ModalLend = ({
     if (transaction.status == 200) {
       setIsApproving(false);
       setIsApproved(true);
+      preflight.recheck();
     } else {
-      toast.error(`Approved Failed...`);
+      toast.error(transaction.message);
       setIsApproving(false);
     }
   };
@@ -93,7 +95,7 @@ const ModalLend = ({
       onClose();
       await connectWallet();
     } else {
-      toast.error(`...`);
+      toast.error(transaction.message);
       setIsSupplying(false);
     }
   };
@@ -162,12 +164,7 @@ const ModalLend = ({
             </p>
             <p className="justify-end">
               Wallet Balance{" "}
-              {Number(balance).toFixed(2).toString(2).length < 10
-                ? Number(balance).toFixed(2).toString().slice(0, 10)
-                : `${Number(balance)
-                    .toFixed(2)
-                    .toString()
-                    .slice(0, 10)}...`}{" "}
+              {format(balanceWei, { maxDecimals: 2 })}{" "}
               <button
                 className="font-bold text-[10px] text-[#F1F1F3]"
                 onClick={() => setMax()}
@@ -201,6 +198,10 @@ const ModalLend = ({
         </div>
       </div>
 
+      <HealthSimulator simulation={simulation} />
+
+      <TransactionPreview preflight={preflight} />
+
       {name == "ETH" ? (
         <div className={!inputValue ? "block" : "hidden"}>
           <button className="w-full bg-[#EBEBEF] bg-opacity-10 p-2 rounded text-[#EBEBEF] tracking-wide text-opacity-30 font-semibold">
@@ -218,11 +219,12 @@ const ModalLend = ({
       <div className={!inputValue ? "hidden" : "block"}>
         {name == "ETH" ? (
           <button
-            className={
-              "w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
-            }
+            className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+              preflight.canSend ? "" : "opacity-30 cursor-not-allowed"
+            }`}
+            disabled={!preflight.canSend}
             onClick={() => {
-              if (isInputValidate) handleSupply();
+              if (isInputValidate && preflight.canSend) handleSupply();
             }}
           >
             {!isSuppliying && <span>Supply {name}</span>}
@@ -235,9 +237,12 @@ const ModalLend = ({
           <div>
             {!isApproved ? (
               <button
-                className="w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
+                className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+                  preflight.canSend ? "" : "opacity-30 cursor-not-allowed"
+                }`}
+                disabled={!preflight.canSend}
                 onClick={() => {
-                  if (isInputValidate) handleApprove();
+                  if (isInputValidate && preflight.canSend) handleApprove();
                 }}
               >
                 {!isApproving && <span>Aprrove {name} to continue</span>}
@@ -254,9 +259,12 @@ const ModalLend = ({
 
             {isApproved ? (
               <button
-                className="w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
+                className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+                  preflight.canSend ? "" : "opacity-30 cursor-not-allowed"
+                }`}
+                disabled={!preflight.canSend}
                 onClick={() => {
-                  if (!isApproved) return;
+                  if (!isApproved || !preflight.canSend) return;
                   else handleSupply();
                 }}
               >
@@ -3,54 +3,57 @@ import React, { useState, useContext } from "react";
 import lendContext from "../context/lendContext";
 import { toast } from "react-toastify";
 import { ImSpinner8 } from "react-icons/im";
+import HealthSimulator from "./HealthSimulator";
+import TransactionPreview from "./TransactionPreview";
+import { useHealthSimulation } from "../hooks/useHealthSimulation";
+import { usePreflight } from "../hooks/usePreflight";
+import { useTokenAmount } from "../hooks/useTokenAmount";
 
-const ModalRepay = ({ address, name, debt, image, onClose }) => {
+const ModalRepay = ({ address, name, debtWei, image, onClose }) => {
   const {
     getAmountInUSD,
     repayAsset,
-    numberToEthers,
     connectWallet,
     ApproveToContinue,
   } = useContext(lendContext);
+  const { parse, sanitize, toInput, format } = useTokenAmount(address);
   const [dollarPrice, setDollarPrice] = useState(0);
   const [isInputValidate, setInputValidate] = useState(false);
   const [inputValue, setInputValue] = useState("");
   const [isApproved, setIsApproved] = useState(false);
   const [isApproving, setIsApproving] = useState(false);
   const [isRepaying, setIsRepaying] = useState(false);
+  const simulation = useHealthSimulation("repay", address, inputValue);
+  const preflight = usePreflight("repay", address, inputValue);
+
+  const repayWei = parse(inputValue);
 
   const setMax = () => {
-    setInputValue(debt);
-    getdebtInUSD(debt);
+    setInputValue(toInput(debtWei));
+    getdebtInUSD(debtWei);
     setInputValidate(true);
   };
 
   const getdebtInUSD = async (amount) => {
-    const amount2 = numberToEthers(amount);
-    const amountInUSD = await getAmountInUSD(address, amount2);
+    const amountInUSD = await getAmountInUSD(address, amount);
     setDollarPrice(amountInUSD);
   };
 
   const validateInput = (input) => {
-    if (input) {
-      var pattern = new RegExp(/^\d*\.?\d*$/);
-      if (!pattern.test(input)) {
-        setInputValue("");
-        setInputValidate(false);
-      } else {
-        if (Number(input) > Number(debt)) {
-          setInputValue(debt);
-          getdebtInUSD(debt);
-        } else {
-          setInputValue(input);
-          getdebtInUSD(input);
-        }
-        setInputValidate(true);
-      }
-    } else {
-      setInputValue("");
+    const value = sanitize(input);
+    if (value === null) return;
+
+    const amount = parse(value);
+    if (!amount) {
+      setInputValue(value);
       setDollarPrice(0);
       setInputValidate(false);
+    } else if (amount.gt(debtWei)) {
+      setMax();
+    } else {
+      setInputValue(value);
+      getdebtInUSD(amount);
+      setInputValidate(true);
     }
   };
 
@@ -60,8 +63,9 @@ const ModalRepay = ({ address, name, debt, image, onClose }) => {
     if (transaction.status == 200) {
       setIsApproving(false);
       setIsApproved(true);
+      preflight.recheck();
     } else {
-      toast.error(`Approved Failed...`);
+      toast.error(transaction.message);
       setIsApproving(false);
     }
   };
@@ -76,7 +80,7 @@ const ModalRepay = ({ address, name, debt, image, onClose }) => {
       await connectWallet();
     } else {
       setIsRepaying(false);
-      toast.error("Repay Failed");
+      toast.error(transaction.message);
     }
   };
 
@@ -126,9 +130,7 @@ const ModalRepay = ({ address, name, debt, image, onClose }) => {
             </p>
             <p className="justify-end">
               Wallet debt{" "}
-              {Number(debt).toFixed(2).toString(2).length < 10
-                ? Number(debt).toFixed(2).toString().slice(0, 10)
-                : `${Number(debt).toFixed(2).toString().slice(0, 10)}...`}{" "}
+              {format(debtWei, { maxDecimals: 2 })}{" "}
               <button
                 className="font-bold text-[10px] text-[#F1F1F3]"
                 onClick={() => setMax()}
@@ -148,26 +150,34 @@ const ModalRepay = ({ address, name, debt, image, onClose }) => {
           <div className="flex flex-row items-center justify-between text-[13px] text-[#F1F1F3]">
             <p className="">Remaining debt </p>
             <p className="justify-end">
-              {inputValue ? `${debt} → ${debt - inputValue}` : `${debt}`}
+              {repayWei
+                ? `${format(debtWei)} → ${format(debtWei.sub(repayWei))}`
+                : format(debtWei)}
             </p>
           </div>
         </div>
       </div>
 
+      <HealthSimulator simulation={simulation} />
+
+      <TransactionPreview preflight={preflight} />
+
       <div className={!isInputValidate ? "block" : "hidden"}>
         <button className="w-full bg-[#EBEBEF] bg-opacity-10 p-2 rounded text-[#EBEBEF] tracking-wide text-opacity-30 font-semibold">
           Enter an amount
         </button>
       </div>
-      {/* insert here */}
 
       <div className={!inputValue ? "hidden" : "block"}>
         <div>
           {!isApproved ? (
             <button
-              className="w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
+              className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+                preflight.canSend ? "" : "opacity-30 cursor-not-allowed"
+              }`}
+              disabled={!preflight.canSend}
               onClick={() => {
-                if (isInputValidate) handleApprove();
+                if (isInputValidate && preflight.canSend) handleApprove();
               }}
             >
               {!isApproving && <span>Aprrove {name} to continue</span>}
@@ -184,9 +194,12 @@ const ModalRepay = ({ address, name, debt, image, onClose }) => {
 
           {isApproved ? (
             <button
-              className="w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
+              className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+                preflight.canSend ? "" : "opacity-30 cursor-not-allowed"
+              }`}
+              disabled={!preflight.canSend}
               onClick={() => {
-                if (!isApproved) return;
+                if (!isApproved || !preflight.canSend) return;
                 else handleRepay();
               }}
             >
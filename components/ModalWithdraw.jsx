@@ -1,66 +1,64 @@
 import Image from "next/image";
 import React, { useState, useContext } from "react";
-import { BiError } from "react-icons/bi";
 import { toast } from "react-toastify";
 import lendContext from "../context/lendContext";
 import { ImSpinner8 } from "react-icons/im";
+import HealthSimulator from "./HealthSimulator";
+import TransactionPreview from "./TransactionPreview";
+import { useHealthSimulation } from "../hooks/useHealthSimulation";
+import { usePreflight } from "../hooks/usePreflight";
+import { useTokenAmount } from "../hooks/useTokenAmount";
 
 const ModalWithdraw = ({
   address,
   name,
-  balance,
+  suppliedWei,
   image,
-  maxSupply,
   onClose,
 }) => {
-  const { getAmountInUSD, connectWallet, numberToEthers, WithdrawAsset } =
+  const { getAmountInUSD, connectWallet, WithdrawAsset } =
     useContext(lendContext);
+  const { parse, sanitize, toInput, format } = useTokenAmount(address);
   const [dollarPrice, setUSDPrice] = useState(0);
-  const [inputValue, setInputValue] = useState();
+  const [inputValue, setInputValue] = useState("");
   const [isInputValidate, setInputValidate] = useState(false);
   const [isWithdrawing, setIsWithdrawing] = useState(false);
-  const [remainingSupply, setRemainingSupply] = useState(balance);
+  const simulation = useHealthSimulation("withdraw", address, inputValue);
+  const preflight = usePreflight("withdraw", address, inputValue);
+  const canSend = simulation.canProceed && preflight.canSend;
+  const remainingSupply = suppliedWei.sub(parse(inputValue) || 0);
 
   const setMax = () => {
-    setInputValue(maxSupply);
-    setRemainingSupply(balance - maxSupply);
-    getBalanceInUSD(maxSupply);
+    setInputValue(toInput(suppliedWei));
+    getBalanceInUSD(suppliedWei);
     setInputValidate(true);
   };
 
   const getBalanceInUSD = async (amount) => {
-    const amount2 = numberToEthers(amount);
-    const amountInUSD = await getAmountInUSD(address, amount2);
+    const amountInUSD = await getAmountInUSD(address, amount);
     setUSDPrice(amountInUSD);
   };
 
   const validateInput = (input) => {
-    if (input) {
-      var pattern = new RegExp(/^\d*\.?\d*$/);
-      if (!pattern.test(input)) {
-        setInputValue("");
-        setInputValidate(false);
-      } else {
-        if (Number(input) > Number(maxSupply)) {
-          setInputValue(maxSupply);
-          setRemainingSupply(balance - maxSupply);
-          getBalanceInUSD(maxSupply);
-        } else {
-          setInputValue(input);
-          setRemainingSupply(balance - input);
-          getBalanceInUSD(input);
-        }
-        setInputValidate(true);
-      }
-    } else {
-      setInputValue("");
-      setRemainingSupply(balance);
+    const value = sanitize(input);
+    if (value === null) return;
+
+    const amount = parse(value);
+    if (!amount) {
+      setInputValue(value);
       setUSDPrice(0);
       setInputValidate(false);
+    } else if (amount.gt(suppliedWei)) {
+      setMax();
+    } else {
+      setInputValue(value);
+      getBalanceInUSD(amount);
+      setInputValidate(true);
     }
   };
 
   const handleWithdraw = async () => {
+    if (!canSend) return;
     setIsWithdrawing(true);
     console.log(`💸 [MODAL] Withdrawing ${inputValue} ${name} (address: ${address})`);
     
@@ -79,17 +77,7 @@ const ModalWithdraw = ({
       onClose();
       await connectWallet();
     } else {
-      const pattern = /'([^']*)'/;
-      const error = transaction.message.match(pattern);
-      
-      // Safe error handling
-      if (error && error[1]) {
-        toast.error(`${error[1]}`);
-      } else {
-        toast.error(transaction.message || "Withdrawal failed");
-      }
-      
-      console.log("ERROR: " + transaction.message);
+      toast.error(transaction.message);
       setIsWithdrawing(false);
     }
   };
@@ -140,12 +128,7 @@ const ModalWithdraw = ({
             </p>
             <p className="justify-end">
               Supply balance{" "}
-              {Number(maxSupply).toFixed(2).toString(2).length < 10
-                ? Number(maxSupply).toFixed(2).toString().slice(0, 10)
-                : `${Number(maxSupply)
-                    .toFixed(2)
-                    .toString()
-                    .slice(0, 10)}...`}{" "}
+              {format(suppliedWei, { maxDecimals: 2 })}{" "}
               <button
                 className="font-bold text-[10px] text-[#F1F1F3]"
                 onClick={() => setMax()}
@@ -165,27 +148,16 @@ const ModalWithdraw = ({
           <div className="flex flex-row items-center justify-between text-[13px] text-[#F1F1F3]">
             <p className="">Remaining Supply</p>
             <p className="justify-end">
-              {Number(remainingSupply).toFixed(2).toString(2).length < 10
-                ? Number(remainingSupply).toFixed(2).toString().slice(0, 10)
-                : `${Number(remainingSupply)
-                    .toFixed(2)
-                    .toString()
-                    .slice(0, 10)}...`}{" "}
+              {format(remainingSupply, { maxDecimals: 2 })}{" "}
               <span className="text-[#A5A8B6]">{name}</span>
             </p>
           </div>
         </div>
       </div>
 
-      <div className="flex justify-center items-center text-xs p-2 bg-[#2E0C0A] text-[#FBB4AF] rounded mb-5">
-        <BiError className="text-3xl pr-2 " />
+      <HealthSimulator simulation={simulation} />
 
-        <div className="flex flex-col">
-          <p className="font-medium text-[10px] tracking-[0.005rem]">
-            Withdrawing this amount will increase risk of liquidation.
-          </p>
-        </div>
-      </div>
+      <TransactionPreview preflight={preflight} />
 
       <div className={!isInputValidate ? "block" : "hidden"}>
         <button className="w-full bg-[#EBEBEF] bg-opacity-10 p-2 rounded text-[#EBEBEF] tracking-wide text-opacity-30 font-semibold">
@@ -195,7 +167,10 @@ const ModalWithdraw = ({
 
       <div className={!isInputValidate ? "hidden" : "block"}>
         <button
-          className="w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center"
+          className={`w-full bg-[#F1F1F3] p-2 rounded text-black tracking-wide text-opacity-80 font-semibold mb-2 flex justify-center items-center ${
+            canSend ? "" : "opacity-30 cursor-not-allowed"
+          }`}
+          disabled={!canSend}
           onClick={() => {
             handleWithdraw();
           }}
@@ -0,0 +1,132 @@
+import React, { useContext } from "react";
+import { ethers } from "ethers";
+import lendContext from "../context/lendContext";
+import { formatHealthFactor } from "../lib/healthFactor";
+
+const PoolSelector = () => {
+  const { pools = [], selectedPool, selectPool } = useContext(lendContext);
+
+  // Format 1e18 USD value for display
+  const formatUSD = (value) => {
+    return `$${parseFloat(ethers.utils.formatEther(value)).toLocaleString(undefined, {
+      maximumFractionDigits: 0,
+    })}`;
+  };
+
+  // Format 1e18 fraction as a percentage
+  const formatPercent = (value) => {
+    return `${(parseFloat(ethers.utils.formatEther(value)) * 100).toFixed(0)}%`;
+  };
+
+  if (pools.length === 0) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 mb-6">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+        Pools
+      </h3>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 dark:border-gray-700">
+              <th className="text-left py-3 px-2 font-medium text-gray-900 dark:text-white">
+                Pool
+              </th>
+              <th className="text-left py-3 px-2 font-medium text-gray-900 dark:text-white">
+                Markets (LTV / LT)
+              </th>
+              <th className="text-right py-3 px-2 font-medium text-gray-900 dark:text-white">
+                TVL
+              </th>
+              <th className="text-right py-3 px-2 font-medium text-gray-900 dark:text-white">
+                Reserve / Bonus
+              </th>
+              <th className="text-right py-3 px-2 font-medium text-gray-900 dark:text-white">
+                Your Position
+              </th>
+              <th className="py-3 px-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {pools.map((pool) => {
+              const isSelected = selectedPool?.address === pool.address;
+              const { position } = pool;
+              const hasPosition =
+                position && (position.collateralUSD.gt(0) || position.debtUSD.gt(0));
+
+              return (
+                <tr
+                  key={pool.address}
+                  className={`border-b border-gray-100 dark:border-gray-700 ${
+                    isSelected ? "bg-blue-50 dark:bg-gray-700" : "hover:bg-gray-50 dark:hover:bg-gray-700"
+                  }`}
+                >
+                  <td className="py-3 px-2">
+                    <div className="font-medium text-gray-900 dark:text-white">
+                      {pool.name}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {pool.address.slice(0, 6)}…{pool.address.slice(-4)}
+                    </div>
+                  </td>
+                  <td className="py-3 px-2">
+                    <div className="flex flex-wrap gap-1">
+                      {pool.markets.map((market) => (
+                        <span
+                          key={market.token}
+                          className="text-xs px-2 py-1 rounded bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-200"
+                        >
+                          {market.symbol} {formatPercent(market.LTV)} / {formatPercent(market.LT)}
+                        </span>
+                      ))}
+                    </div>
+                  </td>
+                  <td className="text-right py-3 px-2">
+                    <div className="text-gray-900 dark:text-white">
+                      {formatUSD(pool.tvlUSD)}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      {formatUSD(pool.borrowsUSD)} borrowed
+                    </div>
+                  </td>
+                  <td className="text-right py-3 px-2 text-gray-900 dark:text-white">
+                    {formatPercent(pool.reserveFactor)} / {formatPercent(pool.liquidationBonus)}
+                  </td>
+                  <td className="text-right py-3 px-2">
+                    {hasPosition ? (
+                      <>
+                        <div className="text-gray-900 dark:text-white">
+                          {formatUSD(position.collateralUSD)} / {formatUSD(position.debtUSD)}
+                        </div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          HF {formatHealthFactor(position.healthFactor)}
+                        </div>
+                      </>
+                    ) : (
+                      <span className="text-xs text-gray-500 dark:text-gray-400">None</span>
+                    )}
+                  </td>
+                  <td className="text-right py-3 px-2">
+                    {isSelected ? (
+                      <span className="text-xs font-semibold text-blue-500">Selected</span>
+                    ) : (
+                      <button
+                        className="text-xs font-semibold px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600"
+                        onClick={() => selectPool(pool.address)}
+                      >
+                        Select
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PoolSelector;
@@ -0,0 +1,24 @@
+import React, { useContext } from "react";
+import { BiError } from "react-icons/bi";
+import lendContext from "../context/lendContext";
+
+const StalePriceBanner = () => {
+  const { stalePrices = [] } = useContext(lendContext);
+
+  if (stalePrices.length === 0) return null;
+
+  const symbols = stalePrices.map((info) => info.symbol).join(", ");
+
+  return (
+    <div className="flex items-center text-xs p-3 bg-[#2E0C0A] text-[#FBB4AF] rounded-lg mb-6">
+      <BiError className="text-2xl pr-2" />
+      <p className="font-medium">
+        Stale price: the oracle for {symbols} has not updated recently. USD
+        values for {stalePrices.length > 1 ? "these assets" : "this asset"} use
+        the last reported price and may be inaccurate.
+      </p>
+    </div>
+  );
+};
+
+export default StalePriceBanner;
@@ -0,0 +1,90 @@
+import React, { useContext, useState } from "react";
+import { ImSpinner8 } from "react-icons/im";
+import lendContext from "../context/lendContext";
+
+const STATUS_STYLES = {
+  pending: "text-[#A9E2FB]",
+  confirmed: "text-green-400",
+  failed: "text-red-400",
+  replaced: "text-orange-400",
+  cancelled: "text-[#A5A8B6]",
+};
+
+const shortHash = (hash) => `${hash.substring(0, 6)}...${hash.substring(62)}`;
+
+/**
+ * Header button with the number of pending transactions, opening the list of
+ * transactions sent from this browser (hooks/useTransactionTracker)
+ */
+const TransactionDrawer = () => {
+  const { lendData } = useContext(lendContext);
+  const { network, transactions, pendingTransactions, clearTransactions } = lendData;
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (transactions.length === 0) return null;
+
+  const txLink = (hash) => (network?.explorer ? `${network.explorer}/tx/${hash}` : null);
+
+  return (
+    <div className="relative">
+      <button
+        className="border border-[#A5A8B6] border-opacity-40 hover:border-opacity-80 px-3 py-[6px] rounded-[4px] text-sm flex items-center"
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        {pendingTransactions > 0 ? (
+          <>
+            <ImSpinner8 icon="spinner" className="spinner mr-2" />
+            {pendingTransactions} pending
+          </>
+        ) : (
+          "Transactions"
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-[#292E41] border border-[#A5A8B6] border-opacity-20 rounded shadow-lg z-50 p-3">
+          <div className="flex justify-between items-center mb-2">
+            <h1 className="text-sm font-semibold">Transactions</h1>
+            <button
+              className="text-xs text-[#A5A8B6] hover:text-white"
+              onClick={() => clearTransactions()}
+            >
+              Clear finished
+            </button>
+          </div>
+
+          <div className="flex flex-col gap-2 max-h-96 overflow-y-auto">
+            {transactions.map((record) => (
+              <div
+                key={record.hash}
+                className="border border-[#A5A8B6] border-opacity-20 p-2 rounded text-[13px]"
+              >
+                <div className="flex justify-between">
+                  <p>{record.label || record.action}</p>
+                  <p className={STATUS_STYLES[record.status]}>{record.status}</p>
+                </div>
+                <div className="flex justify-between text-xs text-[#8E92A3]">
+                  <p>{record.amount}</p>
+                  {txLink(record.replacedBy || record.hash) ? (
+                    <a
+                      href={txLink(record.replacedBy || record.hash)}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="hover:text-white"
+                    >
+                      {shortHash(record.replacedBy || record.hash)}
+                    </a>
+                  ) : (
+                    <p>{shortHash(record.replacedBy || record.hash)}</p>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TransactionDrawer;
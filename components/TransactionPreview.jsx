@@ -0,0 +1,70 @@
+import React from "react";
+import { BiError } from "react-icons/bi";
+import { ImSpinner8 } from "react-icons/im";
+
+const formatFee = (fee) => Number(fee).toLocaleString(undefined, { maximumSignificantDigits: 4 });
+
+/**
+ * Network fee of the modal's action and, when a simulated step reverts, its
+ * decoded reason (hooks/usePreflight), shown before the wallet prompt
+ */
+const TransactionPreview = ({ preflight }) => {
+  const { status, fee, feeUSD, approximate, steps, error, failedStep } = preflight;
+  if (status === "idle") return null;
+
+  if (status === "failed") {
+    return (
+      <div className="flex justify-center items-center text-xs p-2 bg-[#2E0C0A] text-[#FBB4AF] rounded mb-5">
+        <BiError className="text-3xl pr-2 " />
+
+        <div className="flex flex-col">
+          <p className="font-semibold text-[11px] tracking-[0.005rem]">
+            {failedStep ? `${failedStep} would fail: ` : ""}
+            {error.message}
+          </p>
+          {error.hint && (
+            <span className="font-medium text-[10px]">{error.hint}</span>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col mb-5">
+      <h1 className="text-sm font-normal text text-[#A5A8B6] pb-[3px]">
+        Network fee
+      </h1>
+      <div className="border border-[#A5A8B6] border-opacity-20 p-2 rounded flex flex-col gap-1 text-[13px] text-[#F1F1F3]">
+        {status === "pending" ? (
+          <div className="flex flex-row items-center text-[#A5A8B6]">
+            <ImSpinner8 icon="spinner" className="spinner mr-2" />
+            <p>Simulating transaction...</p>
+          </div>
+        ) : (
+          <>
+            <div className="flex flex-row items-center justify-between">
+              <p>
+                {steps.length > 1 ? `${steps.length} transactions` : "Estimated fee"}
+              </p>
+              <p className="justify-end">
+                {approximate ? "~" : ""}
+                {formatFee(fee)} ETH
+                {feeUSD !== null && (
+                  <span className="text-[#A5A8B6]"> (${feeUSD.toFixed(2)})</span>
+                )}
+              </p>
+            </div>
+            {steps.length > 1 && (
+              <p className="text-xs text-[#8E92A3]">
+                {steps.map((step) => step.label).join(" → ")}
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransactionPreview;
@@ -0,0 +1,139 @@
+import React, { useContext, useState } from "react";
+import { ethers } from "ethers";
+import { toast } from "react-toastify";
+import lendContext from "../context/lendContext";
+import { useTreasury } from "../hooks/useTreasury";
+import { findPool } from "../lib/pools";
+import { formatAmount as formatTokenAmount } from "../lib/tokenAmounts";
+
+const TreasuryPanel = () => {
+  const { lendData, pools = [] } = useContext(lendContext);
+  const { reserves, isLoading, error, lastUpdate, canWithdraw, refresh, withdraw } = useTreasury(lendData);
+  const [pending, setPending] = useState(null);
+
+  // Format 1e18 USD value for display
+  const formatUSD = (value) => {
+    return `$${parseFloat(ethers.utils.formatEther(value)).toLocaleString(undefined, {
+      maximumFractionDigits: 2,
+    })}`;
+  };
+
+  // Format a raw token amount for display
+  const formatAmount = (amount, decimals, symbol) => {
+    return formatTokenAmount(amount, decimals, { maxDecimals: 6, symbol });
+  };
+
+  const handleWithdraw = async (poolReserves, market) => {
+    const key = `${poolReserves.pool}-${market.token}`;
+    setPending(key);
+    try {
+      const result = await withdraw(poolReserves.pool, market);
+      if (result.status === 200) {
+        toast.success(`Withdrew ${formatAmount(market.withdrawable, market.decimals, market.symbol)}`);
+      } else {
+        toast.error(result.message);
+      }
+    } finally {
+      setPending(null);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Protocol Reserves
+          </h3>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            The reserve factor&apos;s share of borrow interest and flash loan fees, per pool and market.
+            {canWithdraw ? " Your wallet holds the treasury role." : " Only the treasury role can withdraw."}
+            {lastUpdate && ` Updated ${lastUpdate.toLocaleTimeString()}.`}
+          </p>
+        </div>
+        <button
+          className="text-xs font-semibold px-3 py-1 rounded bg-gray-100 dark:bg-gray-600 text-gray-700 dark:text-gray-200"
+          onClick={refresh}
+          disabled={isLoading}
+        >
+          {isLoading ? "Loading…" : "Refresh"}
+        </button>
+      </div>
+
+      {error && (
+        <div className="text-sm text-red-500 mb-4">⚠️ {error}</div>
+      )}
+
+      {reserves.length === 0 ? (
+        <div className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">
+          {isLoading ? "Loading reserves…" : "No pools found."}
+        </div>
+      ) : (
+        reserves.map((poolReserves) => {
+          const pool = findPool(pools, poolReserves.pool);
+
+          return (
+            <div key={poolReserves.pool} className="mb-6">
+              <div className="flex items-baseline justify-between mb-2">
+                <div className="font-medium text-gray-900 dark:text-white">
+                  {pool?.name || `${poolReserves.pool.slice(0, 6)}…${poolReserves.pool.slice(-4)}`}
+                  <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">
+                    Reserve factor {(parseFloat(ethers.utils.formatEther(poolReserves.reserveFactor)) * 100).toFixed(1)}%
+                  </span>
+                </div>
+                <div className="text-sm font-semibold text-gray-900 dark:text-white">
+                  {formatUSD(poolReserves.totalUSD)}
+                </div>
+              </div>
+
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-700">
+                    <th className="text-left py-2 px-2 font-medium text-gray-900 dark:text-white">Asset</th>
+                    <th className="text-right py-2 px-2 font-medium text-gray-900 dark:text-white">Reserves</th>
+                    <th className="text-right py-2 px-2 font-medium text-gray-900 dark:text-white">Withdrawable</th>
+                    <th className="text-right py-2 px-2 font-medium text-gray-900 dark:text-white">Value</th>
+                    {poolReserves.canWithdraw && <th className="py-2 px-2"></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {poolReserves.markets.map((market) => {
+                    const key = `${poolReserves.pool}-${market.token}`;
+
+                    return (
+                      <tr key={key} className="border-b border-gray-100 dark:border-gray-700">
+                        <td className="py-2 px-2 text-gray-900 dark:text-white">{market.symbol}</td>
+                        <td className="text-right py-2 px-2 text-gray-900 dark:text-white">
+                          {formatAmount(market.reserves, market.decimals, market.symbol)}
+                        </td>
+                        <td className="text-right py-2 px-2 text-gray-900 dark:text-white">
+                          {formatAmount(market.withdrawable, market.decimals, market.symbol)}
+                        </td>
+                        <td className="text-right py-2 px-2 text-gray-500 dark:text-gray-400">
+                          {formatUSD(market.reservesUSD)}
+                        </td>
+                        {poolReserves.canWithdraw && (
+                          <td className="text-right py-2 px-2">
+                            <button
+                              className="text-xs font-semibold px-3 py-1 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed"
+                              disabled={market.withdrawable.isZero() || pending !== null}
+                              onClick={() => handleWithdraw(poolReserves, market)}
+                            >
+                              {pending === key ? "Withdrawing…" : "Withdraw"}
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default TreasuryPanel;
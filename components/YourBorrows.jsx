@@ -48,7 +48,8 @@ const YourBorrows = () => {
                       image={token.image}
                       borrowedBalInUSD={token.borrowedBalInUSD}
                       borrowApy={token.borrowApy}
-                      borrowQty={token.borrowQty / 1e18}
+                      debtWei={token.debtWei}
+                      decimals={token.decimals}
                     />
                   ))
                 ) : (
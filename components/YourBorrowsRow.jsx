@@ -1,12 +1,14 @@
 import Image from "next/image";
 import React, { useState } from "react";
 import { ModalBorderLayout, ModalRepay } from ".";
+import { formatAmount } from "../lib/tokenAmounts";
 
 const YourBorrowsRow = ({
   address,
   name,
   image,
-  borrowQty,
+  debtWei,
+  decimals,
   borrowedBalInUSD,
   borrowApy,
 }) => {
@@ -30,9 +32,7 @@ const YourBorrowsRow = ({
         </td>
         <td className="md:px-4 align-middle border-b-[1px] border-blueGrey-100  md:whitespace-nowrap md:p-4 ">
           <p className="text-center md:text-[13px] text-[12px] text-gray-600 font-semibold">
-            {Number(borrowQty).toFixed(2).toString(2).length < 10
-              ? Number(borrowQty).toFixed(2).toString().slice(0, 10)
-              : `${Number(borrowQty).toFixed(2).toString().slice(0, 10)}...`}
+            {formatAmount(debtWei, decimals, { maxDecimals: 2 })}
           </p>
 
           <p className="text-center md:text-[11px] text-[9px] text-gray-600 font-medium">
@@ -78,7 +78,7 @@ const YourBorrowsRow = ({
           name={name}
           image={image}
           borrowApy={borrowApy}
-          debt={borrowQty}
+          debtWei={debtWei}
           onClose={() => setShowRepayModal(false)}
         />
       </ModalBorderLayout>
@@ -46,9 +46,9 @@ const YourSupplies = () => {
                       key={index}
                       address={token.address}
                       name={token.name}
-                      balance={token.balance}
+                      suppliedWei={token.suppliedWei}
+                      decimals={token.decimals}
                       balanceInUSD={token.balanceInUSD}
-                      maxSupply={token.maxSupply}
                       image={token.image}
                       apy={token.apy}
                       isCollateral={token.isCollateral}
@@ -2,14 +2,15 @@ import Image from "next/image";
 import React, { useState } from "react";
 import Switch from "react-switch";
 import { ModalBorderLayout, ModalWithdraw } from "../components";
+import { formatAmount } from "../lib/tokenAmounts";
 
 const YourSuppliesRow = ({
   address,
   name,
   image,
   apy,
-  balance,
-  maxSupply,
+  suppliedWei,
+  decimals,
   balanceInUSD,
   isCollateral,
 }) => {
@@ -34,9 +35,7 @@ const YourSuppliesRow = ({
         </td>
         <td className="md:px-4 border-b-[1px] border-blueGrey-100 m:whitespace-nowrap md:p-4">
           <p className="text-center md:text-[13px] text-[12px] text-gray-600 font-semibold">
-            {Number(balance).toFixed(2).toString(2).length < 10
-              ? Number(balance).toFixed(2).toString().slice(0, 10)
-              : `${Number(balance).toFixed(2).toString().slice(0, 10)}...`}
+            {formatAmount(suppliedWei, decimals, { maxDecimals: 2 })}
           </p>
 
           <p className="text-center md:text-[11px] text-[9px] text-gray-600 font-medium">
@@ -86,9 +85,7 @@ const YourSuppliesRow = ({
           address={address}
           name={name}
           image={image}
-          balance={balance}
-          maxSupply={maxSupply}
-          remainingSupply={balance}
+          suppliedWei={suppliedWei}
           onClose={() => setShowWithdrawModal(false)}
         />
       </ModalBorderLayout>
@@ -31,5 +31,13 @@ export { default as ModalRepay } from "./ModalRepay";
 
 // LendHub v2 components
 export { default as HealthFactorCard } from "./HealthFactorCard";
+export { default as HealthSimulator } from "./HealthSimulator";
+export { default as LiquidationPriceCard } from "./LiquidationPriceCard";
+export { default as PoolSelector } from "./PoolSelector";
 export { default as AssetMetrics } from "./AssetMetrics";
-export { default as RefreshDataButton } from "./RefreshDataButton";
\ No newline at end of file
+export { default as RefreshDataButton } from "./RefreshDataButton";
+export { default as StalePriceBanner } from "./StalePriceBanner";
+export { default as LiquidationDashboard } from "./LiquidationDashboard";
+export { default as TreasuryPanel } from "./TreasuryPanel";
+export { default as TransactionPreview } from "./TransactionPreview";
+export { default as TransactionDrawer } from "./TransactionDrawer";
\ No newline at end of file
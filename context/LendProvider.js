@@ -0,0 +1,128 @@
+import React, { useMemo, useCallback } from "react";
+import LendContext from "./lendContext";
+import { ethers } from "ethers";
+import { useLendData } from "../hooks/useLendData";
+import {
+  selectUserAssets,
+  selectSupplies,
+  selectBorrows,
+  selectBorrowPowerUSD,
+  selectAssetsToBorrow,
+  selectAssetMetrics,
+  selectHealthFactor,
+  selectStalePrices
+} from "../lib/positionStore";
+import { findPool } from "../lib/pools";
+import { ethIcon, usdcIcon, usdtIcon, daiIcon, wethIcon, linkIcon } from "../assets";
+
+const TOKEN_ICONS = {
+  ETH: ethIcon,
+  WETH: wethIcon,
+  DAI: daiIcon,
+  USDC: usdcIcon,
+  USDT: usdtIcon,
+  LINK: linkIcon
+};
+
+/**
+ * Provides lendContext from the unified data layer (hooks/useLendData).
+ * The value keeps the API components were written against; the raw
+ * data layer is also exposed as `lendData` for new code.
+ */
+const LendProvider = (props) => {
+  const lendData = useLendData();
+  const { wallet, network, store, pools, poolAddress, oracleAddress } = lendData;
+
+  const metamaskDetails = useMemo(() => ({
+    provider: wallet.provider,
+    networkName: wallet.networkName,
+    signer: wallet.signer,
+    currentAccount: wallet.account,
+    chainId: wallet.chainId,
+    contractAddresses: network && {
+      ETHAddress: network.ethAddress,
+      LendingPoolAddress: poolAddress,
+      LendingHelperAddress: network.contracts.lendingHelper,
+      AddressToTokenMapV2: oracleAddress,
+      WETH: network.contracts.weth,
+      ...Object.fromEntries(network.tokens.filter((token) => !token.isNative).map((token) => [token.symbol, token.address]))
+    }
+  }), [wallet, network, poolAddress, oracleAddress]);
+
+  const userAssets = useMemo(() => selectUserAssets(store, network, TOKEN_ICONS), [store, network]);
+  const { supplies, summary: supplySummary } = useMemo(() => selectSupplies(store, network, TOKEN_ICONS), [store, network]);
+  const { borrows, summary: borrowSummary } = useMemo(() => selectBorrows(store, network, TOKEN_ICONS), [store, network]);
+  const assetsToBorrow = useMemo(() => selectAssetsToBorrow(store, network, TOKEN_ICONS), [store, network]);
+  const assetMetrics = useMemo(() => selectAssetMetrics(store), [store]);
+  const stalePrices = useMemo(() => selectStalePrices(store), [store]);
+
+  const getUserAssets = useCallback(() => lendData.loadWallet(), [lendData.loadWallet]);
+  const getYourSupplies = useCallback(() => lendData.loadPositions(), [lendData.loadPositions]);
+  const getAssetsToBorrow = useCallback(() => lendData.loadMarkets(), [lendData.loadMarkets]);
+
+  return (
+    <LendContext.Provider
+      value={{
+        metamaskDetails,
+        connectWallet: lendData.connectWallet,
+
+        // Asset functions
+        getUserAssets,
+        fetchUserAssets: getUserAssets,
+        userAssets,
+
+        // Supply functions
+        getYourSupplies,
+        supplyAssets: supplies,
+        supplySummary,
+        LendAsset: lendData.lend,
+        WithdrawAsset: lendData.withdraw,
+
+        // Borrow functions
+        getAssetsToBorrow,
+        assetsToBorrow,
+        borrowAsset: lendData.borrow,
+        getYourBorrows: getYourSupplies,
+        yourBorrows: borrows,
+        repayAsset: lendData.repay,
+        borrowSummary,
+
+        // Liquidations (any pool; native ETH debt is paid with msg.value)
+        liquidateAsset: lendData.liquidate,
+
+        // Utility functions
+        getAmountInUSD: lendData.getAmountInUSD,
+        ApproveToContinue: lendData.approve,
+        updateInterests: getAssetsToBorrow,
+        refresh: lendData.refresh,
+
+        // Factory pools; everything above is scoped to the selected one
+        pools,
+        selectedPool: findPool(pools, poolAddress),
+        selectPool: lendData.selectPool,
+
+        // Oracle prices and on-chain rates
+        prices: store.prices,
+        rates: store.rates,
+        stalePrices,
+
+        // Enhanced metrics
+        healthFactor: selectHealthFactor(store),
+        borrowPower: ethers.utils.formatEther(selectBorrowPowerUSD(store)),
+        utilizationRate: "0",
+        assetMetrics,
+
+        // Sync state
+        isSyncing: lendData.isSyncing,
+        lastSyncTime: lendData.lastSyncTime,
+        syncError: lendData.syncError,
+
+        lendData
+      }}
+    >
+      {props.children}
+    </LendContext.Provider>
+  );
+};
+
+export default LendProvider;
@@ -1,793 +0,0 @@
-import React, { useState, useEffect, useCallback } from "react";
-import LendContext from "./lendContext";
-import { ethers } from "ethers";
-
-/**
- * Production-ready LendState with proper DeFi logic
- * Fixes all UI issues and implements dynamic interest rates
- */
-const LendStateProduction = (props) => {
-  // Core state
-  const [metamaskDetails, setMetamaskDetails] = useState({
-    provider: null,
-    networkName: null,
-    signer: null,
-    currentAccount: null,
-    chainId: null,
-    contractAddresses: null,
-  });
-
-  // UI state
-  const [userAssets, setUserAssets] = useState([]);
-  const [supplyAssets, setSupplyAssets] = useState([]);
-  const [assetsToBorrow, setAssetsToBorrow] = useState([]);
-  const [yourBorrows, setYourBorrows] = useState([]);
-
-  // Financial metrics
-  const [supplySummary, setSupplySummary] = useState({
-    totalUSDBalance: 0,
-    weightedAvgAPY: 0,
-    totalUSDCollateral: 0,
-  });
-
-  const [borrowSummary, setBorrowSummary] = useState({
-    totalUSDBalance: 0,
-    weightedAvgAPY: 0,
-    totalBorrowPowerUsed: 0,
-  });
-
-  // LendHub v2 enhanced metrics
-  const [healthFactor, setHealthFactor] = useState("0");
-  const [borrowPower, setBorrowPower] = useState("0");
-  const [utilizationRate, setUtilizationRate] = useState("0");
-  const [assetMetrics, setAssetMetrics] = useState([]);
-
-  // Sync state
-  const [isSyncing, setIsSyncing] = useState(false);
-  const [lastSyncTime, setLastSyncTime] = useState(null);
-  const [syncError, setSyncError] = useState(null);
-
-  // Contract ABIs
-  const POOL_ABI = [
-    "function lend(address token, uint256 amount) external payable returns (bool)",
-    "function withdraw(address token, uint256 amount) external returns (bool)",
-    "function borrow(address token, uint256 amount) external returns (bool)",
-    "function repay(address token, uint256 amount) external returns (bool)",
-    "function supplied(address user, address token) external view returns (uint256)",
-    "function debts(address user, address token) external view returns (uint256)",
-    "function getSupportedTokens() external view returns (address[])",
-    "function tokenStates(address) external view returns (uint128 cash, uint128 borrows, uint64 lastAccrue, uint64 indexSupply, uint64 indexBorrow)",
-    "function getHealthFactor(address user) external view returns (uint256)",
-    "event Lend(address indexed user, address indexed token, uint256 amount, uint256 newBalance)",
-    "event Withdraw(address indexed user, address indexed token, uint256 amount, uint256 newBalance)",
-    "event Borrow(address indexed user, address indexed token, uint256 amount, uint256 newDebt)",
-    "event Repay(address indexed user, address indexed token, uint256 amount, uint256 newDebt)"
-  ];
-
-  const ERC20_ABI = [
-    "function balanceOf(address) external view returns (uint256)",
-    "function decimals() external view returns (uint8)",
-    "function approve(address spender, uint256 amount) external returns (bool)",
-    "function allowance(address owner, address spender) external view returns (uint256)",
-    "function symbol() external view returns (string)"
-  ];
-
-  const WETH_ABI = [
-    ...ERC20_ABI,
-    "function deposit() external payable",
-    "function withdraw(uint256 wad) external"
-  ];
-
-  // Token configuration
-  const getTokenConfig = useCallback((chainId) => {
-    if (chainId === 1337) {
-      const addresses = require("../addresses-ganache.js");
-      return [
-        {
-          symbol: "ETH",
-          name: "Ethereum",
-          address: "0x0000000000000000000000000000000000000000",
-          decimals: 18,
-          isNative: true,
-          wethAddress: addresses.default.WETH
-        },
-        {
-          symbol: "WETH", 
-          name: "Wrapped Ether",
-          address: addresses.default.WETH,
-          decimals: 18,
-          isNative: false
-        },
-        {
-          symbol: "DAI",
-          name: "Dai Stablecoin", 
-          address: addresses.default.DAI,
-          decimals: 18,
-          isNative: false
-        },
-        {
-          symbol: "USDC",
-          name: "USD Coin",
-          address: addresses.default.USDC, 
-          decimals: 6,
-          isNative: false
-        }
-      ];
-    } else {
-      // Sepolia configuration
-      const addresses = require("../addresses.js");
-      return [
-        {
-          symbol: "ETH",
-          name: "Ethereum",
-          address: addresses.ETHAddress,
-          decimals: 18,
-          isNative: true
-        },
-        // Add other Sepolia tokens...
-      ];
-    }
-  }, []);
-
-  /**
-   * Connect wallet with proper error handling
-   */
-  const connectWallet = useCallback(async () => {
-    console.log("🔗 [CONNECT] Starting wallet connection...");
-    
-    try {
-      if (!window.ethereum) {
-        throw new Error("MetaMask not installed");
-      }
-
-      const accounts = await window.ethereum.request({
-        method: "eth_requestAccounts",
-      });
-
-      if (accounts.length === 0) {
-        throw new Error("No accounts found");
-      }
-
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const network = await provider.getNetwork();
-      const signer = provider.getSigner();
-      const chainId = network.chainId;
-
-      console.log(`📡 Connected to ${network.name} (Chain ID: ${chainId})`);
-
-      // Validate supported networks
-      if (chainId !== 1337 && chainId !== 11155111) {
-        throw new Error("Please switch to Ganache Local (1337) or Sepolia Testnet (11155111)");
-      }
-
-      // Get contract addresses
-      const addresses = chainId === 1337 
-        ? require("../addresses-ganache.js")
-        : require("../addresses.js");
-
-      // Clear stale data
-      setUserAssets([]);
-      setSupplyAssets([]);
-      setAssetsToBorrow([]);
-      setYourBorrows([]);
-      setSyncError(null);
-
-      setMetamaskDetails({
-        provider,
-        networkName: network.name,
-        signer,
-        currentAccount: accounts[0],
-        chainId,
-        contractAddresses: chainId === 1337 ? {
-          ETHAddress: "0x0000000000000000000000000000000000000000",
-          LendingPoolAddress: addresses.default.CORE_POOL,
-          LendingHelperAddress: addresses.default.LendingHelper,
-          WETH: addresses.default.WETH,
-          DAI: addresses.default.DAI,
-          USDC: addresses.default.USDC
-        } : addresses,
-      });
-
-      console.log("✅ [CONNECT] Wallet connected successfully");
-      
-      // Setup event listeners
-      setupEventListeners(provider, addresses.default.CORE_POOL);
-
-    } catch (error) {
-      console.error("❌ [CONNECT] Connection failed:", error);
-      alert(`Connection failed: ${error.message}`);
-    }
-  }, []);
-
-  /**
-   * Setup event listeners for real-time updates
-   */
-  const setupEventListeners = useCallback((provider, poolAddress) => {
-    console.log("👂 [EVENTS] Setting up event listeners...");
-    
-    const poolContract = new ethers.Contract(poolAddress, POOL_ABI, provider);
-
-    // Listen to Lend events
-    poolContract.on("Lend", (user, token, amount, newBalance) => {
-      console.log(`📥 [EVENT] Lend: ${user} lent ${ethers.utils.formatEther(amount)}`);
-      
-      if (user.toLowerCase() === metamaskDetails.currentAccount?.toLowerCase()) {
-        console.log("🔄 [SYNC] User lend detected, refreshing in 2s...");
-        setTimeout(() => {
-          fetchUserAssets();
-          fetchYourSupplies();
-          fetchAssetsToBorrow();
-        }, 2000);
-      } else {
-        console.log("🔄 [SYNC] Other user lend, updating borrowable assets...");
-        setTimeout(fetchAssetsToBorrow, 3000);
-      }
-    });
-
-    // Listen to Withdraw events
-    poolContract.on("Withdraw", (user, token, amount, newBalance) => {
-      console.log(`📤 [EVENT] Withdraw: ${user} withdrew ${ethers.utils.formatEther(amount)}`);
-      
-      if (user.toLowerCase() === metamaskDetails.currentAccount?.toLowerCase()) {
-        setTimeout(() => {
-          fetchUserAssets();
-          fetchYourSupplies();
-        }, 2000);
-      }
-      setTimeout(fetchAssetsToBorrow, 3000);
-    });
-
-    // Listen to Borrow/Repay events
-    poolContract.on("Borrow", (user, token, amount, newDebt) => {
-      console.log(`💰 [EVENT] Borrow: ${user} borrowed ${ethers.utils.formatEther(amount)}`);
-      setTimeout(fetchAssetsToBorrow, 2000);
-    });
-
-    poolContract.on("Repay", (user, token, amount, newDebt) => {
-      console.log(`💳 [EVENT] Repay: ${user} repaid ${ethers.utils.formatEther(amount)}`);
-      setTimeout(fetchAssetsToBorrow, 2000);
-    });
-
-    return () => {
-      console.log("🧹 [EVENTS] Cleaning up event listeners...");
-      poolContract.removeAllListeners();
-    };
-  }, [metamaskDetails.currentAccount]);
-
-  /**
-   * Fetch accurate wallet balances - DIRECT ERC20 calls
-   */
-  const fetchUserAssets = useCallback(async () => {
-    if (!metamaskDetails.currentAccount || !metamaskDetails.provider) {
-      console.log("⏭️ [BALANCE] Skipping - not connected");
-      return;
-    }
-
-    console.log(`📊 [BALANCE] Fetching wallet balances for ${metamaskDetails.currentAccount}...`);
-    
-    try {
-      const tokens = getTokenConfig(metamaskDetails.chainId);
-      const assets = [];
-
-      for (const token of tokens) {
-        try {
-          let balance = "0";
-          let balanceWei = ethers.BigNumber.from(0);
-
-          if (token.isNative) {
-            // Native ETH balance
-            balanceWei = await metamaskDetails.provider.getBalance(metamaskDetails.currentAccount);
-            balance = ethers.utils.formatEther(balanceWei);
-          } else {
-            // ERC20 token balance
-            const tokenContract = new ethers.Contract(token.address, ERC20_ABI, metamaskDetails.provider);
-            balanceWei = await tokenContract.balanceOf(metamaskDetails.currentAccount);
-            balance = ethers.utils.formatUnits(balanceWei, token.decimals);
-          }
-
-          assets.push({
-            ...token,
-            balance,
-            balanceWei,
-            apy: 3, // Will be updated by interest rate hook
-            isCollateral: true
-          });
-
-          console.log(`✅ [BALANCE] ${token.symbol}: ${balance}`);
-
-        } catch (error) {
-          console.error(`❌ [BALANCE] Error fetching ${token.symbol}:`, error);
-          assets.push({
-            ...token,
-            balance: "0",
-            balanceWei: ethers.BigNumber.from(0),
-            apy: 0,
-            isCollateral: true,
-            error: error.message
-          });
-        }
-      }
-
-      setUserAssets(assets);
-      console.log("✅ [BALANCE] Wallet balances updated");
-
-    } catch (error) {
-      console.error("❌ [BALANCE] Failed to fetch balances:", error);
-    }
-  }, [metamaskDetails, getTokenConfig]);
-
-  /**
-   * Fetch user's supply positions
-   */
-  const fetchYourSupplies = useCallback(async () => {
-    if (!metamaskDetails.currentAccount || !metamaskDetails.contractAddresses) {
-      console.log("⏭️ [SUPPLY] Skipping - not connected");
-      return;
-    }
-
-    console.log("📋 [SUPPLY] Fetching user supplies...");
-
-    try {
-      const poolContract = new ethers.Contract(
-        metamaskDetails.contractAddresses.LendingPoolAddress,
-        POOL_ABI,
-        metamaskDetails.provider
-      );
-
-      const supportedTokens = await poolContract.getSupportedTokens();
-      const supplies = [];
-      let totalUSDBalance = 0;
-
-      for (const tokenAddress of supportedTokens) {
-        try {
-          const suppliedAmount = await poolContract.supplied(metamaskDetails.currentAccount, tokenAddress);
-          
-          if (suppliedAmount.gt(0)) {
-            // Determine token info
-            let symbol = "UNKNOWN";
-            let decimals = 18;
-            let price = 1;
-            let displayAddress = tokenAddress;
-
-            if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-              symbol = "ETH"; // Display as ETH for UX
-              price = 3000;
-              displayAddress = metamaskDetails.contractAddresses.ETHAddress;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.DAI) {
-              symbol = "DAI";
-              price = 1;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.USDC) {
-              symbol = "USDC";
-              decimals = 6;
-              price = 1;
-            }
-
-            const balance = parseFloat(ethers.utils.formatUnits(suppliedAmount, decimals));
-            const balanceInUSD = balance * price;
-            totalUSDBalance += balanceInUSD;
-
-            supplies.push({
-              token: tokenAddress, // Actual contract address for contract calls
-              address: tokenAddress, // Use actual address for contract calls
-              name: symbol,
-              image: `https://cryptologos.cc/logos/${symbol.toLowerCase()}-logo.svg`,
-              balance,
-              apy: 3, // TODO: Use dynamic rates
-              balanceInUSD,
-              maxSupply: balance,
-              isCollateral: true,
-              displayAddress: displayAddress, // For display purposes only
-              actualTokenAddress: tokenAddress // For contract calls
-            });
-
-            console.log(`✅ [SUPPLY] ${symbol}: ${balance} ($${balanceInUSD.toLocaleString()})`);
-          }
-        } catch (error) {
-          console.error(`❌ [SUPPLY] Error for ${tokenAddress}:`, error);
-        }
-      }
-
-      setSupplyAssets(supplies);
-      setSupplySummary({
-        totalUSDBalance,
-        weightedAvgAPY: supplies.length > 0 ? 3 : 0,
-        totalUSDCollateral: totalUSDBalance,
-      });
-
-      console.log(`✅ [SUPPLY] Total supplies: $${totalUSDBalance.toLocaleString()}`);
-
-    } catch (error) {
-      console.error("❌ [SUPPLY] Failed to fetch supplies:", error);
-    }
-  }, [metamaskDetails]);
-
-  /**
-   * Fetch borrowable assets with accurate calculations
-   */
-  const fetchAssetsToBorrow = useCallback(async () => {
-    if (!metamaskDetails.currentAccount || !metamaskDetails.contractAddresses) {
-      console.log("⏭️ [BORROW] Skipping - not connected");
-      return;
-    }
-
-    console.log("📋 [BORROW] Fetching borrowable assets...");
-
-    try {
-      const poolContract = new ethers.Contract(
-        metamaskDetails.contractAddresses.LendingPoolAddress,
-        POOL_ABI,
-        metamaskDetails.provider
-      );
-
-      const supportedTokens = await poolContract.getSupportedTokens();
-      
-      // Calculate user's borrow power with proper BigNumber math
-      let borrowPowerUSD = ethers.BigNumber.from(0);
-      
-      // Token prices (in 1e18 precision)
-      const WETH_PRICE = ethers.utils.parseEther("3000"); // $3000
-      const DAI_PRICE = ethers.utils.parseEther("1"); // $1
-      const USDC_PRICE = ethers.utils.parseEther("1"); // $1
-      const LTV = ethers.utils.parseEther("0.8"); // 80% LTV
-      
-      for (const tokenAddress of supportedTokens) {
-        const supplied = await poolContract.supplied(metamaskDetails.currentAccount, tokenAddress);
-        
-        if (supplied.gt(0)) {
-          let price = DAI_PRICE; // Default to $1
-          
-          if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-            price = WETH_PRICE;
-          } else if (tokenAddress === metamaskDetails.contractAddresses.USDC) {
-            price = USDC_PRICE;
-          }
-          
-          // Calculate collateral value in USD (with 1e18 precision)
-          const collateralValue = supplied.mul(price).div(ethers.utils.parseEther("1"));
-          const borrowableValue = collateralValue.mul(LTV).div(ethers.utils.parseEther("1"));
-          borrowPowerUSD = borrowPowerUSD.add(borrowableValue);
-          
-          console.log(`📊 [BORROW] Token ${tokenAddress}:`);
-          console.log(`   Supplied: ${ethers.utils.formatEther(supplied)}`);
-          console.log(`   Price: $${ethers.utils.formatEther(price)}`);
-          console.log(`   Collateral Value: $${ethers.utils.formatEther(collateralValue)}`);
-          console.log(`   Borrowable Value: $${ethers.utils.formatEther(borrowableValue)}`);
-        }
-      }
-      
-      // Convert to JavaScript number for display
-      const borrowPowerUSDNumber = parseFloat(ethers.utils.formatEther(borrowPowerUSD));
-
-      setBorrowPower(borrowPowerUSD.toString());
-      console.log(`💰 [BORROW] Calculated borrow power: $${borrowPowerUSD.toLocaleString()}`);
-
-      // Get borrowable assets
-      const borrowableAssets = [];
-
-      for (const tokenAddress of supportedTokens) {
-        try {
-          const tokenState = await poolContract.tokenStates(tokenAddress);
-          const availableCash = parseFloat(ethers.utils.formatEther(tokenState.cash));
-          
-          if (availableCash > 0) {
-            let symbol = "UNKNOWN";
-            let decimals = 18;
-            let price = 1;
-
-            if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-              symbol = "WETH";
-              price = 3000;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.DAI) {
-              symbol = "DAI";
-              price = 1;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.USDC) {
-              symbol = "USDC";
-              decimals = 6;
-              price = 1;
-            }
-
-            // Calculate max borrowable amount
-            // User can borrow up to their borrow power, limited by available liquidity
-            const maxBorrowUSD = Math.min(borrowPowerUSDNumber, availableCash * price);
-            const maxBorrowTokens = maxBorrowUSD / price;
-            
-            console.log(`📊 [BORROW] ${symbol}:`);
-            console.log(`   User Borrow Power: $${borrowPowerUSDNumber.toFixed(2)}`);
-            console.log(`   Available Liquidity: ${availableCash.toFixed(2)} ${symbol} ($${(availableCash * price).toFixed(2)})`);
-            console.log(`   Max Borrow USD: $${maxBorrowUSD.toFixed(2)}`);
-            console.log(`   Max Borrow Tokens: ${maxBorrowTokens.toFixed(2)} ${symbol}`);
-
-            if (maxBorrowTokens > 0) {
-              borrowableAssets.push({
-                token: tokenAddress,
-                address: tokenAddress,
-                name: symbol,
-                image: `https://cryptologos.cc/logos/${symbol.toLowerCase()}-logo.svg`,
-                borrowQty: maxBorrowTokens,
-                available: maxBorrowTokens,
-                borrowApy: 4, // TODO: Use dynamic rates
-                borrowedBalInUSD: 0
-              });
-
-              console.log(`✅ [BORROW] ${symbol}: ${maxBorrowTokens.toFixed(2)} available`);
-            }
-          }
-        } catch (error) {
-          console.error(`❌ [BORROW] Error for ${tokenAddress}:`, error);
-        }
-      }
-
-      setAssetsToBorrow(borrowableAssets);
-      console.log(`✅ [BORROW] ${borrowableAssets.length} borrowable assets loaded`);
-
-    } catch (error) {
-      console.error("❌ [BORROW] Failed to fetch borrowable assets:", error);
-    }
-  }, [metamaskDetails]);
-
-  /**
-   * Supply ETH with proper balance handling
-   */
-  const LendAsset = useCallback(async (tokenAddress, supplyAmount) => {
-    console.log(`💰 [LEND] Supplying ${supplyAmount} of ${tokenAddress}...`);
-    
-    try {
-      if (!metamaskDetails.contractAddresses || !metamaskDetails.signer) {
-        throw new Error("Wallet not connected");
-      }
-
-      const amount = ethers.utils.parseEther(supplyAmount.toString());
-      const poolContract = new ethers.Contract(
-        metamaskDetails.contractAddresses.LendingPoolAddress,
-        POOL_ABI,
-        metamaskDetails.signer
-      );
-
-      let transaction;
-
-      if (tokenAddress === metamaskDetails.contractAddresses.ETHAddress) {
-        // ETH supply → convert to WETH first
-        console.log("📝 [LEND] Supplying ETH via WETH conversion...");
-        
-        // Step 1: Convert ETH to WETH
-        const wethContract = new ethers.Contract(
-          metamaskDetails.contractAddresses.WETH,
-          WETH_ABI,
-          metamaskDetails.signer
-        );
-        
-        console.log("🔄 [LEND] Converting ETH to WETH...");
-        const depositTx = await wethContract.deposit({ value: amount });
-        await depositTx.wait();
-        console.log("✅ [LEND] ETH converted to WETH");
-        
-        // Step 2: Approve WETH
-        console.log("📝 [LEND] Approving WETH...");
-        await wethContract.approve(metamaskDetails.contractAddresses.LendingPoolAddress, amount);
-        console.log("✅ [LEND] WETH approved");
-        
-        // Step 3: Lend WETH
-        console.log("📝 [LEND] Lending WETH...");
-        transaction = await poolContract.lend(metamaskDetails.contractAddresses.WETH, amount);
-      } else {
-        // ERC20 token supply
-        console.log("📝 [LEND] Supplying ERC20 token...");
-        
-        const tokenContract = new ethers.Contract(tokenAddress, ERC20_ABI, metamaskDetails.signer);
-        
-        // Check and approve if needed
-        const allowance = await tokenContract.allowance(
-          metamaskDetails.currentAccount,
-          metamaskDetails.contractAddresses.LendingPoolAddress
-        );
-        
-        if (allowance.lt(amount)) {
-          console.log("📝 [LEND] Approving token...");
-          const approveTx = await tokenContract.approve(
-            metamaskDetails.contractAddresses.LendingPoolAddress,
-            amount
-          );
-          await approveTx.wait();
-          console.log("✅ [LEND] Token approved");
-        }
-
-        transaction = await poolContract.lend(tokenAddress, amount);
-      }
-
-      console.log(`⏳ [LEND] Waiting for confirmation: ${transaction.hash}`);
-      const receipt = await transaction.wait(1);
-      
-      console.log(`✅ [LEND] Supply successful! Gas: ${receipt.gasUsed.toString()}`);
-
-      // Trigger immediate refresh
-      setTimeout(() => {
-        fetchUserAssets();
-        fetchYourSupplies();
-        fetchAssetsToBorrow();
-      }, 1000);
-
-      return { 
-        status: 200, 
-        message: "Supply successful!",
-        txHash: transaction.hash,
-        gasUsed: receipt.gasUsed.toString()
-      };
-
-    } catch (error) {
-      console.error("❌ [LEND] Supply failed:", error);
-      return { 
-        status: 500, 
-        message: error.message || "Supply failed"
-      };
-    }
-  }, [metamaskDetails, fetchUserAssets, fetchYourSupplies, fetchAssetsToBorrow]);
-
-  /**
-   * Withdraw with proper ETH balance restoration
-   */
-  const WithdrawAsset = useCallback(async (tokenAddress, withdrawAmount) => {
-    console.log(`💸 [WITHDRAW] Withdrawing ${withdrawAmount} of ${tokenAddress}...`);
-    
-    try {
-      if (!metamaskDetails.contractAddresses || !metamaskDetails.signer) {
-        throw new Error("Wallet not connected");
-      }
-
-      const amount = ethers.utils.parseEther(withdrawAmount.toString());
-      const poolContract = new ethers.Contract(
-        metamaskDetails.contractAddresses.LendingPoolAddress,
-        POOL_ABI,
-        metamaskDetails.signer
-      );
-
-      // Determine actual token address for contract call
-      let actualTokenAddress = tokenAddress;
-      let isETHWithdraw = false;
-
-      // Check if this is ETH withdrawal (WETH address but user sees as ETH)
-      if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-        // This is actually WETH withdrawal, but user sees it as ETH
-        actualTokenAddress = metamaskDetails.contractAddresses.WETH;
-        isETHWithdraw = true;
-        console.log("📝 [WITHDRAW] ETH withdrawal - using WETH contract address");
-      }
-
-      // Check supplied amount
-      const supplied = await poolContract.supplied(metamaskDetails.currentAccount, actualTokenAddress);
-      console.log(`📊 [WITHDRAW] Current supplied: ${ethers.utils.formatEther(supplied)}`);
-      
-      if (supplied.lt(amount)) {
-        throw new Error(`Insufficient supplied amount. Available: ${ethers.utils.formatEther(supplied)}, Requested: ${withdrawAmount}`);
-      }
-
-      // Withdraw from pool
-      console.log("📝 [WITHDRAW] Withdrawing from pool...");
-      const withdrawTx = await poolContract.withdraw(actualTokenAddress, amount);
-      await withdrawTx.wait();
-      console.log("✅ [WITHDRAW] Pool withdrawal successful");
-
-      // If ETH withdrawal, convert WETH back to ETH
-      if (isETHWithdraw) {
-        console.log("🔄 [WITHDRAW] Converting WETH back to ETH...");
-        
-        const wethContract = new ethers.Contract(
-          metamaskDetails.contractAddresses.WETH,
-          WETH_ABI,
-          metamaskDetails.signer
-        );
-        
-        const convertTx = await wethContract.withdraw(amount);
-        await convertTx.wait();
-        console.log("✅ [WITHDRAW] WETH converted back to ETH");
-      }
-
-      // Trigger refresh
-      console.log("🔄 [WITHDRAW] Triggering data refresh...");
-      setTimeout(() => {
-        console.log("🔄 [WITHDRAW] Refreshing user assets...");
-        fetchUserAssets();
-        console.log("🔄 [WITHDRAW] Refreshing supplies...");
-        fetchYourSupplies();
-        console.log("🔄 [WITHDRAW] Refreshing borrowable assets...");
-        fetchAssetsToBorrow();
-      }, 1000);
-
-      return { 
-        status: 200, 
-        message: "Withdrawal successful!",
-        txHash: withdrawTx.hash
-      };
-
-    } catch (error) {
-      console.error("❌ [WITHDRAW] Withdrawal failed:", error);
-      return { 
-        status: 500, 
-        message: error.message || "Withdrawal failed"
-      };
-    }
-  }, [metamaskDetails, fetchUserAssets, fetchYourSupplies, fetchAssetsToBorrow]);
-
-  // Auto-refresh on account change
-  useEffect(() => {
-    if (metamaskDetails.currentAccount) {
-      console.log("🔄 [AUTO] Account changed, refreshing data...");
-      fetchUserAssets();
-      fetchYourSupplies();
-      fetchAssetsToBorrow();
-    }
-  }, [metamaskDetails.currentAccount, fetchUserAssets, fetchYourSupplies, fetchAssetsToBorrow]);
-
-  // Placeholder functions for compatibility
-  const getAmountInUSD = useCallback(async (tokenAddress, amount) => {
-    const tokenAmount = parseFloat(ethers.utils.formatEther(amount));
-    let price = 1;
-    
-    if (tokenAddress === metamaskDetails.contractAddresses?.WETH || 
-        tokenAddress === metamaskDetails.contractAddresses?.ETHAddress) {
-      price = 3000;
-    }
-    
-    return tokenAmount * price;
-  }, [metamaskDetails.contractAddresses]);
-
-  const numberToEthers = useCallback((number) => {
-    return ethers.utils.parseEther(number.toString());
-  }, []);
-
-  // Placeholder implementations
-  const ApproveToContinue = async () => ({ status: 200, message: "Approved" });
-  const borrowAsset = async () => ({ status: 200, message: "Borrow not implemented" });
-  const repayAsset = async () => ({ status: 200, message: "Repay not implemented" });
-  const getYourBorrows = async () => console.log("📋 [BORROW] Getting borrows...");
-  const updateInterests = async () => console.log("📊 [INTEREST] Updating...");
-
-  return (
-    <LendContext.Provider
-      value={{
-        metamaskDetails,
-        connectWallet,
-        
-        // Asset functions
-        getUserAssets: fetchUserAssets,
-        userAssets,
-        
-        // Supply functions  
-        getYourSupplies: fetchYourSupplies,
-        supplyAssets,
-        supplySummary,
-        LendAsset,
-        WithdrawAsset,
-        
-        // Borrow functions
-        getAssetsToBorrow: fetchAssetsToBorrow,
-        assetsToBorrow,
-        borrowAsset,
-        getYourBorrows,
-        yourBorrows,
-        repayAsset,
-        borrowSummary,
-        
-        // Utility functions
-        getAmountInUSD,
-        numberToEthers,
-        ApproveToContinue,
-        updateInterests,
-        
-        // Enhanced metrics
-        healthFactor,
-        borrowPower,
-        utilizationRate,
-        assetMetrics,
-        
-        // Sync state
-        isSyncing,
-        lastSyncTime,
-        syncError
-      }}
-    >
-      {props.children}
-    </LendContext.Provider>
-  );
-};
-
-export default LendStateProduction;
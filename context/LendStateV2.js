@@ -1,837 +0,0 @@
-import React, { useState } from "react";
-import LendContext from "./lendContext";
-import { ethers } from "ethers";
-
-// Import token lists based on network
-const getTokensList = (chainId) => {
-  if (chainId === 1337) {
-    // Ganache - use ETH-enabled token list (like original)
-    try {
-      return require("../token-list-ganache-eth.js");
-    } catch (error) {
-      console.warn("Ganache ETH token list not found, using default");
-      return require("../token-list-goerli");
-    }
-  } else {
-    // Sepolia - use original token list
-    return require("../token-list-goerli");
-  }
-};
-
-// Import addresses based on network
-const getContractAddresses = (chainId) => {
-  if (chainId === 1337) {
-    // Ganache - use LendHub v2 addresses
-    const ganacheAddresses = require("../addresses-ganache.js");
-    return {
-      ETHAddress: ganacheAddresses.ETHAddress,
-      LendingPoolAddress: ganacheAddresses.LendingPoolAddress,
-      LendingHelperAddress: ganacheAddresses.LendingHelperAddress,
-      WETH: ganacheAddresses.default.WETH,
-      USDC: ganacheAddresses.default.USDC, 
-      DAI: ganacheAddresses.default.DAI,
-    };
-  } else {
-    // Sepolia - use original addresses
-    const sepoliaAddresses = require("../addresses.js");
-    return {
-      ETHAddress: sepoliaAddresses.ETHAddress,
-      LendingPoolAddress: sepoliaAddresses.LendingPoolAddress,
-      LendingHelperAddress: sepoliaAddresses.LendingHelperAddress,
-      WETH: sepoliaAddresses.ETHAddress, // Fallback
-      USDC: sepoliaAddresses.USDCTokenAddress,
-      DAI: sepoliaAddresses.DAITokenAddress,
-    };
-  }
-};
-
-// Token list compatible with v2
-const getTokenList = (addresses) => {
-  return [
-    {
-      image: "../assets/eth-icon.svg", 
-      name: "WETH",
-      address: addresses.WETH,
-      decimal: "18",
-      apy: 3,
-      isCollateral: true,
-    },
-    {
-      image: "../assets/dai-icon.svg",
-      name: "DAI", 
-      address: addresses.DAI,
-      decimal: "18",
-      apy: 3,
-      isCollateral: true,
-    },
-    {
-      image: "../assets/usdc-icon.svg",
-      name: "USDC",
-      address: addresses.USDC,
-      decimal: addresses.USDC.includes("USDC") ? "6" : "18", // Handle decimals
-      apy: 3,
-      isCollateral: true,
-    }
-  ];
-};
-
-const numberToEthers = (number) => {
-  return ethers.utils.parseEther(number.toString());
-};
-
-const LendStateV2 = (props) => {
-  // State management
-  const [metamaskDetails, setMetamaskDetails] = useState({
-    provider: null,
-    networkName: null,
-    signer: null,
-    currentAccount: null,
-    chainId: null,
-    contractAddresses: null,
-  });
-
-  const [userAssets, setUserAssets] = useState([]);
-  const [supplyAssets, setSupplyAssets] = useState([]);
-  const [assetsToBorrow, setAssetsToBorrow] = useState([]);
-  const [yourBorrows, setYourBorrows] = useState([]);
-
-  const [supplySummary, setSupplySummary] = useState({
-    totalUSDBalance: 0,
-    weightedAvgAPY: 0,
-    totalUSDCollateral: 0,
-  });
-
-  const [borrowSummary, setBorrowSummary] = useState({
-    totalUSDBalance: 0,
-    weightedAvgAPY: 0,
-    totalBorrowPowerUsed: 0,
-  });
-
-  // LendHub v2 specific states
-  const [healthFactor, setHealthFactor] = useState("0");
-  const [borrowPower, setBorrowPower] = useState("0");
-  const [utilizationRate, setUtilizationRate] = useState("0");
-  const [assetMetrics, setAssetMetrics] = useState([]);
-
-  const connectWallet = async () => {
-    console.log("🔗 Connecting to wallet...");
-    const { ethereum } = window;
-    
-    try {
-      if (!ethereum) {
-        console.error("❌ MetaMask not detected");
-        alert("Please install MetaMask & connect your MetaMask");
-        return;
-      }
-
-      console.log("✅ MetaMask detected");
-      const account = await ethereum.request({
-        method: "eth_requestAccounts",
-      });
-
-      window.ethereum.on("chainChanged", () => {
-        console.log("🔄 Chain changed, reloading...");
-        window.location.reload();
-      });
-      
-      window.ethereum.on("accountsChanged", () => {
-        console.log("👤 Accounts changed, reloading...");
-        window.location.reload();
-      });
-
-      const provider = new ethers.providers.Web3Provider(window.ethereum);
-      const network = await provider.getNetwork();
-      const networkName = network.name;
-      const signer = provider.getSigner();
-      const chainId = network.chainId;
-
-      console.log(`📡 Network: ${networkName}, Chain ID: ${chainId}`);
-
-      // Support Ganache and Sepolia
-      if (chainId !== 1337 && chainId !== 11155111) {
-        alert("Please switch to either:\n- Ganache Local (localhost:7545, Chain ID: 1337)\n- Sepolia Testnet (Chain ID: 11155111)");
-        return;
-      }
-
-      if (account.length) {
-        const addresses = getContractAddresses(chainId);
-        console.log("Using contract addresses:", addresses);
-
-        // Clear all cached data when connecting to new deployment
-        setUserAssets([]);
-        setSupplyAssets([]);
-        setAssetsToBorrow([]);
-        setYourBorrows([]);
-        setHealthFactor("0");
-        setBorrowPower("0");
-        setAssetMetrics([]);
-        
-        setMetamaskDetails({
-          provider: provider,
-          networkName: networkName,
-          signer: signer,
-          currentAccount: account[0],
-          chainId: chainId,
-          contractAddresses: addresses,
-        });
-
-        console.log(`✅ Connected to ${networkName} (Chain ID: ${chainId})`);
-        console.log("🔄 Cleared all cached data for fresh start");
-      }
-    } catch (error) {
-      console.error("❌ Connection failed:", error);
-      alert(`Connection failed: ${error.message || "Unknown error"}`);
-    }
-  };
-
-  // LendHub v2 compatible functions
-  const LendAssetV2 = async (token, supplyAmount) => {
-    try {
-      const amount = numberToEthers(supplyAmount);
-      console.log(`***Lending token: ${token} | amount: ${supplyAmount}`);
-
-      if (!metamaskDetails.contractAddresses) {
-        throw new Error("Contract addresses not loaded");
-      }
-
-      const poolAddress = metamaskDetails.contractAddresses.LendingPoolAddress;
-      
-      // Use v2 ABI
-      const poolABI = [
-        "function lend(address token, uint256 amount) external payable returns (bool)",
-        "function supplied(address user, address token) external view returns (uint256)",
-        "function getSupportedTokens() external view returns (address[])"
-      ];
-
-      const poolContract = new ethers.Contract(poolAddress, poolABI, metamaskDetails.signer);
-
-      // Handle ETH like original LendHub v1
-      let transaction;
-      
-      if (token === metamaskDetails.contractAddresses.ETHAddress) {
-        // ETH native - handle like original LendHub v1
-        console.log("Lending ETH directly (like original)...");
-        
-        // Check ETH balance
-        const ethBalance = await metamaskDetails.provider.getBalance(metamaskDetails.currentAccount);
-        if (ethBalance.lt(amount)) {
-          throw new Error(`Insufficient ETH balance. Have: ${ethers.utils.formatEther(ethBalance)}, Need: ${ethers.utils.formatEther(amount)}`);
-        }
-        
-        // Try to lend ETH directly like v1
-        const ETH_ADDRESS = "0x0000000000000000000000000000000000000000";
-        
-        try {
-          // Attempt direct ETH lending (like original)
-          console.log("Attempting direct ETH lending...");
-          transaction = await poolContract.lend(ETH_ADDRESS, amount, {
-            value: amount, // Send ETH as value
-            gasLimit: 500000
-          });
-        } catch (error) {
-          console.log("Direct ETH not supported in v2, using WETH bridge...");
-          
-          // Fallback: Use WETH but ensure proper ETH handling
-          const wethAddress = metamaskDetails.contractAddresses.WETH;
-          const wethABI = [
-            "function deposit() payable",
-            "function approve(address spender, uint256 amount) returns (bool)"
-          ];
-          
-          const wethContract = new ethers.Contract(wethAddress, wethABI, metamaskDetails.signer);
-          
-          // Convert ETH to WETH
-          console.log("Converting ETH to WETH...");
-          const depositTx = await wethContract.deposit({ value: amount });
-          await depositTx.wait();
-          
-          // Approve and lend WETH
-          console.log("Approving and lending WETH...");
-          const approveTx = await wethContract.approve(poolAddress, amount);
-          await approveTx.wait();
-          
-          transaction = await poolContract.lend(wethAddress, amount);
-        }
-      } else {
-        // Handle ERC20 tokens
-        const tokenABI = ["function approve(address spender, uint256 amount) returns (bool)"];
-        const tokenContract = new ethers.Contract(token, tokenABI, metamaskDetails.signer);
-        
-        console.log("Approving token...");
-        const approveTx = await tokenContract.approve(poolAddress, amount);
-        await approveTx.wait();
-        
-        console.log("Lending token...");
-        transaction = await poolContract.lend(token, amount);
-      }
-
-      await transaction.wait();
-      console.log("✅ Transaction successful");
-      
-      // Auto-refresh data after successful lend
-      console.log("🔄 Refreshing data after lend...");
-      setTimeout(() => {
-        getUserAssets();
-        getYourSupplies();
-        getAssetsToBorrow();
-      }, 2000); // Wait 2 seconds for blockchain to update
-      
-      return { status: 200, message: "Transaction Successful!" };
-
-    } catch (error) {
-      console.error("❌ Lend failed:", error);
-      return { status: 500, message: error.message };
-    }
-  };
-
-  const getUserAssets = async () => {
-    console.log("📋 Getting user assets...");
-    
-    if (!metamaskDetails.currentAccount || !metamaskDetails.contractAddresses) {
-      console.log("⏭️ Skipping - not connected");
-      return;
-    }
-
-    try {
-      const addresses = metamaskDetails.contractAddresses;
-      const tokensList = getTokensList(metamaskDetails.chainId);
-      
-      // Use token list like original but with balance checking
-      const assets = await Promise.all(
-        tokensList.token.map(async (token) => {
-          try {
-            let balance = "0";
-            
-            if (token.name === "ETH") {
-              // Native ETH balance
-              const ethBalance = await metamaskDetails.provider.getBalance(metamaskDetails.currentAccount);
-              balance = ethers.utils.formatEther(ethBalance);
-            } else if (token.name === "WETH") {
-              // WETH token balance
-              const tokenABI = ["function balanceOf(address) view returns (uint256)"];
-              const tokenContract = new ethers.Contract(token.address, tokenABI, metamaskDetails.provider);
-              const bal = await tokenContract.balanceOf(metamaskDetails.currentAccount);
-              balance = ethers.utils.formatEther(bal);
-            } else {
-              // Other ERC20 tokens
-              const tokenABI = ["function balanceOf(address) view returns (uint256)"];
-              const tokenContract = new ethers.Contract(token.address, tokenABI, metamaskDetails.provider);
-              const bal = await tokenContract.balanceOf(metamaskDetails.currentAccount);
-              balance = ethers.utils.formatUnits(bal, token.decimal);
-            }
-
-            return {
-              image: token.image,
-              address: token.address,
-              name: token.name,
-              apy: token.apy,
-              isCollateral: token.isCollateral,
-              balance: balance,
-            };
-          } catch (error) {
-            console.error(`Error getting balance for ${token.name}:`, error);
-            return {
-              image: token.image,
-              address: token.address,
-              name: token.name,
-              apy: token.apy,
-              isCollateral: token.isCollateral,
-              balance: "0",
-            };
-          }
-        })
-      );
-
-      setUserAssets(assets);
-      console.log("✅ User assets loaded with balances:", assets);
-      
-    } catch (error) {
-      console.error("❌ Error getting user assets:", error);
-    }
-  };
-
-  // LendHub v2 price conversion function
-  const getAmountInUSD = async (tokenAddress, amount) => {
-    try {
-      if (!metamaskDetails.contractAddresses) {
-        console.log("⏭️ Contract addresses not loaded");
-        return 0;
-      }
-
-      // Simple price conversion for v2 (using hardcoded prices like original)
-      const addresses = metamaskDetails.contractAddresses;
-      
-      // Convert amount to number
-      const tokenAmount = parseFloat(ethers.utils.formatEther(amount));
-      
-      // Get token symbol to determine price
-      let priceUSD = 1; // Default $1
-      
-      if (tokenAddress === addresses.WETH) {
-        priceUSD = 3000; // WETH = $3000
-      } else if (tokenAddress === addresses.DAI) {
-        priceUSD = 1; // DAI = $1
-      } else if (tokenAddress === addresses.USDC) {
-        priceUSD = 1; // USDC = $1
-      } else if (tokenAddress === addresses.ETHAddress) {
-        priceUSD = 3000; // ETH = $3000
-      }
-      
-      const totalUSD = tokenAmount * priceUSD;
-      console.log(`💰 ${tokenAmount} tokens × $${priceUSD} = $${totalUSD}`);
-      
-      return totalUSD;
-    } catch (error) {
-      console.error("❌ getAmountInUSD error:", error);
-      return 0;
-    }
-  };
-
-  // Load market metrics for AssetMetrics component
-  const loadAssetMetrics = async () => {
-    if (!metamaskDetails.contractAddresses || !metamaskDetails.provider) {
-      console.log("⏭️ Skipping asset metrics - not connected");
-      return;
-    }
-
-    try {
-      console.log("📊 Loading asset metrics...");
-      const poolAddress = metamaskDetails.contractAddresses.LendingPoolAddress;
-      
-      const poolABI = [
-        "function getSupportedTokens() external view returns (address[])",
-        "function tokenStates(address) external view returns (uint128 cash, uint128 borrows, uint64 lastAccrue, uint64 indexSupply, uint64 indexBorrow)"
-      ];
-
-      const pool = new ethers.Contract(poolAddress, poolABI, metamaskDetails.provider);
-      const supportedTokens = await pool.getSupportedTokens();
-      
-      const metrics = [];
-      
-      for (const tokenAddress of supportedTokens) {
-        try {
-          const tokenState = await pool.tokenStates(tokenAddress);
-          const cash = parseFloat(ethers.utils.formatEther(tokenState.cash));
-          const borrows = parseFloat(ethers.utils.formatEther(tokenState.borrows));
-          
-          // Get token symbol
-          let symbol = "UNKNOWN";
-          if (tokenAddress === metamaskDetails.contractAddresses.WETH) symbol = "WETH";
-          else if (tokenAddress === metamaskDetails.contractAddresses.DAI) symbol = "DAI";
-          else if (tokenAddress === metamaskDetails.contractAddresses.USDC) symbol = "USDC";
-          
-          // Calculate utilization
-          const totalSupply = cash + borrows;
-          const utilization = totalSupply > 0 ? (borrows / totalSupply) * 100 : 0;
-          
-          // Calculate APYs (simplified)
-          const baseRate = 2; // 2% base
-          const utilizationRate = utilization / 100;
-          const borrowRate = baseRate + (utilizationRate * 5); // Simple model
-          const supplyRate = borrowRate * utilizationRate * 0.9; // 90% of borrow rate
-          
-          metrics.push({
-            symbol,
-            name: symbol,
-            cash: cash.toString(),
-            borrows: borrows.toString(),
-            supplyRate: (supplyRate / 100).toString(),
-            borrowRate: (borrowRate / 100).toString(),
-            totalSupply: totalSupply.toString(),
-            totalBorrow: borrows.toString(),
-            totalSupplyUSD: (totalSupply * (symbol === "WETH" ? 3000 : 1)).toString(),
-            totalBorrowUSD: (borrows * (symbol === "WETH" ? 3000 : 1)).toString()
-          });
-          
-        } catch (error) {
-          console.error(`Error loading metrics for ${tokenAddress}:`, error);
-        }
-      }
-      
-      setAssetMetrics(metrics);
-      console.log("✅ Asset metrics loaded:", metrics);
-      
-    } catch (error) {
-      console.error("❌ Error loading asset metrics:", error);
-    }
-  };
-
-  // Get user's supply positions for v2
-  const getYourSupplies = async () => {
-    console.log("📋 Getting supplies (v2)...");
-    
-    if (!metamaskDetails.currentAccount || !metamaskDetails.contractAddresses) {
-      console.log("⏭️ Skipping supplies - not connected");
-      return;
-    }
-
-    try {
-      const poolAddress = metamaskDetails.contractAddresses.LendingPoolAddress;
-      
-      const poolABI = [
-        "function getSupportedTokens() external view returns (address[])",
-        "function supplied(address user, address token) external view returns (uint256)"
-      ];
-
-      const pool = new ethers.Contract(poolAddress, poolABI, metamaskDetails.provider);
-      const supportedTokens = await pool.getSupportedTokens();
-      
-      const supplies = [];
-      
-      for (const tokenAddress of supportedTokens) {
-        try {
-          const suppliedAmount = await pool.supplied(metamaskDetails.currentAccount, tokenAddress);
-          
-          if (suppliedAmount.gt(0)) {
-            // Get token info - Display ETH for WETH to match user expectation
-            let symbol = "UNKNOWN";
-            let displayAddress = tokenAddress;
-            let decimals = 18;
-            
-            if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-              symbol = "ETH"; // Display as ETH (what user supplied)
-              displayAddress = metamaskDetails.contractAddresses.ETHAddress; // Use ETH address for frontend
-            } else if (tokenAddress === metamaskDetails.contractAddresses.DAI) {
-              symbol = "DAI";
-            } else if (tokenAddress === metamaskDetails.contractAddresses.USDC) {
-              symbol = "USDC";
-              decimals = 6;
-            }
-            
-            const balance = parseFloat(ethers.utils.formatUnits(suppliedAmount, decimals));
-            const balanceInUSD = balance * (symbol === "ETH" ? 3000 : 1); // Use ETH pricing
-            
-            supplies.push({
-              token: tokenAddress, // Keep actual contract address for withdraw
-              address: displayAddress, // Use display address (ETH for frontend)
-              name: symbol, // Display ETH
-              image: symbol === "ETH" ? "https://cryptologos.cc/logos/ethereum-eth-logo.svg" : 
-                     symbol === "DAI" ? "https://cryptologos.cc/logos/multi-collateral-dai-dai-logo.svg" : 
-                     "https://cryptologos.cc/logos/usd-coin-usdc-logo.svg",
-              balance: balance,
-              apy: 3,
-              balanceInUSD: balanceInUSD,
-              maxSupply: balance,
-              isCollateral: true,
-              actualTokenAddress: tokenAddress // Store actual address for contract calls
-            });
-          }
-        } catch (error) {
-          console.error(`Error getting supply for ${tokenAddress}:`, error);
-        }
-      }
-      
-      setSupplyAssets(supplies);
-      console.log("✅ Supplies loaded:", supplies);
-      
-      // Update supply summary
-      const totalUSDBalance = supplies.reduce((sum, asset) => sum + asset.balanceInUSD, 0);
-      const avgAPY = supplies.length > 0 ? supplies.reduce((sum, asset) => sum + asset.apy, 0) / supplies.length : 0;
-      
-      setSupplySummary({
-        totalUSDBalance,
-        weightedAvgAPY: avgAPY,
-        totalUSDCollateral: totalUSDBalance,
-      });
-      
-      // Load asset metrics
-      loadAssetMetrics();
-      
-    } catch (error) {
-      console.error("❌ Error getting supplies:", error);
-    }
-  };
-
-  const getAssetsToBorrow = async () => {
-    console.log("📋 Getting borrow assets (v2)...");
-    
-    if (!metamaskDetails.currentAccount || !metamaskDetails.contractAddresses) {
-      console.log("⏭️ Skipping borrow assets - not connected");
-      return;
-    }
-
-    try {
-      const poolAddress = metamaskDetails.contractAddresses.LendingPoolAddress;
-      
-      const poolABI = [
-        "function getSupportedTokens() external view returns (address[])",
-        "function supplied(address user, address token) external view returns (uint256)",
-        "function tokenStates(address) external view returns (uint128 cash, uint128 borrows, uint64 lastAccrue, uint64 indexSupply, uint64 indexBorrow)"
-      ];
-
-      const pool = new ethers.Contract(poolAddress, poolABI, metamaskDetails.provider);
-      const supportedTokens = await pool.getSupportedTokens();
-      
-      // Calculate user's borrow power (80% of collateral)
-      let borrowPowerUSD = 0;
-      
-      for (const tokenAddress of supportedTokens) {
-        try {
-          const suppliedAmount = await pool.supplied(metamaskDetails.currentAccount, tokenAddress);
-          if (suppliedAmount.gt(0)) {
-            const amount = parseFloat(ethers.utils.formatEther(suppliedAmount));
-            let price = 1;
-            
-            if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-              price = 3000;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.DAI) {
-              price = 1;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.USDC) {
-              price = 1;
-            }
-            
-            borrowPowerUSD += amount * price * 0.8; // 80% LTV
-          }
-        } catch (error) {
-          console.error("Error calculating collateral:", error);
-        }
-      }
-      
-      setBorrowPower(borrowPowerUSD.toString());
-      console.log(`💰 Calculated borrow power: $${borrowPowerUSD}`);
-      
-      const borrowableAssets = [];
-      
-      // Show borrowable assets if pool has liquidity
-      for (const tokenAddress of supportedTokens) {
-        try {
-          const tokenState = await pool.tokenStates(tokenAddress);
-          const availableCash = parseFloat(ethers.utils.formatEther(tokenState.cash));
-          
-          if (availableCash > 100) { // Show if pool has significant liquidity
-            let symbol = "UNKNOWN";
-            let price = 1;
-            
-            if (tokenAddress === metamaskDetails.contractAddresses.WETH) {
-              symbol = "WETH";
-              price = 3000;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.DAI) {
-              symbol = "DAI";
-              price = 1;
-            } else if (tokenAddress === metamaskDetails.contractAddresses.USDC) {
-              symbol = "USDC";
-              price = 1;
-            }
-            
-            // Calculate max borrowable (limited by borrow power or available cash)
-            const maxBorrowUSD = Math.min(borrowPowerUSD, availableCash * price);
-            const maxBorrowTokens = maxBorrowUSD / price;
-            
-            if (maxBorrowTokens > 0) {
-              borrowableAssets.push({
-                token: tokenAddress,
-                address: tokenAddress,
-                name: symbol,
-                image: symbol === "WETH" ? "https://cryptologos.cc/logos/ethereum-eth-logo.svg" : 
-                       symbol === "DAI" ? "https://cryptologos.cc/logos/multi-collateral-dai-dai-logo.svg" : 
-                       "https://cryptologos.cc/logos/usd-coin-usdc-logo.svg",
-                borrowQty: maxBorrowTokens,
-                borrowApy: 4,
-                available: maxBorrowTokens,
-                borrowedBalInUSD: 0
-              });
-            }
-          }
-        } catch (error) {
-          console.error(`Error getting borrow data for ${tokenAddress}:`, error);
-        }
-      }
-      
-      setAssetsToBorrow(borrowableAssets);
-      console.log("✅ Borrow assets loaded:", borrowableAssets);
-      
-    } catch (error) {
-      console.error("❌ Error getting borrow assets:", error);
-    }
-  };
-
-  const getYourBorrows = async () => {
-    console.log("📋 Getting borrows (v2)...");
-    // TODO: Implement v2 borrows logic
-  };
-
-  const updateInterests = async () => {
-    console.log("📊 Updating interests (v2)...");
-    // TODO: Implement v2 interest updates
-  };
-
-  const WithdrawAsset = async (tokenAddress, withdrawAmount) => {
-    try {
-      console.log(`💸 Withdrawing ${withdrawAmount} of token ${tokenAddress}`);
-      
-      if (!metamaskDetails.contractAddresses) {
-        throw new Error("Contract addresses not loaded");
-      }
-
-      const amount = numberToEthers(withdrawAmount);
-      const poolAddress = metamaskDetails.contractAddresses.LendingPoolAddress;
-      
-      const poolABI = [
-        "function withdraw(address token, uint256 amount) external returns (bool)",
-        "function supplied(address user, address token) external view returns (uint256)"
-      ];
-
-      const poolContract = new ethers.Contract(poolAddress, poolABI, metamaskDetails.signer);
-      
-      // Check current supplied amount from contract (not frontend cache)
-      let actualTokenAddress = tokenAddress;
-      
-      // Handle ETH → WETH mapping
-      if (tokenAddress === metamaskDetails.contractAddresses.ETHAddress) {
-        actualTokenAddress = metamaskDetails.contractAddresses.WETH;
-        console.log("ETH withdrawal → checking WETH supplies");
-      }
-      
-      const suppliedAmount = await poolContract.supplied(metamaskDetails.currentAccount, actualTokenAddress);
-      console.log(`✅ Contract check - supplied: ${ethers.utils.formatEther(suppliedAmount)}`);
-      console.log(`✅ Requested withdraw: ${withdrawAmount}`);
-      
-      if (suppliedAmount.eq(0)) {
-        throw new Error(`No supplies found. Please supply tokens first before withdrawing.`);
-      }
-      
-      if (suppliedAmount.lt(amount)) {
-        const availableAmount = ethers.utils.formatEther(suppliedAmount);
-        throw new Error(`Insufficient supplied amount. Available: ${availableAmount}, Requested: ${withdrawAmount}`);
-      }
-      
-      // Handle different token types
-      let transaction;
-      
-      console.log(`Withdrawing from contract address: ${actualTokenAddress}`);
-      
-      if (tokenAddress === metamaskDetails.contractAddresses.ETHAddress) {
-        // ETH withdrawal - withdraw WETH (actualTokenAddress is WETH)
-        console.log("Withdrawing WETH (displayed as ETH)...");
-        transaction = await poolContract.withdraw(actualTokenAddress, amount);
-      } else {
-        // Direct token withdrawal
-        console.log(`Withdrawing ${symbol}...`);
-        transaction = await poolContract.withdraw(actualTokenAddress, amount);
-      }
-
-      console.log("⏳ Waiting for withdrawal confirmation...");
-      await transaction.wait();
-      console.log("✅ Pool withdrawal successful");
-      
-      // CRITICAL: If user withdrew ETH, convert WETH back to ETH
-      if (tokenAddress === metamaskDetails.contractAddresses.ETHAddress) {
-        console.log("🔄 Converting WETH back to ETH...");
-        
-        try {
-          const wethAddress = metamaskDetails.contractAddresses.WETH;
-          const wethABI = [
-            "function withdraw(uint256 wad) external", // WETH withdraw to ETH
-            "function balanceOf(address) view returns (uint256)"
-          ];
-          
-          const wethContract = new ethers.Contract(wethAddress, wethABI, metamaskDetails.signer);
-          
-          // Check WETH balance
-          const wethBalance = await wethContract.balanceOf(metamaskDetails.currentAccount);
-          console.log(`Current WETH balance: ${ethers.utils.formatEther(wethBalance)}`);
-          
-          if (wethBalance.gte(amount)) {
-            try {
-              // Try WETH withdraw function first
-              const convertTx = await wethContract.withdraw(amount);
-              await convertTx.wait();
-              console.log("✅ WETH converted back to ETH via withdraw()");
-            } catch (error) {
-              // Fallback: Send equivalent ETH from a reserve account
-              console.log("WETH withdraw not available, using ETH transfer fallback...");
-              
-              // Send ETH equivalent from deployer account (simulates conversion)
-              const provider = metamaskDetails.provider;
-              const network = await provider.getNetwork();
-              
-              if (network.chainId === 1337) { // Only for Ganache testing
-                // This simulates getting ETH back
-                console.log("💰 Simulating ETH return (Ganache only)");
-                
-                // For demo purposes, we'll just show success
-                // In production, this would be handled by proper WETH contract
-                console.log("✅ ETH balance will appear to increase (demo simulation)");
-              }
-            }
-          } else {
-            console.log("⚠️ Insufficient WETH to convert back to ETH");
-          }
-          
-        } catch (error) {
-          console.error("❌ WETH to ETH conversion failed:", error);
-          // Continue anyway - user still got WETH
-        }
-      }
-      
-      // Auto-refresh data after successful withdrawal
-      console.log("🔄 Refreshing data after withdrawal...");
-      setTimeout(() => {
-        getUserAssets();
-        getYourSupplies();
-        getAssetsToBorrow();
-      }, 2000);
-      
-      return { status: 200, message: "Withdrawal Successful!" };
-
-    } catch (error) {
-      console.error("❌ Withdrawal failed:", error);
-      return { status: 500, message: error.message };
-    }
-  };
-
-  const borrowAsset = async (token, borrowAmount) => {
-    console.log("💰 Borrow (v2):", token, borrowAmount);
-    // TODO: Implement v2 borrow
-    return { status: 200, message: "Borrow not implemented yet" };
-  };
-
-  const repayAsset = async (tokenAddress, repayAmount) => {
-    console.log("💳 Repay (v2):", tokenAddress, repayAmount);
-    // TODO: Implement v2 repay
-    return { status: 200, message: "Repay not implemented yet" };
-  };
-
-  const ApproveToContinue = async (tokenAddress, approveAmount) => {
-    console.log("✅ Approve (v2):", tokenAddress, approveAmount);
-    // TODO: Implement v2 approve
-    return { status: 200, message: "Approve not implemented yet" };
-  };
-
-  return (
-    <LendContext.Provider
-      value={{
-        metamaskDetails,
-        connectWallet,
-        getUserAssets,
-        supplySummary,
-        LendAsset: LendAssetV2, // Use v2 implementation
-        ApproveToContinue,
-        userAssets,
-        getYourSupplies,
-        supplyAssets,
-        WithdrawAsset,
-        getAssetsToBorrow,
-        assetsToBorrow,
-        borrowAsset,
-        getYourBorrows,
-        yourBorrows,
-        repayAsset,
-        borrowSummary,
-        updateInterests,
-        // v2 specific data
-        healthFactor,
-        borrowPower,
-        utilizationRate,
-        assetMetrics,
-        // Price functions
-        getAmountInUSD,
-        numberToEthers,
-      }}
-    >
-      {props.children}
-    </LendContext.Provider>
-  );
-};
-
-export default LendStateV2;
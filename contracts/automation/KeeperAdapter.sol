@@ -3,16 +3,28 @@ pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 import "../interfaces/ILiquidationManager.sol";
 import "../libraries/Errors.sol";
+import "../pool/IsolatedLendingPool.sol";
+import "../oracle/AddressToTokenMapV2.sol";
 
 /// @title KeeperAdapter
 /// @notice Adapter for automated liquidations (Chainlink Automation compatible)
+/// @dev Liquidations are repaid from a treasury of debt tokens held by the adapter;
+///      seized collateral accrues to the same treasury. Native ETH (for pools that list
+///      it through AddressToTokenMapV2.isETH) is held as the adapter's ETH balance and
+///      addressed as address(0) in the treasury functions
 contract KeeperAdapter is AccessControl, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+    
     bytes32 public constant KEEPER_ROLE = keccak256("KEEPER_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     
+    uint256 public constant PRECISION = 1e18;
+    
     ILiquidationManager public immutable liquidationManager;
     
     // Configuration
@@ -25,11 +37,31 @@ contract KeeperAdapter is AccessControl, ReentrancyGuard {
     mapping(address => mapping(address => bool)) public isUserTracked; // pool => user => tracked
     uint256 public lastUpkeepTime;
     
+    // Debt and collateral picked for one liquidation
+    struct Selection {
+        address debtToken;
+        uint256 repayAmount;
+        uint256 repayUSD;
+        address collateralToken;
+        uint256 collateralUSD;
+    }
+    
     // Events
     event UpkeepPerformed(uint256 liquidationsExecuted, uint256 timestamp);
     event UserAdded(address indexed pool, address indexed user);
     event UserRemoved(address indexed pool, address indexed user);
     event ConfigUpdated(uint256 checkInterval, uint256 maxLiquidations, uint256 minHealthFactor);
+    event LiquidationExecuted(
+        address indexed pool,
+        address indexed user,
+        address debtToken,
+        uint256 repaidAmount,
+        address collateralToken,
+        uint256 seizedAmount
+    );
+    event LiquidationFailed(address indexed pool, address indexed user, bytes reason);
+    event TreasuryFunded(address indexed token, address indexed from, uint256 amount);
+    event TreasuryWithdrawn(address indexed token, address indexed to, uint256 amount);
     
     constructor(address _liquidationManager) {
         if (_liquidationManager == address(0)) revert Errors.ErrZeroAddress();
@@ -95,8 +127,9 @@ contract KeeperAdapter is AccessControl, ReentrancyGuard {
     }
     
     /// @notice Perform upkeep (Chainlink Automation compatible)
+    /// @dev Emits LiquidationExecuted or LiquidationFailed for every user in performData
     /// @param performData Data from checkUpkeep
-    function performUpkeep(bytes calldata performData) external nonReentrant {
+    function performUpkeep(bytes calldata performData) external onlyRole(KEEPER_ROLE) nonReentrant {
         // Decode users and pools to liquidate
         (address[] memory users, address[] memory pools) = abi.decode(performData, (address[], address[]));
         
@@ -107,13 +140,22 @@ contract KeeperAdapter is AccessControl, ReentrancyGuard {
             address pool = pools[i];
             
             // Double-check that user is still liquidatable
-            if (liquidationManager.isLiquidatable(user, pool)) {
-                try this.executeLiquidation(user, pool) {
-                    liquidationsExecuted++;
-                } catch {
-                    // Continue with next liquidation if one fails
-                    continue;
-                }
+            if (!liquidationManager.isLiquidatable(user, pool)) {
+                emit LiquidationFailed(pool, user, abi.encodeWithSelector(Errors.ErrUserHealthy.selector));
+                continue;
+            }
+            
+            try this.executeLiquidation(user, pool) returns (
+                address debtToken,
+                uint256 repaidAmount,
+                address collateralToken,
+                uint256 seizedAmount
+            ) {
+                liquidationsExecuted++;
+                emit LiquidationExecuted(pool, user, debtToken, repaidAmount, collateralToken, seizedAmount);
+            } catch (bytes memory reason) {
+                // Continue with next liquidation if one fails
+                emit LiquidationFailed(pool, user, reason);
             }
         }
         
@@ -121,34 +163,144 @@ contract KeeperAdapter is AccessControl, ReentrancyGuard {
         emit UpkeepPerformed(liquidationsExecuted, block.timestamp);
     }
     
-    /// @notice Execute a single liquidation
+    /// @notice Execute a single liquidation, repaid from the treasury
     /// @param user User to liquidate
     /// @param pool Pool address
-    function executeLiquidation(address user, address pool) external {
+    /// @return debtToken Token repaid
+    /// @return repayAmount Amount repaid
+    /// @return collateralToken Collateral token seized
+    /// @return seizedAmount Amount of collateral received, as reported by LiquidationManager
+    function executeLiquidation(address user, address pool)
+        external
+        returns (address debtToken, uint256 repayAmount, address collateralToken, uint256 seizedAmount)
+    {
         // This function should be called only by this contract during upkeep
         require(msg.sender == address(this), "Only self-call allowed");
         
-        // Get liquidatable details
-        (uint256 healthFactor, uint256 collateralUSD, uint256 borrowUSD) = 
-            liquidationManager.calcHealthFactor(user, pool);
+        (uint256 healthFactor, , ) = liquidationManager.calcHealthFactor(user, pool);
+        if (healthFactor >= minHealthFactorForLiquidation) revert Errors.ErrUserHealthy();
+        
+        Selection memory selection = _planLiquidation(user, pool);
+        (debtToken, repayAmount, collateralToken) = (selection.debtToken, selection.repayAmount, selection.collateralToken);
+        
+        AddressToTokenMapV2 oracle = IsolatedLendingPool(payable(pool)).addressToTokenMap();
+        if (oracle.isETH(debtToken)) {
+            (repayAmount, seizedAmount) = liquidationManager.liquidate{value: repayAmount}(
+                user, pool, debtToken, repayAmount, collateralToken
+            );
+        } else {
+            IERC20(debtToken).forceApprove(address(liquidationManager), repayAmount);
+            (repayAmount, seizedAmount) = liquidationManager.liquidate(user, pool, debtToken, repayAmount, collateralToken);
+        }
+    }
+    
+    /// @notice Choose the debt to repay and the collateral to seize
+    /// @dev Seizes the largest collateral and repays the debt worth the most that the treasury
+    ///      can cover; how much of it may be repaid (close factor, full-liquidation and dust rules,
+    ///      collateral cover for the bonus) is left to LiquidationManager.previewLiquidation
+    /// @param user User to liquidate
+    /// @param pool Pool address
+    /// @return best Debt token and repay amount (in its units), collateral token to seize
+    function _planLiquidation(address user, address pool) internal view returns (Selection memory best) {
+        IsolatedLendingPool poolContract = IsolatedLendingPool(payable(pool));
+        AddressToTokenMapV2 oracle = poolContract.addressToTokenMap();
+        address[] memory tokens = poolContract.getSupportedTokens();
         
-        if (healthFactor >= minHealthFactorForLiquidation) {
-            return; // User is healthy now
+        for (uint256 i = 0; i < tokens.length; i++) {
+            uint256 suppliedUSD = _toUSD(oracle, tokens[i], poolContract.previewSupplyBalance(user, tokens[i]));
+            if (suppliedUSD > best.collateralUSD) {
+                best.collateralUSD = suppliedUSD;
+                best.collateralToken = tokens[i];
+            }
         }
+        if (best.collateralToken == address(0)) revert Errors.ErrInsufficientCollateral();
         
-        // For simplicity, we'll liquidate a fixed percentage of the debt
-        // In production, this should be more sophisticated
-        uint256 liquidationPercentage = 50; // 50%
-        uint256 repayAmount = (borrowUSD * liquidationPercentage) / 100;
+        for (uint256 i = 0; i < tokens.length; i++) {
+            (uint256 repayable, uint256 repayableUSD) = _repayable(oracle, user, pool, tokens[i], best.collateralToken);
+            if (repayableUSD > best.repayUSD) {
+                best.repayUSD = repayableUSD;
+                best.repayAmount = repayable;
+                best.debtToken = tokens[i];
+            }
+        }
+        if (best.debtToken == address(0)) revert Errors.ErrInsufficientBalance();
+    }
+    
+    /// @notice Debt the adapter can repay: LiquidationManager's max repay for the pair, limited by the treasury
+    /// @return repayable Amount in debt token units
+    /// @return repayableUSD Its USD value (1e18)
+    function _repayable(
+        AddressToTokenMapV2 oracle,
+        address user,
+        address pool,
+        address token,
+        address collateralToken
+    ) internal view returns (uint256 repayable, uint256 repayableUSD) {
+        repayable = liquidationManager.previewLiquidation(user, pool, token, collateralToken).maxRepay;
+        if (repayable == 0) return (0, 0);
         
-        // Note: This is a simplified approach. In production, you'd need:
-        // 1. Determine optimal debt token to repay
-        // 2. Determine optimal collateral to seize
-        // 3. Calculate exact amounts considering token decimals and prices
-        // 4. Handle the actual liquidation call with proper parameters
+        uint256 available = _treasuryBalance(oracle, token);
+        if (available < repayable) repayable = available;
         
-        // For now, we just emit an event indicating a liquidation should happen
-        // The actual liquidation would be handled by an external liquidator bot
+        repayableUSD = _toUSD(oracle, token, repayable);
+    }
+    
+    /// @notice Treasury balance of a pool token (native balance for the pool's ETH token)
+    function _treasuryBalance(AddressToTokenMapV2 oracle, address token) internal view returns (uint256) {
+        return oracle.isETH(token) ? address(this).balance : IERC20(token).balanceOf(address(this));
+    }
+    
+    /// @notice Value a token amount in USD (1e18), honoring token decimals
+    function _toUSD(AddressToTokenMapV2 oracle, address token, uint256 amount) internal view returns (uint256) {
+        if (amount == 0) return 0;
+        return (amount * oracle.getPrice(token)) / (10 ** _decimals(oracle, token));
+    }
+    
+    /// @notice Token decimals from the oracle map (18 if unset)
+    function _decimals(AddressToTokenMapV2 oracle, address token) internal view returns (uint8) {
+        uint8 decimals = oracle.getDecimals(token);
+        return decimals == 0 ? 18 : decimals;
+    }
+    
+    /// @notice Fund the liquidation treasury
+    /// @param token Token to deposit (a debt token liquidations repay with), address(0) for native ETH
+    /// @param amount Amount to deposit (must equal msg.value for native ETH)
+    function fundTreasury(address token, uint256 amount) external payable {
+        if (amount == 0) revert Errors.ErrZeroAmount();
+        
+        if (token == address(0)) {
+            if (msg.value != amount) revert Errors.ErrInvalidETHAmount();
+        } else {
+            if (msg.value > 0) revert Errors.ErrInvalidETHAmount();
+            IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        }
+        
+        emit TreasuryFunded(token, msg.sender, amount);
+    }
+    
+    /// @notice Withdraw from the treasury (unused funds or seized collateral)
+    /// @param token Token to withdraw, address(0) for native ETH
+    /// @param amount Amount to withdraw
+    /// @param to Recipient
+    function withdrawTreasury(address token, uint256 amount, address to) external onlyRole(ADMIN_ROLE) nonReentrant {
+        if (to == address(0)) revert Errors.ErrZeroAddress();
+        if (amount == 0) revert Errors.ErrZeroAmount();
+        
+        if (token == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            if (!success) revert Errors.ErrTransferFailed();
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
+        
+        emit TreasuryWithdrawn(token, to, amount);
+    }
+    
+    /// @notice Treasury balance of a token
+    /// @param token Token address, address(0) for native ETH
+    /// @return Balance held by the adapter
+    function treasuryBalance(address token) external view returns (uint256) {
+        return token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
     }
     
     /// @notice Add user to tracking for a pool
@@ -271,4 +423,7 @@ contract KeeperAdapter is AccessControl, ReentrancyGuard {
     function revokeKeeperRole(address keeper) external onlyRole(ADMIN_ROLE) {
         _revokeRole(KEEPER_ROLE, keeper);
     }
+    
+    /// @notice Accept seized ETH collateral from pools and direct ETH top-ups
+    receive() external payable {}
 }
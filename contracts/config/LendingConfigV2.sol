@@ -13,6 +13,13 @@ contract LendingConfigV2 is AccessControl {
     uint256 public constant MAX_LTV = 0.9e18; // 90%
     uint256 public constant MAX_LT = 0.95e18; // 95%
     uint256 public constant MAX_RESERVE_FACTOR = 0.5e18; // 50%
+    uint256 public constant MAX_FLASH_LOAN_FEE = 0.01e18; // 1%
+    uint256 public constant MIN_CLOSE_FACTOR = 0.05e18; // 5%
+    
+    // Liquidation rules a pool starts with when it registers
+    uint256 public constant DEFAULT_CLOSE_FACTOR = 0.5e18; // 50%
+    uint256 public constant DEFAULT_FULL_LIQUIDATION_HF = 0.95e18;
+    uint256 public constant DEFAULT_DUST_THRESHOLD_USD = 10e18; // $10
     
     struct RiskParams {
         uint256 LTV;           // Loan-to-value ratio (1e18)
@@ -30,12 +37,24 @@ contract LendingConfigV2 is AccessControl {
         bool isPaused;              // Pool pause status
     }
     
+    struct LiquidationParams {
+        uint256 closeFactor;        // Max share of one debt repaid per liquidation (1e18)
+        uint256 fullLiquidationHF;  // Below this HF the whole debt can be repaid (1e18, 0 = disabled)
+        uint256 dustThresholdUSD;   // Debts worth at most this can be repaid whole (1e18 USD, 0 = disabled)
+    }
+    
     // Pool => Token => RiskParams
     mapping(address => mapping(address => RiskParams)) public riskParams;
     
     // Pool => PoolConfig
     mapping(address => PoolConfig) public poolConfigs;
     
+    // Pool => LiquidationParams
+    mapping(address => LiquidationParams) public liquidationParams;
+    
+    // Pool => Token => flash loan fee (1e18 = 100% of the amount)
+    mapping(address => mapping(address => uint256)) public flashLoanFees;
+    
     // Oracle staleness threshold (seconds)
     uint256 public oracleStaleThreshold = 3600; // 1 hour
     
@@ -59,8 +78,17 @@ contract LendingConfigV2 is AccessControl {
         bool isPaused
     );
     
+    event LiquidationParamsUpdated(
+        address indexed pool,
+        uint256 closeFactor,
+        uint256 fullLiquidationHF,
+        uint256 dustThresholdUSD
+    );
+    
     event OracleStaleThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
     
+    event FlashLoanFeeUpdated(address indexed pool, address indexed token, uint256 fee);
+    
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(RISK_ADMIN, msg.sender);
@@ -99,6 +127,47 @@ contract LendingConfigV2 is AccessControl {
         );
     }
     
+    /// @notice Register the calling pool with the default liquidation rules
+    /// @dev Called by IsolatedLendingPool.initialize; a pool that already has rules keeps them
+    function registerPool() external {
+        if (liquidationParams[msg.sender].closeFactor != 0) return;
+        
+        _setLiquidationParams(msg.sender, LiquidationParams({
+            closeFactor: DEFAULT_CLOSE_FACTOR,
+            fullLiquidationHF: DEFAULT_FULL_LIQUIDATION_HF,
+            dustThresholdUSD: DEFAULT_DUST_THRESHOLD_USD
+        }));
+    }
+    
+    /// @notice Set a pool's liquidation rules
+    /// @param pool Pool address
+    /// @param params Close factor, full-liquidation HF and dust threshold; a zero HF or threshold disables that rule
+    function setLiquidationParams(
+        address pool,
+        LiquidationParams calldata params
+    ) external onlyRole(RISK_ADMIN) {
+        if (pool == address(0)) revert Errors.ErrZeroAddress();
+        if (params.closeFactor < MIN_CLOSE_FACTOR || params.closeFactor > PRECISION) {
+            revert Errors.ErrInvalidConfiguration();
+        }
+        // Full liquidation is an exception within the liquidatable range (HF < 1)
+        if (params.fullLiquidationHF >= PRECISION) revert Errors.ErrInvalidConfiguration();
+        
+        _setLiquidationParams(pool, params);
+    }
+    
+    /// @notice Set the flash loan fee of a token in a pool
+    /// @param pool Pool address
+    /// @param token Token address
+    /// @param fee Fee as a share of the amount borrowed (1e18 = 100%, at most MAX_FLASH_LOAN_FEE)
+    function setFlashLoanFee(address pool, address token, uint256 fee) external onlyRole(RISK_ADMIN) {
+        if (pool == address(0) || token == address(0)) revert Errors.ErrZeroAddress();
+        if (fee > MAX_FLASH_LOAN_FEE) revert Errors.ErrInvalidConfiguration();
+        
+        flashLoanFees[pool][token] = fee;
+        emit FlashLoanFeeUpdated(pool, token, fee);
+    }
+    
     /// @notice Set oracle stale threshold
     /// @param threshold New threshold in seconds
     function setOracleStaleThreshold(uint256 threshold) external onlyRole(RISK_ADMIN) {
@@ -124,6 +193,20 @@ contract LendingConfigV2 is AccessControl {
         }
     }
     
+    /// @notice Internal function to set liquidation rules
+    /// @param pool Pool address
+    /// @param params Liquidation rules
+    function _setLiquidationParams(address pool, LiquidationParams memory params) internal {
+        liquidationParams[pool] = params;
+        
+        emit LiquidationParamsUpdated(
+            pool,
+            params.closeFactor,
+            params.fullLiquidationHF,
+            params.dustThresholdUSD
+        );
+    }
+    
     /// @notice Internal function to set risk parameters
     /// @param pool Pool address
     /// @param token Token address
@@ -168,6 +251,21 @@ contract LendingConfigV2 is AccessControl {
         return poolConfigs[pool];
     }
     
+    /// @notice Get a pool's liquidation rules
+    /// @param pool Pool address
+    /// @return Close factor, full-liquidation HF and dust threshold
+    function getLiquidationParams(address pool) external view returns (LiquidationParams memory) {
+        return liquidationParams[pool];
+    }
+    
+    /// @notice Get the flash loan fee of a token in a pool
+    /// @param pool Pool address
+    /// @param token Token address
+    /// @return Fee as a share of the amount borrowed (1e18 = 100%)
+    function getFlashLoanFee(address pool, address token) external view returns (uint256) {
+        return flashLoanFees[pool][token];
+    }
+    
     /// @notice Check if pool is active and not paused
     /// @param pool Pool address
     /// @return True if pool is operational
@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+
+import "../libraries/Errors.sol";
+
+/// @title ExampleFlashBorrower
+/// @notice Minimal ERC-3156 receiver for IsolatedLendingPool flash loans
+/// @dev Starting point for integrators: put the strategy in _execute. The borrower must hold
+///      the fee on top of whatever the strategy returns, since the lender pulls amount + fee
+contract ExampleFlashBorrower is IERC3156FlashBorrower {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    IERC3156FlashLender public immutable lender;
+    address public immutable owner;
+
+    event FlashLoanExecuted(address indexed token, uint256 amount, uint256 fee, bytes data);
+
+    constructor(address _lender) {
+        if (_lender == address(0)) revert Errors.ErrZeroAddress();
+        lender = IERC3156FlashLender(_lender);
+        owner = msg.sender;
+    }
+
+    /// @notice Borrow `amount` of `token` from the lender and run the strategy
+    /// @param token Token to borrow
+    /// @param amount Amount to borrow
+    /// @param data Strategy parameters handed to _execute
+    function flashBorrow(address token, uint256 amount, bytes calldata data) external {
+        if (msg.sender != owner) revert Errors.ErrUnauthorized();
+        lender.flashLoan(this, token, amount, data);
+    }
+
+    /// @inheritdoc IERC3156FlashBorrower
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        // Only loans this contract asked for, from the trusted lender
+        if (msg.sender != address(lender) || initiator != address(this)) revert Errors.ErrUnauthorized();
+
+        _execute(token, amount, data);
+
+        IERC20(token).forceApprove(address(lender), amount + fee);
+        emit FlashLoanExecuted(token, amount, fee, data);
+        return CALLBACK_SUCCESS;
+    }
+
+    /// @notice Return tokens left in the contract to the owner
+    /// @param token Token to sweep
+    function sweep(address token) external {
+        if (msg.sender != owner) revert Errors.ErrUnauthorized();
+        IERC20(token).safeTransfer(owner, IERC20(token).balanceOf(address(this)));
+    }
+
+    /// @notice Strategy hook; the borrowed tokens are held here for its duration
+    function _execute(address token, uint256 amount, bytes calldata data) internal virtual {}
+}
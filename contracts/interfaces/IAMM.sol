@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title IAMM
+/// @notice Minimal swap interface FlashLiquidator sells seized collateral through
+interface IAMM {
+    /// @notice Output of swapping an exact input amount
+    /// @param tokenIn Token sold
+    /// @param tokenOut Token bought
+    /// @param amountIn Amount sold
+    /// @return amountOut Amount bought, after fees
+    function getAmountOut(address tokenIn, address tokenOut, uint256 amountIn) external view returns (uint256 amountOut);
+
+    /// @notice Swap an exact input amount, pulling tokenIn from the caller
+    /// @param tokenIn Token sold
+    /// @param tokenOut Token bought
+    /// @param amountIn Amount sold
+    /// @param minAmountOut Revert below this output
+    /// @param to Recipient of tokenOut
+    /// @return amountOut Amount bought
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address to
+    ) external returns (uint256 amountOut);
+}
@@ -10,6 +10,7 @@ interface IIsolatedLendingPool {
         uint64 lastAccrue;     // Last accrual timestamp
         uint64 indexSupply;    // Supply index (compound interest)
         uint64 indexBorrow;    // Borrow index (compound interest)
+        uint128 totalReserves; // Reserve share of interest and flash fees, held in cash
     }
     
     struct BorrowAsset {
@@ -56,4 +57,21 @@ interface IIsolatedLendingPool {
     /// @param user User address
     /// @return balance Available balance in USD
     function getUserTotalAvailableBalanceInUSD(address user) external view returns (uint256);
+    
+    /// @notice Get user's supply balance including unapplied interest
+    /// @param user User address
+    /// @param token Token address
+    /// @return balance Projected supply balance
+    function previewSupplyBalance(address user, address token) external view returns (uint256);
+    
+    /// @notice Get user's debt including unapplied interest
+    /// @param user User address
+    /// @param token Token address
+    /// @return debt Projected debt
+    function previewDebt(address user, address token) external view returns (uint256);
+    
+    /// @notice Get a token's reserves including interest not yet accrued
+    /// @param token Token address
+    /// @return reserves Projected reserves
+    function previewReserves(address token) external view returns (uint256);
 }
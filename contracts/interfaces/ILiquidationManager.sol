@@ -4,6 +4,17 @@ pragma solidity ^0.8.19;
 /// @title ILiquidationManager
 /// @notice Interface for liquidation management
 interface ILiquidationManager {
+    /// @notice What liquidating one debt/collateral pair of a user would do now
+    struct LiquidationPreview {
+        uint256 healthFactor;   // Current health factor (1e18)
+        bool liquidatable;      // Health factor below 1
+        bool fullLiquidation;   // Close factor waived: HF below the pool's full-liquidation HF, or dust debt
+        uint256 debt;           // User's debt in the debt token
+        uint256 collateral;     // User's supply of the collateral token
+        uint256 maxRepay;       // Most liquidate() accepts for the pair once liquidatable, in debt token units
+        uint256 seizeAmount;    // Collateral seized for maxRepay, bonus included
+    }
+    
     /// @notice Calculate health factor for a user
     /// @param user User address
     /// @param pool Pool address
@@ -16,22 +27,38 @@ interface ILiquidationManager {
         returns (uint256 hf, uint256 collateralUSD, uint256 borrowUSD);
     
     /// @notice Liquidate a user's position
+    /// @dev Native ETH debt is paid with msg.value; any excess is refunded
     /// @param user User to liquidate
     /// @param pool Pool address
     /// @param debtToken Token to repay
     /// @param repayAmount Amount to repay
     /// @param collateralToken Collateral token to seize
+    /// @return repaidAmount Debt actually repaid, after the max repay cap
+    /// @return seizedAmount Collateral sent to the liquidator, bonus included
     function liquidate(
         address user,
         address pool,
         address debtToken,
         uint256 repayAmount,
         address collateralToken
-    ) external;
+    ) external payable returns (uint256 repaidAmount, uint256 seizedAmount);
     
     /// @notice Check if a user is liquidatable
     /// @param user User address
     /// @param pool Pool address
     /// @return liquidatable True if user can be liquidated
     function isLiquidatable(address user, address pool) external view returns (bool);
+    
+    /// @notice Preview the largest liquidation of one debt/collateral pair
+    /// @param user User address
+    /// @param pool Pool address
+    /// @param debtToken Token to repay
+    /// @param collateralToken Collateral token to seize
+    /// @return preview Health factor, close factor outcome, max repay and seize
+    function previewLiquidation(
+        address user,
+        address pool,
+        address debtToken,
+        address collateralToken
+    ) external view returns (LiquidationPreview memory preview);
 }
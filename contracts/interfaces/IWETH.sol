@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title IWETH
+/// @notice Wrapped Ether (see mocks/WETH9.sol)
+interface IWETH is IERC20 {
+    /// @notice Wrap msg.value
+    function deposit() external payable;
+
+    /// @notice Unwrap to native ETH
+    /// @param wad Amount to unwrap
+    function withdraw(uint256 wad) external;
+}
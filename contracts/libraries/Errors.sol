@@ -9,6 +9,7 @@ library Errors {
     error ErrZeroAddress();
     error ErrInvalidToken();
     error ErrTransferFailed();
+    error ErrInvalidETHAmount();
     
     // Pool errors
     error ErrPoolNotFound();
@@ -20,6 +21,7 @@ library Errors {
     error ErrInsufficientLiquidity();
     error ErrInsufficientCollateral();
     error ErrExceedsBalance();
+    error ErrFlashLoanFailed();
     
     // Oracle errors
     error ErrStalePrice();
@@ -30,6 +32,7 @@ library Errors {
     error ErrHealthFactorTooLow();
     error ErrUserHealthy();
     error ErrLiquidationFailed();
+    error ErrInsufficientProfit();
     
     // Access control errors
     error ErrUnauthorized();
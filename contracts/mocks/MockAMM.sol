@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "../interfaces/IAMM.sol";
+
+/// @title MockAMM
+/// @notice Constant-product AMM for local testing that also flash-lends its holdings (ERC-3156)
+/// @dev One x*y=k pool per token pair with a 0.3% swap fee. Flash loans lend the contract's
+///      whole balance of a token, reserves included, like a Uniswap flash swap; the fee is kept
+///      outside the reserves
+contract MockAMM is IAMM, IERC3156FlashLender {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+    uint256 public constant SWAP_FEE_BPS = 30; // 0.3%
+    uint256 public constant FLASH_FEE_BPS = 9; // 0.09%
+    uint256 private constant BPS = 10000;
+
+    // token => paired token => reserve of token in that pair
+    mapping(address => mapping(address => uint256)) public reserves;
+
+    bool private _flashLoanActive;
+
+    event LiquidityAdded(address indexed provider, address indexed tokenA, address indexed tokenB, uint256 amountA, uint256 amountB);
+    event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint256 amountIn, uint256 amountOut, address to);
+    event FlashLoan(address indexed receiver, address indexed token, uint256 amount, uint256 fee);
+
+    /// @notice Add liquidity to a pair; the first deposit sets its price
+    function addLiquidity(address tokenA, address tokenB, uint256 amountA, uint256 amountB) external {
+        require(tokenA != tokenB, "MockAMM: identical tokens");
+        require(amountA > 0 && amountB > 0, "MockAMM: zero amount");
+
+        IERC20(tokenA).safeTransferFrom(msg.sender, address(this), amountA);
+        IERC20(tokenB).safeTransferFrom(msg.sender, address(this), amountB);
+        reserves[tokenA][tokenB] += amountA;
+        reserves[tokenB][tokenA] += amountB;
+
+        emit LiquidityAdded(msg.sender, tokenA, tokenB, amountA, amountB);
+    }
+
+    /// @notice Reserves of a pair
+    function getReserves(address tokenA, address tokenB) external view returns (uint256 reserveA, uint256 reserveB) {
+        return (reserves[tokenA][tokenB], reserves[tokenB][tokenA]);
+    }
+
+    /// @inheritdoc IAMM
+    function getAmountOut(address tokenIn, address tokenOut, uint256 amountIn) public view override returns (uint256) {
+        uint256 reserveIn = reserves[tokenIn][tokenOut];
+        uint256 reserveOut = reserves[tokenOut][tokenIn];
+        require(reserveIn > 0 && reserveOut > 0, "MockAMM: no liquidity");
+
+        uint256 amountInWithFee = amountIn * (BPS - SWAP_FEE_BPS);
+        return (amountInWithFee * reserveOut) / (reserveIn * BPS + amountInWithFee);
+    }
+
+    /// @inheritdoc IAMM
+    function swap(
+        address tokenIn,
+        address tokenOut,
+        uint256 amountIn,
+        uint256 minAmountOut,
+        address to
+    ) external override returns (uint256 amountOut) {
+        require(amountIn > 0, "MockAMM: zero amount");
+        amountOut = getAmountOut(tokenIn, tokenOut, amountIn);
+        require(amountOut >= minAmountOut, "MockAMM: insufficient output");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        reserves[tokenIn][tokenOut] += amountIn;
+        reserves[tokenOut][tokenIn] -= amountOut;
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+
+        emit Swap(msg.sender, tokenIn, tokenOut, amountIn, amountOut, to);
+    }
+
+    /// @inheritdoc IERC3156FlashLender
+    function maxFlashLoan(address token) public view override returns (uint256) {
+        return _flashLoanActive ? 0 : IERC20(token).balanceOf(address(this));
+    }
+
+    /// @inheritdoc IERC3156FlashLender
+    function flashFee(address, uint256 amount) public pure override returns (uint256) {
+        return (amount * FLASH_FEE_BPS + BPS - 1) / BPS;
+    }
+
+    /// @inheritdoc IERC3156FlashLender
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) external override returns (bool) {
+        require(amount > 0 && amount <= maxFlashLoan(token), "MockAMM: flash loan unavailable");
+
+        _flashLoanActive = true;
+        uint256 fee = flashFee(token, amount);
+
+        IERC20(token).safeTransfer(address(receiver), amount);
+        require(
+            receiver.onFlashLoan(msg.sender, token, amount, fee, data) == CALLBACK_SUCCESS,
+            "MockAMM: callback failed"
+        );
+        IERC20(token).safeTransferFrom(address(receiver), address(this), amount + fee);
+
+        _flashLoanActive = false;
+        emit FlashLoan(address(receiver), token, amount, fee);
+        return true;
+    }
+}
@@ -0,0 +1,144 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import "../interfaces/IAMM.sol";
+import "../interfaces/ILiquidationManager.sol";
+import "../interfaces/IWETH.sol";
+import "../libraries/Errors.sol";
+import "../oracle/AddressToTokenMapV2.sol";
+import "../pool/IsolatedLendingPool.sol";
+
+/// @title FlashLiquidator
+/// @notice Liquidates through LiquidationManager without upfront inventory: the debt token
+///         is flash-borrowed from an ERC-3156 lender, the seized collateral is sold for it on
+///         an AMM, the loan is repaid and what is left is sent to the caller as profit
+/// @dev Holds no funds between calls. Native ETH (AddressToTokenMapV2.isETH) is borrowed,
+///      swapped and paid out as WETH, and unwrapped only for LiquidationManager
+contract FlashLiquidator is IERC3156FlashBorrower, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
+
+    ILiquidationManager public immutable liquidationManager;
+    IWETH public immutable weth; // address(0) disables native ETH positions
+
+    struct Params {
+        address lender;          // ERC-3156 lender of the debt token (WETH for native ETH)
+        address amm;             // AMM selling the collateral for the debt token
+        address pool;            // Pool of the position
+        address user;            // User to liquidate
+        address debtToken;       // Pool token to repay
+        uint256 repayAmount;     // Amount to repay, borrowed in full
+        address collateralToken; // Pool token to seize
+        uint256 minProfit;       // Minimum profit in the borrowed token, reverts below it
+    }
+
+    // Lender of the flash loan in progress; onFlashLoan rejects every other caller
+    address private _activeLender;
+
+    event FlashLiquidation(
+        address indexed caller,
+        address indexed pool,
+        address indexed user,
+        address loanToken,
+        uint256 repayAmount,
+        address collateralToken,
+        uint256 profit
+    );
+
+    constructor(address _liquidationManager, address _weth) {
+        if (_liquidationManager == address(0)) revert Errors.ErrZeroAddress();
+
+        liquidationManager = ILiquidationManager(_liquidationManager);
+        weth = IWETH(_weth);
+    }
+
+    /// @notice Liquidate a position with flash-borrowed funds and keep the profit
+    /// @param params Lender, AMM, position and sizing (see Params)
+    /// @return profit Amount of the borrowed token sent to the caller
+    function flashLiquidate(Params calldata params) external nonReentrant returns (uint256 profit) {
+        if (params.lender == address(0) || params.amm == address(0)) revert Errors.ErrZeroAddress();
+        if (params.repayAmount == 0) revert Errors.ErrZeroAmount();
+
+        AddressToTokenMapV2 oracle = IsolatedLendingPool(payable(params.pool)).addressToTokenMap();
+        bool debtIsETH = oracle.isETH(params.debtToken);
+        bool collateralIsETH = oracle.isETH(params.collateralToken);
+        address loanToken = _asERC20(params.debtToken, debtIsETH);
+        uint256 balanceBefore = IERC20(loanToken).balanceOf(address(this));
+
+        _activeLender = params.lender;
+        bool success = IERC3156FlashLender(params.lender).flashLoan(
+            this,
+            loanToken,
+            params.repayAmount,
+            abi.encode(params, debtIsETH, collateralIsETH)
+        );
+        _activeLender = address(0);
+        if (!success) revert Errors.ErrLiquidationFailed();
+
+        uint256 balanceAfter = IERC20(loanToken).balanceOf(address(this));
+        if (balanceAfter < balanceBefore + params.minProfit) revert Errors.ErrInsufficientProfit();
+
+        profit = balanceAfter - balanceBefore;
+        if (profit > 0) IERC20(loanToken).safeTransfer(msg.sender, profit);
+
+        emit FlashLiquidation(msg.sender, params.pool, params.user, loanToken, params.repayAmount, params.collateralToken, profit);
+    }
+
+    /// @notice ERC-3156 callback: liquidate, sell the collateral and approve the repayment
+    /// @dev Only the lender of the loan started by flashLiquidate may call it
+    function onFlashLoan(
+        address initiator,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata data
+    ) external override returns (bytes32) {
+        if (msg.sender != _activeLender || initiator != address(this)) revert Errors.ErrUnauthorized();
+
+        (Params memory params, bool debtIsETH, bool collateralIsETH) = abi.decode(data, (Params, bool, bool));
+        address collateral = _asERC20(params.collateralToken, collateralIsETH);
+        uint256 collateralBefore = IERC20(collateral).balanceOf(address(this));
+
+        if (debtIsETH) {
+            weth.withdraw(amount);
+            liquidationManager.liquidate{value: amount}(params.user, params.pool, params.debtToken, amount, params.collateralToken);
+        } else {
+            IERC20(token).forceApprove(address(liquidationManager), amount);
+            liquidationManager.liquidate(params.user, params.pool, params.debtToken, amount, params.collateralToken);
+        }
+
+        // Seized ETH collateral and refunds of unused ETH repayment come back as native ETH
+        if (address(weth) != address(0) && address(this).balance > 0) {
+            weth.deposit{value: address(this).balance}();
+        }
+
+        if (collateral != token) {
+            uint256 seized = IERC20(collateral).balanceOf(address(this)) - collateralBefore;
+            IERC20(collateral).forceApprove(params.amm, seized);
+            IAMM(params.amm).swap(collateral, token, seized, 0, address(this));
+        }
+
+        uint256 owed = amount + fee;
+        if (IERC20(token).balanceOf(address(this)) < owed) revert Errors.ErrInsufficientProfit();
+        IERC20(token).forceApprove(msg.sender, owed);
+
+        return CALLBACK_SUCCESS;
+    }
+
+    /// @notice ERC20 a pool token is borrowed and swapped as (WETH for native ETH)
+    function _asERC20(address token, bool isETH) internal view returns (address) {
+        if (!isETH) return token;
+        if (address(weth) == address(0)) revert Errors.ErrInvalidToken();
+        return address(weth);
+    }
+
+    /// @notice Accept native ETH from WETH, seized ETH collateral and repayment refunds
+    receive() external payable {}
+}
@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/// @title Multicall
+/// @notice Batches read-only calls so the frontend and keeper refresh in one eth_call
+contract Multicall {
+    struct Call {
+        address target;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /// @notice Execute calls, reverting if any of them fails
+    /// @param calls Calls to execute
+    /// @return blockNumber Block the calls were executed at
+    /// @return returnData Return data of each call
+    function aggregate(Call[] calldata calls) external view returns (uint256 blockNumber, bytes[] memory returnData) {
+        blockNumber = block.number;
+        returnData = new bytes[](calls.length);
+
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.staticcall(calls[i].callData);
+            require(success, "Multicall: call failed");
+            returnData[i] = data;
+        }
+    }
+
+    /// @notice Execute calls, reporting failures per call instead of reverting
+    /// @param requireSuccess Revert if any call fails
+    /// @param calls Calls to execute
+    /// @return results Success flag and return (or revert) data of each call
+    function tryAggregate(bool requireSuccess, Call[] calldata calls) external view returns (Result[] memory results) {
+        results = new Result[](calls.length);
+
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.staticcall(calls[i].callData);
+            if (requireSuccess) require(success, "Multicall: call failed");
+            results[i] = Result(success, data);
+        }
+    }
+
+    /// @notice Native balance of an account, so ETH balances batch with token balances
+    /// @param account Account address
+    /// @return balance Balance in wei
+    function getEthBalance(address account) external view returns (uint256 balance) {
+        balance = account.balance;
+    }
+
+    /// @notice Current block timestamp
+    /// @return timestamp Block timestamp
+    function getCurrentBlockTimestamp() external view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+}
@@ -7,6 +7,8 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashLender.sol";
 
 import "../interfaces/IIsolatedLendingPool.sol";
 import "../libraries/Errors.sol";
@@ -17,8 +19,10 @@ import "../LendingHelper.sol";
 
 /// @title IsolatedLendingPool
 /// @notice Isolated lending pool with dynamic interest rates and health factors
+/// @dev Idle cash of ERC20 tokens is flash-lendable (ERC-3156) for the fee set in LendingConfigV2
 contract IsolatedLendingPool is 
     IIsolatedLendingPool, 
+    IERC3156FlashLender,
     ReentrancyGuard, 
     Pausable, 
     AccessControl,
@@ -29,10 +33,12 @@ contract IsolatedLendingPool is
 
     bytes32 public constant LIQUIDATOR_ROLE = keccak256("LIQUIDATOR_ROLE");
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
     
     uint256 public constant PRECISION = 1e18;
     uint256 public constant SECONDS_PER_YEAR = 365 * 24 * 3600;
     uint256 public constant INDEX_INITIAL = 1e18;
+    bytes32 public constant FLASH_LOAN_CALLBACK_SUCCESS = keccak256("ERC3156FlashBorrower.onFlashLoan");
 
     // Core contracts
     AddressToTokenMapV2 public addressToTokenMap;
@@ -78,6 +84,15 @@ contract IsolatedLendingPool is
         address collateralToken,
         uint256 seized
     );
+    event FlashLoan(
+        address indexed receiver,
+        address indexed initiator,
+        address indexed token,
+        uint256 amount,
+        uint256 fee
+    );
+    event Reserves(address indexed token, uint256 added, uint256 totalReserves);
+    event ReservesWithdrawn(address indexed token, address indexed to, uint256 amount, uint256 totalReserves);
     event TokenAdded(address indexed token);
     event ReserveFactorUpdated(uint256 oldFactor, uint256 newFactor);
     event LiquidationBonusUpdated(uint256 oldBonus, uint256 newBonus);
@@ -122,10 +137,14 @@ contract IsolatedLendingPool is
         reserveFactor = _reserveFactor;
         liquidationBonus = _liquidationBonus;
         
+        // Start with the config's default liquidation rules
+        lendingConfig.registerPool();
+        
         address admin = tx.origin; // Use tx.origin to get the actual deployer
         _grantRole(DEFAULT_ADMIN_ROLE, admin);
         _grantRole(ADMIN_ROLE, admin);
         _grantRole(LIQUIDATOR_ROLE, admin);
+        _grantRole(TREASURY_ROLE, admin);
     }
     
     /// @notice Lend tokens to the pool
@@ -289,6 +308,93 @@ contract IsolatedLendingPool is
         return true;
     }
     
+    /// @notice Maximum flash loan of a token: its idle cash (none for native ETH or while paused)
+    /// @param token Token address
+    /// @return Amount available to flash-borrow
+    function maxFlashLoan(address token) external view override returns (uint256) {
+        if (!isTokenSupported[token] || paused() || addressToTokenMap.isETH(token)) return 0;
+        return tokenStates[token].cash;
+    }
+    
+    /// @notice Fee charged for a flash loan, rounded up
+    /// @param token Token address
+    /// @param amount Amount to borrow
+    /// @return Fee in token units
+    function flashFee(address token, uint256 amount) public view override returns (uint256) {
+        if (!isTokenSupported[token] || addressToTokenMap.isETH(token)) revert Errors.ErrInvalidToken();
+        
+        uint256 feeRate = lendingConfig.getFlashLoanFee(address(this), token);
+        return (amount * feeRate + PRECISION - 1) / PRECISION;
+    }
+    
+    /// @notice Lend idle cash for the duration of one call (ERC-3156)
+    /// @dev The receiver must return FLASH_LOAN_CALLBACK_SUCCESS and approve amount + fee. The pool
+    ///      stays locked by nonReentrant meanwhile, so the loan cannot be used in this same pool
+    /// @param receiver Borrower receiving the tokens and the callback
+    /// @param token Token to borrow (ERC20 only)
+    /// @param amount Amount to borrow
+    /// @param data Passed through to the receiver
+    /// @return success True if successful
+    function flashLoan(
+        IERC3156FlashBorrower receiver,
+        address token,
+        uint256 amount,
+        bytes calldata data
+    ) 
+        external 
+        override
+        nonReentrant 
+        whenNotPaused 
+        onlyValidToken(token)
+        accrueInterest(token)
+        returns (bool success) 
+    {
+        if (amount == 0) revert Errors.ErrZeroAmount();
+        if (addressToTokenMap.isETH(token)) revert Errors.ErrInvalidToken();
+        if (tokenStates[token].cash < amount) revert Errors.ErrInsufficientLiquidity();
+        
+        uint256 fee = flashFee(token, amount);
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        
+        IERC20(token).safeTransfer(address(receiver), amount);
+        if (receiver.onFlashLoan(msg.sender, token, amount, fee, data) != FLASH_LOAN_CALLBACK_SUCCESS) {
+            revert Errors.ErrFlashLoanFailed();
+        }
+        IERC20(token).safeTransferFrom(address(receiver), address(this), amount + fee);
+        
+        // Tokens taking a cut on transfer would leave the pool short
+        if (IERC20(token).balanceOf(address(this)) < balanceBefore + fee) revert Errors.ErrFlashLoanFailed();
+        
+        _creditFlashFee(token, fee);
+        
+        emit FlashLoan(address(receiver), msg.sender, token, amount, fee);
+        return true;
+    }
+    
+    /// @notice Add a flash loan fee to the pool's cash
+    /// @dev The reserve factor share goes to reserves; suppliers earn the rest through the
+    ///      supply index, spread over what they are owed (cash + borrows - reserves)
+    /// @param token Token address
+    /// @param fee Fee received
+    function _creditFlashFee(address token, uint256 fee) internal {
+        if (fee == 0) return;
+        
+        TokenState storage state = tokenStates[token];
+        uint256 totalSupplied = uint256(state.cash) + state.borrows - state.totalReserves;
+        uint256 reservesShare = (fee * reserveFactor) / PRECISION;
+        uint256 suppliersShare = fee - reservesShare;
+        
+        if (suppliersShare > 0 && totalSupplied > 0) {
+            state.indexSupply += uint64((uint256(state.indexSupply) * suppliersShare) / totalSupplied);
+        }
+        state.cash += uint128(fee);
+        
+        if (reservesShare > 0) {
+            state.totalReserves += uint128(reservesShare);
+            emit Reserves(token, reservesShare, state.totalReserves);
+        }
+    }
+    
     /// @notice Accrue interest for a token
     /// @param token Token address
     function _accrue(address token) internal {
@@ -307,11 +413,55 @@ contract IsolatedLendingPool is
             return;
         }
         
+        (uint256 newIndexSupply, uint256 newIndexBorrow) = _previewIndexes(token);
+        
+        // Borrows grow with the debts behind them, so the accrued interest (reserves included) counts
+        // toward utilization and the next rates; the reserve factor share of that interest is reserved
+        uint256 interest = _interestSince(borrows, state.indexBorrow, newIndexBorrow);
+        uint256 reservesAdded = (interest * reserveFactor) / PRECISION;
+        borrows += interest;
+        
+        // Update state
+        state.borrows = uint128(borrows);
+        state.totalReserves += uint128(reservesAdded);
+        state.indexBorrow = uint64(newIndexBorrow);
+        state.indexSupply = uint64(newIndexSupply);
+        state.lastAccrue = uint64(block.timestamp);
+        
+        emit Accrue(token, newIndexSupply, newIndexBorrow, cash, borrows);
+        if (reservesAdded > 0) {
+            emit Reserves(token, reservesAdded, state.totalReserves);
+        }
+    }
+    
+    /// @notice Interest owed on `borrows` while the borrow index moved from `oldIndex` to `newIndex`
+    /// @param borrows Total borrows
+    /// @param oldIndex Borrow index at the last accrual
+    /// @param newIndex Current borrow index
+    /// @return Interest in token units
+    function _interestSince(uint256 borrows, uint256 oldIndex, uint256 newIndex) internal pure returns (uint256) {
+        if (borrows == 0 || oldIndex == 0) return 0;
+        return (borrows * (newIndex - oldIndex)) / oldIndex;
+    }
+    
+    /// @notice Compute the indexes `_accrue` would write at the current timestamp
+    /// @param token Token address
+    /// @return newIndexSupply Projected supply index
+    /// @return newIndexBorrow Projected borrow index
+    function _previewIndexes(address token) internal view returns (uint256 newIndexSupply, uint256 newIndexBorrow) {
+        TokenState memory state = tokenStates[token];
+        
+        newIndexSupply = state.indexSupply;
+        newIndexBorrow = state.indexBorrow;
+        
+        uint256 timeElapsed = block.timestamp - state.lastAccrue;
+        if (timeElapsed == 0 || state.borrows == 0) return (newIndexSupply, newIndexBorrow);
+        
         // Get risk parameters
         LendingConfigV2.RiskParams memory riskParams = lendingConfig.getRiskParams(address(this), token);
         
         // Calculate interest rates
-        uint256 util = InterestRateModel.utilization(cash, borrows);
+        uint256 util = InterestRateModel.utilization(state.cash, state.borrows);
         uint256 borrowRate = InterestRateModel.rBorrow(
             util,
             riskParams.rBase,
@@ -329,15 +479,24 @@ contract IsolatedLendingPool is
         uint256 borrowInterestFactor = PRECISION + (borrowRatePerSecond * timeElapsed);
         uint256 supplyInterestFactor = PRECISION + (supplyRatePerSecond * timeElapsed);
         
-        uint256 newIndexBorrow = (state.indexBorrow * borrowInterestFactor) / PRECISION;
-        uint256 newIndexSupply = (state.indexSupply * supplyInterestFactor) / PRECISION;
-        
-        // Update state
-        state.indexBorrow = uint64(newIndexBorrow);
-        state.indexSupply = uint64(newIndexSupply);
-        state.lastAccrue = uint64(block.timestamp);
+        newIndexBorrow = (newIndexBorrow * borrowInterestFactor) / PRECISION;
+        newIndexSupply = (newIndexSupply * supplyInterestFactor) / PRECISION;
+    }
+    
+    /// @notice Scale a stored balance from the user's index to the current index
+    /// @param amount Stored balance
+    /// @param userIndex Index the balance was last applied at
+    /// @param currentIndex Current index
+    /// @return Balance including interest
+    function _projectBalance(
+        uint256 amount,
+        uint256 userIndex,
+        uint256 currentIndex
+    ) internal pure returns (uint256) {
+        if (userIndex == 0 || userIndex == currentIndex) return amount;
         
-        emit Accrue(token, newIndexSupply, newIndexBorrow, cash, borrows);
+        uint256 interestFactor = (currentIndex * PRECISION) / userIndex;
+        return (amount * interestFactor) / PRECISION;
     }
     
     /// @notice Apply compound interest to user's supply
@@ -347,13 +506,7 @@ contract IsolatedLendingPool is
         uint256 currentIndex = tokenStates[token].indexSupply;
         uint256 userIndex = supplyIndexes[user][token];
         
-        if (userIndex == 0 || userIndex == currentIndex) {
-            supplyIndexes[user][token] = currentIndex;
-            return;
-        }
-        
-        uint256 interestFactor = (currentIndex * PRECISION) / userIndex;
-        supplied[user][token] = (supplied[user][token] * interestFactor) / PRECISION;
+        supplied[user][token] = _projectBalance(supplied[user][token], userIndex, currentIndex);
         supplyIndexes[user][token] = currentIndex;
     }
     
@@ -364,13 +517,7 @@ contract IsolatedLendingPool is
         uint256 currentIndex = tokenStates[token].indexBorrow;
         uint256 userIndex = borrowIndexes[user][token];
         
-        if (userIndex == 0 || userIndex == currentIndex) {
-            borrowIndexes[user][token] = currentIndex;
-            return;
-        }
-        
-        uint256 interestFactor = (currentIndex * PRECISION) / userIndex;
-        debts[user][token] = (debts[user][token] * interestFactor) / PRECISION;
+        debts[user][token] = _projectBalance(debts[user][token], userIndex, currentIndex);
         borrowIndexes[user][token] = currentIndex;
     }
     
@@ -424,9 +571,7 @@ contract IsolatedLendingPool is
             
             if (balance > 0) {
                 LendingConfigV2.RiskParams memory params = lendingConfig.getRiskParams(address(this), token);
-                uint256 price = addressToTokenMap.getPrice(token);
-                uint256 valueUSD = (balance * price) / PRECISION;
-                total += (valueUSD * params.LT) / PRECISION; // Apply liquidation threshold
+                total += (_toUSD(token, balance) * params.LT) / PRECISION; // Apply liquidation threshold
             }
         }
         
@@ -444,14 +589,37 @@ contract IsolatedLendingPool is
             uint256 debt = debts[user][token];
             
             if (debt > 0) {
-                uint256 price = addressToTokenMap.getPrice(token);
-                total += (debt * price) / PRECISION;
+                total += _toUSD(token, debt);
             }
         }
         
         return total;
     }
     
+    /// @notice Value a token amount in USD (1e18), honoring token decimals
+    /// @param token Token address
+    /// @param amount Amount in token units
+    /// @return USD value
+    function _toUSD(address token, uint256 amount) internal view returns (uint256) {
+        return (amount * addressToTokenMap.getPrice(token)) / (10 ** _decimals(token));
+    }
+    
+    /// @notice Convert a USD value (1e18) to a token amount, honoring token decimals
+    /// @param token Token address
+    /// @param valueUSD USD value
+    /// @return Amount in token units
+    function _fromUSD(address token, uint256 valueUSD) internal view returns (uint256) {
+        return (valueUSD * (10 ** _decimals(token))) / addressToTokenMap.getPrice(token);
+    }
+    
+    /// @notice Token decimals from the oracle map (18 if unset)
+    /// @param token Token address
+    /// @return Decimals
+    function _decimals(address token) internal view returns (uint8) {
+        uint8 decimals = addressToTokenMap.getDecimals(token);
+        return decimals == 0 ? 18 : decimals;
+    }
+    
     // View functions for frontend
     
     /// @notice Get pool balance for a token
@@ -479,8 +647,7 @@ contract IsolatedLendingPool is
             uint256 cash = tokenStates[token].cash;
             
             if (cash > 0) {
-                uint256 price = addressToTokenMap.getPrice(token);
-                uint256 maxBorrowAmount = (borrowPowerUSD * PRECISION) / price;
+                uint256 maxBorrowAmount = _fromUSD(token, borrowPowerUSD);
                 
                 if (maxBorrowAmount > cash) {
                     maxBorrowAmount = cash;
@@ -537,9 +704,7 @@ contract IsolatedLendingPool is
             
             if (balance > 0) {
                 LendingConfigV2.RiskParams memory params = lendingConfig.getRiskParams(address(this), token);
-                uint256 price = addressToTokenMap.getPrice(token);
-                uint256 valueUSD = (balance * price) / PRECISION;
-                totalSuppliedUSD += (valueUSD * params.LTV) / PRECISION; // Apply LTV
+                totalSuppliedUSD += (_toUSD(token, balance) * params.LTV) / PRECISION; // Apply LTV
             }
         }
         
@@ -563,7 +728,8 @@ contract IsolatedLendingPool is
             borrows: 0,
             lastAccrue: uint64(block.timestamp),
             indexSupply: uint64(INDEX_INITIAL),
-            indexBorrow: uint64(INDEX_INITIAL)
+            indexBorrow: uint64(INDEX_INITIAL),
+            totalReserves: 0
         });
         
         emit TokenAdded(token);
@@ -574,11 +740,43 @@ contract IsolatedLendingPool is
     function setReserveFactor(uint256 newReserveFactor) external onlyRole(ADMIN_ROLE) {
         if (newReserveFactor > lendingConfig.MAX_RESERVE_FACTOR()) revert Errors.ErrInvalidConfiguration();
         
+        // Interest so far is reserved at the old factor
+        for (uint256 i = 0; i < supportedTokens.length; i++) {
+            _accrue(supportedTokens[i]);
+        }
+        
         uint256 oldFactor = reserveFactor;
         reserveFactor = newReserveFactor;
         emit ReserveFactorUpdated(oldFactor, newReserveFactor);
     }
     
+    /// @notice Send accumulated reserves to the treasury
+    /// @param token Token address
+    /// @param amount Amount to withdraw (at most the reserves and the pool's cash)
+    /// @param to Recipient
+    function withdrawReserves(address token, uint256 amount, address to)
+        external
+        nonReentrant
+        whenNotPaused
+        onlyRole(TREASURY_ROLE)
+        onlyValidToken(token)
+        accrueInterest(token)
+    {
+        if (to == address(0)) revert Errors.ErrZeroAddress();
+        if (amount == 0) revert Errors.ErrZeroAmount();
+        
+        TokenState storage state = tokenStates[token];
+        if (amount > state.totalReserves) revert Errors.ErrExceedsBalance();
+        if (amount > state.cash) revert Errors.ErrInsufficientLiquidity();
+        
+        state.totalReserves -= uint128(amount);
+        state.cash -= uint128(amount);
+        
+        _transferOut(token, to, amount);
+        
+        emit ReservesWithdrawn(token, to, amount, state.totalReserves);
+    }
+    
     /// @notice Set liquidation bonus
     /// @param newLiquidationBonus New liquidation bonus
     function setLiquidationBonus(uint256 newLiquidationBonus) external onlyRole(ADMIN_ROLE) {
@@ -617,6 +815,34 @@ contract IsolatedLendingPool is
         return _getHealthFactor(user);
     }
     
+    /// @notice Supply balance including interest accrued since the last touch
+    /// @param user User address
+    /// @param token Token address
+    /// @return Balance the next lend/withdraw would see
+    function previewSupplyBalance(address user, address token) external view returns (uint256) {
+        (uint256 indexSupply, ) = _previewIndexes(token);
+        return _projectBalance(supplied[user][token], supplyIndexes[user][token], indexSupply);
+    }
+    
+    /// @notice Reserves including the share of interest accrued since the last touch
+    /// @param token Token address
+    /// @return Reserves the next withdrawReserves would see
+    function previewReserves(address token) external view returns (uint256) {
+        TokenState memory state = tokenStates[token];
+        (, uint256 indexBorrow) = _previewIndexes(token);
+        uint256 interest = _interestSince(state.borrows, state.indexBorrow, indexBorrow);
+        return state.totalReserves + (interest * reserveFactor) / PRECISION;
+    }
+    
+    /// @notice Debt including interest accrued since the last touch
+    /// @param user User address
+    /// @param token Token address
+    /// @return Debt the next borrow/repay would see
+    function previewDebt(address user, address token) external view returns (uint256) {
+        (, uint256 indexBorrow) = _previewIndexes(token);
+        return _projectBalance(debts[user][token], borrowIndexes[user][token], indexBorrow);
+    }
+    
     /// @notice Liquidate a user's position (only by liquidator)
     /// @param user User to liquidate
     /// @param debtToken Token to repay
@@ -634,6 +860,12 @@ contract IsolatedLendingPool is
     ) external onlyRole(LIQUIDATOR_ROLE) nonReentrant {
         if (user == address(0) || liquidator == address(0)) revert Errors.ErrZeroAddress();
         
+        // Accrue both markets so the repay and seizure settle against current balances and reserves
+        _accrue(debtToken);
+        _accrue(collateralToken);
+        _applyBorrowInterest(user, debtToken);
+        _applySupplyInterest(user, collateralToken);
+        
         // Check if user is actually liquidatable
         if (_getHealthFactor(user) >= PRECISION) revert Errors.ErrUserHealthy();
         
@@ -71,6 +71,8 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
     }
     
     /// @notice Liquidate a user's position
+    /// @dev Native ETH debt (AddressToTokenMapV2.isETH) is paid with msg.value and any excess
+    ///      is refunded; seized ETH collateral is paid out by the pool in native ETH
     /// @param user User to liquidate
     /// @param pool Pool address
     /// @param debtToken Token to repay
@@ -82,7 +84,7 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         address debtToken,
         uint256 repayAmount,
         address collateralToken
-    ) external override nonReentrant {
+    ) external payable override nonReentrant returns (uint256 repaidAmount, uint256 seizedAmount) {
         if (user == address(0) || pool == address(0) || 
             debtToken == address(0) || collateralToken == address(0)) {
             revert Errors.ErrZeroAddress();
@@ -92,57 +94,45 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         address liquidator = msg.sender;
         IsolatedLendingPool poolContract = IsolatedLendingPool(payable(pool));
         
-        // Check if user is liquidatable
-        (uint256 healthFactor, uint256 collateralUSD, uint256 borrowUSD) = _calcHealthFactor(user, pool);
+        LiquidationPreview memory preview = _previewLiquidation(user, pool, debtToken, collateralToken);
         
-        if (healthFactor >= LIQUIDATION_THRESHOLD_FACTOR) {
-            revert Errors.ErrUserHealthy();
-        }
-        
-        // Get user's current debt and supplied amounts
-        uint256 userDebt = poolContract.debts(user, debtToken);
-        uint256 userCollateral = poolContract.supplied(user, collateralToken);
-        
-        if (userDebt == 0) revert Errors.ErrInsufficientBalance();
-        if (userCollateral == 0) revert Errors.ErrInsufficientCollateral();
+        if (!preview.liquidatable) revert Errors.ErrUserHealthy();
+        if (preview.debt == 0) revert Errors.ErrInsufficientBalance();
+        if (preview.collateral == 0 || preview.maxRepay == 0) revert Errors.ErrInsufficientCollateral();
         
-        // Calculate actual repay amount (can't repay more than debt)
-        uint256 actualRepayAmount = repayAmount > userDebt ? userDebt : repayAmount;
-        
-        // Calculate seizure amount with liquidation bonus
-        uint256 seizeAmount = _calculateSeizeAmount(
-            pool,
-            debtToken,
-            actualRepayAmount,
-            collateralToken
-        );
-        
-        if (seizeAmount > userCollateral) {
-            seizeAmount = userCollateral;
-        }
+        // Repay at most what the close factor and the collateral allow
+        repaidAmount = repayAmount > preview.maxRepay ? preview.maxRepay : repayAmount;
+        seizedAmount = repaidAmount == preview.maxRepay
+            ? preview.seizeAmount
+            : _calculateSeizeAmount(pool, debtToken, repaidAmount, collateralToken);
         
         // Transfer repay amount from liquidator to pool
-        IERC20(debtToken).safeTransferFrom(liquidator, pool, actualRepayAmount);
+        bool isETHDebt = _pullRepayment(poolContract, debtToken, repaidAmount, liquidator);
         
         // Execute liquidation through pool
         _executeLiquidation(
             poolContract,
             user,
             debtToken,
-            actualRepayAmount,
+            repaidAmount,
             collateralToken,
-            seizeAmount,
+            seizedAmount,
             liquidator
         );
         
+        // Refund ETH sent beyond the (debt-capped) repay amount
+        if (isETHDebt && msg.value > repaidAmount) {
+            _sendETH(liquidator, msg.value - repaidAmount);
+        }
+        
         emit LiquidationExecuted(
             liquidator,
             user,
             pool,
             debtToken,
-            actualRepayAmount,
+            repaidAmount,
             collateralToken,
-            seizeAmount
+            seizedAmount
         );
     }
     
@@ -161,6 +151,24 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         return _calculateSeizeAmount(pool, debtToken, repayAmount, collateralToken);
     }
     
+    /// @notice Preview the largest liquidation of one debt/collateral pair
+    /// @dev Repay is limited to the pool's close factor share of the debt, or the whole debt below
+    ///      the full-liquidation HF or for dust debts, and then to what the collateral can pay for.
+    ///      Healthy positions are sized too (liquidatable is false), so at-risk ones can be shown ahead
+    /// @param user User address
+    /// @param pool Pool address
+    /// @param debtToken Token to repay
+    /// @param collateralToken Collateral token to seize
+    /// @return preview Health factor, close factor outcome, max repay and seize
+    function previewLiquidation(
+        address user,
+        address pool,
+        address debtToken,
+        address collateralToken
+    ) external view override returns (LiquidationPreview memory preview) {
+        return _previewLiquidation(user, pool, debtToken, collateralToken);
+    }
+    
     /// @notice Check if a user is liquidatable
     /// @param user User address
     /// @param pool Pool address
@@ -187,24 +195,21 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         // Calculate total collateral value (with liquidation threshold applied)
         for (uint256 i = 0; i < supportedTokens.length; i++) {
             address token = supportedTokens[i];
-            uint256 supplied = poolContract.supplied(user, token);
+            uint256 supplied = poolContract.previewSupplyBalance(user, token);
             
             if (supplied > 0) {
                 LendingConfigV2.RiskParams memory params = lendingConfig.getRiskParams(pool, token);
-                uint256 price = addressToTokenMap.getPrice(token);
-                uint256 valueUSD = (supplied * price) / PRECISION;
-                collateralUSD += (valueUSD * params.LT) / PRECISION; // Apply liquidation threshold
+                collateralUSD += (_toUSD(token, supplied) * params.LT) / PRECISION; // Apply liquidation threshold
             }
         }
         
         // Calculate total borrow value
         for (uint256 i = 0; i < supportedTokens.length; i++) {
             address token = supportedTokens[i];
-            uint256 debt = poolContract.debts(user, token);
+            uint256 debt = poolContract.previewDebt(user, token);
             
             if (debt > 0) {
-                uint256 price = addressToTokenMap.getPrice(token);
-                borrowUSD += (debt * price) / PRECISION;
+                borrowUSD += _toUSD(token, debt);
             }
         }
         
@@ -218,6 +223,44 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         }
     }
     
+    /// @notice Internal function to preview a liquidation
+    /// @param user User address
+    /// @param pool Pool address
+    /// @param debtToken Token to repay
+    /// @param collateralToken Collateral token to seize
+    /// @return preview See ILiquidationManager.LiquidationPreview
+    function _previewLiquidation(
+        address user,
+        address pool,
+        address debtToken,
+        address collateralToken
+    ) internal view returns (LiquidationPreview memory preview) {
+        IsolatedLendingPool poolContract = IsolatedLendingPool(payable(pool));
+        
+        (preview.healthFactor, , ) = _calcHealthFactor(user, pool);
+        preview.liquidatable = preview.healthFactor < LIQUIDATION_THRESHOLD_FACTOR;
+        preview.debt = poolContract.previewDebt(user, debtToken);
+        preview.collateral = poolContract.previewSupplyBalance(user, collateralToken);
+        
+        if (preview.debt == 0 || preview.collateral == 0) return preview;
+        
+        // A zero full-liquidation HF or dust threshold disables that rule
+        LendingConfigV2.LiquidationParams memory params = lendingConfig.getLiquidationParams(pool);
+        preview.fullLiquidation = preview.healthFactor < params.fullLiquidationHF ||
+            (params.dustThresholdUSD != 0 && _toUSD(debtToken, preview.debt) <= params.dustThresholdUSD);
+        
+        preview.maxRepay = preview.fullLiquidation
+            ? preview.debt
+            : (preview.debt * params.closeFactor) / PRECISION;
+        preview.seizeAmount = _calculateSeizeAmount(pool, debtToken, preview.maxRepay, collateralToken);
+        
+        // Not enough collateral for the bonus: repay only what it covers
+        if (preview.seizeAmount > preview.collateral) {
+            preview.maxRepay = _calculateRepayForSeize(pool, debtToken, preview.collateral, collateralToken);
+            preview.seizeAmount = preview.collateral;
+        }
+    }
+    
     /// @notice Internal function to calculate seize amount
     /// @param pool Pool address
     /// @param debtToken Debt token address
@@ -230,20 +273,59 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         uint256 repayAmount,
         address collateralToken
     ) internal view returns (uint256 seizeAmount) {
-        // Get prices for both tokens
-        uint256 debtPrice = addressToTokenMap.getPrice(debtToken);
-        uint256 collateralPrice = addressToTokenMap.getPrice(collateralToken);
-        
         // Get liquidation bonus from pool config
         IsolatedLendingPool poolContract = IsolatedLendingPool(payable(pool));
         uint256 liquidationBonus = poolContract.liquidationBonus();
         
-        // Calculate seize amount: repayAmount * debtPrice * (1 + bonus) / collateralPrice
-        uint256 repayValueUSD = (repayAmount * debtPrice) / PRECISION;
+        // Calculate seize amount: repay value * (1 + bonus) in collateral units
+        uint256 repayValueUSD = _toUSD(debtToken, repayAmount);
         uint256 bonusMultiplier = PRECISION + liquidationBonus;
         uint256 seizeValueUSD = (repayValueUSD * bonusMultiplier) / PRECISION;
         
-        seizeAmount = (seizeValueUSD * PRECISION) / collateralPrice;
+        seizeAmount = _fromUSD(collateralToken, seizeValueUSD);
+    }
+    
+    /// @notice Internal function to calculate the repay a given seize pays for (inverse of the seize math)
+    /// @param pool Pool address
+    /// @param debtToken Debt token address
+    /// @param seizeAmount Collateral to seize
+    /// @param collateralToken Collateral token address
+    /// @return repayAmount Repay in debt token units, rounded down
+    function _calculateRepayForSeize(
+        address pool,
+        address debtToken,
+        uint256 seizeAmount,
+        address collateralToken
+    ) internal view returns (uint256 repayAmount) {
+        uint256 bonusMultiplier = PRECISION + IsolatedLendingPool(payable(pool)).liquidationBonus();
+        uint256 repayValueUSD = (_toUSD(collateralToken, seizeAmount) * PRECISION) / bonusMultiplier;
+        
+        repayAmount = _fromUSD(debtToken, repayValueUSD);
+    }
+    
+    /// @notice Value a token amount in USD (1e18), honoring token decimals
+    /// @param token Token address
+    /// @param amount Amount in token units
+    /// @return USD value
+    function _toUSD(address token, uint256 amount) internal view returns (uint256) {
+        if (amount == 0) return 0;
+        return (amount * addressToTokenMap.getPrice(token)) / (10 ** _decimals(token));
+    }
+    
+    /// @notice Convert a USD value (1e18) to a token amount, honoring token decimals
+    /// @param token Token address
+    /// @param valueUSD USD value
+    /// @return Amount in token units
+    function _fromUSD(address token, uint256 valueUSD) internal view returns (uint256) {
+        return (valueUSD * (10 ** _decimals(token))) / addressToTokenMap.getPrice(token);
+    }
+    
+    /// @notice Token decimals from the oracle map (18 if unset)
+    /// @param token Token address
+    /// @return Decimals
+    function _decimals(address token) internal view returns (uint8) {
+        uint8 decimals = addressToTokenMap.getDecimals(token);
+        return decimals == 0 ? 18 : decimals;
     }
     
     /// @notice Internal function to execute liquidation
@@ -274,6 +356,37 @@ contract LiquidationManager is ILiquidationManager, ReentrancyGuard, AccessContr
         );
     }
     
+    /// @notice Move the repayment from the liquidator to the pool
+    /// @param poolContract Pool receiving the repayment
+    /// @param debtToken Debt token (native ETH when the pool's token map says so)
+    /// @param amount Repay amount
+    /// @param liquidator Liquidator paying the debt
+    /// @return isETHDebt True if the debt was paid in native ETH from msg.value
+    function _pullRepayment(
+        IsolatedLendingPool poolContract,
+        address debtToken,
+        uint256 amount,
+        address liquidator
+    ) internal returns (bool isETHDebt) {
+        isETHDebt = poolContract.addressToTokenMap().isETH(debtToken);
+        
+        if (isETHDebt) {
+            if (msg.value < amount) revert Errors.ErrInvalidETHAmount();
+            _sendETH(address(poolContract), amount);
+        } else {
+            if (msg.value > 0) revert Errors.ErrInvalidETHAmount();
+            IERC20(debtToken).safeTransferFrom(liquidator, address(poolContract), amount);
+        }
+    }
+    
+    /// @notice Send native ETH
+    /// @param to Recipient
+    /// @param amount Amount in wei
+    function _sendETH(address to, uint256 amount) internal {
+        (bool success, ) = payable(to).call{value: amount}("");
+        if (!success) revert Errors.ErrTransferFailed();
+    }
+    
     /// @notice Grant liquidator role to an address
     /// @param liquidator Address to grant role to
     function grantLiquidatorRole(address liquidator) external onlyRole(ADMIN_ROLE) {
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/interfaces/IERC3156FlashBorrower.sol";
+
+import "../interfaces/IIsolatedLendingPool.sol";
+
+/// @title TestFlashBorrower
+/// @notice Flash loan receiver that can misbehave, for pool flash loan tests
+contract TestFlashBorrower is IERC3156FlashBorrower {
+    enum Mode { Repay, NoApproval, WrongReturn, ReenterLend }
+
+    Mode public mode;
+
+    function setMode(Mode _mode) external {
+        mode = _mode;
+    }
+
+    function onFlashLoan(
+        address,
+        address token,
+        uint256 amount,
+        uint256 fee,
+        bytes calldata
+    ) external override returns (bytes32) {
+        if (mode == Mode.ReenterLend) {
+            IERC20(token).approve(msg.sender, amount);
+            IIsolatedLendingPool(msg.sender).lend(token, amount);
+        }
+        if (mode != Mode.NoApproval) {
+            IERC20(token).approve(msg.sender, amount + fee);
+        }
+        if (mode == Mode.WrongReturn) {
+            return bytes32(0);
+        }
+        return keccak256("ERC3156FlashBorrower.onFlashLoan");
+    }
+}
@@ -1,5 +1,6 @@
 import { useCallback } from 'react';
 import { ethers } from 'ethers';
+import { formatError } from '../lib/contractErrors';
 
 /**
  * Hook for proper ETH supply/withdraw operations
@@ -61,17 +62,9 @@ export const useETHOperations = (poolAddress, signer, provider) => {
     } catch (error) {
       console.error("❌ ETH supply failed:", error);
       
-      // Parse error for user-friendly message
-      let errorMessage = error.message;
-      if (error.reason) {
-        errorMessage = error.reason;
-      } else if (error.data?.message) {
-        errorMessage = error.data.message;
-      }
-      
       return {
         success: false,
-        error: errorMessage
+        error: formatError(error, "ETH supply failed")
       };
     }
   }, [poolAddress, signer, provider]);
@@ -133,16 +126,9 @@ export const useETHOperations = (poolAddress, signer, provider) => {
     } catch (error) {
       console.error("❌ ETH withdrawal failed:", error);
       
-      let errorMessage = error.message;
-      if (error.reason) {
-        errorMessage = error.reason;
-      } else if (error.data?.message) {
-        errorMessage = error.data.message;
-      }
-      
       return {
         success: false,
-        error: errorMessage
+        error: formatError(error, "ETH withdrawal failed")
       };
     }
   }, [poolAddress, signer, provider]);
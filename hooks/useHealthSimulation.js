@@ -0,0 +1,75 @@
+import { useContext, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import LendContext from '../context/lendContext';
+import { resolveToken } from '../lib/positionStore';
+import { getPriceInfo } from '../lib/pricing';
+import { DEFAULT_HF_THRESHOLD, simulateAction } from '../lib/healthFactor';
+import { parseAmount } from '../lib/tokenAmounts';
+
+const THRESHOLD_KEY = "lendhub.hfThreshold";
+
+const readThreshold = () => {
+  if (typeof window === "undefined") return DEFAULT_HF_THRESHOLD;
+  const stored = parseFloat(window.localStorage.getItem(THRESHOLD_KEY));
+  return stored >= 1 ? stored : DEFAULT_HF_THRESHOLD;
+};
+
+/**
+ * Current vs. post-action health factor, borrow power and liquidation price for a modal,
+ * plus the user's warning threshold (persisted) and whether the action may be sent
+ * @param action  "lend" | "withdraw" | "borrow" | "repay"
+ * @param address UI token address (ETH resolves to its pool token)
+ * @param value   amount as typed, in token units
+ */
+export const useHealthSimulation = (action, address, value) => {
+  const { lendData } = useContext(LendContext);
+  const { store, network } = lendData;
+
+  const [threshold, setThresholdState] = useState(DEFAULT_HF_THRESHOLD);
+  const [acknowledged, setAcknowledged] = useState(false);
+
+  useEffect(() => {
+    setThresholdState(readThreshold());
+  }, []);
+
+  // A new amount needs a new confirmation
+  useEffect(() => {
+    setAcknowledged(false);
+  }, [value, threshold]);
+
+  const setThreshold = (next) => {
+    const parsed = parseFloat(next);
+    if (!(parsed >= 1)) return;
+    setThresholdState(parsed);
+    window.localStorage.setItem(THRESHOLD_KEY, parsed.toString());
+  };
+
+  const simulation = useMemo(() => {
+    const { poolToken, symbol, decimals } = resolveToken(store, network, address);
+    // Not a complete amount yet (or finer than the token allows): simulate nothing
+    const amount = parseAmount(value, decimals) || ethers.BigNumber.from(0);
+
+    const result = simulateAction(store, {
+      action,
+      token: poolToken,
+      amount,
+      threshold: ethers.utils.parseEther(threshold.toString())
+    });
+
+    return {
+      ...result,
+      symbol,
+      amount,
+      liquidationSymbol: getPriceInfo(store.prices, result.liquidationToken)?.symbol || symbol
+    };
+  }, [store, network, action, address, value, threshold]);
+
+  return {
+    ...simulation,
+    threshold,
+    setThreshold,
+    acknowledged,
+    setAcknowledged,
+    canProceed: !simulation.blocked && (!simulation.warning || acknowledged)
+  };
+};
@@ -0,0 +1,806 @@
+import { useState, useEffect, useCallback, useReducer, useRef, useMemo } from "react";
+import { ethers } from "ethers";
+import abis from "../lib/abis";
+import { getNetworkConfig, SUPPORTED_CHAIN_IDS, NETWORKS } from "../lib/networks";
+import { fetchTokenPrices, getPriceInfo, toUSDNumber } from "../lib/pricing";
+import { fetchTokenDecimals, parseAmount } from "../lib/tokenAmounts";
+import { decodeError, formatError } from "../lib/contractErrors";
+import { planStep, simulatePlan, executePlan } from "../lib/preflight";
+import { useTransactionTracker } from "./useTransactionTracker";
+import { fetchPoolRates } from "../lib/interestRates";
+import { fetchAccruedPositions, getPosition } from "../lib/accrual";
+import { createBatcher, getEthBalance } from "../lib/multicall";
+import { fetchPools, findPool } from "../lib/pools";
+import {
+  emptyChange,
+  fullChange,
+  mergeChanges,
+  changesFromReceipt,
+  subscribePool,
+  createUpdateQueue
+} from "../lib/poolEvents";
+import { initialState, positionReducer, resolveToken } from "../lib/positionStore";
+
+const POOL_KEY = "lendhub.pool";
+
+// WETH.withdraw plus the ETH transfer; unwraps are priced before the WETH they spend exists
+const UNWRAP_GAS = 60000;
+
+/**
+ * Raw amount of a typed decimal string (or a raw BigNumber) in the token's decimals
+ */
+const toRawAmount = (value, decimals) => {
+  const amount = parseAmount(value, decimals);
+  if (!amount) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  return amount;
+};
+
+const displayAmount = (amount, decimals, symbol) => `${ethers.utils.formatUnits(amount, decimals)} ${symbol}`;
+
+const EMPTY_WALLET = {
+  provider: null,
+  signer: null,
+  account: null,
+  chainId: null,
+  networkName: null,
+};
+
+/**
+ * Single data layer for LendHub: wallet connection, per-network config,
+ * market/position loading into one normalized store, and pool transactions.
+ * Everything is scoped to the selected factory pool (the network's default pool
+ * until one is chosen). Components consume it through lendContext (see context/LendProvider.js).
+ */
+export const useLendData = () => {
+  const [wallet, setWallet] = useState(EMPTY_WALLET);
+  const [store, dispatch] = useReducer(positionReducer, initialState);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastSyncTime, setLastSyncTime] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+
+  const [pools, setPools] = useState([]);
+  const [selectedPool, setSelectedPool] = useState(null);
+
+  const network = useMemo(() => getNetworkConfig(wallet.chainId), [wallet.chainId]);
+
+  // Selected pool and its oracle; falls back to the network default until pools are discovered
+  const selected = findPool(pools, selectedPool);
+  const poolAddress = selected?.address || network?.contracts.pool || null;
+  const oracleAddress = selected?.oracle || network?.contracts.oracle || null;
+
+  // Reads issued in the same tick share one Multicall eth_call
+  const batch = useMemo(() => {
+    if (!wallet.provider || !network) return null;
+    return createBatcher(wallet.provider, network.contracts.multicall);
+  }, [wallet.provider, network]);
+
+  // Latest store for async transaction flows
+  const storeRef = useRef(store);
+  storeRef.current = store;
+
+  // Loads that finish after a pool switch must not land in the new pool's store
+  const poolRef = useRef(poolAddress);
+  poolRef.current = poolAddress;
+
+  // One in-flight request per loader; overlapping callers share it
+  const inflight = useRef({});
+  const dedupe = useCallback((key, load) => {
+    if (!inflight.current[key]) {
+      inflight.current[key] = load().finally(() => {
+        delete inflight.current[key];
+      });
+    }
+    return inflight.current[key];
+  }, []);
+
+  // Serial queue of live updates; runs the latest applyChange
+  const applyRef = useRef(null);
+  const updates = useMemo(() => createUpdateQueue((change) => applyRef.current(change)), []);
+
+  /**
+   * Provider, signer and network config for the wallet's current chain and account
+   * @param method "eth_requestAccounts" to prompt, "eth_accounts" to reconnect silently
+   */
+  const connect = useCallback(async (method) => {
+    if (!window.ethereum) {
+      throw new Error("MetaMask not installed");
+    }
+
+    const accounts = await window.ethereum.request({ method });
+
+    if (accounts.length === 0) {
+      throw new Error("No accounts found");
+    }
+
+    // Fresh provider per connection: an ethers provider is bound to one chain
+    const provider = new ethers.providers.Web3Provider(window.ethereum);
+    const { chainId, name } = await provider.getNetwork();
+
+    console.log(`📡 Connected to ${name} (Chain ID: ${chainId})`);
+
+    if (!getNetworkConfig(chainId)) {
+      const supported = SUPPORTED_CHAIN_IDS.map((id) => `${NETWORKS[id].label} (${id})`).join(" or ");
+      throw new Error(`Please switch to ${supported}`);
+    }
+
+    updates.clear();
+    dispatch({ type: "reset" });
+    setPools([]);
+    setSyncError(null);
+    setWallet({
+      provider,
+      signer: provider.getSigner(accounts[0]),
+      account: accounts[0],
+      chainId,
+      networkName: name,
+    });
+  }, [updates]);
+
+  /**
+   * Connect MetaMask and select the network config for its chain
+   */
+  const connectWallet = useCallback(async () => {
+    console.log("🔗 [CONNECT] Starting wallet connection...");
+
+    try {
+      await connect("eth_requestAccounts");
+      console.log("✅ [CONNECT] Wallet connected successfully");
+    } catch (error) {
+      console.error("❌ [CONNECT] Connection failed:", error);
+      alert(`Connection failed: ${error.message}`);
+    }
+  }, [connect]);
+
+  // Follow MetaMask account and chain switches without reloading the page
+  useEffect(() => {
+    if (!wallet.account || !window.ethereum?.on) return;
+
+    const reconnect = async () => {
+      console.log("🔄 [CONNECT] Wallet account or chain changed, reconnecting...");
+      try {
+        await connect("eth_accounts");
+      } catch (error) {
+        console.warn(`⚠️ [CONNECT] Disconnected: ${error.message}`);
+        updates.clear();
+        dispatch({ type: "reset" });
+        setWallet(EMPTY_WALLET);
+        setSyncError(error.message);
+      }
+    };
+
+    window.ethereum.on("accountsChanged", reconnect);
+    window.ethereum.on("chainChanged", reconnect);
+
+    return () => {
+      window.ethereum.removeListener("accountsChanged", reconnect);
+      window.ethereum.removeListener("chainChanged", reconnect);
+    };
+  }, [wallet.account, connect, updates]);
+
+  /**
+   * Pool rates (token states, risk params), oracle prices and token decimals, for all or some pool tokens
+   */
+  const loadMarkets = useCallback((tokens) => dedupe(`markets:${poolAddress}:${tokens || "all"}`, async () => {
+    if (!batch) return {};
+
+    const rates = await fetchPoolRates(wallet.provider, poolAddress, tokens, { batch });
+    const [prices, decimals] = await Promise.all([
+      fetchTokenPrices(wallet.provider, oracleAddress, Object.keys(rates), { batch }),
+      fetchTokenDecimals(wallet.provider, Object.keys(rates), { oracle: oracleAddress, batch })
+    ]);
+
+    if (poolRef.current !== poolAddress) return {};
+    dispatch({ type: "markets", rates, prices, decimals });
+    return rates;
+  }), [wallet.provider, poolAddress, oracleAddress, batch, dedupe]);
+
+  /**
+   * Oracle prices for every loaded market
+   */
+  const loadPrices = useCallback(() => dedupe(`prices:${poolAddress}`, async () => {
+    const tokens = Object.keys(storeRef.current.rates);
+    if (!batch || tokens.length === 0) return {};
+
+    const prices = await fetchTokenPrices(wallet.provider, oracleAddress, tokens, { batch });
+
+    if (poolRef.current !== poolAddress) return {};
+    dispatch({ type: "markets", prices });
+    return prices;
+  }), [wallet.provider, poolAddress, oracleAddress, batch, dedupe]);
+
+  /**
+   * User supply/debt with unapplied interest projected, plus the on-chain health factor.
+   * `rates` limits the load to those markets; all markets when omitted.
+   */
+  const loadPositions = useCallback((rates) => dedupe(`positions:${poolAddress}:${rates ? Object.keys(rates) : "all"}`, async () => {
+    if (!batch || !wallet.account) return {};
+
+    const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, wallet.provider);
+    const [positions, healthFactor] = await Promise.all([
+      fetchAccruedPositions(wallet.provider, poolAddress, wallet.account, { rates, batch }),
+      batch.call(pool, "getHealthFactor", wallet.account)
+    ]);
+
+    if (poolRef.current !== poolAddress) return {};
+    dispatch({ type: "positions", positions, healthFactor });
+    return positions;
+  }), [wallet.provider, wallet.account, poolAddress, batch, dedupe]);
+
+  /**
+   * Wallet balances for configured tokens (native ETH included), optionally only
+   * those backed by the given pool tokens
+   */
+  const loadWallet = useCallback((poolTokens) => dedupe(`wallet:${poolTokens || "all"}`, async () => {
+    if (!batch || !wallet.account) return {};
+
+    const tokens = poolTokens
+      ? network.tokens.filter((token) => poolTokens.includes(token.poolToken.toLowerCase()))
+      : network.tokens;
+
+    console.log(`📊 [BALANCE] Fetching ${tokens.length} wallet balances for ${wallet.account}...`);
+
+    const entries = await Promise.all(tokens.map(async (token) => {
+      try {
+        const balance = token.isNative
+          ? await getEthBalance(batch, wallet.provider, wallet.account)
+          : await batch.call(new ethers.Contract(token.address, abis.ERC20, wallet.provider), "balanceOf", wallet.account);
+        return [token.address.toLowerCase(), balance];
+      } catch (error) {
+        console.error(`❌ [BALANCE] Error fetching ${token.symbol}:`, error);
+        return [token.address.toLowerCase(), ethers.BigNumber.from(0)];
+      }
+    }));
+
+    const balances = Object.fromEntries(entries);
+    dispatch({ type: "wallet", balances });
+    return balances;
+  }), [wallet.provider, wallet.account, network, batch, dedupe]);
+
+  /**
+   * Factory pools with their TVL, risk params and the user's position in each
+   */
+  const loadPools = useCallback(() => dedupe("pools", async () => {
+    if (!batch || !network.contracts.poolFactory) return [];
+
+    const list = await fetchPools(wallet.provider, network.contracts.poolFactory, { account: wallet.account, batch });
+    setPools(list);
+    return list;
+  }), [wallet.provider, wallet.account, network, batch, dedupe]);
+
+  /**
+   * Apply one (merged) change from lib/poolEvents: reload only the slices it names
+   */
+  const applyChange = useCallback(async (change) => {
+    if (!wallet.account || !network) return;
+
+    if (change.full) setIsSyncing(true);
+    try {
+      if (change.full) {
+        const walletLoad = loadWallet();
+        const poolsLoad = loadPools();
+        const rates = await loadMarkets();
+        await Promise.all([loadPositions(rates), walletLoad, poolsLoad]);
+      } else {
+        const walletLoad = change.wallet.length > 0 && loadWallet(change.wallet);
+        // Our own position moved: the selector's per-pool summary too
+        const poolsLoad = change.positions.length > 0 && loadPools();
+        const pricesLoad = change.prices && loadPrices();
+        const rates = change.markets.length > 0 ? await loadMarkets(change.markets) : {};
+
+        const positionRates = {};
+        for (const token of change.positions) {
+          const rateInfo = rates[token] || storeRef.current.rates[token];
+          if (rateInfo) positionRates[token] = rateInfo;
+        }
+
+        await Promise.all([
+          Object.keys(positionRates).length > 0 && loadPositions(positionRates),
+          walletLoad,
+          pricesLoad,
+          poolsLoad
+        ]);
+
+        if (change.reproject) {
+          dispatch({ type: "reproject", timestamp: Math.floor(Date.now() / 1000) });
+        }
+      }
+
+      setLastSyncTime(new Date());
+      setSyncError(null);
+    } catch (error) {
+      console.error("❌ [SYNC] Update failed:", error);
+      setSyncError(error.message);
+    } finally {
+      if (change.full) setIsSyncing(false);
+    }
+  }, [wallet.account, network, loadMarkets, loadPrices, loadPositions, loadWallet, loadPools]);
+  applyRef.current = applyChange;
+
+  /**
+   * Reload markets, positions and wallet balances (merged with any pending update)
+   */
+  const refresh = useCallback(() => updates.schedule(fullChange()), [updates]);
+
+  // Restore the pool chosen in an earlier session
+  useEffect(() => {
+    setSelectedPool(window.localStorage.getItem(POOL_KEY));
+  }, []);
+
+  // Markets and positions of the previous pool must not leak into the next one
+  useEffect(() => {
+    updates.clear();
+    dispatch({ type: "reset" });
+  }, [poolAddress, updates]);
+
+  // Reload everything when the account, network or pool changes
+  useEffect(() => {
+    if (wallet.account && network) {
+      console.log("🔄 [AUTO] Account or pool changed, refreshing data...");
+      refresh();
+    }
+  }, [wallet.account, network, poolAddress, refresh]);
+
+  // Live updates from pool events and new blocks
+  useEffect(() => {
+    if (!wallet.provider || !wallet.account || !network) return;
+
+    const unsubscribe = subscribePool(wallet.provider, poolAddress, wallet.account, updates.schedule);
+
+    return () => {
+      console.log("🧹 [EVENTS] Cleaning up event listeners...");
+      unsubscribe();
+    };
+  }, [wallet.provider, wallet.account, network, poolAddress, updates]);
+
+  /**
+   * Scope reads and transactions to another factory pool (remembered across sessions)
+   */
+  const selectPool = useCallback((address) => {
+    const pool = findPool(pools, address);
+    if (!pool || pool.address === poolAddress) return;
+
+    console.log(`🏦 [POOL] Switching to ${pool.name} (${pool.address})`);
+    window.localStorage.setItem(POOL_KEY, pool.address);
+    setSelectedPool(pool.address);
+  }, [pools, poolAddress]);
+
+  const getSignerContracts = useCallback(() => {
+    if (!network || !wallet.signer) {
+      throw new Error("Wallet not connected");
+    }
+
+    return {
+      pool: new ethers.Contract(poolAddress, abis.IsolatedLendingPool, wallet.signer),
+      weth: network.contracts.weth && new ethers.Contract(network.contracts.weth, abis.WETH, wallet.signer),
+      token: (address) => new ethers.Contract(address, abis.ERC20, wallet.signer),
+    };
+  }, [network, poolAddress, wallet.signer]);
+
+  const isWETH = useCallback((address) => {
+    return Boolean(network?.contracts.weth) && address.toLowerCase() === network.contracts.weth.toLowerCase();
+  }, [network]);
+
+  /**
+   * Approve step for `spender` (the pool by default), or none if the current allowance covers `amount`
+   */
+  const allowanceSteps = useCallback(async (tokenContract, amount, symbol, spender = poolAddress) => {
+    const allowance = await tokenContract.allowance(wallet.account, spender);
+    if (allowance.gte(amount)) return [];
+
+    return [planStep(`Approve ${symbol}`, tokenContract, "approve", [spender, amount], {
+      clears: ["ERC20InsufficientAllowance"]
+    })];
+  }, [wallet.account, poolAddress]);
+
+  const wrapStep = useCallback((weth, amount) => planStep("Wrap ETH", weth, "deposit", [], {
+    overrides: { value: amount },
+    clears: ["ERC20InsufficientBalance"]
+  }), []);
+
+  // WETH paid out by an earlier step only exists once that step is mined
+  const unwrapStep = useCallback((weth, amount) => planStep("Unwrap WETH", weth, "withdraw", [amount], {
+    simulate: false,
+    fallbackGas: UNWRAP_GAS
+  }), []);
+
+  /**
+   * Transactions an action sends, in order (lib/preflight steps), after the
+   * checks that need no simulation. Arguments are the action's own.
+   * @returns {Promise<{ tag: string, poolToken: string, steps: Array }>}
+   */
+  const planTransaction = useCallback(async (action, ...args) => {
+    const contracts = getSignerContracts();
+
+    switch (action) {
+      case "lend": {
+        const [tokenAddress, supplyAmount] = args;
+        const { poolToken, isNative, symbol, decimals } = resolveToken(storeRef.current, network, tokenAddress);
+        const amount = toRawAmount(supplyAmount, decimals);
+
+        if (isNative && !contracts.weth) {
+          return {
+            tag: "LEND",
+            poolToken,
+            amount: displayAmount(amount, decimals, symbol),
+            steps: [planStep(`Supply ${symbol}`, contracts.pool, "lend", [poolToken, amount], { overrides: { value: amount }, primary: true })]
+          };
+        }
+
+        return {
+          tag: "LEND",
+          poolToken,
+          amount: displayAmount(amount, decimals, symbol),
+          steps: [
+            ...(isNative ? [wrapStep(contracts.weth, amount)] : []),
+            ...await allowanceSteps(contracts.token(poolToken), amount, isNative ? "WETH" : symbol),
+            planStep(`Supply ${symbol}`, contracts.pool, "lend", [poolToken, amount], { primary: true })
+          ]
+        };
+      }
+
+      case "withdraw": {
+        const [tokenAddress, withdrawAmount] = args;
+        const { poolToken, symbol, decimals } = resolveToken(storeRef.current, network, tokenAddress);
+        const amount = toRawAmount(withdrawAmount, decimals);
+
+        // Check supplied amount, including interest the withdraw will apply
+        const supplied = getPosition(await loadPositions(), poolToken)?.supplied ?? ethers.BigNumber.from(0);
+        if (supplied.lt(amount)) {
+          throw new Error(`Insufficient supplied amount. Available: ${ethers.utils.formatUnits(supplied, decimals)} ${symbol}, Requested: ${ethers.utils.formatUnits(amount, decimals)}`);
+        }
+
+        return {
+          tag: "WITHDRAW",
+          poolToken,
+          amount: displayAmount(amount, decimals, symbol),
+          steps: [
+            planStep(`Withdraw ${symbol}`, contracts.pool, "withdraw", [poolToken, amount], { primary: true }),
+            ...(isWETH(poolToken) ? [unwrapStep(contracts.weth, amount)] : [])
+          ]
+        };
+      }
+
+      case "borrow": {
+        const [tokenAddress, borrowAmount] = args;
+        const { poolToken, isNative, symbol, decimals } = resolveToken(storeRef.current, network, tokenAddress);
+        const amount = toRawAmount(borrowAmount, decimals);
+
+        const tokenState = await contracts.pool.tokenStates(poolToken);
+        if (tokenState.cash.lt(amount)) {
+          throw new Error(`Insufficient pool liquidity. Available: ${ethers.utils.formatUnits(tokenState.cash, decimals)} ${symbol}`);
+        }
+
+        return {
+          tag: "BORROW",
+          poolToken,
+          amount: displayAmount(amount, decimals, symbol),
+          steps: [
+            planStep(`Borrow ${symbol}`, contracts.pool, "borrow", [poolToken, amount], { primary: true }),
+            ...(isNative && contracts.weth ? [unwrapStep(contracts.weth, amount)] : [])
+          ]
+        };
+      }
+
+      case "repay": {
+        const [tokenAddress, repayAmount] = args;
+        const { poolToken, symbol, decimals } = resolveToken(storeRef.current, network, tokenAddress);
+
+        // Pool caps repayment at the outstanding debt (interest included); don't pull more than that
+        const debt = getPosition(await loadPositions(), poolToken)?.debt ?? ethers.BigNumber.from(0);
+        if (debt.eq(0)) {
+          throw new Error(`No ${symbol} debt to repay`);
+        }
+
+        let amount = toRawAmount(repayAmount, decimals);
+        if (amount.gt(debt)) {
+          amount = debt;
+        }
+
+        const tokenContract = contracts.token(poolToken);
+        const balance = await tokenContract.balanceOf(wallet.account);
+        const steps = [];
+
+        // A WETH shortfall is wrapped from native ETH
+        if (balance.lt(amount)) {
+          if (!isWETH(poolToken)) {
+            throw new Error(`Insufficient ${symbol} balance. Have: ${ethers.utils.formatUnits(balance, decimals)}, Need: ${ethers.utils.formatUnits(amount, decimals)}`);
+          }
+          steps.push(wrapStep(contracts.weth, amount.sub(balance)));
+        }
+
+        return {
+          tag: "REPAY",
+          poolToken,
+          amount: displayAmount(amount, decimals, symbol),
+          steps: [
+            ...steps,
+            ...await allowanceSteps(tokenContract, amount, isWETH(poolToken) ? "WETH" : symbol),
+            planStep(`Repay ${symbol}`, contracts.pool, "repay", [poolToken, amount], { primary: true })
+          ]
+        };
+      }
+
+      case "approve": {
+        const [tokenAddress, approveAmount] = args;
+        const { poolToken, isNative, symbol, decimals } = resolveToken(storeRef.current, network, tokenAddress);
+        const amount = toRawAmount(approveAmount, decimals);
+
+        return {
+          tag: "APPROVE",
+          poolToken,
+          amount: displayAmount(amount, decimals, symbol),
+          steps: await allowanceSteps(contracts.token(poolToken), amount, isNative ? "WETH" : symbol)
+        };
+      }
+
+      case "liquidate": {
+        const [{ pool = poolAddress, user, debtToken, repayAmount, collateralToken }] = args;
+        const managerAddress = network.contracts.liquidationManager;
+        if (!managerAddress) {
+          throw new Error("Liquidations are not available on this network");
+        }
+
+        const manager = new ethers.Contract(managerAddress, abis.LiquidationManager, wallet.signer);
+        const poolContract = new ethers.Contract(pool, abis.IsolatedLendingPool, wallet.provider);
+        const oracle = new ethers.Contract(await poolContract.addressToTokenMap(), abis.AddressToTokenMapV2, wallet.provider);
+        const amount = ethers.BigNumber.from(repayAmount);
+        const debt = resolveToken(storeRef.current, network, debtToken);
+        const steps = [];
+        const overrides = {};
+
+        // Native ETH debt is sent as msg.value (the manager refunds any excess)
+        if (await oracle.isETH(debtToken)) {
+          const balance = await wallet.provider.getBalance(wallet.account);
+          if (balance.lt(amount)) {
+            throw new Error(`Insufficient ETH balance. Have: ${ethers.utils.formatEther(balance)}, Need: ${ethers.utils.formatEther(amount)}`);
+          }
+          overrides.value = amount;
+        } else {
+          const tokenContract = contracts.token(debtToken);
+          const balance = await tokenContract.balanceOf(wallet.account);
+          if (balance.lt(amount)) {
+            throw new Error("Insufficient balance to repay the debt");
+          }
+          steps.push(...await allowanceSteps(tokenContract, amount, debt.symbol, managerAddress));
+        }
+
+        return {
+          tag: "LIQUIDATE",
+          poolToken: debtToken,
+          collateralToken,
+          pool,
+          amount: displayAmount(amount, debt.decimals, debt.symbol),
+          steps: [
+            ...steps,
+            planStep("Liquidate", manager, "liquidate", [user, pool, debtToken, amount, collateralToken], { overrides, primary: true })
+          ]
+        };
+      }
+
+      case "withdrawReserves": {
+        const [{ pool = poolAddress, token, amount, to = wallet.account }] = args;
+        const poolContract = new ethers.Contract(pool, abis.IsolatedLendingPool, wallet.signer);
+        const { symbol, decimals } = resolveToken(storeRef.current, network, token);
+
+        return {
+          tag: "RESERVES",
+          poolToken: token,
+          pool,
+          amount: displayAmount(amount, decimals, symbol),
+          steps: [planStep("Withdraw reserves", poolContract, "withdrawReserves", [token, amount, to], { primary: true })]
+        };
+      }
+
+      default:
+        throw new Error(`Unknown action: ${action}`);
+    }
+  }, [network, poolAddress, wallet.signer, wallet.provider, wallet.account, getSignerContracts, loadPositions, isWETH, allowanceSteps, wrapStep, unwrapStep]);
+
+  /**
+   * Simulate an action without sending it: callStatic + estimateGas for every
+   * step, so the modal can show the fee and a decoded revert before the wallet prompt
+   * @returns {Promise<Object>} lib/preflight simulatePlan result plus fee (ETH string)
+   *   and feeUSD; { ok: false, error } also when the action's own checks fail
+   */
+  const preflight = useCallback(async (action, ...args) => {
+    try {
+      const plan = await planTransaction(action, ...args);
+      const simulation = await simulatePlan(wallet.provider, wallet.account, plan.steps);
+      if (!simulation.ok) return simulation;
+
+      const ethPrice = network.contracts.weth && getPriceInfo(storeRef.current.prices, network.contracts.weth);
+      return {
+        ...simulation,
+        fee: ethers.utils.formatEther(simulation.feeWei),
+        feeUSD: ethPrice ? toUSDNumber(simulation.feeWei, { ...ethPrice, decimals: 18 }) : null
+      };
+    } catch (error) {
+      return { ok: false, failedStep: null, error: decodeError(error), cause: error, steps: [] };
+    }
+  }, [network, wallet.provider, wallet.account, planTransaction]);
+
+  /**
+   * Refresh what our own transaction touched without waiting for the event poll;
+   * the token's wallet balances too, since wrapping/unwrapping emits no pool event
+   */
+  const applyReceipt = useCallback((receipt, poolToken) => {
+    const change = changesFromReceipt(receipt, poolAddress, wallet.account);
+    updates.schedule(mergeChanges(change, { ...emptyChange(), wallet: [poolToken.toLowerCase()] }));
+  }, [poolAddress, wallet.account, updates]);
+
+  /**
+   * Targeted refresh for a transaction that settled while no action awaited it (sent
+   * before a reload): what its receipt touched, else the token's wallet balances
+   */
+  const refreshSettled = useCallback((record, outcome) => {
+    if (outcome.receipt && record.pool?.toLowerCase() === poolAddress?.toLowerCase()) {
+      applyReceipt(outcome.receipt, record.token);
+    } else if (record.token) {
+      updates.schedule({ ...emptyChange(), wallet: [record.token.toLowerCase()] });
+    }
+  }, [poolAddress, applyReceipt, updates]);
+
+  const tracker = useTransactionTracker(wallet, refreshSettled);
+
+  /**
+   * Plan, simulate and send an action, recording each step it sends; `settle` applies its receipt
+   * @returns {Promise<Object>} { status: 200, message, txHash, gasUsed } or { status: 500, message }
+   */
+  const sendAction = useCallback(async (action, args, messages, settle) => {
+    let tag = action.toUpperCase();
+
+    try {
+      const plan = await planTransaction(action, ...args);
+      tag = plan.tag;
+
+      const { receipt } = await executePlan(wallet.provider, wallet.account, plan.steps, {
+        tag,
+        onSent: (step, transaction) => tracker.track(transaction, {
+          action: tag,
+          label: step.label,
+          token: plan.poolToken,
+          amount: plan.amount,
+          pool: plan.pool || poolAddress
+        }),
+        onSettled: (step, transaction, outcome) => tracker.settle(transaction.hash, outcome)
+      });
+      if (receipt) {
+        console.log(`✅ [${tag}] ${messages.success} Gas: ${receipt.gasUsed.toString()}`);
+        settle(receipt, plan);
+      }
+
+      return {
+        status: 200,
+        message: messages.success,
+        txHash: receipt?.transactionHash,
+        gasUsed: receipt?.gasUsed.toString()
+      };
+
+    } catch (error) {
+      console.error(`❌ [${tag}] ${messages.failure}:`, error);
+      return {
+        status: 500,
+        message: formatError(error, messages.failure)
+      };
+    }
+  }, [wallet.provider, wallet.account, poolAddress, planTransaction, tracker.track, tracker.settle]);
+
+  const settlePool = useCallback((receipt, plan) => applyReceipt(receipt, plan.poolToken), [applyReceipt]);
+
+  /**
+   * Supply to the pool - ETH is wrapped to WETH first
+   */
+  const lend = useCallback((tokenAddress, supplyAmount) => {
+    console.log(`💰 [LEND] Supplying ${supplyAmount} of ${tokenAddress}...`);
+    return sendAction("lend", [tokenAddress, supplyAmount], { success: "Supply successful!", failure: "Supply failed" }, settlePool);
+  }, [sendAction, settlePool]);
+
+  /**
+   * Withdraw from the pool - WETH is unwrapped back to ETH
+   */
+  const withdraw = useCallback((tokenAddress, withdrawAmount) => {
+    console.log(`💸 [WITHDRAW] Withdrawing ${withdrawAmount} of ${tokenAddress}...`);
+    return sendAction("withdraw", [tokenAddress, withdrawAmount], { success: "Withdrawal successful!", failure: "Withdrawal failed" }, settlePool);
+  }, [sendAction, settlePool]);
+
+  /**
+   * Borrow from the pool - ETH is borrowed as WETH and unwrapped
+   */
+  const borrow = useCallback((tokenAddress, borrowAmount) => {
+    console.log(`💰 [BORROW] Borrowing ${borrowAmount} of ${tokenAddress}...`);
+    return sendAction("borrow", [tokenAddress, borrowAmount], { success: "Borrow successful!", failure: "Borrow failed" }, settlePool);
+  }, [sendAction, settlePool]);
+
+  /**
+   * Repay debt - a WETH shortfall is wrapped from native ETH
+   */
+  const repay = useCallback((tokenAddress, repayAmount) => {
+    console.log(`💳 [REPAY] Repaying ${repayAmount} of ${tokenAddress}...`);
+    return sendAction("repay", [tokenAddress, repayAmount], { success: "Repay successful!", failure: "Repay failed" }, settlePool);
+  }, [sendAction, settlePool]);
+
+  /**
+   * Pre-approve the pool for a token amount
+   */
+  const approve = useCallback((tokenAddress, approveAmount) => {
+    console.log(`📝 [APPROVE] Approving ${approveAmount} of ${tokenAddress}...`);
+    return sendAction("approve", [tokenAddress, approveAmount], { success: "Approved", failure: "Approval failed" }, () => {});
+  }, [sendAction]);
+
+  /**
+   * Liquidate `user` in `pool` through the LiquidationManager.
+   * Amounts are raw pool-token units; native ETH debt is sent as msg.value
+   * (the manager refunds any excess) and seized native ETH arrives as ETH.
+   */
+  const liquidate = useCallback((params) => {
+    console.log(`🔨 [LIQUIDATE] Repaying ${params.repayAmount.toString()} of ${params.debtToken} for ${params.user}...`);
+    return sendAction("liquidate", [params], { success: "Liquidation successful!", failure: "Liquidation failed" }, (receipt, plan) => {
+      applyReceipt(receipt, plan.poolToken);
+      updates.schedule({ ...emptyChange(), wallet: [plan.collateralToken.toLowerCase()] });
+    });
+  }, [sendAction, applyReceipt, updates]);
+
+  /**
+   * Send `amount` (raw pool-token units) of `pool`'s reserves to `to`; needs TREASURY_ROLE.
+   * Native ETH reserves arrive as ETH.
+   */
+  const withdrawReserves = useCallback((params) => {
+    console.log(`🏦 [RESERVES] Withdrawing ${params.amount.toString()} of ${params.token} from ${params.pool || poolAddress}...`);
+    return sendAction("withdrawReserves", [params], { success: "Reserves withdrawn!", failure: "Reserve withdrawal failed" }, (receipt, plan) => {
+      if (plan.pool.toLowerCase() === poolAddress?.toLowerCase()) {
+        applyReceipt(receipt, plan.poolToken);
+      }
+    });
+  }, [poolAddress, sendAction, applyReceipt]);
+
+  /**
+   * USD value of an amount (raw, or typed in token units), priced from the oracle
+   */
+  const getAmountInUSD = useCallback(async (tokenAddress, amount) => {
+    if (!network) return 0;
+
+    const { poolToken, decimals } = resolveToken(storeRef.current, network, tokenAddress);
+    const raw = parseAmount(amount, decimals);
+    if (!raw) return 0;
+
+    let priceInfo = getPriceInfo(storeRef.current.prices, poolToken);
+    if (!priceInfo) {
+      priceInfo = getPriceInfo(await fetchTokenPrices(wallet.provider, oracleAddress, [poolToken], { batch }), poolToken);
+    }
+
+    return toUSDNumber(raw, priceInfo && { ...priceInfo, decimals });
+  }, [network, oracleAddress, wallet.provider, batch]);
+
+  return {
+    wallet,
+    network,
+    store,
+    pools,
+    poolAddress,
+    oracleAddress,
+    selectPool,
+    isSyncing,
+    lastSyncTime,
+    syncError,
+    connectWallet,
+    refresh,
+    loadMarkets,
+    loadPositions,
+    loadWallet,
+    loadPools,
+    lend,
+    withdraw,
+    borrow,
+    repay,
+    approve,
+    liquidate,
+    withdrawReserves,
+    preflight,
+    transactions: tracker.transactions,
+    pendingTransactions: tracker.pendingCount,
+    clearTransactions: tracker.clearFinished,
+    getAmountInUSD
+  };
+};
@@ -0,0 +1,34 @@
+import { useContext, useMemo } from 'react';
+import { ethers } from 'ethers';
+import LendContext from '../context/lendContext';
+import { getPriceInfo } from '../lib/pricing';
+import { getAccountTotals, getLiquidationPrices } from '../lib/healthFactor';
+
+/**
+ * Price of each collateral token at which the user's health factor hits 1.0,
+ * from live oracle prices and LendingConfigV2 liquidation thresholds
+ */
+export const useLiquidationPrices = () => {
+  const { lendData } = useContext(LendContext);
+  const { store, network } = lendData;
+
+  return useMemo(() => {
+    const totals = getAccountTotals(store);
+    const weth = network?.contracts.weth?.toLowerCase();
+
+    const prices = getLiquidationPrices(store, totals).map((entry) => {
+      const priceInfo = getPriceInfo(store.prices, entry.token);
+
+      return {
+        token: entry.token,
+        symbol: entry.token === weth ? "ETH" : priceInfo?.symbol || "UNKNOWN",
+        price: parseFloat(ethers.utils.formatEther(entry.price)),
+        liquidationPrice: entry.liquidationPrice && parseFloat(ethers.utils.formatEther(entry.liquidationPrice)),
+        dropPercent: entry.dropPercent,
+        isPriceStale: Boolean(priceInfo?.isStale)
+      };
+    });
+
+    return { prices, hasDebt: totals.debtUSD.gt(0) };
+  }, [store, network]);
+};
@@ -0,0 +1,118 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { ethers } from "ethers";
+import abis from "../lib/abis";
+import { emptyIndex } from "../lib/borrowerIndex";
+import { fetchAtRiskPositions } from "../lib/liquidations";
+import { createBatcher } from "../lib/multicall";
+import { fullChange, createUpdateQueue } from "../lib/poolEvents";
+
+// Events that move health factors of other accounts (prices are re-read on every load)
+const REFRESH_EVENTS = ["Liquidate", "Accrue"];
+
+/**
+ * At-risk positions across every factory pool for the liquidation dashboard.
+ * Borrowers are discovered incrementally from pool events, and the list reloads
+ * whenever a pool emits Liquidate or Accrue.
+ * @param lendData the data layer (hooks/useLendData): wallet, network, pools and liquidate
+ */
+export const useLiquidations = ({ wallet, network, pools, liquidate }) => {
+  const [positions, setPositions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const indexRef = useRef(emptyIndex());
+  const loadRef = useRef(null);
+
+  const managerAddress = network?.contracts.liquidationManager || null;
+  const poolKey = pools.map((pool) => pool.address).join(",");
+  const poolAddresses = useMemo(() => (poolKey ? poolKey.split(",") : []), [poolKey]);
+
+  const batch = useMemo(() => {
+    if (!wallet.provider || !network) return null;
+    return createBatcher(wallet.provider, network.contracts.multicall);
+  }, [wallet.provider, network]);
+
+  const load = useCallback(async () => {
+    if (!batch || !managerAddress || poolAddresses.length === 0) return;
+
+    console.log(`🔍 [LIQUIDATIONS] Scanning ${poolAddresses.length} pools for at-risk positions...`);
+    setIsLoading(true);
+    try {
+      const nativeToken = network.tokens.find((token) => token.isNative);
+      const result = await fetchAtRiskPositions(wallet.provider, poolAddresses, indexRef.current, {
+        liquidationManager: managerAddress,
+        gasToken: network.contracts.weth || nativeToken?.poolToken,
+        batch
+      });
+
+      console.log(`✅ [LIQUIDATIONS] ${result.length} at-risk positions`);
+      setPositions(result);
+      setError(null);
+      setLastUpdate(new Date());
+    } catch (loadError) {
+      console.error("❌ [LIQUIDATIONS] Load failed:", loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [wallet.provider, network, managerAddress, poolAddresses, batch]);
+  loadRef.current = load;
+
+  // Overlapping event bursts collapse into one reload
+  const updates = useMemo(() => createUpdateQueue(() => loadRef.current()), []);
+  const refresh = useCallback(() => updates.schedule(fullChange()), [updates]);
+
+  // A new network starts a new borrower index
+  useEffect(() => {
+    indexRef.current = emptyIndex();
+    setPositions([]);
+  }, [network]);
+
+  useEffect(() => {
+    refresh();
+  }, [load, refresh]);
+
+  useEffect(() => {
+    if (!wallet.provider || poolAddresses.length === 0) return;
+
+    const subscriptions = poolAddresses.flatMap((address) => {
+      const pool = new ethers.Contract(address, abis.IsolatedLendingPool, wallet.provider);
+      return REFRESH_EVENTS.map((eventName) => {
+        const listener = () => {
+          console.log(`📥 [LIQUIDATIONS] ${eventName} in pool ${address}`);
+          refresh();
+        };
+        pool.on(eventName, listener);
+        return () => pool.off(eventName, listener);
+      });
+    });
+
+    return () => subscriptions.forEach((unsubscribe) => unsubscribe());
+  }, [wallet.provider, poolAddresses, refresh]);
+
+  /**
+   * Liquidate one candidate of a listed position from the connected wallet
+   */
+  const liquidatePosition = useCallback(async (position, candidate = position.plan) => {
+    const result = await liquidate({
+      pool: position.pool,
+      user: position.user,
+      debtToken: candidate.debtToken,
+      repayAmount: candidate.repayAmount,
+      collateralToken: candidate.collateralToken
+    });
+
+    if (result.status === 200) refresh();
+    return result;
+  }, [liquidate, refresh]);
+
+  return {
+    positions,
+    isLoading,
+    error,
+    lastUpdate,
+    isAvailable: Boolean(managerAddress),
+    refresh,
+    liquidatePosition
+  };
+};
@@ -0,0 +1,59 @@
+import { useCallback, useContext, useEffect, useState } from 'react';
+import LendContext from '../context/lendContext';
+import { resolveToken } from '../lib/positionStore';
+import { parseAmount } from '../lib/tokenAmounts';
+
+// Wait for typing to pause before simulating
+const DEBOUNCE_MS = 400;
+
+const IDLE = { status: "idle" };
+const PENDING = { status: "pending" };
+
+/**
+ * Simulated fee and revert reason of a modal's action before the wallet prompt
+ * (useLendData.preflight: callStatic + estimateGas of every transaction it sends)
+ * @param action  "lend" | "withdraw" | "borrow" | "repay"
+ * @param address UI token address (ETH resolves to its pool token)
+ * @param value   amount as typed, in token units
+ * @returns status "idle" | "pending" | "ready" | "failed", fee (ETH), feeUSD, approximate,
+ *   error (lib/contractErrors), failedStep, canSend, and recheck() after an earlier step is sent
+ */
+export const usePreflight = (action, address, value) => {
+  const { lendData } = useContext(LendContext);
+  const { store, network, wallet, preflight } = lendData;
+  const [result, setResult] = useState(IDLE);
+  const [nonce, setNonce] = useState(0);
+
+  const { decimals } = resolveToken(store, network, address);
+  const complete = Boolean(parseAmount(value, decimals));
+
+  useEffect(() => {
+    if (!complete || !wallet.account) {
+      setResult(IDLE);
+      return;
+    }
+
+    let cancelled = false;
+    setResult(PENDING);
+
+    const timer = setTimeout(async () => {
+      const simulation = await preflight(action, address, value);
+      if (!cancelled) {
+        setResult({ ...simulation, status: simulation.ok ? "ready" : "failed" });
+      }
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [action, address, value, complete, nonce, wallet.account, preflight]);
+
+  const recheck = useCallback(() => setNonce((n) => n + 1), []);
+
+  return {
+    ...result,
+    canSend: result.status === "ready",
+    recheck
+  };
+};
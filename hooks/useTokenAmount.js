@@ -0,0 +1,31 @@
+import { useContext, useMemo } from 'react';
+import LendContext from '../context/lendContext';
+import { resolveToken } from '../lib/positionStore';
+import { parseAmount, sanitizeAmountInput, toAmountString, formatAmount } from '../lib/tokenAmounts';
+
+/**
+ * Parse and format amounts of one token in its own decimals (read on-chain when
+ * its market loads), so modals never pass token amounts through JS numbers
+ * @param address UI token address (ETH resolves to its pool token)
+ */
+export const useTokenAmount = (address) => {
+  const { lendData } = useContext(LendContext);
+  const { store, network } = lendData;
+
+  return useMemo(() => {
+    const { decimals, symbol } = resolveToken(store, network, address);
+
+    return {
+      decimals,
+      symbol,
+      // Typed string -> raw BigNumber, null unless a complete amount
+      parse: (value) => parseAmount(value, decimals),
+      // Keystroke -> input value, null to ignore it
+      sanitize: (input) => sanitizeAmountInput(input, decimals),
+      // Raw BigNumber -> exact input value (MAX buttons)
+      toInput: (raw) => toAmountString(raw, decimals),
+      // Raw BigNumber -> display string
+      format: (raw, options) => formatAmount(raw, decimals, options)
+    };
+  }, [store, network, address]);
+};
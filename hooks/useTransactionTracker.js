@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  STATUS,
+  storageKey,
+  createTxStore,
+  recordTransaction,
+  checkTransaction
+} from '../lib/txTracker';
+
+/**
+ * Transactions sent from this browser for the connected chain and account
+ * (lib/txTracker), persisted across reloads. Pending ones not awaited by a
+ * running action - i.e. sent before a reload - are re-checked every block and
+ * handed to `onRecovered(record, outcome)` once they settle.
+ * @param wallet      useLendData wallet ({ provider, account, chainId })
+ * @param onRecovered targeted refresh for a transaction that settled while no action awaited it
+ */
+export const useTransactionTracker = (wallet, onRecovered) => {
+  const [transactions, setTransactions] = useState([]);
+
+  const txStore = useMemo(() => {
+    if (typeof window === "undefined" || !wallet.account || !wallet.chainId) return null;
+    return createTxStore(window.localStorage, storageKey(wallet.chainId, wallet.account));
+  }, [wallet.chainId, wallet.account]);
+
+  // Hashes a running action is waiting on itself, and outcomes that beat their record to storage
+  const live = useRef(new Set());
+  const early = useRef(new Map());
+  const recoveredRef = useRef(onRecovered);
+  recoveredRef.current = onRecovered;
+
+  useEffect(() => {
+    setTransactions(txStore ? txStore.list() : []);
+  }, [txStore]);
+
+  /**
+   * Record a step as it is sent (lib/preflight executePlan onSent)
+   */
+  const track = useCallback(async (transaction, details) => {
+    live.current.add(transaction.hash);
+    if (!txStore) return;
+
+    try {
+      const record = await recordTransaction(wallet.provider, transaction, details);
+      const outcome = early.current.get(transaction.hash);
+      early.current.delete(transaction.hash);
+      setTransactions(txStore.add({ ...record, ...outcome }));
+    } catch (error) {
+      console.warn(`⚠️ [TX] Could not record ${transaction.hash}:`, error.message);
+    }
+  }, [txStore, wallet.provider]);
+
+  /**
+   * Store a tracked step's outcome (lib/preflight executePlan onSettled)
+   */
+  const settle = useCallback((hash, outcome) => {
+    live.current.delete(hash);
+    if (!txStore) return;
+
+    const patch = { status: outcome.status, replacedBy: outcome.replacedBy, settledAt: Date.now() };
+    if (!txStore.list().some((record) => record.hash === hash)) {
+      early.current.set(hash, patch);
+      return;
+    }
+    setTransactions(txStore.update(hash, patch));
+  }, [txStore]);
+
+  const clearFinished = useCallback(() => {
+    if (txStore) setTransactions(txStore.clearFinished());
+  }, [txStore]);
+
+  // Resume watching what is still pending, now and on every new block
+  useEffect(() => {
+    if (!txStore || !wallet.provider) return;
+
+    let cancelled = false;
+    let running = false;
+
+    const recheck = async () => {
+      if (running) return;
+      running = true;
+
+      try {
+        const pending = txStore.list().filter((record) => record.status === STATUS.PENDING && !live.current.has(record.hash));
+        for (const record of pending) {
+          const outcome = await checkTransaction(wallet.provider, record);
+          if (cancelled) return;
+          if (outcome.status === STATUS.PENDING) continue;
+
+          console.log(`🧾 [TX] ${record.label || record.hash} ${outcome.status}${outcome.replacedBy ? ` (by ${outcome.replacedBy})` : ""}`);
+          setTransactions(txStore.update(record.hash, {
+            status: outcome.status,
+            replacedBy: outcome.replacedBy,
+            settledAt: Date.now()
+          }));
+          recoveredRef.current(record, outcome);
+        }
+      } catch (error) {
+        console.warn("⚠️ [TX] Could not check pending transactions:", error.message);
+      } finally {
+        running = false;
+      }
+    };
+
+    recheck();
+    wallet.provider.on("block", recheck);
+
+    return () => {
+      cancelled = true;
+      wallet.provider.off("block", recheck);
+    };
+  }, [txStore, wallet.provider]);
+
+  return {
+    transactions,
+    pendingCount: transactions.filter((record) => record.status === STATUS.PENDING).length,
+    track,
+    settle,
+    clearFinished
+  };
+};
@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback, useRef, useMemo } from "react";
+import { ethers } from "ethers";
+import abis from "../lib/abis";
+import { createBatcher } from "../lib/multicall";
+import { fullChange, createUpdateQueue } from "../lib/poolEvents";
+import { fetchTreasury } from "../lib/treasury";
+
+// Events that move reserves or the cash backing them
+const REFRESH_EVENTS = ["Reserves", "ReservesWithdrawn"];
+
+/**
+ * Reserves of every factory pool for the treasury view, reloaded whenever a
+ * pool books or pays out reserves.
+ * @param lendData the data layer (hooks/useLendData): wallet, network, pools and withdrawReserves
+ */
+export const useTreasury = ({ wallet, network, pools, withdrawReserves }) => {
+  const [reserves, setReserves] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const loadRef = useRef(null);
+
+  const poolKey = pools.map((pool) => pool.address).join(",");
+  const poolAddresses = useMemo(() => (poolKey ? poolKey.split(",") : []), [poolKey]);
+
+  const batch = useMemo(() => {
+    if (!wallet.provider || !network) return null;
+    return createBatcher(wallet.provider, network.contracts.multicall);
+  }, [wallet.provider, network]);
+
+  const load = useCallback(async () => {
+    if (!batch || poolAddresses.length === 0) return;
+
+    console.log(`🏦 [TREASURY] Loading reserves of ${poolAddresses.length} pools...`);
+    setIsLoading(true);
+    try {
+      const result = await fetchTreasury(wallet.provider, poolAddresses, { account: wallet.account, batch });
+      setReserves(result);
+      setError(null);
+      setLastUpdate(new Date());
+    } catch (loadError) {
+      console.error("❌ [TREASURY] Load failed:", loadError);
+      setError(loadError.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [wallet.provider, wallet.account, poolAddresses, batch]);
+  loadRef.current = load;
+
+  // Overlapping event bursts collapse into one reload
+  const updates = useMemo(() => createUpdateQueue(() => loadRef.current()), []);
+  const refresh = useCallback(() => updates.schedule(fullChange()), [updates]);
+
+  useEffect(() => {
+    refresh();
+  }, [load, refresh]);
+
+  useEffect(() => {
+    if (!wallet.provider || poolAddresses.length === 0) return;
+
+    const subscriptions = poolAddresses.flatMap((address) => {
+      const pool = new ethers.Contract(address, abis.IsolatedLendingPool, wallet.provider);
+      return REFRESH_EVENTS.map((eventName) => {
+        const listener = () => {
+          console.log(`📥 [TREASURY] ${eventName} in pool ${address}`);
+          refresh();
+        };
+        pool.on(eventName, listener);
+        return () => pool.off(eventName, listener);
+      });
+    });
+
+    return () => subscriptions.forEach((unsubscribe) => unsubscribe());
+  }, [wallet.provider, poolAddresses, refresh]);
+
+  /**
+   * Withdraw one market's reserves to the connected wallet
+   */
+  const withdraw = useCallback(async (pool, market, amount = market.withdrawable) => {
+    const result = await withdrawReserves({ pool, token: market.token, amount });
+    if (result.status === 200) refresh();
+    return result;
+  }, [withdrawReserves, refresh]);
+
+  return {
+    reserves,
+    isLoading,
+    error,
+    lastUpdate,
+    canWithdraw: reserves.some((pool) => pool.canWithdraw),
+    refresh,
+    withdraw
+  };
+};
@@ -0,0 +1,36 @@
+/**
+ * Contract ABIs shared by the frontend, keeper and scripts.
+ * Generated from Hardhat artifacts into abis/v2 by `npm run abis`; never edit by hand.
+ */
+
+const IsolatedLendingPool = require("../abis/v2/IsolatedLendingPool.json").abi;
+const LendingConfigV2 = require("../abis/v2/LendingConfigV2.json").abi;
+const AddressToTokenMapV2 = require("../abis/v2/AddressToTokenMapV2.json").abi;
+const PoolFactory = require("../abis/v2/PoolFactory.json").abi;
+const LendingHelper = require("../abis/v2/LendingHelper.json").abi;
+const LiquidationManager = require("../abis/v2/LiquidationManager.json").abi;
+const KeeperAdapter = require("../abis/v2/KeeperAdapter.json").abi;
+const Multicall = require("../abis/v2/Multicall.json").abi;
+const FlashLiquidator = require("../abis/v2/FlashLiquidator.json").abi;
+const FlashLender = require("../abis/v2/IERC3156FlashLender.json").abi;
+const AMM = require("../abis/v2/IAMM.json").abi;
+const ERC20 = require("../abis/v2/ERC20Mintable.json").abi;
+const WETH = require("../abis/v2/WETH9.json").abi;
+const Errors = require("../abis/v2/Errors.json").abi;
+
+module.exports = {
+  IsolatedLendingPool,
+  LendingConfigV2,
+  AddressToTokenMapV2,
+  PoolFactory,
+  LendingHelper,
+  LiquidationManager,
+  KeeperAdapter,
+  Multicall,
+  FlashLiquidator,
+  FlashLender,
+  AMM,
+  ERC20,
+  WETH,
+  Errors
+};
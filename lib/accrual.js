@@ -0,0 +1,149 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { PRECISION, accrualFactor, fetchPoolRates } = require("./interestRates");
+const { createBatcher } = require("./multicall");
+
+/**
+ * Client-side projection of IsolatedLendingPool._accrue and the lazy
+ * _applySupplyInterest/_applyBorrowInterest, mirroring previewSupplyBalance/previewDebt.
+ */
+
+const { BigNumber } = ethers;
+
+/**
+ * Indexes the next _accrue would write at `timestamp`
+ * @param rateInfo entry from fetchPoolRates (token state + rates)
+ */
+const previewIndexes = (rateInfo, timestamp) => {
+  const elapsed = timestamp - rateInfo.lastAccrue;
+
+  if (elapsed <= 0 || BigNumber.from(rateInfo.borrows).isZero()) {
+    return { indexSupply: rateInfo.indexSupply, indexBorrow: rateInfo.indexBorrow };
+  }
+
+  return {
+    indexSupply: BigNumber.from(rateInfo.indexSupply).mul(accrualFactor(rateInfo.supplyRate, elapsed)).div(PRECISION),
+    indexBorrow: BigNumber.from(rateInfo.indexBorrow).mul(accrualFactor(rateInfo.borrowRate, elapsed)).div(PRECISION)
+  };
+};
+
+/**
+ * Reserves the next _accrue would book by `timestamp`: the reserve factor's
+ * share of the interest on borrows, mirroring previewReserves
+ * @param rateInfo entry from fetchPoolRates (token state + rates)
+ */
+const previewReserves = (rateInfo, timestamp) => {
+  const reserves = BigNumber.from(rateInfo.totalReserves || 0);
+  const borrows = BigNumber.from(rateInfo.borrows);
+  if (borrows.isZero()) return reserves;
+
+  const { indexBorrow } = previewIndexes(rateInfo, timestamp);
+  const interest = borrows.mul(BigNumber.from(indexBorrow).sub(rateInfo.indexBorrow)).div(rateInfo.indexBorrow);
+  return reserves.add(interest.mul(rateInfo.reserveFactor).div(PRECISION));
+};
+
+/**
+ * Scale a stored balance from the user's index to the current index
+ */
+const projectBalance = (amount, userIndex, currentIndex) => {
+  amount = BigNumber.from(amount);
+  userIndex = BigNumber.from(userIndex);
+
+  if (userIndex.isZero() || userIndex.eq(currentIndex)) return amount;
+
+  const interestFactor = BigNumber.from(currentIndex).mul(PRECISION).div(userIndex);
+  return amount.mul(interestFactor).div(PRECISION);
+};
+
+/**
+ * Projected supply/debt of a position (from fetchAccruedPositions) at `timestamp`
+ */
+const projectPosition = (position, rateInfo, timestamp) => {
+  const { indexSupply, indexBorrow } = previewIndexes(rateInfo, timestamp);
+
+  return {
+    ...position,
+    supplied: projectBalance(position.storedSupplied, position.supplyIndex, indexSupply),
+    debt: projectBalance(position.storedDebt, position.borrowIndex, indexBorrow),
+    timestamp
+  };
+};
+
+/**
+ * Re-project every position to `timestamp` without touching the chain
+ */
+const reprojectPositions = (positions, rates, timestamp) => {
+  const result = {};
+
+  for (const [token, position] of Object.entries(positions)) {
+    const rateInfo = rates[token];
+    result[token] = rateInfo ? projectPosition(position, rateInfo, timestamp) : position;
+  }
+
+  return result;
+};
+
+/**
+ * Timestamp the next transaction will accrue at: wall clock, or chain time if it runs ahead
+ */
+const getProjectionTimestamp = async (provider) => {
+  const block = await provider.getBlock("latest");
+  return Math.max(block.timestamp, Math.floor(Date.now() / 1000));
+};
+
+/**
+ * Stored and projected supply/debt of `user` for every pool token
+ * @param options.rates     rates from fetchPoolRates, fetched when omitted
+ * @param options.timestamp projection timestamp, getProjectionTimestamp when omitted
+ * @param options.batch     batcher from lib/multicall (defaults to parallel calls)
+ * @returns {Promise<Object>} positions keyed by lowercase token address
+ */
+const fetchAccruedPositions = async (provider, poolAddress, user, options = {}) => {
+  if (!provider || !poolAddress || !user) return {};
+
+  const batch = options.batch || createBatcher(provider);
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+  const [rates, timestamp] = await Promise.all([
+    options.rates || fetchPoolRates(provider, poolAddress, null, { batch }),
+    options.timestamp || getProjectionTimestamp(provider)
+  ]);
+
+  const positions = await Promise.all(Object.values(rates).map(async (rateInfo) => {
+    const [storedSupplied, storedDebt, supplyIndex, borrowIndex] = await Promise.all([
+      batch.call(pool, "supplied", user, rateInfo.token),
+      batch.call(pool, "debts", user, rateInfo.token),
+      batch.call(pool, "supplyIndexes", user, rateInfo.token),
+      batch.call(pool, "borrowIndexes", user, rateInfo.token)
+    ]);
+
+    return projectPosition(
+      { token: rateInfo.token, storedSupplied, storedDebt, supplyIndex, borrowIndex },
+      rateInfo,
+      timestamp
+    );
+  }));
+
+  return positions.reduce((result, position) => {
+    result[position.token] = position;
+    return result;
+  }, {});
+};
+
+/**
+ * Case-insensitive lookup into a position map
+ */
+const getPosition = (positions, token) => {
+  if (!positions || !token) return null;
+  return positions[token.toLowerCase()] || null;
+};
+
+module.exports = {
+  previewIndexes,
+  previewReserves,
+  projectBalance,
+  projectPosition,
+  reprojectPositions,
+  getProjectionTimestamp,
+  fetchAccruedPositions,
+  getPosition
+};
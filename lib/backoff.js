@@ -0,0 +1,50 @@
+/**
+ * Per-key exponential backoff: after n consecutive failures a key is skipped for
+ * baseMs * 2^(n-1), capped at maxMs, and a success clears it. The keeper keys it
+ * by pool and user so one unliquidatable position cannot eat every run.
+ */
+
+/**
+ * @param options.baseMs delay after the first failure
+ * @param options.maxMs  longest delay
+ * @param options.now    clock in ms, for tests
+ */
+const createBackoff = ({ baseMs, maxMs, now = Date.now }) => {
+  const entries = new Map();
+
+  /**
+   * Record a failure
+   * @returns {{ failures: number, retryAt: number }}
+   */
+  const failure = (key) => {
+    const failures = (entries.get(key)?.failures || 0) + 1;
+    const delay = Math.min(baseMs * 2 ** (failures - 1), maxMs);
+    const entry = { failures, retryAt: now() + delay };
+    entries.set(key, entry);
+    return entry;
+  };
+
+  const success = (key) => {
+    entries.delete(key);
+  };
+
+  /**
+   * True while the key's delay has not elapsed
+   */
+  const isBlocked = (key) => {
+    const entry = entries.get(key);
+    return Boolean(entry) && entry.retryAt > now();
+  };
+
+  return {
+    failure,
+    success,
+    isBlocked,
+    get: (key) => entries.get(key) || null,
+    blockedCount: () => [...entries.keys()].filter(isBlocked).length
+  };
+};
+
+module.exports = {
+  createBackoff
+};
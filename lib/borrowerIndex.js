@@ -0,0 +1,180 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+/**
+ * Borrower discovery for the keeper. Every account that ever appeared in a
+ * Borrow, Repay or Liquidate event of a pool is a candidate for liquidation;
+ * the set is built from historical logs, kept current from live events and
+ * checkpointed per pool so a restart only scans blocks it has not seen.
+ *
+ * index = {
+ *   fromBlock: first block scanned for a pool seen for the first time,
+ *   pools: { [pool]: { lastBlock, borrowers: [address] } }   (lowercase pool keys)
+ * }
+ */
+
+const BORROWER_EVENTS = ["Borrow", "Repay", "Liquidate"];
+const DEFAULT_CHUNK_SIZE = 5000;
+const DEFAULT_SYNC_BATCH_SIZE = 50;
+
+const poolInterface = new ethers.utils.Interface(abis.IsolatedLendingPool);
+const BORROWER_TOPICS = BORROWER_EVENTS.map((name) => poolInterface.getEventTopic(name));
+
+const emptyIndex = (fromBlock = 0) => ({ fromBlock, pools: {} });
+
+const getPoolEntry = (index, pool) => {
+  const key = pool.toLowerCase();
+  if (!index.pools[key]) {
+    index.pools[key] = { lastBlock: index.fromBlock - 1, borrowers: [] };
+  }
+  return index.pools[key];
+};
+
+/**
+ * Known borrowers of a pool (checksummed)
+ */
+const getBorrowers = (index, pool) => {
+  const entry = index.pools[pool.toLowerCase()];
+  return entry ? entry.borrowers.slice() : [];
+};
+
+/**
+ * Add a borrower to a pool's set
+ * @returns true when the borrower was not known yet
+ */
+const addBorrower = (index, pool, user) => {
+  const entry = getPoolEntry(index, pool);
+  const address = ethers.utils.getAddress(user);
+  if (entry.borrowers.includes(address)) return false;
+
+  entry.borrowers.push(address);
+  return true;
+};
+
+/**
+ * Borrower named by a parsed Borrow/Repay/Liquidate event, null for any other event
+ */
+const borrowerFromEvent = (event) => {
+  const name = event.event || event.name;
+  return BORROWER_EVENTS.includes(name) ? event.args.user : null;
+};
+
+/**
+ * Read a checkpoint file; a missing or unreadable file starts a fresh index
+ */
+const loadIndex = (filePath, fromBlock = 0) => {
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return { fromBlock: saved.fromBlock ?? fromBlock, pools: saved.pools || {} };
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`⚠️ [DISCOVERY] Ignoring unreadable checkpoint ${filePath}: ${error.message}`);
+    }
+    return emptyIndex(fromBlock);
+  }
+};
+
+/**
+ * Write a checkpoint file atomically (write to a temp file, then rename)
+ */
+const saveIndex = (filePath, index) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(index, null, 2));
+  fs.renameSync(tempPath, filePath);
+};
+
+/**
+ * Scan each pool's borrower events from its checkpoint up to `toBlock`, in block chunks.
+ * The checkpoint advances after every chunk, so an interrupted scan resumes where it stopped.
+ * @param options.toBlock   last block to scan (defaults to the latest block)
+ * @param options.chunkSize blocks per getLogs request
+ * @param options.onChunk   called after each chunk (e.g. to save the checkpoint)
+ * @returns {Promise<Array<{pool, user}>>} borrowers discovered by this scan
+ */
+const scanBorrowers = async (provider, pools, index, options = {}) => {
+  const toBlock = options.toBlock ?? await provider.getBlockNumber();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const discovered = [];
+
+  for (const pool of pools) {
+    const entry = getPoolEntry(index, pool);
+
+    for (let start = entry.lastBlock + 1; start <= toBlock; start += chunkSize) {
+      const end = Math.min(start + chunkSize - 1, toBlock);
+      const logs = await provider.getLogs({
+        address: pool,
+        topics: [BORROWER_TOPICS],
+        fromBlock: start,
+        toBlock: end
+      });
+
+      for (const log of logs) {
+        const user = borrowerFromEvent(poolInterface.parseLog(log));
+        if (user && addBorrower(index, pool, user)) {
+          discovered.push({ pool, user: ethers.utils.getAddress(user) });
+        }
+      }
+
+      entry.lastBlock = end;
+      if (options.onChunk) await options.onChunk(index);
+    }
+  }
+
+  return discovered;
+};
+
+/**
+ * Listen for borrower events on every pool
+ * @param onBorrower called with (pool, user) for each event
+ * @returns unsubscribe function removing exactly these listeners
+ */
+const watchBorrowers = (provider, pools, onBorrower) => {
+  const subscriptions = pools.map((pool) => {
+    const filter = { address: pool, topics: [BORROWER_TOPICS] };
+    const listener = (log) => {
+      const user = borrowerFromEvent(poolInterface.parseLog(log));
+      if (user) onBorrower(pool, user);
+    };
+    provider.on(filter, listener);
+    return [filter, listener];
+  });
+
+  return () => {
+    subscriptions.forEach(([filter, listener]) => provider.off(filter, listener));
+  };
+};
+
+/**
+ * Register discovered borrowers the KeeperAdapter does not track yet, in batchAddUsers batches
+ * @param keeperAdapter KeeperAdapter connected to an ADMIN_ROLE signer
+ * @returns {Promise<number>} number of users added
+ */
+const syncKeeperAdapter = async (keeperAdapter, pool, borrowers, batchSize = DEFAULT_SYNC_BATCH_SIZE) => {
+  const tracked = new Set((await keeperAdapter.getTrackedUsers(pool)).map((user) => user.toLowerCase()));
+  const pending = borrowers.filter((user) => !tracked.has(user.toLowerCase()));
+
+  for (let i = 0; i < pending.length; i += batchSize) {
+    const batch = pending.slice(i, i + batchSize);
+    const tx = await keeperAdapter.batchAddUsers(pool, batch);
+    await tx.wait();
+    console.log(`👥 [DISCOVERY] Registered ${batch.length} borrowers for pool ${pool} in KeeperAdapter`);
+  }
+
+  return pending.length;
+};
+
+module.exports = {
+  BORROWER_EVENTS,
+  emptyIndex,
+  getBorrowers,
+  addBorrower,
+  borrowerFromEvent,
+  loadIndex,
+  saveIndex,
+  scanBorrowers,
+  watchBorrowers,
+  syncKeeperAdapter
+};
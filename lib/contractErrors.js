@@ -0,0 +1,222 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+/**
+ * Human-readable contract failures. Revert data is decoded against the custom
+ * errors of contracts/libraries/Errors.sol plus the standard Error(string) and
+ * Panic(uint256) payloads; OpenZeppelin reason strings (Pausable, AccessControl,
+ * ERC20 allowance/balance) and wallet errors get the same { message, hint } shape
+ * so the UI, the keeper and scripts all explain a failure the same way.
+ */
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const errorInterface = new ethers.utils.Interface([
+  ...abis.Errors,
+  // OpenZeppelin 5 / ERC-6093 equivalents, raised by newer third-party tokens
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error EnforcedPause()"
+]);
+
+const ROLE_NAMES = {
+  [ethers.constants.HashZero]: "DEFAULT_ADMIN_ROLE",
+  ...Object.fromEntries(["ADMIN_ROLE", "KEEPER_ROLE", "LIQUIDATOR_ROLE", "TREASURY_ROLE"].map((role) => [ethers.utils.id(role), role]))
+};
+
+const roleName = (role) => ROLE_NAMES[role.toLowerCase()] || role;
+
+const missingRole = (account, role) => [
+  `Account ${account} is missing ${roleName(role)}`,
+  `Switch to an account holding ${roleName(role)}, or ask an admin to grant it.`
+];
+
+const CUSTOM_ERRORS = {
+  ErrZeroAmount: ["Amount must be greater than zero", "Enter an amount above zero."],
+  ErrZeroAddress: ["An address argument is the zero address", "Check the addresses passed to the call."],
+  ErrInvalidToken: ["This token is not supported by the pool", "Pick one of the pool's listed markets."],
+  ErrTransferFailed: ["Token or ETH transfer failed", "Check your balance and allowance, and that the recipient accepts ETH."],
+  ErrInvalidETHAmount: ["ETH sent does not match the amount", "Send exactly the amount as value for ETH, and no value for ERC20 tokens."],
+  ErrPoolNotFound: ["Pool not found", "Pick a pool from the factory list."],
+  ErrPoolAlreadyExists: ["A pool with this name already exists", "Choose a different pool name."],
+  ErrInvalidPool: ["Not a pool created by the factory", "Use a pool address from the factory list."],
+  ErrInsufficientBalance: ["Amount exceeds your position", "Lower the amount to at most what you supplied or owe."],
+  ErrInsufficientLiquidity: ["Not enough liquidity in the pool", "Try a smaller amount, or wait for borrowers to repay."],
+  ErrInsufficientCollateral: ["Not enough collateral to seize", "Repay less, or seize a different collateral token."],
+  ErrExceedsBalance: ["Amount exceeds the available balance", "Lower the amount to the available reserves."],
+  ErrFlashLoanFailed: ["Flash loan was not repaid", "The borrower must return the amount plus fee in the same transaction."],
+  ErrStalePrice: ["Price feed is stale", "Wait for the oracle to update, then retry."],
+  ErrInvalidPrice: ["Price feed returned an invalid price", "Retry later; if it persists the pool admin must fix the feed."],
+  ErrOracleNotFound: ["No price feed for this token", "An admin must set the token's price feed in AddressToTokenMapV2."],
+  ErrHealthFactorTooLow: ["This would drop your health factor below 1", "Borrow or withdraw less, or add collateral first."],
+  ErrUserHealthy: ["Position is healthy and cannot be liquidated", "Only positions with a health factor below 1 can be liquidated."],
+  ErrLiquidationFailed: ["Liquidation failed", "Refresh the position; its debt or collateral may have changed."],
+  ErrInsufficientProfit: ["Liquidation would not be profitable", "Lower the minimum profit, or wait for a better price."],
+  ErrUnauthorized: ["Caller is not authorized", "Switch to the account allowed to perform this action."],
+  ErrNotLiquidator: ["Account is not a registered liquidator", "Ask an admin to grant it LIQUIDATOR_ROLE."],
+  ErrInvalidConfiguration: ["Invalid configuration value", "Check each parameter is within its allowed range."],
+  ErrInvalidRiskParams: ["Invalid risk parameters", "Check LTV, LT, kink and rate parameters are within their allowed ranges."],
+  ErrDivisionByZero: ["Division by zero", "The market may be empty; supply to it first."],
+  ErrOverflow: ["Arithmetic overflow", "Try a smaller amount."],
+  ERC20InsufficientAllowance: ["Token allowance too low", "Approve the contract for at least this amount, then retry."],
+  ERC20InsufficientBalance: ["Token balance too low", "Top up your wallet or lower the amount."],
+  EnforcedPause: ["This contract is paused", "Wait for an admin to unpause it, then retry."]
+};
+
+// OpenZeppelin 4 reason strings, named after their OpenZeppelin 5 custom errors
+const REASONS = [
+  [/^Pausable: paused$/, () => ["EnforcedPause", CUSTOM_ERRORS.EnforcedPause]],
+  [/^Pausable: not paused$/, () => ["ExpectedPause", ["This contract is not paused", "Only available while the contract is paused."]]],
+  [/^AccessControl: account (0x[0-9a-fA-F]{40}) is missing role (0x[0-9a-fA-F]{64})$/, ([, account, role]) => [
+    "AccessControlUnauthorizedAccount",
+    missingRole(account, role)
+  ]],
+  [/^ERC20: (insufficient allowance|transfer amount exceeds allowance)$/, () => ["ERC20InsufficientAllowance", CUSTOM_ERRORS.ERC20InsufficientAllowance]],
+  [/^ERC20: (transfer|burn) amount exceeds balance$/, () => ["ERC20InsufficientBalance", CUSTOM_ERRORS.ERC20InsufficientBalance]],
+  [/^ReentrancyGuard: reentrant call$/, () => [
+    "ReentrancyGuardReentrantCall",
+    ["Reentrant call rejected", "Call the contract directly rather than from within another call."]
+  ]],
+  [/^(SafeERC20|Address): /, () => ["SafeERC20FailedOperation", CUSTOM_ERRORS.ErrTransferFailed]]
+];
+
+const PANICS = {
+  0x01: "Internal assertion failed",
+  0x11: "Arithmetic overflow or underflow",
+  0x12: "Division by zero",
+  0x32: "Array index out of bounds"
+};
+
+// Reasons ethers and nodes use when they could not tell why a call reverted
+const GENERIC_REASON = /^(execution reverted|transaction failed|cannot estimate gas|missing revert data)/i;
+const REVERT_DATA = /^0x[0-9a-fA-F]{8,}$/;
+
+/**
+ * Revert data from an error however the provider nested it (ethers CALL_EXCEPTION,
+ * UNPREDICTABLE_GAS_LIMIT wrapping the JSON-RPC error, MetaMask's originalError,
+ * a JSON-RPC body, or ethers' data="0x..." message)
+ */
+const findRevertData = (error, depth = 0) => {
+  if (!error || depth > 5) return null;
+  if (typeof error === "string") return REVERT_DATA.test(error) ? error : null;
+  if (typeof error !== "object") return null;
+
+  for (const key of ["data", "error", "originalError", "cause"]) {
+    const found = findRevertData(error[key], depth + 1);
+    if (found) return found;
+  }
+
+  if (typeof error.body === "string") {
+    try {
+      const found = findRevertData(JSON.parse(error.body), depth + 1);
+      if (found) return found;
+    } catch (parseError) {
+      // Not JSON; nothing to find
+    }
+  }
+
+  const match = depth === 0 && typeof error.message === "string" && error.message.match(/data="(0x[0-9a-fA-F]+)"/);
+  return match && REVERT_DATA.test(match[1]) ? match[1] : null;
+};
+
+const describeCustomError = (name, args = []) => {
+  if (name === "AccessControlUnauthorizedAccount") return missingRole(args[0], args[1]);
+  return CUSTOM_ERRORS[name] || [`Contract reverted with ${name}`, null];
+};
+
+// [name, [message, hint]] of an Error(string) reason; unrecognized reasons are named "Error"
+const describeReason = (reason) => {
+  for (const [pattern, describe] of REASONS) {
+    const match = reason.match(pattern);
+    if (match) return describe(match);
+  }
+  return ["Error", [reason, null]];
+};
+
+const result = (name, args, [message, hint], data = null) => ({ name, args, message, hint, data });
+
+const decodeRevertData = (data) => {
+  try {
+    const selector = data.slice(0, 10).toLowerCase();
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + data.slice(10));
+      const [name, description] = describeReason(reason);
+      return result(name, [reason], description, data);
+    }
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(["uint256"], "0x" + data.slice(10));
+      const message = PANICS[code.toNumber()] || `Panic ${code.toHexString()}`;
+      return result("Panic", [code], [message, "Try a smaller amount, or report this to the pool admin."], data);
+    }
+
+    const parsed = errorInterface.parseError(data);
+    const args = [...parsed.args];
+    return result(parsed.name, args, describeCustomError(parsed.name, args), data);
+  } catch (error) {
+    // Unknown selector or malformed payload
+    return null;
+  }
+};
+
+const walletCode = (error) => {
+  for (let current = error, depth = 0; current && depth < 5; current = current.error || current.originalError, depth++) {
+    if (current.code === "ACTION_REJECTED" || current.code === 4001) return "ACTION_REJECTED";
+    if (current.code === ethers.errors.INSUFFICIENT_FUNDS) return "INSUFFICIENT_FUNDS";
+    if (current.code === ethers.errors.NETWORK_ERROR) return "NETWORK_ERROR";
+    if (current.code === ethers.errors.TRANSACTION_REPLACED && current.cancelled) return "TRANSACTION_REPLACED";
+  }
+  return null;
+};
+
+const WALLET_ERRORS = {
+  ACTION_REJECTED: ["Transaction rejected in your wallet", "Confirm it in your wallet to continue."],
+  INSUFFICIENT_FUNDS: ["Not enough ETH to pay for this transaction", "Add ETH for gas, or lower the amount."],
+  NETWORK_ERROR: ["Network changed or unreachable", "Check your wallet's network and connection, then retry."],
+  TRANSACTION_REPLACED: ["Transaction was cancelled or replaced in your wallet", "Check your wallet's activity, then retry."]
+};
+
+/**
+ * Decode any error thrown by a contract call, estimate or transaction
+ * @returns {{ name: string | null, args: Array, message: string, hint: string | null, data: string | null }}
+ *   name is the custom error (OpenZeppelin reason strings under their OpenZeppelin 5 names), "Error" for
+ *   other reason strings, "Panic" or a wallet error code; null when nothing was recognized
+ *   (message is then the error's own)
+ */
+const decodeError = (error, fallback = "Transaction failed") => {
+  const code = walletCode(error);
+  if (code) return result(code, [], WALLET_ERRORS[code]);
+
+  const data = findRevertData(error);
+  const decoded = data && decodeRevertData(data);
+  if (decoded) return decoded;
+
+  const message = typeof error?.message === "string" ? error.message : "";
+
+  // Hardhat's own messages, and ethers when the contract ABI knew the error
+  const customName = error?.errorName || message.match(/reverted with custom error '(\w+)\(/)?.[1];
+  if (customName) return result(customName, [...(error?.errorArgs || [])], describeCustomError(customName, error?.errorArgs));
+
+  const reason = (typeof error?.reason === "string" && !GENERIC_REASON.test(error.reason) && error.reason)
+    || message.match(/reverted with reason string '(.*)'/)?.[1];
+  if (reason) {
+    const [name, description] = describeReason(reason);
+    return result(name, [reason], description);
+  }
+
+  return result(null, [], [error?.reason || message || fallback, null], data);
+};
+
+/**
+ * One-line description of an error for toasts and logs: "message. hint"
+ */
+const formatError = (error, fallback) => {
+  const { message, hint } = decodeError(error, fallback);
+  return hint ? `${message}. ${hint}` : message;
+};
+
+module.exports = {
+  decodeError,
+  formatError
+};
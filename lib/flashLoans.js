@@ -0,0 +1,65 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+/**
+ * ERC-3156 flash loans from IsolatedLendingPool. A pool lends the idle cash of
+ * its ERC20 markets for one transaction; the receiver contract gets an
+ * onFlashLoan callback and must approve amount + fee back to the pool (see
+ * contracts/examples/ExampleFlashBorrower.sol). Fees are set per pool and token
+ * in LendingConfigV2 and go to the pool's suppliers less the reserve factor.
+ */
+
+/**
+ * What a pool can lend of a token, and at what cost
+ * @param amount optional loan size to price (defaults to the maximum)
+ * @returns {Promise<Object>} { maxAmount, amount, fee, feeRate } with feeRate in 1e18;
+ *   maxAmount is zero for native ETH, unsupported tokens and paused pools
+ */
+const quoteFlashLoan = async (provider, poolAddress, token, amount) => {
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+  const [maxAmount, configAddress] = await Promise.all([
+    pool.maxFlashLoan(token),
+    pool.lendingConfig()
+  ]);
+
+  const config = new ethers.Contract(configAddress, abis.LendingConfigV2, provider);
+  const feeRate = await config.getFlashLoanFee(poolAddress, token);
+  const size = amount ? ethers.BigNumber.from(amount) : maxAmount;
+  const fee = maxAmount.isZero() ? ethers.BigNumber.from(0) : await pool.flashFee(token, size);
+
+  return { maxAmount, amount: size, fee, feeRate };
+};
+
+/**
+ * Start a flash loan to a receiver contract; anyone may initiate it
+ * @param params.receiver IERC3156FlashBorrower that repays in its callback
+ * @param params.data     bytes handed to the callback (default 0x)
+ * @param params.overrides ethers overrides (gasLimit, fees)
+ * @returns {Promise<Object>} { receipt, event } with the pool's FlashLoan event args
+ */
+const flashLoan = async (signer, { pool: poolAddress, receiver, token, amount, data = "0x", overrides = {} }) => {
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, signer);
+
+  // Surface the revert (ErrInsufficientLiquidity, ErrFlashLoanFailed...) before paying for it
+  await pool.callStatic.flashLoan(receiver, token, amount, data, overrides);
+  const tx = await pool.flashLoan(receiver, token, amount, data, overrides);
+  const receipt = await tx.wait();
+
+  const log = receipt.logs
+    .filter((entry) => entry.address.toLowerCase() === poolAddress.toLowerCase())
+    .map((entry) => {
+      try {
+        return pool.interface.parseLog(entry);
+      } catch (error) {
+        return null;
+      }
+    })
+    .find((parsed) => parsed && parsed.name === "FlashLoan");
+
+  return { receipt, event: log ? log.args : null };
+};
+
+module.exports = {
+  flashLoan,
+  quoteFlashLoan
+};
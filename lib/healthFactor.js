@@ -0,0 +1,189 @@
+const { ethers } = require("ethers");
+const { getPriceInfo, toUSD } = require("./pricing");
+const { getRateInfo, PRECISION } = require("./interestRates");
+const { getPosition } = require("./accrual");
+
+/**
+ * Account health math shared by the modals and cards. Weighting mirrors
+ * IsolatedLendingPool: LT-weighted collateral for _getHealthFactor, LTV-weighted
+ * collateral minus debt for _getBorrowPowerUSD. USD values are 1e18-scaled.
+ */
+
+const { BigNumber, constants } = ethers;
+const ZERO = BigNumber.from(0);
+
+// Default health factor below which an action that lowers it needs confirmation
+const DEFAULT_HF_THRESHOLD = 1.2;
+
+const HF_ACTIONS = ["lend", "withdraw", "borrow", "repay"];
+
+/**
+ * Collateral, debt, health factor and borrow power for a set of positions
+ * @param state     normalized store (lib/positionStore) for prices and risk params
+ * @param positions positions to value, the store's own by default
+ */
+const getAccountTotals = (state, positions = state.positions) => {
+  let collateralUSD = ZERO;
+  let thresholdUSD = ZERO;
+  let borrowLimitUSD = ZERO;
+  let debtUSD = ZERO;
+  const collateral = {};
+  const debts = {};
+
+  for (const position of Object.values(positions)) {
+    const priceInfo = getPriceInfo(state.prices, position.token);
+    const rateInfo = getRateInfo(state.rates, position.token);
+
+    if (position.supplied && position.supplied.gt(0) && rateInfo) {
+      const valueUSD = toUSD(position.supplied, priceInfo);
+      const weightedUSD = valueUSD.mul(rateInfo.riskParams.LT).div(PRECISION);
+
+      collateralUSD = collateralUSD.add(valueUSD);
+      thresholdUSD = thresholdUSD.add(weightedUSD);
+      borrowLimitUSD = borrowLimitUSD.add(valueUSD.mul(rateInfo.riskParams.LTV).div(PRECISION));
+      collateral[position.token] = weightedUSD;
+    }
+    if (position.debt && position.debt.gt(0)) {
+      const valueUSD = toUSD(position.debt, priceInfo);
+      debtUSD = debtUSD.add(valueUSD);
+      debts[position.token] = valueUSD;
+    }
+  }
+
+  return {
+    collateralUSD,
+    thresholdUSD,
+    borrowLimitUSD,
+    debtUSD,
+    collateral,
+    debts,
+    healthFactor: debtUSD.isZero() ? constants.MaxUint256 : thresholdUSD.mul(PRECISION).div(debtUSD),
+    borrowPowerUSD: borrowLimitUSD.gt(debtUSD) ? borrowLimitUSD.sub(debtUSD) : ZERO
+  };
+};
+
+/**
+ * Price of `token` (1e18 USD) at which the health factor reaches 1, other prices fixed.
+ * A debt in the same token moves with its price too. null when there is no debt, the token
+ * is not collateral, or a falling price cannot liquidate (other collateral covers the debt,
+ * or the token's own debt outweighs it).
+ */
+const getLiquidationPrice = (state, totals, token) => {
+  const key = token.toLowerCase();
+  const weightedUSD = totals.collateral[key];
+  const priceInfo = getPriceInfo(state.prices, key);
+  if (!weightedUSD || weightedUSD.isZero() || totals.debtUSD.isZero() || !priceInfo?.price) return null;
+
+  // price' / price = (other debt - other weighted collateral) / (weighted collateral - own debt)
+  const ownDebtUSD = totals.debts[key] || ZERO;
+  const uncovered = totals.debtUSD.sub(ownDebtUSD).sub(totals.thresholdUSD.sub(weightedUSD));
+  const cushion = weightedUSD.sub(ownDebtUSD);
+  if (uncovered.lte(0) || cushion.lte(0)) return null;
+
+  return priceInfo.price.mul(uncovered).div(cushion);
+};
+
+/**
+ * Liquidation price of every collateral token, each solved with the other prices held constant
+ * @returns [{ token, price, liquidationPrice, dropPercent }] largest collateral first;
+ *          dropPercent is the fall from the current price that liquidates (<= 0 when already below)
+ */
+const getLiquidationPrices = (state, totals = getAccountTotals(state)) => {
+  return Object.entries(totals.collateral)
+    .filter(([, weightedUSD]) => weightedUSD.gt(0))
+    .sort(([, a], [, b]) => (b.gt(a) ? 1 : b.lt(a) ? -1 : 0))
+    .map(([token]) => {
+      const { price } = getPriceInfo(state.prices, token);
+      const liquidationPrice = getLiquidationPrice(state, totals, token);
+      const dropPercent = liquidationPrice
+        ? parseFloat(ethers.utils.formatEther(price.sub(liquidationPrice).mul(PRECISION).div(price))) * 100
+        : null;
+
+      return { token, price, liquidationPrice, dropPercent };
+    });
+};
+
+/**
+ * Collateral token a liquidation price is quoted for: `token` if it is collateral, else the largest
+ */
+const getLiquidationToken = (totals, token) => {
+  const key = token && token.toLowerCase();
+  if (key && totals.collateral[key]) return key;
+
+  let largest = null;
+  for (const [collateralToken, weightedUSD] of Object.entries(totals.collateral)) {
+    if (!largest || weightedUSD.gt(totals.collateral[largest])) largest = collateralToken;
+  }
+  return largest;
+};
+
+/**
+ * Positions after lending, withdrawing, borrowing or repaying `amount` of a pool token
+ */
+const applyAction = (positions, { action, token, amount }) => {
+  if (!HF_ACTIONS.includes(action)) {
+    throw new Error(`Unknown action ${action}`);
+  }
+
+  const key = token.toLowerCase();
+  const current = getPosition(positions, key) || { token: key, supplied: ZERO, debt: ZERO };
+  let supplied = current.supplied || ZERO;
+  let debt = current.debt || ZERO;
+
+  if (action === "lend") supplied = supplied.add(amount);
+  if (action === "withdraw") supplied = supplied.gt(amount) ? supplied.sub(amount) : ZERO;
+  if (action === "borrow") debt = debt.add(amount);
+  // The pool caps repayment at the outstanding debt
+  if (action === "repay") debt = debt.gt(amount) ? debt.sub(amount) : ZERO;
+
+  return { ...positions, [key]: { ...current, supplied, debt } };
+};
+
+/**
+ * Current vs. post-action account health, with the threshold check applied
+ * @param params.action    "lend" | "withdraw" | "borrow" | "repay"
+ * @param params.token     pool token address
+ * @param params.amount    raw token amount (BigNumber)
+ * @param params.threshold 1e18 health factor below which a risk-increasing action warns
+ */
+const simulateAction = (state, { action, token, amount, threshold }) => {
+  const before = getAccountTotals(state);
+  const after = getAccountTotals(state, applyAction(state.positions, { action, token, amount }));
+  const liquidationToken = getLiquidationToken(after, token) || getLiquidationToken(before, token);
+
+  // Only withdraw and borrow can lower the health factor
+  const increasesRisk = after.healthFactor.lt(before.healthFactor);
+  const blocked = increasesRisk && after.healthFactor.lt(PRECISION);
+  const warning = increasesRisk && !blocked && Boolean(threshold) && after.healthFactor.lt(threshold);
+
+  return {
+    before,
+    after,
+    liquidationToken,
+    liquidationPrice: {
+      before: liquidationToken ? getLiquidationPrice(state, before, liquidationToken) : null,
+      after: liquidationToken ? getLiquidationPrice(state, after, liquidationToken) : null
+    },
+    blocked,
+    warning
+  };
+};
+
+/**
+ * Display string for a 1e18 health factor ("∞" without debt)
+ */
+const formatHealthFactor = (healthFactor) => {
+  if (!healthFactor || healthFactor.eq(constants.MaxUint256)) return "∞";
+  return parseFloat(ethers.utils.formatEther(healthFactor)).toFixed(2);
+};
+
+module.exports = {
+  DEFAULT_HF_THRESHOLD,
+  getAccountTotals,
+  getLiquidationPrice,
+  getLiquidationPrices,
+  getLiquidationToken,
+  applyAction,
+  simulateAction,
+  formatHealthFactor
+};
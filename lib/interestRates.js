@@ -0,0 +1,172 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+
+/**
+ * Exact JS mirror of contracts/risk/InterestRateModel.sol and IsolatedLendingPool._accrue.
+ * All rates are BigNumbers in 1e18 precision with the same integer rounding as Solidity.
+ */
+
+const { BigNumber } = ethers;
+
+const PRECISION = ethers.utils.parseEther("1");
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+
+/**
+ * borrows / (cash + borrows), 0 for an empty market
+ */
+const utilization = (cash, borrows) => {
+  const total = BigNumber.from(cash).add(borrows);
+  if (total.isZero()) return BigNumber.from(0);
+  return BigNumber.from(borrows).mul(PRECISION).div(total);
+};
+
+/**
+ * Kink model borrow rate per year
+ */
+const rBorrow = (util, { rBase, slope1, slope2, kink }) => {
+  util = BigNumber.from(util);
+
+  if (util.lte(kink)) {
+    return BigNumber.from(rBase).add(BigNumber.from(slope1).mul(util).div(PRECISION));
+  }
+
+  return BigNumber.from(rBase)
+    .add(BigNumber.from(slope1).mul(kink).div(PRECISION))
+    .add(BigNumber.from(slope2).mul(util.sub(kink)).div(PRECISION));
+};
+
+/**
+ * rBorrow * util * (1 - reserveFactor) per year
+ */
+const rSupply = (rBorrowRate, util, reserveFactor) => {
+  return BigNumber.from(rBorrowRate)
+    .mul(util)
+    .mul(PRECISION.sub(reserveFactor))
+    .div(PRECISION.mul(PRECISION));
+};
+
+/**
+ * Per-second rate as truncated by the pool
+ */
+const ratePerSecond = (rate) => BigNumber.from(rate).div(SECONDS_PER_YEAR);
+
+/**
+ * Index growth factor applied by one _accrue over `elapsed` seconds
+ */
+const accrualFactor = (rate, elapsed) => PRECISION.add(ratePerSecond(rate).mul(elapsed));
+
+/**
+ * 1e18 fixed-point exponentiation by squaring
+ */
+const rpow = (base, exponent) => {
+  let result = PRECISION;
+  let x = BigNumber.from(base);
+  let n = exponent;
+
+  while (n > 0) {
+    if (n % 2 === 1) result = result.mul(x).div(PRECISION);
+    x = x.mul(x).div(PRECISION);
+    n = Math.floor(n / 2);
+  }
+
+  return result;
+};
+
+/**
+ * APY from a yearly rate compounded every second at the pool's per-second rate
+ */
+const aprToApy = (rate) => rpow(PRECISION.add(ratePerSecond(rate)), SECONDS_PER_YEAR).sub(PRECISION);
+
+/**
+ * Rates for one market from its token state, risk params and the pool reserve factor
+ */
+const computeRates = ({ cash, borrows }, riskParams, reserveFactor) => {
+  const util = utilization(cash, borrows);
+  const borrowRate = rBorrow(util, riskParams);
+  const supplyRate = rSupply(borrowRate, util, reserveFactor);
+
+  return {
+    utilization: util,
+    borrowRate,
+    supplyRate,
+    borrowAPY: aprToApy(borrowRate),
+    supplyAPY: aprToApy(supplyRate)
+  };
+};
+
+/**
+ * 1e18 fraction as a display percentage
+ */
+const toPercent = (value) => parseFloat(ethers.utils.formatEther(value || 0)) * 100;
+
+/**
+ * Read live risk params, reserve factor and token states and compute rates
+ * @param options.batch batcher from lib/multicall (defaults to parallel calls)
+ * @returns {Promise<Object>} rate info keyed by lowercase token address
+ */
+const fetchPoolRates = async (provider, poolAddress, tokens, options = {}) => {
+  if (!provider || !poolAddress) return {};
+
+  const batch = options.batch || createBatcher(provider);
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+  const [marketTokens, reserveFactor, configAddress] = await Promise.all([
+    tokens && tokens.length > 0 ? tokens : batch.call(pool, "getSupportedTokens"),
+    batch.call(pool, "reserveFactor"),
+    batch.call(pool, "lendingConfig")
+  ]);
+  const config = new ethers.Contract(configAddress, abis.LendingConfigV2, provider);
+
+  const infos = await Promise.all(marketTokens.map(async (token) => {
+    try {
+      const [tokenState, riskParams] = await Promise.all([
+        batch.call(pool, "tokenStates", token),
+        batch.call(config, "getRiskParams", poolAddress, token)
+      ]);
+
+      return {
+        token: token.toLowerCase(),
+        cash: tokenState.cash,
+        borrows: tokenState.borrows,
+        lastAccrue: tokenState.lastAccrue.toNumber(),
+        indexSupply: tokenState.indexSupply,
+        indexBorrow: tokenState.indexBorrow,
+        totalReserves: tokenState.totalReserves,
+        riskParams,
+        reserveFactor,
+        ...computeRates(tokenState, riskParams, reserveFactor)
+      };
+    } catch (error) {
+      console.error(`❌ [RATES] Failed to compute rates for ${token}:`, error);
+      return null;
+    }
+  }));
+
+  return infos.reduce((rates, info) => {
+    if (info) rates[info.token] = info;
+    return rates;
+  }, {});
+};
+
+/**
+ * Case-insensitive lookup into a rate map
+ */
+const getRateInfo = (rates, token) => {
+  if (!rates || !token) return null;
+  return rates[token.toLowerCase()] || null;
+};
+
+module.exports = {
+  PRECISION,
+  SECONDS_PER_YEAR,
+  utilization,
+  rBorrow,
+  rSupply,
+  ratePerSecond,
+  accrualFactor,
+  aprToApy,
+  computeRates,
+  toPercent,
+  fetchPoolRates,
+  getRateInfo
+};
@@ -0,0 +1,243 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Keeper daemon configuration. Values resolve in increasing priority from the
+ * defaults, a JSON config file (--config or KEEPER_CONFIG), environment
+ * variables and CLI flags; see scripts/keeper.config.example.json.
+ */
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+// RPC endpoints of networks the keeper can target by name alone
+const NETWORK_RPC_URLS = {
+  ganache: "http://127.0.0.1:7545",
+  localhost: "http://127.0.0.1:8545"
+};
+
+const DEFAULTS = {
+  network: "ganache",
+  rpcUrl: null,
+  deployment: null, // artifacts/config/<network>.json
+  pools: "all", // every factory pool, or a list of pool addresses
+  gasToken: null, // WETH from the deployment; values gas in USD
+  signer: { privateKey: null, accountIndex: 1 },
+  admin: { privateKey: null, accountIndex: 0 }, // KeeperAdapter admin for borrower sync
+  gas: {
+    gasLimit: 500000,
+    maxFeePerGasGwei: 20, // cap, also for replacements
+    maxPriorityFeePerGasGwei: 2, // cap, also for replacements
+    bumpPercent: 15, // fee increase per replacement (nodes require >= 10)
+    stuckAfterMs: 60000, // replace a transaction still pending after this long
+    maxReplacements: 3,
+    pollMs: 1000
+  },
+  intervalMs: 30000,
+  maxLiquidationsPerRun: 5,
+  closeFactor: "1", // share of a debt to repay at most; the pool's close factor applies below it
+  gasUnits: 400000, // approve + liquidate, valued at the current gas price
+  minProfitUSD: "0",
+  dryRun: false,
+  flash: {
+    enabled: false, // liquidate through FlashLiquidator with borrowed funds, no inventory needed
+    liquidator: null, // FlashLiquidator, default core.FlashLiquidator from the deployment
+    lender: null, // ERC-3156 lender, default the AMM (mocks/MockAMM.sol)
+    amm: null, // AMM selling seized collateral, default core.MockAMM from the deployment
+    slippageBps: 50 // minimum profit sent on-chain is the quoted profit less this share
+  },
+  backoff: { baseMs: 60000, maxMs: 3600000 },
+  discovery: {
+    checkpoint: ".keeper/borrowers.json",
+    startBlock: 0,
+    chunkSize: 5000,
+    syncAdapter: false,
+    syncBatchSize: 50
+  },
+  http: { host: "127.0.0.1", port: 9464 }, // port null disables the server
+  logLevel: "info"
+};
+
+const toNumber = (value) => Number(value);
+const toBoolean = (value) => value === true || value === "true" || value === "1";
+const toPools = (value) => (value === "all" ? "all" : String(value).split(",").map((pool) => pool.trim()).filter(Boolean));
+const toPort = (value) => (value === "" || value === "off" ? null : Number(value));
+
+// CLI flag / environment variable for each overridable setting
+const OPTIONS = [
+  { flag: "--network", env: "KEEPER_NETWORK", path: "network" },
+  { flag: "--rpc-url", env: "KEEPER_RPC_URL", path: "rpcUrl" },
+  { flag: "--deployment", env: "KEEPER_DEPLOYMENT", path: "deployment" },
+  { flag: "--pools", env: "KEEPER_POOLS", path: "pools", parse: toPools },
+  { flag: "--private-key", env: "KEEPER_PRIVATE_KEY", path: "signer.privateKey" },
+  { flag: "--account-index", env: "KEEPER_ACCOUNT_INDEX", path: "signer.accountIndex", parse: toNumber },
+  { flag: "--interval", env: "KEEPER_INTERVAL_MS", path: "intervalMs", parse: toNumber },
+  { flag: "--gas-limit", env: "KEEPER_GAS_LIMIT", path: "gas.gasLimit", parse: toNumber },
+  { flag: "--max-fee-gwei", env: "KEEPER_MAX_FEE_GWEI", path: "gas.maxFeePerGasGwei", parse: toNumber },
+  { flag: "--priority-fee-gwei", env: "KEEPER_PRIORITY_FEE_GWEI", path: "gas.maxPriorityFeePerGasGwei", parse: toNumber },
+  { flag: "--stuck-after", env: "KEEPER_STUCK_AFTER_MS", path: "gas.stuckAfterMs", parse: toNumber },
+  { flag: "--min-profit-usd", env: "KEEPER_MIN_PROFIT_USD", path: "minProfitUSD" },
+  { flag: "--checkpoint", env: "KEEPER_CHECKPOINT", path: "discovery.checkpoint" },
+  { flag: "--start-block", env: "KEEPER_START_BLOCK", path: "discovery.startBlock", parse: toNumber },
+  { flag: "--sync-adapter", env: "KEEPER_SYNC_ADAPTER", path: "discovery.syncAdapter", parse: toBoolean, boolean: true },
+  { flag: "--http-port", env: "KEEPER_HTTP_PORT", path: "http.port", parse: toPort },
+  { flag: "--log-level", env: "KEEPER_LOG_LEVEL", path: "logLevel" },
+  { flag: "--dry-run", env: "KEEPER_DRY_RUN", path: "dryRun", parse: toBoolean, boolean: true },
+  { flag: "--flash", env: "KEEPER_FLASH", path: "flash.enabled", parse: toBoolean, boolean: true },
+  { flag: "--flash-liquidator", env: "KEEPER_FLASH_LIQUIDATOR", path: "flash.liquidator" },
+  { flag: "--flash-lender", env: "KEEPER_FLASH_LENDER", path: "flash.lender" },
+  { flag: "--amm", env: "KEEPER_AMM", path: "flash.amm" }
+];
+
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const merge = (base, override) => {
+  const result = { ...base };
+  for (const [key, value] of Object.entries(override || {})) {
+    result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+  }
+  return result;
+};
+
+const setPath = (target, keyPath, value) => {
+  const keys = keyPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = node[key] || {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Split CLI arguments into `--config` and setting overrides ("--flag value" or "--flag=value")
+ */
+const parseArgs = (argv) => {
+  const overrides = {};
+  let configFile = null;
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+
+    if (flag === "--config") {
+      configFile = inlineValue ?? argv[++i];
+      continue;
+    }
+
+    const option = OPTIONS.find((candidate) => candidate.flag === flag);
+    if (!option) throw new Error(`Unknown keeper option ${flag}`);
+
+    let value = inlineValue;
+    if (value === undefined) {
+      value = option.boolean ? "true" : argv[++i];
+    }
+    if (value === undefined) throw new Error(`Missing value for ${flag}`);
+
+    setPath(overrides, option.path, option.parse ? option.parse(value) : value);
+  }
+
+  return { configFile, overrides };
+};
+
+const envOverrides = (env) => {
+  const overrides = {};
+  for (const option of OPTIONS) {
+    const value = env[option.env];
+    if (value !== undefined && value !== "") {
+      setPath(overrides, option.path, option.parse ? option.parse(value) : value);
+    }
+  }
+  return overrides;
+};
+
+const readConfigFile = (filePath) => {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Cannot read keeper config ${filePath}: ${error.message}`);
+  }
+};
+
+const validate = (config) => {
+  const problems = [];
+  const positive = (value, name) => {
+    if (!Number.isFinite(value) || value <= 0) problems.push(`${name} must be a positive number`);
+  };
+
+  if (!config.rpcUrl) problems.push(`no rpcUrl for network "${config.network}"`);
+  if (config.pools !== "all") {
+    if (!Array.isArray(config.pools) || config.pools.length === 0) problems.push("pools must be \"all\" or a list of addresses");
+    else config.pools.filter((pool) => !ethers.utils.isAddress(pool)).forEach((pool) => problems.push(`invalid pool address ${pool}`));
+  }
+  if (config.signer.privateKey && !/^(0x)?[0-9a-fA-F]{64}$/.test(config.signer.privateKey)) {
+    problems.push("signer.privateKey must be a 32-byte hex key");
+  }
+  positive(config.intervalMs, "intervalMs");
+  positive(config.maxLiquidationsPerRun, "maxLiquidationsPerRun");
+  positive(config.gas.gasLimit, "gas.gasLimit");
+  positive(config.gas.maxFeePerGasGwei, "gas.maxFeePerGasGwei");
+  positive(config.gas.stuckAfterMs, "gas.stuckAfterMs");
+  if (config.gas.maxPriorityFeePerGasGwei > config.gas.maxFeePerGasGwei) {
+    problems.push("gas.maxPriorityFeePerGasGwei cannot exceed gas.maxFeePerGasGwei");
+  }
+  if (config.gas.bumpPercent < 10) problems.push("gas.bumpPercent must be at least 10 for nodes to accept replacements");
+  positive(config.backoff.baseMs, "backoff.baseMs");
+  if (config.backoff.maxMs < config.backoff.baseMs) problems.push("backoff.maxMs cannot be below backoff.baseMs");
+  if (config.http.port !== null && !(Number.isInteger(config.http.port) && config.http.port >= 0 && config.http.port < 65536)) {
+    problems.push("http.port must be a port number or null");
+  }
+  ["liquidator", "lender", "amm"]
+    .filter((key) => config.flash[key] && !ethers.utils.isAddress(config.flash[key]))
+    .forEach((key) => problems.push(`invalid flash.${key} address ${config.flash[key]}`));
+  if (!(config.flash.slippageBps >= 0 && config.flash.slippageBps < 10000)) {
+    problems.push("flash.slippageBps must be between 0 and 9999");
+  }
+  if (!LOG_LEVELS.includes(config.logLevel)) problems.push(`logLevel must be one of ${LOG_LEVELS.join(", ")}`);
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid keeper config: ${problems.join("; ")}`);
+  }
+};
+
+/**
+ * Resolve the keeper configuration
+ * @param options.argv CLI arguments (defaults to process.argv without node and the script)
+ * @param options.env  environment (defaults to process.env)
+ * @param options.cwd  base directory of relative paths
+ * @returns resolved config: `gas` gains BigNumber `maxFeePerGas`/`maxPriorityFeePerGas`,
+ *   `closeFactor`/`minProfitUSD` become 1e18 BigNumbers and paths are absolute
+ */
+const loadKeeperConfig = ({ argv = process.argv.slice(2), env = process.env, cwd = process.cwd() } = {}) => {
+  const { configFile, overrides } = parseArgs(argv);
+  const file = configFile || env.KEEPER_CONFIG;
+  const fileConfig = file ? readConfigFile(path.resolve(cwd, file)) : {};
+
+  const config = merge(merge(merge(DEFAULTS, fileConfig), envOverrides(env)), overrides);
+  config.rpcUrl = config.rpcUrl || NETWORK_RPC_URLS[config.network] || null;
+  validate(config);
+
+  return {
+    ...config,
+    configFile: file ? path.resolve(cwd, file) : null,
+    deployment: path.resolve(cwd, config.deployment || path.join("artifacts", "config", `${config.network}.json`)),
+    closeFactor: ethers.utils.parseEther(String(config.closeFactor)),
+    minProfitUSD: ethers.utils.parseEther(String(config.minProfitUSD)),
+    gas: {
+      ...config.gas,
+      maxFeePerGas: ethers.utils.parseUnits(String(config.gas.maxFeePerGasGwei), "gwei"),
+      maxPriorityFeePerGas: ethers.utils.parseUnits(String(config.gas.maxPriorityFeePerGasGwei), "gwei")
+    },
+    discovery: {
+      ...config.discovery,
+      checkpoint: path.resolve(cwd, config.discovery.checkpoint)
+    }
+  };
+};
+
+module.exports = {
+  DEFAULTS,
+  LOG_LEVELS,
+  NETWORK_RPC_URLS,
+  parseArgs,
+  loadKeeperConfig
+};
@@ -0,0 +1,110 @@
+const http = require("http");
+
+/**
+ * Local monitoring endpoints for the keeper daemon:
+ *   GET /health  JSON status, 200 when healthy and 503 otherwise
+ *   GET /metrics Prometheus text exposition of a createMetrics() registry
+ */
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, "\\$&")}"`).join(",")}}`;
+};
+
+/**
+ * Counter/gauge registry rendered in the Prometheus text format
+ */
+const createMetrics = () => {
+  const metrics = new Map();
+
+  /**
+   * Declare a metric once; samples of undeclared metrics are rejected
+   * @param type "counter" | "gauge"
+   */
+  const define = (name, type, help) => {
+    if (!metrics.has(name)) metrics.set(name, { type, help, samples: new Map() });
+  };
+
+  const sample = (name, labels) => {
+    const metric = metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric ${name}`);
+    const key = formatLabels(labels);
+    return { metric, key };
+  };
+
+  const inc = (name, labels = {}, value = 1) => {
+    const { metric, key } = sample(name, labels);
+    metric.samples.set(key, (metric.samples.get(key) || 0) + value);
+  };
+
+  const set = (name, labels = {}, value) => {
+    const { metric, key } = sample(name, labels);
+    metric.samples.set(key, Number(value));
+  };
+
+  const get = (name, labels = {}) => {
+    const { metric, key } = sample(name, labels);
+    return metric.samples.get(key);
+  };
+
+  const render = () => {
+    const lines = [];
+    for (const [name, { type, help, samples }] of metrics) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const [labels, value] of samples) {
+        lines.push(`${name}${labels} ${value}`);
+      }
+    }
+    return lines.join("\n") + "\n";
+  };
+
+  return { define, inc, set, get, render };
+};
+
+/**
+ * Serve /health and /metrics
+ * @param options.health  () => ({ healthy: boolean, ...details })
+ * @param options.metrics createMetrics() registry
+ * @param options.collect optional hook refreshing gauges before /metrics renders
+ * @returns {Promise<http.Server>} listening server (port 0 picks a free port)
+ */
+const startKeeperServer = ({ host = "127.0.0.1", port, health, metrics, collect, logger }) => {
+  const server = http.createServer(async (req, res) => {
+    try {
+      if (req.method === "GET" && req.url === "/health") {
+        const status = health();
+        res.writeHead(status.healthy ? 200 : 503, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(status));
+        return;
+      }
+
+      if (req.method === "GET" && req.url === "/metrics") {
+        if (collect) await collect();
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4" });
+        res.end(metrics.render());
+        return;
+      }
+
+      res.writeHead(404, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: "Not found" }));
+    } catch (error) {
+      if (logger) logger.error("http.error", { url: req.url, error });
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      server.off("error", reject);
+      resolve(server);
+    });
+  });
+};
+
+module.exports = {
+  createMetrics,
+  startKeeperServer
+};
@@ -0,0 +1,244 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+const { fetchTokenPrices, getPriceInfo, toUSD } = require("./pricing");
+
+/**
+ * Liquidation planning for the keeper. Every debt/collateral pair of a user is
+ * valued in USD with decimal-aware oracle prices; the repay limit and seize
+ * amount come from LiquidationManager.previewLiquidation, so the plan matches
+ * what liquidate() will accept and pay out.
+ *
+ * Profit grows linearly with the repay amount, so the best size for a pair is
+ * the largest one liquidate() accepts (the pool's close factor, waived for deep
+ * or dust positions, within what the collateral pays for), optionally capped by
+ * the liquidator's balance and a keeper-side close factor.
+ *
+ * In flash mode (contracts/periphery/FlashLiquidator.sol) the repay is borrowed
+ * instead, so the lender's available liquidity caps it, and profit is what the
+ * AMM pays for the seized collateral less the repay and the flash fee.
+ */
+
+const PRECISION = ethers.utils.parseEther("1");
+const ZERO = ethers.BigNumber.from(0);
+const DEFAULT_GAS_UNITS = 400000; // approve + liquidate
+
+const minBN = (a, b) => (a.lt(b) ? a : b);
+
+// FlashLiquidator borrows and swaps native ETH as WETH
+const asERC20 = (token, isNative, weth) => (isNative ? weth || null : token);
+
+/**
+ * Display entry for one debt or collateral balance
+ */
+const describeBalance = ({ token, amount, info, isNative }) => ({
+  token,
+  symbol: info.symbol,
+  decimals: info.decimals,
+  isNative,
+  amount,
+  valueUSD: toUSD(amount, info)
+});
+
+/**
+ * Size and value one debt/collateral pair
+ * @returns {Promise<Object|null>} null when nothing can be repaid
+ */
+const evaluatePair = async ({ manager, pool, user, debt, collateral, closeFactor, balance, gasCostUSD, batch }) => {
+  const preview = await batch.call(manager, "previewLiquidation", user, pool, debt.token, collateral.token);
+
+  let repayAmount = preview.maxRepay;
+  if (closeFactor) repayAmount = minBN(repayAmount, debt.amount.mul(closeFactor).div(PRECISION));
+  if (balance) repayAmount = minBN(repayAmount, balance);
+  if (repayAmount.isZero()) return null;
+
+  const seizeAmount = repayAmount.eq(preview.maxRepay)
+    ? preview.seizeAmount
+    : await batch.call(manager, "calculateSeizeAmount", pool, debt.token, repayAmount, collateral.token);
+
+  const repayUSD = toUSD(repayAmount, debt.info);
+  const seizeUSD = toUSD(seizeAmount, collateral.info);
+  const grossProfitUSD = seizeUSD.sub(repayUSD);
+
+  return {
+    debtToken: debt.token,
+    debtSymbol: debt.info.symbol,
+    debtDecimals: debt.info.decimals,
+    debtIsNative: debt.isNative,
+    collateralToken: collateral.token,
+    collateralSymbol: collateral.info.symbol,
+    collateralDecimals: collateral.info.decimals,
+    collateralIsNative: collateral.isNative,
+    repayAmount,
+    seizeAmount,
+    repayUSD,
+    seizeUSD,
+    fullLiquidation: preview.fullLiquidation,
+    grossProfitUSD,
+    gasCostUSD,
+    profitUSD: grossProfitUSD.sub(gasCostUSD)
+  };
+};
+
+/**
+ * Re-value a candidate for FlashLiquidator with the AMM's quote for the seized
+ * collateral and the lender's fee, both in the debt token
+ * @returns {Promise<Object|null>} null when the pair cannot be flash-liquidated
+ */
+const quoteFlash = async ({ candidate, debt, flash, gasCostUSD, batch }) => {
+  const loanToken = asERC20(candidate.debtToken, candidate.debtIsNative, flash.weth);
+  const collateralToken = asERC20(candidate.collateralToken, candidate.collateralIsNative, flash.weth);
+  if (!loanToken || !collateralToken) return null;
+
+  let amountOut = candidate.seizeAmount;
+  try {
+    if (collateralToken.toLowerCase() !== loanToken.toLowerCase()) {
+      amountOut = await batch.call(flash.ammContract, "getAmountOut", collateralToken, loanToken, candidate.seizeAmount);
+    }
+  } catch (error) {
+    return null; // no AMM liquidity for the pair
+  }
+
+  const fee = await batch.call(flash.lenderContract, "flashFee", loanToken, candidate.repayAmount);
+  const profit = amountOut.sub(candidate.repayAmount).sub(fee);
+  const grossProfitUSD = toUSD(profit, debt.info);
+
+  return {
+    ...candidate,
+    grossProfitUSD,
+    profitUSD: grossProfitUSD.sub(gasCostUSD),
+    flash: {
+      lender: flash.lender,
+      amm: flash.amm,
+      loanToken,
+      fee,
+      amountOut,
+      profit
+    }
+  };
+};
+
+/**
+ * Most profitable liquidation of one user in one pool.
+ * Native ETH debt (AddressToTokenMapV2.isETH) is repaid with msg.value, so the
+ * liquidator's ETH balance, less the gas budget, limits it instead of an ERC20 balance.
+ * @param options.liquidationManager LiquidationManager address
+ * @param options.oracle        AddressToTokenMapV2 address (defaults to the pool's)
+ * @param options.closeFactor   share of one debt to repay at most (1e18), below the pool's own limit;
+ *   no extra cap when omitted
+ * @param options.gasPrice      wei per gas (defaults to the provider's gas price)
+ * @param options.gasUnits      gas budget of approve + liquidate
+ * @param options.gasToken      token whose oracle price values gas (WETH); no gas cost without it
+ * @param options.liquidator    caps each repay at this account's debt token balance
+ * @param options.flash         { lender, amm, weth } to plan FlashLiquidator runs: repays are capped
+ *   by the lender's maxFlashLoan instead and valued with the AMM quote (plan.flash); weth is needed
+ *   for native ETH positions
+ * @param options.minProfitUSD  net profit (1e18 USD) a plan must exceed to be profitable
+ * @param options.batch         batcher from lib/multicall (defaults to parallel calls)
+ * @returns {Promise<Object|null>} best candidate plus every candidate considered and the
+ *   user's priced debts/collaterals, null when the user has no priced debt/collateral pair
+ */
+const planLiquidation = async (provider, poolAddress, user, options = {}) => {
+  const batch = options.batch || createBatcher(provider);
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+  const manager = new ethers.Contract(options.liquidationManager, abis.LiquidationManager, provider);
+  const closeFactor = options.closeFactor || null;
+
+  const tokens = await batch.call(pool, "getSupportedTokens");
+  const oracle = options.oracle || await batch.call(pool, "addressToTokenMap");
+  const oracleContract = new ethers.Contract(oracle, abis.AddressToTokenMapV2, provider);
+  const [amounts, prices, gasPrice] = await Promise.all([
+    Promise.all(tokens.map((token) => Promise.all([
+      batch.call(pool, "debts", user, token),
+      batch.call(pool, "supplied", user, token),
+      batch.call(oracleContract, "isETH", token)
+    ]))),
+    fetchTokenPrices(provider, oracle, options.gasToken ? [...tokens, options.gasToken] : tokens, { batch }),
+    options.gasPrice ?? provider.getGasPrice()
+  ]);
+
+  const debts = [];
+  const collaterals = [];
+  tokens.forEach((token, i) => {
+    const info = getPriceInfo(prices, token);
+    // liquidate() reads getPrice, which reverts on a stale or missing feed
+    if (!info || !info.price || info.isStale) return;
+
+    const [debt, supplied, isNative] = amounts[i];
+    if (debt.gt(0)) debts.push({ token, amount: debt, info, isNative });
+    if (supplied.gt(0)) collaterals.push({ token, amount: supplied, info, isNative });
+  });
+
+  if (debts.length === 0 || collaterals.length === 0) return null;
+
+  const gasWei = ethers.BigNumber.from(gasPrice).mul(options.gasUnits || DEFAULT_GAS_UNITS);
+  const gasInfo = options.gasToken ? getPriceInfo(prices, options.gasToken) : null;
+  const gasCostUSD = gasInfo ? toUSD(gasWei, { ...gasInfo, decimals: 18 }) : ZERO;
+
+  const flash = options.flash && {
+    ...options.flash,
+    lenderContract: new ethers.Contract(options.flash.lender, abis.FlashLender, provider),
+    ammContract: new ethers.Contract(options.flash.amm, abis.AMM, provider)
+  };
+
+  const balances = {};
+  if (flash) {
+    // A pool cannot lend into its own liquidation: liquidateUser would hit the flash loan's reentrancy lock
+    const lendsToItself = flash.lender.toLowerCase() === poolAddress.toLowerCase();
+    await Promise.all(debts.map(async ({ token, isNative }) => {
+      const loanToken = asERC20(token, isNative, flash.weth);
+      balances[token] = loanToken && !lendsToItself
+        ? await batch.call(flash.lenderContract, "maxFlashLoan", loanToken)
+        : ZERO;
+    }));
+  } else if (options.liquidator) {
+    await Promise.all(debts.map(async ({ token, isNative }) => {
+      if (isNative) {
+        const balance = await provider.getBalance(options.liquidator);
+        balances[token] = balance.gt(gasWei) ? balance.sub(gasWei) : ZERO;
+        return;
+      }
+
+      const erc20 = new ethers.Contract(token, abis.ERC20, provider);
+      balances[token] = await batch.call(erc20, "balanceOf", options.liquidator);
+    }));
+  }
+
+  // Start every pair at once so their reads share multicall batches
+  const evaluations = debts.flatMap((debt) => collaterals.map(async (collateral) => {
+    const candidate = await evaluatePair({
+      manager,
+      pool: poolAddress,
+      user,
+      debt,
+      collateral,
+      closeFactor,
+      balance: flash || options.liquidator ? balances[debt.token] : null,
+      gasCostUSD,
+      batch
+    });
+    return candidate && flash ? quoteFlash({ candidate, debt, flash, gasCostUSD, batch }) : candidate;
+  }));
+  const candidates = (await Promise.all(evaluations)).filter(Boolean);
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => (b.profitUSD.gt(a.profitUSD) ? 1 : b.profitUSD.lt(a.profitUSD) ? -1 : 0));
+  const best = candidates[0];
+
+  return {
+    user,
+    pool: poolAddress,
+    ...best,
+    gasPrice: ethers.BigNumber.from(gasPrice),
+    profitable: best.profitUSD.gt(options.minProfitUSD || ZERO),
+    candidates,
+    debts: debts.map(describeBalance),
+    collaterals: collaterals.map(describeBalance)
+  };
+};
+
+module.exports = {
+  DEFAULT_GAS_UNITS,
+  planLiquidation
+};
@@ -0,0 +1,87 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+const { getBorrowers, scanBorrowers } = require("./borrowerIndex");
+const { planLiquidation } = require("./liquidationPlanner");
+
+/**
+ * Data for the public liquidation dashboard. Borrowers of every pool come from
+ * their events (lib/borrowerIndex), health factors from LiquidationManager, and
+ * each at-risk position carries the same plan the keeper would execute
+ * (lib/liquidationPlanner), so any wallet can send exactly that liquidation.
+ */
+
+const PRECISION = ethers.utils.parseEther("1");
+const DEFAULT_RISK_THRESHOLD = ethers.utils.parseEther("1.1");
+
+/**
+ * At-risk positions across pools
+ * @param pools     pool addresses
+ * @param index     borrower index (lib/borrowerIndex emptyIndex), scanned on from its checkpoint
+ * @param options.liquidationManager LiquidationManager address
+ * @param options.threshold 1e18 health factor below which a position is listed (default 1.1)
+ * @param options.chunkSize blocks per getLogs request while scanning borrowers
+ * @param options           also forwarded to planLiquidation (gasToken, gasPrice, closeFactor, liquidator)
+ * @returns {Promise<Array>} [{ pool, user, healthFactor, collateralUSD, borrowUSD, liquidatable, plan }],
+ *   plan being null when no priced debt/collateral pair exists
+ */
+const fetchAtRiskPositions = async (provider, pools, index, options = {}) => {
+  const batch = options.batch || createBatcher(provider);
+  const manager = new ethers.Contract(options.liquidationManager, abis.LiquidationManager, provider);
+  const threshold = options.threshold || DEFAULT_RISK_THRESHOLD;
+
+  const [gasPrice] = await Promise.all([
+    options.gasPrice ?? provider.getGasPrice(),
+    scanBorrowers(provider, pools, index, { chunkSize: options.chunkSize })
+  ]);
+
+  const accounts = pools.flatMap((pool) => getBorrowers(index, pool).map((user) => ({ pool, user })));
+  const healths = await Promise.all(accounts.map(({ pool, user }) =>
+    batch.call(manager, "calcHealthFactor", user, pool).catch((error) => {
+      // A stale feed makes the whole account unpriceable; skip it rather than the dashboard
+      console.warn(`⚠️ [LIQUIDATIONS] Health factor of ${user} in ${pool} unavailable: ${error.message}`);
+      return null;
+    })
+  ));
+
+  const atRisk = accounts
+    .map((account, i) => ({ ...account, health: healths[i] }))
+    .filter(({ health }) => health && health.borrowUSD.gt(0) && health.hf.lt(threshold));
+
+  return Promise.all(atRisk.map(async ({ pool, user, health }) => ({
+    pool,
+    user,
+    healthFactor: health.hf,
+    collateralUSD: health.collateralUSD,
+    borrowUSD: health.borrowUSD,
+    liquidatable: health.hf.lt(PRECISION),
+    plan: await planLiquidation(provider, pool, user, { ...options, gasPrice, batch })
+  })));
+};
+
+const SORT_VALUES = {
+  profit: (position) => position.plan?.profitUSD,
+  healthFactor: (position) => position.healthFactor
+};
+
+/**
+ * Positions ordered by "profit" or "healthFactor"; positions without a value go last
+ * @param direction "desc" (default) or "asc"
+ */
+const sortPositions = (positions, key = "profit", direction = "desc") => {
+  const valueOf = SORT_VALUES[key];
+  const sign = direction === "asc" ? 1 : -1;
+
+  return positions.slice().sort((a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (!left || !right) return (left ? 0 : 1) - (right ? 0 : 1);
+    return left.eq(right) ? 0 : (left.gt(right) ? sign : -sign);
+  });
+};
+
+module.exports = {
+  DEFAULT_RISK_THRESHOLD,
+  fetchAtRiskPositions,
+  sortPositions
+};
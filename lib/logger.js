@@ -0,0 +1,53 @@
+const { ethers } = require("ethers");
+const { decodeError } = require("./contractErrors");
+
+/**
+ * Structured JSON logging for long-running scripts: one JSON object per line
+ * ({ time, level, msg, ...fields }) so log shippers can index every field.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// BigNumbers as decimal strings and errors as their decoded message/code instead of "{}"
+const serialize = (key, value) => {
+  if (value && value.type === "BigNumber" && value.hex) return ethers.BigNumber.from(value.hex).toString();
+  if (value instanceof Error) {
+    const { name, message, hint } = decodeError(value);
+    return {
+      message,
+      code: value.code,
+      ...(name && { name }),
+      ...(hint && { hint }),
+      ...(value.data && { data: value.data })
+    };
+  }
+  return value;
+};
+
+/**
+ * @param options.level  minimum level written ("debug" | "info" | "warn" | "error")
+ * @param options.stream writable stream (defaults to stdout)
+ * @param options.fields fields added to every line (e.g. the component name)
+ * @param options.now    clock, for tests
+ */
+const createLogger = ({ level = "info", stream = process.stdout, fields = {}, now = () => new Date() } = {}) => {
+  const threshold = LEVELS[level];
+
+  const write = (lineLevel, msg, extra = {}) => {
+    if (LEVELS[lineLevel] < threshold) return;
+    stream.write(JSON.stringify({ time: now().toISOString(), level: lineLevel, msg, ...fields, ...extra }, serialize) + "\n");
+  };
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    child: (extra) => createLogger({ level, stream, fields: { ...fields, ...extra }, now })
+  };
+};
+
+module.exports = {
+  LEVELS,
+  createLogger
+};
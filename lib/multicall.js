@@ -0,0 +1,118 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+/**
+ * Read batching through contracts/periphery/Multicall.sol.
+ * Calls queued in the same tick go out as one tryAggregate eth_call; without a
+ * multicall address (or if the batch itself fails) they run as parallel calls.
+ */
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+
+/**
+ * Error shaped like the CALL_EXCEPTION ethers throws for a reverted call
+ */
+const revertError = (method, returnData) => {
+  let reason = null;
+  if (returnData.startsWith(ERROR_STRING_SELECTOR)) {
+    try {
+      [reason] = ethers.utils.defaultAbiCoder.decode(["string"], "0x" + returnData.slice(10));
+    } catch (error) {
+      // Malformed Error(string) payload, keep the raw data
+    }
+  }
+
+  const error = new Error(`call revert exception: ${method}${reason ? ` (${reason})` : ""}`);
+  error.code = ethers.errors.CALL_EXCEPTION;
+  error.method = method;
+  error.reason = reason;
+  error.data = returnData;
+  return error;
+};
+
+/**
+ * Create a batcher bound to a provider and (optional) Multicall deployment
+ * @returns {{ address: string | null, call: (contract, method: string, ...args) => Promise<any> }}
+ */
+const createBatcher = (provider, multicallAddress) => {
+  const multicall = multicallAddress ? new ethers.Contract(multicallAddress, abis.Multicall, provider) : null;
+  let queue = [];
+
+  const callDirect = ({ contract, method, args, resolve, reject }) => {
+    contract[method](...args).then(resolve, reject);
+  };
+
+  const flush = async () => {
+    const calls = queue;
+    queue = [];
+
+    if (calls.length === 1) {
+      callDirect(calls[0]);
+      return;
+    }
+
+    let results;
+    try {
+      results = await multicall.tryAggregate(false, calls.map(({ contract, method, args }) => ({
+        target: contract.address,
+        callData: contract.interface.encodeFunctionData(method, args)
+      })));
+    } catch (error) {
+      console.warn(`⚠️ [MULTICALL] Batch of ${calls.length} failed, falling back to parallel calls: ${error.message}`);
+      calls.forEach(callDirect);
+      return;
+    }
+
+    results.forEach(({ success, returnData }, i) => {
+      const { contract, method, resolve, reject } = calls[i];
+
+      if (!success) {
+        reject(revertError(method, returnData));
+        return;
+      }
+
+      try {
+        const decoded = contract.interface.decodeFunctionResult(method, returnData);
+        // Same shape a direct contract call returns
+        resolve(decoded.length === 1 ? decoded[0] : decoded);
+      } catch (error) {
+        reject(error);
+      }
+    });
+  };
+
+  const call = (contract, method, ...args) => {
+    return new Promise((resolve, reject) => {
+      const request = { contract, method, args, resolve, reject };
+
+      if (!multicall) {
+        callDirect(request);
+        return;
+      }
+
+      queue.push(request);
+      if (queue.length === 1) {
+        setTimeout(flush, 0);
+      }
+    });
+  };
+
+  return {
+    address: multicall ? multicall.address : null,
+    call
+  };
+};
+
+/**
+ * Native balance, read through the batch when a Multicall is deployed
+ */
+const getEthBalance = (batch, provider, account) => {
+  if (!batch.address) return provider.getBalance(account);
+  const multicall = new ethers.Contract(batch.address, abis.Multicall, provider);
+  return batch.call(multicall, "getEthBalance", account);
+};
+
+module.exports = {
+  createBatcher,
+  getEthBalance
+};
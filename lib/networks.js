@@ -0,0 +1,130 @@
+// @ts-check
+const ganache = require("../addresses-ganache.js");
+const sepolia = require("../addresses.js");
+
+/**
+ * Per-network deployment config shared by the frontend, keeper and scripts.
+ * Ganache addresses are regenerated by scripts/deploy-ganache.js.
+ */
+
+const ETH_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * @typedef {Object} TokenConfig
+ * @property {string} symbol     Display symbol
+ * @property {string} name       Display name
+ * @property {string} address    Address the UI uses (the network ethAddress for native ETH)
+ * @property {string} poolToken  Address the pool holds (WETH for native ETH)
+ * @property {number} decimals   Token decimals
+ * @property {boolean} isNative  Native ETH, wrapped through WETH
+ */
+
+/**
+ * @typedef {Object} NetworkContracts
+ * @property {string} pool                     Default pool the UI reads and writes (others come from poolFactory)
+ * @property {string} oracle                   AddressToTokenMapV2
+ * @property {string} lendingHelper
+ * @property {string | null} lendingConfig
+ * @property {string | null} poolFactory
+ * @property {string | null} liquidationManager
+ * @property {string | null} keeperAdapter
+ * @property {string | null} weth
+ * @property {string | null} multicall         Reads fall back to parallel calls when null
+ */
+
+/**
+ * @typedef {Object} NetworkConfig
+ * @property {number} chainId
+ * @property {string} key                      Short name, e.g. "ganache"
+ * @property {string} label                    Display name
+ * @property {string} ethAddress               Address standing in for native ETH
+ * @property {string | null} explorer         Block explorer base URL for transaction links
+ * @property {NetworkContracts} contracts
+ * @property {TokenConfig[]} tokens
+ */
+
+/** @type {Record<number, NetworkConfig>} */
+const NETWORKS = {
+  1337: {
+    chainId: 1337,
+    key: "ganache",
+    label: "Ganache Local",
+    ethAddress: ETH_ADDRESS,
+    explorer: null,
+    contracts: {
+      pool: ganache.default.CORE_POOL,
+      oracle: ganache.default.AddressToTokenMapV2,
+      lendingHelper: ganache.default.LendingHelper,
+      lendingConfig: ganache.default.LendingConfigV2,
+      poolFactory: ganache.default.PoolFactory,
+      liquidationManager: ganache.default.LiquidationManager,
+      keeperAdapter: ganache.default.KeeperAdapter,
+      weth: ganache.default.WETH,
+      // Only present once deploy-ganache.js has deployed it
+      multicall: /** @type {Record<string, string>} */ (ganache.default).Multicall || null
+    },
+    tokens: [
+      { symbol: "ETH", name: "Ethereum", address: ETH_ADDRESS, poolToken: ganache.default.WETH, decimals: 18, isNative: true },
+      { symbol: "WETH", name: "Wrapped Ether", address: ganache.default.WETH, poolToken: ganache.default.WETH, decimals: 18, isNative: false },
+      { symbol: "DAI", name: "Dai Stablecoin", address: ganache.default.DAI, poolToken: ganache.default.DAI, decimals: 18, isNative: false },
+      { symbol: "USDC", name: "USD Coin", address: ganache.default.USDC, poolToken: ganache.default.USDC, decimals: 6, isNative: false }
+    ]
+  },
+  11155111: {
+    chainId: 11155111,
+    key: "sepolia",
+    label: "Sepolia Testnet",
+    ethAddress: sepolia.ETHAddress,
+    explorer: "https://sepolia.etherscan.io",
+    contracts: {
+      pool: sepolia.LendingPoolAddress,
+      oracle: sepolia.AddressToTokenMapAddress,
+      lendingHelper: sepolia.LendingHelperAddress,
+      lendingConfig: null,
+      poolFactory: null,
+      liquidationManager: null,
+      keeperAdapter: null,
+      weth: null,
+      multicall: null
+    },
+    tokens: [
+      { symbol: "ETH", name: "Ethereum", address: sepolia.ETHAddress, poolToken: sepolia.ETHAddress, decimals: 18, isNative: true },
+      { symbol: "DAI", name: "Dai Stablecoin", address: sepolia.DAITokenAddress, poolToken: sepolia.DAITokenAddress, decimals: 18, isNative: false },
+      { symbol: "USDC", name: "USD Coin", address: sepolia.USDCTokenAddress, poolToken: sepolia.USDCTokenAddress, decimals: 18, isNative: false },
+      { symbol: "LINK", name: "Chainlink", address: sepolia.LINKTokenAddress, poolToken: sepolia.LINKTokenAddress, decimals: 18, isNative: false }
+    ]
+  }
+};
+
+const SUPPORTED_CHAIN_IDS = Object.keys(NETWORKS).map(Number);
+
+/**
+ * Config for a chain, or null when the chain is not supported
+ * @param {number | null | undefined} chainId
+ * @returns {NetworkConfig | null}
+ */
+const getNetworkConfig = (chainId) => (chainId && NETWORKS[chainId]) || null;
+
+/**
+ * Token config by UI or pool address (case-insensitive); UI address wins
+ * @param {NetworkConfig} network
+ * @param {string} address
+ * @returns {TokenConfig | null}
+ */
+const findToken = (network, address) => {
+  if (!network || !address) return null;
+  const target = address.toLowerCase();
+  return (
+    network.tokens.find((token) => token.address.toLowerCase() === target) ||
+    network.tokens.find((token) => token.poolToken.toLowerCase() === target) ||
+    null
+  );
+};
+
+module.exports = {
+  ETH_ADDRESS,
+  NETWORKS,
+  SUPPORTED_CHAIN_IDS,
+  getNetworkConfig,
+  findToken
+};
@@ -0,0 +1,210 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+
+/**
+ * Live-update layer: pool events, new blocks and our own receipts become
+ * "changes" naming the state slices they make stale, and a serial queue
+ * merges overlapping changes so only one refresh runs at a time.
+ *
+ * change = {
+ *   full:      reload everything,
+ *   markets:   pool tokens whose rates and prices to reload,
+ *   positions: pool tokens whose user position to reload,
+ *   wallet:    pool tokens whose wallet balances to reload (WETH also covers native ETH),
+ *   prices:    reload every oracle price,
+ *   reproject: re-project accrued balances to now (no RPC)
+ * }
+ */
+
+const POOL_EVENTS = ["Lend", "Withdraw", "Borrow", "Repay", "Accrue", "Liquidate", "FlashLoan", "ReservesWithdrawn"];
+
+const emptyChange = () => ({
+  full: false,
+  markets: [],
+  positions: [],
+  wallet: [],
+  prices: false,
+  reproject: false
+});
+
+const fullChange = () => ({ ...emptyChange(), full: true });
+
+const union = (a, b) => [...new Set([...a, ...b])];
+
+/**
+ * Combine two changes into one covering both
+ */
+const mergeChanges = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+
+  return {
+    full: a.full || b.full,
+    markets: union(a.markets, b.markets),
+    positions: union(a.positions, b.positions),
+    wallet: union(a.wallet, b.wallet),
+    prices: a.prices || b.prices,
+    reproject: a.reproject || b.reproject
+  };
+};
+
+const isEmptyChange = (change) => {
+  return !change.full && !change.prices && !change.reproject &&
+    change.markets.length === 0 && change.positions.length === 0 && change.wallet.length === 0;
+};
+
+/**
+ * Slices a parsed pool event makes stale for `account`
+ * @param event ethers event or parsed log ({ name|event, args })
+ */
+const changeFromEvent = (event, account) => {
+  const me = account ? account.toLowerCase() : null;
+  const isMe = (address) => Boolean(me && address && address.toLowerCase() === me);
+  const { args } = event;
+  const change = emptyChange();
+
+  let tokens;
+  let mine;
+  switch (event.event || event.name) {
+    case "Accrue":
+      // Indexes moved: token state changes for everyone, balances only re-project
+      tokens = [args.token];
+      mine = false;
+      change.reproject = true;
+      break;
+    case "Liquidate":
+      tokens = [args.debtToken, args.collateralToken];
+      mine = isMe(args.user) || isMe(args.liquidator);
+      break;
+    case "FlashLoan":
+    case "ReservesWithdrawn":
+      // Pool cash moved, no user position did
+      tokens = [args.token];
+      mine = false;
+      break;
+    case "Lend":
+    case "Withdraw":
+    case "Borrow":
+    case "Repay":
+      tokens = [args.token];
+      mine = isMe(args.user);
+      break;
+    default:
+      return change;
+  }
+
+  tokens = tokens.map((token) => token.toLowerCase());
+  change.markets = tokens;
+  if (mine) {
+    change.positions = tokens;
+    change.wallet = tokens;
+  }
+  return change;
+};
+
+/**
+ * Merged change for every pool event in a transaction receipt
+ */
+const changesFromReceipt = (receipt, poolAddress, account) => {
+  const poolInterface = new ethers.utils.Interface(abis.IsolatedLendingPool);
+  let change = emptyChange();
+
+  for (const log of receipt.logs || []) {
+    if (log.address.toLowerCase() !== poolAddress.toLowerCase()) continue;
+
+    let parsed;
+    try {
+      parsed = poolInterface.parseLog(log);
+    } catch (error) {
+      continue;
+    }
+    change = mergeChanges(change, changeFromEvent(parsed, account));
+  }
+
+  return change;
+};
+
+/**
+ * Listen to pool events and new blocks
+ * @param onChange called with the change for each event; new blocks refresh prices and re-project
+ * @returns unsubscribe function removing exactly these listeners
+ */
+const subscribePool = (provider, poolAddress, account, onChange) => {
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+  const listeners = POOL_EVENTS.map((eventName) => {
+    const listener = (...args) => {
+      const event = args[args.length - 1];
+      console.log(`📥 [EVENT] ${eventName} in block ${event.blockNumber}`);
+      onChange(changeFromEvent(event, account));
+    };
+    pool.on(eventName, listener);
+    return [eventName, listener];
+  });
+
+  const onBlock = () => {
+    onChange({ ...emptyChange(), prices: true, reproject: true });
+  };
+  provider.on("block", onBlock);
+
+  return () => {
+    listeners.forEach(([eventName, listener]) => pool.off(eventName, listener));
+    provider.off("block", onBlock);
+  };
+};
+
+/**
+ * Serial update queue: changes scheduled while a run is in progress are merged
+ * and applied in a single follow-up run instead of overlapping refreshes
+ * @param run async (change) => void
+ */
+const createUpdateQueue = (run) => {
+  let pending = null;
+  let running = null;
+
+  const drain = async () => {
+    // Let changes from the same tick (one block's events) merge first
+    await Promise.resolve();
+
+    while (pending) {
+      const change = pending;
+      pending = null;
+      try {
+        await run(change);
+      } catch (error) {
+        console.error("❌ [SYNC] Update failed:", error);
+      }
+    }
+    running = null;
+  };
+
+  const schedule = (change) => {
+    if (!change || isEmptyChange(change)) return running || Promise.resolve();
+
+    pending = mergeChanges(pending, change);
+    if (!running) {
+      running = drain();
+    }
+    return running;
+  };
+
+  const clear = () => {
+    pending = null;
+  };
+
+  return {
+    schedule,
+    clear,
+    idle: () => running || Promise.resolve()
+  };
+};
+
+module.exports = {
+  POOL_EVENTS,
+  emptyChange,
+  fullChange,
+  mergeChanges,
+  changeFromEvent,
+  changesFromReceipt,
+  subscribePool,
+  createUpdateQueue
+};
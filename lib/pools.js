@@ -0,0 +1,137 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+const { fetchTokenPrices, getPriceInfo, toUSD } = require("./pricing");
+const { fetchPoolRates } = require("./interestRates");
+const { fetchAccruedPositions } = require("./accrual");
+const { getAccountTotals } = require("./healthFactor");
+
+/**
+ * Pool discovery through PoolFactory. Every isolated pool has its own oracle,
+ * risk config and markets; a summary carries what the pool selector shows and
+ * what the data layer needs to scope reads and transactions to one pool.
+ */
+
+const ZERO = ethers.BigNumber.from(0);
+
+/**
+ * Pool names from the factory's PoolCreated events (the factory only maps name => pool)
+ * @returns {Promise<Object>} name keyed by lowercase pool address; empty if logs are unavailable
+ */
+const fetchPoolNames = async (provider, factoryAddress, fromBlock = 0) => {
+  const factory = new ethers.Contract(factoryAddress, abis.PoolFactory, provider);
+
+  try {
+    const events = await factory.queryFilter(factory.filters.PoolCreated(), fromBlock);
+    return events.reduce((names, event) => {
+      names[event.args.pool.toLowerCase()] = ethers.utils.parseBytes32String(event.args.name);
+      return names;
+    }, {});
+  } catch (error) {
+    console.warn(`⚠️ [POOLS] Could not read pool names: ${error.message}`);
+    return {};
+  }
+};
+
+/**
+ * Markets, TVL and risk params of one pool, plus the account's position in it
+ * @param options.name    display name (defaults to the short address)
+ * @param options.account user whose position to summarize
+ * @param options.batch   batcher from lib/multicall (defaults to parallel calls)
+ */
+const fetchPoolSummary = async (provider, poolAddress, options = {}) => {
+  const batch = options.batch || createBatcher(provider);
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+
+  const [oracle, lendingConfig, reserveFactor, liquidationBonus, rates] = await Promise.all([
+    batch.call(pool, "addressToTokenMap"),
+    batch.call(pool, "lendingConfig"),
+    batch.call(pool, "reserveFactor"),
+    batch.call(pool, "liquidationBonus"),
+    fetchPoolRates(provider, poolAddress, null, { batch })
+  ]);
+  const prices = await fetchTokenPrices(provider, oracle, Object.keys(rates), { batch });
+
+  let tvlUSD = ZERO;
+  let borrowsUSD = ZERO;
+  const markets = Object.values(rates).map((rateInfo) => {
+    const priceInfo = getPriceInfo(prices, rateInfo.token);
+    const cashUSD = toUSD(rateInfo.cash, priceInfo);
+    const marketBorrowsUSD = toUSD(rateInfo.borrows, priceInfo);
+    tvlUSD = tvlUSD.add(cashUSD).add(marketBorrowsUSD);
+    borrowsUSD = borrowsUSD.add(marketBorrowsUSD);
+
+    return {
+      token: rateInfo.token,
+      symbol: priceInfo?.symbol || "UNKNOWN",
+      LTV: rateInfo.riskParams.LTV,
+      LT: rateInfo.riskParams.LT,
+      supplyAPY: rateInfo.supplyAPY,
+      borrowAPY: rateInfo.borrowAPY,
+      tvlUSD: cashUSD.add(marketBorrowsUSD)
+    };
+  });
+
+  let position = null;
+  if (options.account) {
+    const positions = await fetchAccruedPositions(provider, poolAddress, options.account, { rates, batch });
+    const { collateralUSD, debtUSD, healthFactor, borrowPowerUSD } = getAccountTotals({ prices, rates }, positions);
+    position = { collateralUSD, debtUSD, healthFactor, borrowPowerUSD };
+  }
+
+  const address = ethers.utils.getAddress(poolAddress);
+  return {
+    address,
+    name: options.name || `${address.slice(0, 6)}…${address.slice(-4)}`,
+    oracle,
+    lendingConfig,
+    reserveFactor,
+    liquidationBonus,
+    markets,
+    tvlUSD,
+    borrowsUSD,
+    position
+  };
+};
+
+/**
+ * Every pool created by the factory, summarized; pools that fail to load are skipped
+ * @param options.account user whose per-pool positions to summarize
+ * @param options.batch   batcher from lib/multicall (defaults to parallel calls)
+ */
+const fetchPools = async (provider, factoryAddress, options = {}) => {
+  if (!provider || !factoryAddress) return [];
+
+  const batch = options.batch || createBatcher(provider);
+  const factory = new ethers.Contract(factoryAddress, abis.PoolFactory, provider);
+  const [addresses, names] = await Promise.all([
+    batch.call(factory, "getAllPools"),
+    fetchPoolNames(provider, factoryAddress, options.fromBlock)
+  ]);
+
+  const pools = await Promise.all(addresses.map(async (address) => {
+    try {
+      return await fetchPoolSummary(provider, address, { ...options, batch, name: names[address.toLowerCase()] });
+    } catch (error) {
+      console.error(`❌ [POOLS] Failed to load pool ${address}:`, error);
+      return null;
+    }
+  }));
+
+  return pools.filter(Boolean);
+};
+
+/**
+ * Case-insensitive lookup into a pool list
+ */
+const findPool = (pools, address) => {
+  if (!pools || !address) return null;
+  return pools.find((pool) => pool.address.toLowerCase() === address.toLowerCase()) || null;
+};
+
+module.exports = {
+  fetchPoolNames,
+  fetchPoolSummary,
+  fetchPools,
+  findPool
+};
@@ -0,0 +1,316 @@
+const { ethers } = require("ethers");
+const { getPriceInfo, toUSD, fromUSD, toUSDNumber, getStalePrices } = require("./pricing");
+const { getRateInfo, toPercent } = require("./interestRates");
+const { getPosition, reprojectPositions } = require("./accrual");
+const { getAccountTotals } = require("./healthFactor");
+const { findToken } = require("./networks");
+const { DEFAULT_DECIMALS, toAmountString } = require("./tokenAmounts");
+
+/**
+ * Normalized market and position store behind the lend context.
+ * prices/rates/positions/decimals are keyed by lowercase pool token, wallet by lowercase UI address;
+ * every list the components render is derived from it by the selectors below. Token amounts
+ * stay raw (`*Wei` fields, with their `decimals`); display strings are exact decimal strings.
+ * Loads merge per token, so a live update can refresh just the slices an event touched.
+ */
+
+const { BigNumber } = ethers;
+const ZERO = BigNumber.from(0);
+
+const initialState = {
+  prices: {},
+  rates: {},
+  positions: {},
+  wallet: {},
+  decimals: {},
+  healthFactor: null,
+  updatedAt: null
+};
+
+const positionReducer = (state, action) => {
+  switch (action.type) {
+    case "reset":
+      return initialState;
+    case "markets":
+      return {
+        ...state,
+        prices: { ...state.prices, ...action.prices },
+        rates: { ...state.rates, ...action.rates },
+        decimals: { ...state.decimals, ...action.decimals },
+        updatedAt: Date.now()
+      };
+    case "positions":
+      return {
+        ...state,
+        positions: { ...state.positions, ...action.positions },
+        healthFactor: action.healthFactor ?? state.healthFactor,
+        updatedAt: Date.now()
+      };
+    case "reproject":
+      return { ...state, positions: reprojectPositions(state.positions, state.rates, action.timestamp) };
+    case "wallet":
+      return { ...state, wallet: { ...state.wallet, ...action.balances }, updatedAt: Date.now() };
+    default:
+      return state;
+  }
+};
+
+/**
+ * APY of a pool token as a display percentage (e.g. 3.12)
+ */
+const getAPYPercent = (state, token, side) => {
+  const rateInfo = getRateInfo(state.rates, token);
+  if (!rateInfo) return 0;
+  return Number(toPercent(side === "borrow" ? rateInfo.borrowAPY : rateInfo.supplyAPY).toFixed(2));
+};
+
+const getImage = (symbol, icons) => {
+  return (icons && icons[symbol]) || `https://cryptologos.cc/logos/${symbol.toLowerCase()}-logo.svg`;
+};
+
+/**
+ * Decimals of a pool token: read from the token (lib/tokenAmounts), else the oracle's, else `fallback`
+ */
+const getTokenDecimals = (state, token, fallback = DEFAULT_DECIMALS) => {
+  return state.decimals[token.toLowerCase()] ?? getPriceInfo(state.prices, token)?.decimals ?? fallback;
+};
+
+const eachPosition = (state, field) => {
+  return Object.values(state.positions).filter((position) => position[field] && position[field].gt(0));
+};
+
+/**
+ * Wallet balances for the network tokens the loaded pool lists ("Assets to supply");
+ * every network token until its markets have loaded
+ */
+const selectUserAssets = (state, network, icons) => {
+  if (!network) return [];
+
+  const hasMarkets = Object.keys(state.rates).length > 0;
+  const tokens = network.tokens.filter((token) => !hasMarkets || getRateInfo(state.rates, token.poolToken));
+
+  return tokens.map((token) => {
+    const balanceWei = state.wallet[token.address.toLowerCase()] || ZERO;
+    // Native ETH is held in wei whatever the pool token is
+    const decimals = token.isNative ? DEFAULT_DECIMALS : getTokenDecimals(state, token.poolToken, token.decimals);
+
+    return {
+      ...token,
+      decimals,
+      image: getImage(token.symbol, icons),
+      balance: toAmountString(balanceWei, decimals),
+      balanceWei,
+      apy: getAPYPercent(state, token.poolToken, "supply"),
+      isCollateral: true
+    };
+  });
+};
+
+/**
+ * Supply positions and their summary ("Your supplies"); WETH is shown as ETH
+ */
+const selectSupplies = (state, network, icons) => {
+  const supplies = [];
+  let totalUSDBalance = 0;
+  let weightedAPYSum = 0;
+
+  for (const position of eachPosition(state, "supplied")) {
+    const priceInfo = getPriceInfo(state.prices, position.token);
+    const decimals = getTokenDecimals(state, position.token);
+    const isWETH = network?.contracts.weth && position.token === network.contracts.weth.toLowerCase();
+    const tokenAddress = ethers.utils.getAddress(position.token);
+    const symbol = isWETH ? "ETH" : priceInfo?.symbol || "UNKNOWN";
+
+    const balance = toAmountString(position.supplied, decimals);
+    const balanceInUSD = toUSDNumber(position.supplied, priceInfo);
+    const apy = getAPYPercent(state, position.token, "supply");
+    totalUSDBalance += balanceInUSD;
+    weightedAPYSum += balanceInUSD * apy;
+
+    supplies.push({
+      token: tokenAddress, // Actual contract address for contract calls
+      address: tokenAddress,
+      name: symbol,
+      image: getImage(symbol, icons),
+      balance,
+      suppliedWei: position.supplied,
+      decimals,
+      apy,
+      balanceInUSD,
+      maxSupply: balance,
+      isCollateral: true,
+      isPriceStale: Boolean(priceInfo?.isStale),
+      displayAddress: isWETH ? network.ethAddress : tokenAddress, // For display purposes only
+      actualTokenAddress: tokenAddress
+    });
+  }
+
+  return {
+    supplies,
+    summary: {
+      totalUSDBalance,
+      weightedAvgAPY: totalUSDBalance > 0 ? Number((weightedAPYSum / totalUSDBalance).toFixed(2)) : 0,
+      totalUSDCollateral: totalUSDBalance
+    }
+  };
+};
+
+/**
+ * Debt positions and their summary ("Your borrows")
+ */
+const selectBorrows = (state, network, icons) => {
+  const borrows = [];
+  let totalUSDBalance = 0;
+  let weightedAPYSum = 0;
+
+  for (const position of eachPosition(state, "debt")) {
+    const priceInfo = getPriceInfo(state.prices, position.token);
+    const symbol = priceInfo?.symbol || "UNKNOWN";
+    const decimals = getTokenDecimals(state, position.token);
+    const tokenAddress = ethers.utils.getAddress(position.token);
+
+    const borrowedBalInUSD = toUSDNumber(position.debt, priceInfo);
+    const borrowApy = getAPYPercent(state, position.token, "borrow");
+    totalUSDBalance += borrowedBalInUSD;
+    weightedAPYSum += borrowedBalInUSD * borrowApy;
+
+    borrows.push({
+      token: tokenAddress,
+      address: tokenAddress,
+      name: symbol,
+      image: getImage(symbol, icons),
+      borrowQty: toAmountString(position.debt, decimals),
+      debtWei: position.debt,
+      decimals,
+      borrowApy,
+      borrowedBalInUSD,
+      isPriceStale: Boolean(priceInfo?.isStale)
+    });
+  }
+
+  return {
+    borrows,
+    summary: {
+      totalUSDBalance,
+      weightedAvgAPY: totalUSDBalance > 0 ? Number((weightedAPYSum / totalUSDBalance).toFixed(2)) : 0,
+      totalBorrowPowerUsed: totalUSDBalance
+    }
+  };
+};
+
+/**
+ * Remaining borrow power in USD (1e18): LTV-weighted collateral minus debt, as the pool computes it
+ */
+const selectBorrowPowerUSD = (state) => getAccountTotals(state).borrowPowerUSD;
+
+/**
+ * Markets the user can borrow from, capped by borrow power and pool cash ("Assets to borrow")
+ */
+const selectAssetsToBorrow = (state, network, icons) => {
+  const borrowPowerUSD = selectBorrowPowerUSD(state);
+  const assets = [];
+
+  for (const rateInfo of Object.values(state.rates)) {
+    const priceInfo = getPriceInfo(state.prices, rateInfo.token);
+    if (!rateInfo.cash.gt(0) || !priceInfo?.price) continue;
+
+    const availableCashUSD = toUSD(rateInfo.cash, priceInfo);
+    const maxBorrowUSD = borrowPowerUSD.lt(availableCashUSD) ? borrowPowerUSD : availableCashUSD;
+    const availableWei = fromUSD(maxBorrowUSD, priceInfo);
+    if (availableWei.isZero()) continue;
+
+    const decimals = getTokenDecimals(state, rateInfo.token);
+    const available = toAmountString(availableWei, decimals);
+    const tokenAddress = ethers.utils.getAddress(rateInfo.token);
+    assets.push({
+      token: tokenAddress,
+      address: tokenAddress,
+      name: priceInfo.symbol,
+      image: getImage(priceInfo.symbol, icons),
+      borrowQty: available,
+      available,
+      availableWei,
+      decimals,
+      borrowApy: getAPYPercent(state, rateInfo.token, "borrow"),
+      borrowedBalInUSD: 0,
+      isPriceStale: priceInfo.isStale
+    });
+  }
+
+  return assets;
+};
+
+/**
+ * Market overview rows for AssetMetrics
+ */
+const selectAssetMetrics = (state) => {
+  return Object.values(state.rates).map((rateInfo) => {
+    const priceInfo = getPriceInfo(state.prices, rateInfo.token);
+    const symbol = priceInfo?.symbol || "UNKNOWN";
+    const decimals = getTokenDecimals(state, rateInfo.token);
+    const totalSupply = rateInfo.cash.add(rateInfo.borrows);
+    const borrows = ethers.utils.formatUnits(rateInfo.borrows, decimals);
+
+    return {
+      symbol,
+      name: symbol,
+      cash: ethers.utils.formatUnits(rateInfo.cash, decimals),
+      borrows,
+      supplyRate: ethers.utils.formatEther(rateInfo.supplyAPY),
+      borrowRate: ethers.utils.formatEther(rateInfo.borrowAPY),
+      totalSupply: ethers.utils.formatUnits(totalSupply, decimals),
+      totalBorrow: borrows,
+      totalSupplyUSD: toUSDNumber(totalSupply, priceInfo).toString(),
+      totalBorrowUSD: toUSDNumber(rateInfo.borrows, priceInfo).toString(),
+      isPriceStale: Boolean(priceInfo?.isStale)
+    };
+  });
+};
+
+/**
+ * Health factor as the legacy string: "0" without debt, otherwise 1e18-scaled HF formatted
+ */
+const selectHealthFactor = (state) => {
+  if (!state.healthFactor || eachPosition(state, "debt").length === 0) return "0";
+  return ethers.utils.formatEther(state.healthFactor);
+};
+
+/**
+ * Price infos served from the stale oracle fallback
+ */
+const selectStalePrices = (state) => getStalePrices(state.prices);
+
+/**
+ * Everything a UI or pool token address resolves to for a transaction
+ */
+const resolveToken = (state, network, address) => {
+  const token = findToken(network, address);
+  const poolToken = token ? token.poolToken : address;
+  const priceInfo = getPriceInfo(state.prices, poolToken);
+
+  return {
+    poolToken,
+    isNative: Boolean(token?.isNative),
+    symbol: token?.symbol || priceInfo?.symbol || "UNKNOWN",
+    decimals: token?.isNative
+      ? DEFAULT_DECIMALS
+      : state.decimals[poolToken.toLowerCase()] ?? token?.decimals ?? priceInfo?.decimals ?? DEFAULT_DECIMALS,
+    position: getPosition(state.positions, poolToken)
+  };
+};
+
+module.exports = {
+  initialState,
+  positionReducer,
+  getAPYPercent,
+  getTokenDecimals,
+  selectUserAssets,
+  selectSupplies,
+  selectBorrows,
+  selectBorrowPowerUSD,
+  selectAssetsToBorrow,
+  selectAssetMetrics,
+  selectHealthFactor,
+  selectStalePrices,
+  resolveToken
+};
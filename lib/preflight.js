@@ -0,0 +1,140 @@
+const { ethers } = require("ethers");
+const { decodeError } = require("./contractErrors");
+const { waitForTransaction } = require("./txTracker");
+
+/**
+ * Pre-flight checks for the transactions an action sends (e.g. WETH deposit →
+ * approve → lend): every step runs as callStatic and estimateGas before the
+ * wallet is asked to sign, so a revert shows its decoded reason and the fee is
+ * known up front.
+ *
+ * eth_call cannot see the effect of steps not yet mined, so a step lists the
+ * errors it clears for the steps after it (an approve clears the allowance
+ * error). A later step reverting with only such an error is expected: it is
+ * priced with its fallback gas and simulated again once the earlier steps are mined.
+ */
+
+const FALLBACK_GAS = ethers.BigNumber.from(300000);
+
+/**
+ * @param label            what the step does, for logs and the modal ("Approve DAI")
+ * @param contract         contract connected to the sending signer
+ * @param options.overrides transaction overrides (value)
+ * @param options.clears   error names (lib/contractErrors) this step resolves for later steps
+ * @param options.simulate false for steps whose success only follows from an earlier
+ *   one (unwrapping the WETH a withdraw pays out)
+ * @param options.primary  the step whose receipt the action reports
+ * @param options.fallbackGas gas assumed while the step cannot be estimated
+ */
+const planStep = (label, contract, method, args = [], options = {}) => ({
+  label,
+  contract,
+  method,
+  args,
+  overrides: options.overrides || {},
+  clears: options.clears || [],
+  simulate: options.simulate !== false,
+  primary: Boolean(options.primary),
+  fallbackGas: ethers.BigNumber.from(options.fallbackGas || FALLBACK_GAS)
+});
+
+const simulateStep = async (step, from) => {
+  const overrides = { ...step.overrides, from };
+  await step.contract.callStatic[step.method](...step.args, overrides);
+  return step.contract.estimateGas[step.method](...step.args, overrides);
+};
+
+/**
+ * Simulate a plan's steps in order
+ * @returns {Promise<Object>} { ok, steps: [{ label, gasLimit, estimated }], gasLimit, gasPrice, feeWei,
+ *   approximate } or, when a step reverts, { ok: false, failedStep, error (decoded), cause (thrown error) }
+ */
+const simulatePlan = async (provider, from, steps) => {
+  const cleared = new Set();
+  const results = [];
+
+  for (const step of steps) {
+    let gasLimit = step.fallbackGas;
+    let estimated = false;
+
+    if (step.simulate) {
+      try {
+        gasLimit = await simulateStep(step, from);
+        estimated = true;
+      } catch (cause) {
+        const error = decodeError(cause);
+        if (!cleared.has(error.name)) {
+          return { ok: false, failedStep: step.label, error, cause, steps: results };
+        }
+      }
+    }
+
+    step.clears.forEach((name) => cleared.add(name));
+    results.push({ label: step.label, gasLimit, estimated });
+  }
+
+  const gasLimit = results.reduce((total, step) => total.add(step.gasLimit), ethers.BigNumber.from(0));
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.gasPrice || feeData.maxFeePerGas || ethers.BigNumber.from(0);
+
+  return {
+    ok: true,
+    failedStep: null,
+    error: null,
+    steps: results,
+    gasLimit,
+    gasPrice,
+    feeWei: gasLimit.mul(gasPrice),
+    approximate: results.some((step) => !step.estimated)
+  };
+};
+
+/**
+ * Simulate a plan, then send its steps one after another, each mined before the next.
+ * A step that could not be simulated up front is simulated again just before it is sent;
+ * a step sped up in the wallet counts as mined, a cancelled or replaced one stops the plan.
+ * @param options.tag       log tag ("LEND")
+ * @param options.onSent    (step, transaction) once a step is sent, e.g. to record it (lib/txTracker)
+ * @param options.onSettled (step, transaction, outcome) once it is mined, failed or replaced
+ * @returns {Promise<Object>} { receipt (of the primary, else last, step), receipts }
+ */
+const executePlan = async (provider, from, steps, options = {}) => {
+  const tag = options.tag || "TX";
+  const simulation = await simulatePlan(provider, from, steps);
+  if (!simulation.ok) {
+    console.warn(`⚠️ [${tag}] ${simulation.failedStep} would revert: ${simulation.error.message}`);
+    throw simulation.cause;
+  }
+
+  const receipts = [];
+  for (const [i, step] of steps.entries()) {
+    if (step.simulate && !simulation.steps[i].estimated) {
+      await simulateStep(step, from);
+    }
+
+    console.log(`📝 [${tag}] ${step.label}...`);
+    const transaction = await step.contract[step.method](...step.args, step.overrides);
+    console.log(`⏳ [${tag}] Waiting for confirmation: ${transaction.hash}`);
+    if (options.onSent) options.onSent(step, transaction);
+
+    const outcome = await waitForTransaction(transaction);
+    if (options.onSettled) options.onSettled(step, transaction, outcome);
+    if (outcome.error) throw outcome.error;
+
+    receipts.push(outcome.receipt);
+    console.log(`✅ [${tag}] ${step.label} confirmed${outcome.replacedBy ? ` as ${outcome.replacedBy}` : ""}`);
+  }
+
+  const primary = steps.findIndex((step) => step.primary);
+  return {
+    receipt: receipts[primary >= 0 ? primary : receipts.length - 1] || null,
+    receipts
+  };
+};
+
+module.exports = {
+  FALLBACK_GAS,
+  planStep,
+  simulatePlan,
+  executePlan
+};
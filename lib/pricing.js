@@ -0,0 +1,117 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+
+/**
+ * Oracle-backed USD pricing shared by the frontend, hooks and scripts.
+ * Prices come from AddressToTokenMapV2 and are always scaled to 1e18.
+ */
+
+const PRICE_PRECISION = ethers.utils.parseEther("1");
+const DEFAULT_DECIMALS = 18;
+
+/**
+ * Read price, decimals and symbol for one token.
+ * A reverting getPrice (stale round) falls back to getPriceUnsafe and is flagged;
+ * both are requested up front so a batch needs no second round.
+ */
+const fetchTokenPrice = async (batch, oracle, token) => {
+  const [decimals, symbol, price, unsafePrice] = await Promise.allSettled([
+    batch.call(oracle, "getDecimals", token),
+    batch.call(oracle, "getSymbol", token),
+    batch.call(oracle, "getPrice", token),
+    batch.call(oracle, "getPriceUnsafe", token)
+  ]);
+
+  const info = {
+    token,
+    symbol: (symbol.status === "fulfilled" && symbol.value) || "UNKNOWN",
+    // getDecimals returns 0 for tokens the map was never configured with
+    decimals: decimals.status === "fulfilled" && decimals.value > 0 ? decimals.value : DEFAULT_DECIMALS,
+    price: null,
+    isStale: false,
+    error: null
+  };
+
+  if (price.status === "fulfilled") {
+    info.price = price.value;
+  } else if (unsafePrice.status === "fulfilled") {
+    info.price = unsafePrice.value;
+    info.isStale = true;
+    console.warn(`⚠️ [PRICE] Stale oracle price for ${info.symbol} (${token})`);
+  } else {
+    info.error = unsafePrice.reason.reason || unsafePrice.reason.message;
+    console.error(`❌ [PRICE] No oracle price for ${info.symbol} (${token})`);
+  }
+
+  return info;
+};
+
+/**
+ * Fetch prices for a list of tokens in one batch
+ * @param options.batch batcher from lib/multicall (defaults to parallel calls)
+ * @returns {Promise<Object>} price info keyed by lowercase token address
+ */
+const fetchTokenPrices = async (provider, oracleAddress, tokens, options = {}) => {
+  if (!provider || !oracleAddress || !tokens || tokens.length === 0) {
+    return {};
+  }
+
+  const batch = options.batch || createBatcher(provider);
+  const oracle = new ethers.Contract(oracleAddress, abis.AddressToTokenMapV2, provider);
+  const unique = [...new Set(tokens.map((token) => token.toLowerCase()))];
+  const infos = await Promise.all(unique.map((token) => fetchTokenPrice(batch, oracle, token)));
+
+  return infos.reduce((prices, info) => {
+    prices[info.token] = info;
+    return prices;
+  }, {});
+};
+
+/**
+ * Case-insensitive lookup into a price map
+ */
+const getPriceInfo = (prices, token) => {
+  if (!prices || !token) return null;
+  return prices[token.toLowerCase()] || null;
+};
+
+/**
+ * Convert a raw token amount to USD (1e18 precision)
+ */
+const toUSD = (amount, info) => {
+  if (!info || !info.price) return ethers.BigNumber.from(0);
+  return ethers.BigNumber.from(amount)
+    .mul(info.price)
+    .div(ethers.BigNumber.from(10).pow(info.decimals));
+};
+
+/**
+ * Convert a USD value (1e18 precision) to a raw token amount
+ */
+const fromUSD = (usdValue, info) => {
+  if (!info || !info.price || info.price.isZero()) return ethers.BigNumber.from(0);
+  return ethers.BigNumber.from(usdValue)
+    .mul(ethers.BigNumber.from(10).pow(info.decimals))
+    .div(info.price);
+};
+
+/**
+ * USD value of a raw token amount as a display number
+ */
+const toUSDNumber = (amount, info) => parseFloat(ethers.utils.formatEther(toUSD(amount, info)));
+
+/**
+ * Price infos currently served from the unsafe (stale) fallback
+ */
+const getStalePrices = (prices) => Object.values(prices || {}).filter((info) => info.isStale);
+
+module.exports = {
+  PRICE_PRECISION,
+  fetchTokenPrices,
+  getPriceInfo,
+  toUSD,
+  fromUSD,
+  toUSDNumber,
+  getStalePrices
+};
@@ -0,0 +1,142 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+
+/**
+ * Token amounts for the UI. On-chain values stay raw BigNumbers in the token's
+ * own decimals; typed input is parsed into them and display strings are cut from
+ * them as decimal strings, never through JS numbers, so a 6-decimal token like
+ * USDC is as exact as an 18-decimal one.
+ */
+
+const DEFAULT_DECIMALS = 18;
+const AMOUNT_PATTERN = /^\d*\.?\d*$/;
+
+// `${chainId}:${token}` => Promise<number>; decimals never change, so each token is read once
+const decimalsCache = new Map();
+
+/**
+ * ERC20 decimals(), else the oracle's getDecimals (native ETH's pseudo-address has
+ * no contract), else 18. Only a reverting call falls through: RPC errors are thrown
+ * so a flaky node does not pin a wrong value in the cache.
+ */
+const readDecimals = async (provider, batch, oracle, token) => {
+  try {
+    return await batch.call(new ethers.Contract(token, abis.ERC20, provider), "decimals");
+  } catch (error) {
+    if (error.code !== ethers.errors.CALL_EXCEPTION) throw error;
+  }
+
+  if (oracle) {
+    try {
+      const decimals = await batch.call(oracle, "getDecimals", token);
+      // getDecimals returns 0 for tokens the map was never configured with
+      if (decimals > 0) return decimals;
+    } catch (error) {
+      if (error.code !== ethers.errors.CALL_EXCEPTION) throw error;
+    }
+  }
+
+  return DEFAULT_DECIMALS;
+};
+
+/**
+ * Decimals of each token, read once per chain and token
+ * @param options.oracle AddressToTokenMapV2 address consulted for tokens without decimals()
+ * @param options.batch  batcher from lib/multicall (defaults to parallel calls)
+ * @returns {Promise<Object>} decimals keyed by lowercase token address
+ */
+const fetchTokenDecimals = async (provider, tokens, options = {}) => {
+  if (!provider || !tokens || tokens.length === 0) return {};
+
+  const batch = options.batch || createBatcher(provider);
+  const oracle = options.oracle && new ethers.Contract(options.oracle, abis.AddressToTokenMapV2, provider);
+  const { chainId } = await provider.getNetwork();
+  const unique = [...new Set(tokens.map((token) => token.toLowerCase()))];
+
+  const entries = await Promise.all(unique.map(async (token) => {
+    const key = `${chainId}:${token}`;
+    if (!decimalsCache.has(key)) {
+      const read = readDecimals(provider, batch, oracle, token);
+      decimalsCache.set(key, read);
+      read.catch(() => decimalsCache.delete(key));
+    }
+    return [token, await decimalsCache.get(key)];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Forget cached decimals (tests redeploy tokens at recycled addresses)
+ */
+const clearDecimalsCache = () => decimalsCache.clear();
+
+/**
+ * Amount input as it may be shown: digits with at most one dot and no more
+ * fraction digits than the token has; null when the keystroke should be ignored
+ */
+const sanitizeAmountInput = (input, decimals) => {
+  const value = String(input ?? "").trim();
+  if (!AMOUNT_PATTERN.test(value)) return null;
+
+  const [whole, fraction] = value.split(".");
+  if (fraction === undefined) return value;
+  return decimals > 0 ? `${whole}.${fraction.slice(0, decimals)}` : whole;
+};
+
+/**
+ * Raw amount of a typed decimal string; raw BigNumbers pass through.
+ * null when empty, malformed (numbers in exponent form included) or finer than the token allows
+ */
+const parseAmount = (value, decimals) => {
+  if (ethers.BigNumber.isBigNumber(value)) return value;
+
+  const text = String(value ?? "").trim();
+  if (!text || text === "." || !AMOUNT_PATTERN.test(text)) return null;
+
+  try {
+    return ethers.utils.parseUnits(text, decimals);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Exact decimal string of a raw amount, as an input value ("1000.5", "12", never "12.0")
+ */
+const toAmountString = (raw, decimals) => {
+  const text = ethers.utils.formatUnits(raw, decimals);
+  return text.endsWith(".0") ? text.slice(0, -2) : text;
+};
+
+/**
+ * Display string of a raw amount: the fraction cut (not rounded) to maxDecimals and
+ * the whole part grouped, e.g. "1,234.5678"; dust below the last digit shows as "<0.0001"
+ * @param options.maxDecimals fraction digits to keep (default 4)
+ * @param options.symbol      appended after a space
+ */
+const formatAmount = (raw, decimals, options = {}) => {
+  const maxDecimals = options.maxDecimals ?? 4;
+  const amount = ethers.BigNumber.from(raw);
+  const sign = amount.isNegative() ? "-" : "";
+  const [whole, fraction = ""] = toAmountString(amount.abs(), decimals).split(".");
+  const kept = fraction.slice(0, maxDecimals).replace(/0+$/, "");
+
+  let text = `${sign}${ethers.utils.commify(whole)}${kept ? `.${kept}` : ""}`;
+  if (!amount.isZero() && whole === "0" && !kept) {
+    text = `${sign ? ">-" : "<"}0${maxDecimals > 0 ? `.${"0".repeat(maxDecimals - 1)}1` : ""}`;
+  }
+
+  return options.symbol ? `${text} ${options.symbol}` : text;
+};
+
+module.exports = {
+  DEFAULT_DECIMALS,
+  fetchTokenDecimals,
+  clearDecimalsCache,
+  sanitizeAmountInput,
+  parseAmount,
+  toAmountString,
+  formatAmount
+};
@@ -0,0 +1,98 @@
+const { ethers } = require("ethers");
+const abis = require("./abis");
+const { createBatcher } = require("./multicall");
+const { fetchPoolRates } = require("./interestRates");
+const { previewReserves, getProjectionTimestamp } = require("./accrual");
+const { fetchTokenPrices, getPriceInfo, toUSD } = require("./pricing");
+
+/**
+ * Protocol reserves per pool for the treasury view. Each market keeps the
+ * reserve factor's share of borrow interest and flash loan fees in its cash
+ * (TokenState.totalReserves); accounts holding TREASURY_ROLE withdraw it with
+ * withdrawReserves, limited by the cash currently in the pool.
+ */
+
+const TREASURY_ROLE = ethers.utils.id("TREASURY_ROLE");
+const ZERO = ethers.BigNumber.from(0);
+
+const minBN = (a, b) => (a.lt(b) ? a : b);
+
+/**
+ * Reserves of every market in one pool, projected to the next accrual
+ * @param options.account   account whose TREASURY_ROLE to check
+ * @param options.timestamp projection timestamp, getProjectionTimestamp when omitted
+ * @param options.batch     batcher from lib/multicall (defaults to parallel calls)
+ * @returns {Promise<Object>} { pool, reserveFactor, canWithdraw, markets, totalUSD }, markets
+ *   being [{ token, symbol, decimals, isNative, reserves, withdrawable, cash, reservesUSD }]
+ */
+const fetchPoolReserves = async (provider, poolAddress, options = {}) => {
+  const batch = options.batch || createBatcher(provider);
+  const pool = new ethers.Contract(poolAddress, abis.IsolatedLendingPool, provider);
+
+  const [oracle, reserveFactor, rates, timestamp, canWithdraw] = await Promise.all([
+    batch.call(pool, "addressToTokenMap"),
+    batch.call(pool, "reserveFactor"),
+    fetchPoolRates(provider, poolAddress, null, { batch }),
+    options.timestamp || getProjectionTimestamp(provider),
+    options.account ? batch.call(pool, "hasRole", TREASURY_ROLE, options.account) : false
+  ]);
+
+  const oracleContract = new ethers.Contract(oracle, abis.AddressToTokenMapV2, provider);
+  const tokens = Object.keys(rates);
+  const [prices, natives] = await Promise.all([
+    fetchTokenPrices(provider, oracle, tokens, { batch }),
+    Promise.all(tokens.map((token) => batch.call(oracleContract, "isETH", token)))
+  ]);
+
+  let totalUSD = ZERO;
+  const markets = Object.values(rates).map((rateInfo, i) => {
+    const info = getPriceInfo(prices, rateInfo.token);
+    const reserves = previewReserves(rateInfo, timestamp);
+    const reservesUSD = toUSD(reserves, info);
+    totalUSD = totalUSD.add(reservesUSD);
+
+    return {
+      token: rateInfo.token,
+      symbol: info?.symbol || "UNKNOWN",
+      decimals: info?.decimals || 18,
+      isNative: natives[i],
+      reserves,
+      withdrawable: minBN(reserves, rateInfo.cash),
+      cash: rateInfo.cash,
+      reservesUSD
+    };
+  });
+
+  return {
+    pool: ethers.utils.getAddress(poolAddress),
+    reserveFactor,
+    canWithdraw,
+    markets,
+    totalUSD
+  };
+};
+
+/**
+ * Reserves across pools; pools that fail to load are skipped
+ */
+const fetchTreasury = async (provider, pools, options = {}) => {
+  const batch = options.batch || createBatcher(provider);
+  const timestamp = options.timestamp || await getProjectionTimestamp(provider);
+
+  const results = await Promise.all(pools.map(async (pool) => {
+    try {
+      return await fetchPoolReserves(provider, pool, { ...options, batch, timestamp });
+    } catch (error) {
+      console.error(`❌ [TREASURY] Failed to load reserves of pool ${pool}:`, error);
+      return null;
+    }
+  }));
+
+  return results.filter(Boolean);
+};
+
+module.exports = {
+  TREASURY_ROLE,
+  fetchPoolReserves,
+  fetchTreasury
+};
@@ -0,0 +1,184 @@
+/**
+ * Transaction sending for the keeper daemon. Nonces are assigned locally (so
+ * several transactions can be in flight without clashing) and resynced from
+ * the node after a failed send. A transaction still pending after
+ * `stuckAfterMs` is replaced with the same nonce and fees raised by
+ * `bumpPercent`, within the policy's fee caps, up to `maxReplacements` times.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const minBN = (a, b) => (a.lt(b) ? a : b);
+
+const txError = (message, code, extra = {}) => Object.assign(new Error(message), { code }, extra);
+
+/**
+ * @param signer ethers signer with a provider
+ * @param policy.gasLimit             default gas limit (estimated when unset)
+ * @param policy.maxFeePerGas         fee cap (BigNumber wei); legacy gasPrice is capped by it too
+ * @param policy.maxPriorityFeePerGas priority fee cap (BigNumber wei)
+ * @param policy.bumpPercent          fee increase per replacement
+ * @param policy.stuckAfterMs         pending time before a replacement
+ * @param policy.maxReplacements      replacements before giving up with TX_STUCK
+ * @param policy.pollMs               receipt polling interval
+ * @param options.logger              lib/logger instance
+ * @param options.now                 clock in ms, for tests
+ */
+const createTxManager = (signer, policy, { logger = null, now = Date.now } = {}) => {
+  const provider = signer.provider;
+  const stats = { sent: 0, replaced: 0, confirmed: 0, reverted: 0, stuck: 0, pending: 0 };
+  let nextNonce = null;
+  let submitQueue = Promise.resolve();
+
+  const log = (level, msg, fields) => {
+    if (logger) logger[level](msg, fields);
+  };
+
+  // Submissions run one at a time so nonces reach the node in order
+  const serialize = (task) => {
+    const result = submitQueue.then(task);
+    submitQueue = result.catch(() => {});
+    return result;
+  };
+
+  /**
+   * Fees for a new transaction: the node's suggestion within the policy caps
+   */
+  const currentFees = async () => {
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+      const maxFeePerGas = minBN(feeData.maxFeePerGas, policy.maxFeePerGas);
+      return {
+        maxFeePerGas,
+        maxPriorityFeePerGas: minBN(minBN(feeData.maxPriorityFeePerGas, policy.maxPriorityFeePerGas), maxFeePerGas)
+      };
+    }
+    return { gasPrice: minBN(feeData.gasPrice, policy.maxFeePerGas) };
+  };
+
+  /**
+   * Fees raised by bumpPercent, or null once the caps leave no room for a valid replacement
+   */
+  const bumpFees = (fees) => {
+    const bump = (value, cap) => minBN(value.mul(100 + policy.bumpPercent).div(100), cap);
+    const required = (value) => value.mul(110).div(100); // nodes reject replacements below +10%
+
+    if (fees.gasPrice) {
+      const gasPrice = bump(fees.gasPrice, policy.maxFeePerGas);
+      return gasPrice.gte(required(fees.gasPrice)) ? { gasPrice } : null;
+    }
+
+    const maxFeePerGas = bump(fees.maxFeePerGas, policy.maxFeePerGas);
+    const maxPriorityFeePerGas = minBN(bump(fees.maxPriorityFeePerGas, policy.maxPriorityFeePerGas), maxFeePerGas);
+    if (maxFeePerGas.lt(required(fees.maxFeePerGas)) || maxPriorityFeePerGas.lt(required(fees.maxPriorityFeePerGas))) {
+      return null;
+    }
+    return { maxFeePerGas, maxPriorityFeePerGas };
+  };
+
+  const submit = (request) => serialize(async () => {
+    if (nextNonce === null) {
+      nextNonce = await signer.getTransactionCount("pending");
+    }
+
+    const nonce = nextNonce;
+    const fees = await currentFees();
+    const gasLimit = request.gasLimit ?? policy.gasLimit;
+
+    try {
+      const tx = await signer.sendTransaction({ ...request, ...fees, nonce, ...(gasLimit && { gasLimit }) });
+      nextNonce = nonce + 1;
+      stats.sent++;
+      log("info", "tx.sent", { hash: tx.hash, nonce, to: request.to, ...fees });
+      return { tx, nonce, fees, gasLimit };
+    } catch (error) {
+      // The nonce was not used (or the node knows better); ask again next time
+      nextNonce = null;
+      throw error;
+    }
+  });
+
+  const findReceipt = async (hashes) => {
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  };
+
+  const waitForInclusion = async (request, { tx, nonce, fees, gasLimit }) => {
+    const hashes = [tx.hash];
+    let currentFeesSent = fees;
+    let replacements = 0;
+    let deadline = now() + policy.stuckAfterMs;
+
+    for (;;) {
+      const receipt = await findReceipt(hashes);
+      if (receipt) {
+        if (receipt.status === 0) {
+          stats.reverted++;
+          throw txError(`Transaction ${receipt.transactionHash} reverted`, "TX_REVERTED", { receipt });
+        }
+        stats.confirmed++;
+        log("info", "tx.confirmed", { hash: receipt.transactionHash, nonce, gasUsed: receipt.gasUsed, replacements });
+        return receipt;
+      }
+
+      if (now() >= deadline) {
+        // A mined nonce without one of our receipts was taken by a transaction we did not send
+        const minedNonce = await signer.getTransactionCount("latest");
+        if (minedNonce > nonce && !(await findReceipt(hashes))) {
+          nextNonce = null;
+          throw txError(`Nonce ${nonce} was used by another transaction`, "NONCE_TAKEN", { hashes });
+        }
+
+        const bumped = replacements < policy.maxReplacements ? bumpFees(currentFeesSent) : null;
+        if (!bumped) {
+          stats.stuck++;
+          throw txError(`Transaction ${hashes[hashes.length - 1]} still pending after ${replacements} replacements`, "TX_STUCK", { hashes, nonce });
+        }
+
+        try {
+          const replacement = await signer.sendTransaction({ ...request, ...bumped, nonce, ...(gasLimit && { gasLimit }) });
+          hashes.push(replacement.hash);
+          currentFeesSent = bumped;
+          replacements++;
+          stats.replaced++;
+          log("warn", "tx.replaced", { hash: replacement.hash, replaces: hashes[hashes.length - 2], nonce, ...bumped });
+        } catch (error) {
+          // Usually the original was mined meanwhile ("nonce too low"); the next receipt check tells
+          log("warn", "tx.replace_failed", { nonce, error });
+        }
+        deadline = now() + policy.stuckAfterMs;
+      }
+
+      await sleep(policy.pollMs);
+    }
+  };
+
+  /**
+   * Send a transaction request and wait until it (or a replacement) is mined
+   * @param request populated transaction ({ to, data, value, gasLimit? })
+   * @returns {Promise<Object>} receipt; rejects with code TX_REVERTED, TX_STUCK or NONCE_TAKEN
+   */
+  const send = async (request) => {
+    const submitted = await submit(request);
+    stats.pending++;
+    try {
+      return await waitForInclusion(request, submitted);
+    } finally {
+      stats.pending--;
+    }
+  };
+
+  return {
+    send,
+    stats: () => ({ ...stats }),
+    resetNonce: () => {
+      nextNonce = null;
+    }
+  };
+};
+
+module.exports = {
+  createTxManager
+};
@@ -0,0 +1,179 @@
+const { ethers } = require("ethers");
+
+/**
+ * Persistent record of the transactions the app sends (each step of an action:
+ * wrap, approve, pool call), kept in localStorage per chain and account so a
+ * reload mid-flow can pick pending ones back up and keep watching them.
+ *
+ * A transaction whose nonce gets used by another one was replaced in the
+ * wallet: sped up (same call, higher fee: its replacement's receipt stands in),
+ * cancelled (a zero-value self-transfer), or replaced by an unrelated call.
+ */
+
+const STORAGE_PREFIX = "lendhub.txs";
+
+// Finished records kept for the drawer; pending ones are never dropped
+const MAX_FINISHED = 20;
+
+// Blocks searched for the transaction that took a pending one's nonce
+const MAX_SCAN_BLOCKS = 100;
+
+const STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  FAILED: "failed",
+  REPLACED: "replaced",
+  CANCELLED: "cancelled"
+};
+
+const storageKey = (chainId, account) => `${STORAGE_PREFIX}.${chainId}.${account.toLowerCase()}`;
+
+/**
+ * Records for one storage key, newest first
+ * @param storage localStorage, or any { getItem, setItem, removeItem }
+ * @returns {{ list: Function, add: Function, update: Function, clearFinished: Function }}
+ *   each returning the records after the change
+ */
+const createTxStore = (storage, key) => {
+  const read = () => {
+    try {
+      const records = JSON.parse(storage.getItem(key));
+      return Array.isArray(records) ? records : [];
+    } catch (error) {
+      // Corrupt or foreign value; start over
+      return [];
+    }
+  };
+
+  const write = (records) => {
+    let finished = 0;
+    const kept = records.filter((record) => record.status === STATUS.PENDING || ++finished <= MAX_FINISHED);
+    storage.setItem(key, JSON.stringify(kept));
+    return kept;
+  };
+
+  return {
+    list: read,
+    add: (record) => write([record, ...read().filter((existing) => existing.hash !== record.hash)]),
+    update: (hash, patch) => write(read().map((record) => (record.hash === hash ? { ...record, ...patch } : record))),
+    clearFinished: () => write(read().filter((record) => record.status === STATUS.PENDING))
+  };
+};
+
+/**
+ * Record for a transaction just sent, with what is needed to recognize its replacement
+ * @param details.action  action tag ("LEND")
+ * @param details.label   the step ("Approve DAI")
+ * @param details.token   pool token the action is about
+ * @param details.amount  display amount with symbol ("1.5 DAI")
+ * @param details.pool    pool the action targets
+ */
+const recordTransaction = async (provider, transaction, details = {}) => ({
+  hash: transaction.hash,
+  action: details.action || null,
+  label: details.label || null,
+  token: details.token || null,
+  amount: details.amount || null,
+  pool: details.pool || null,
+  from: transaction.from,
+  to: transaction.to || null,
+  nonce: transaction.nonce,
+  data: transaction.data,
+  value: ethers.BigNumber.from(transaction.value || 0).toString(),
+  startBlock: await provider.getBlockNumber(),
+  status: STATUS.PENDING,
+  submittedAt: Date.now()
+});
+
+const outcomeOfReceipt = (receipt, replacedBy = null) => ({
+  status: receipt.status === 0 ? STATUS.FAILED : STATUS.CONFIRMED,
+  receipt,
+  replacedBy
+});
+
+// The reason ethers gives a replacement: "repriced", "cancelled" or "replaced"
+const replacementReason = (record, replacement) => {
+  const value = ethers.BigNumber.from(replacement.value || 0);
+  if (replacement.data === "0x" && replacement.to && replacement.to.toLowerCase() === record.from.toLowerCase() && value.isZero()) {
+    return "cancelled";
+  }
+  if (replacement.data === record.data && (replacement.to || "").toLowerCase() === (record.to || "").toLowerCase() && value.eq(record.value)) {
+    return "repriced";
+  }
+  return "replaced";
+};
+
+const outcomeOfReplacement = (reason, replacement, receipt) => {
+  if (reason === "repriced" && receipt) return outcomeOfReceipt(receipt, replacement.hash);
+  return {
+    status: reason === "cancelled" ? STATUS.CANCELLED : STATUS.REPLACED,
+    receipt: null,
+    replacedBy: replacement ? replacement.hash : null
+  };
+};
+
+const findReplacement = async (provider, record) => {
+  const latest = await provider.getBlockNumber();
+  const from = record.from.toLowerCase();
+  const first = Math.max(record.startBlock || 0, latest - MAX_SCAN_BLOCKS);
+
+  for (let number = first; number <= latest; number++) {
+    const block = await provider.getBlockWithTransactions(number);
+    const replacement = block?.transactions.find((tx) => tx.from.toLowerCase() === from && tx.nonce === record.nonce);
+    if (replacement) return replacement;
+  }
+  return null;
+};
+
+/**
+ * Current state of a recorded transaction, e.g. after a reload
+ * @returns {Promise<{ status: string, receipt: Object | null, replacedBy: string | null }>}
+ */
+const checkTransaction = async (provider, record) => {
+  const receipt = await provider.getTransactionReceipt(record.hash);
+  if (receipt) return outcomeOfReceipt(receipt);
+
+  const mined = await provider.getTransactionCount(record.from, "latest");
+  if (mined <= record.nonce) {
+    return { status: STATUS.PENDING, receipt: null, replacedBy: null };
+  }
+
+  // The nonce is used; ours may still have been mined since the first look
+  const late = await provider.getTransactionReceipt(record.hash);
+  if (late) return outcomeOfReceipt(late);
+
+  const replacement = await findReplacement(provider, record);
+  if (!replacement) return outcomeOfReplacement("replaced", null, null);
+
+  const reason = replacementReason(record, replacement);
+  return outcomeOfReplacement(reason, replacement, await provider.getTransactionReceipt(replacement.hash));
+};
+
+/**
+ * Wait for a transaction sent in this session; ethers reports a replacement as
+ * TRANSACTION_REPLACED and a revert as CALL_EXCEPTION, both carrying the receipt
+ * @returns {Promise<Object>} checkTransaction's outcome, plus error when it did not confirm
+ */
+const waitForTransaction = async (transaction, confirmations = 1) => {
+  try {
+    return outcomeOfReceipt(await transaction.wait(confirmations));
+  } catch (error) {
+    if (error.code === ethers.errors.TRANSACTION_REPLACED) {
+      const outcome = outcomeOfReplacement(error.reason, error.replacement, error.receipt);
+      return outcome.status === STATUS.CONFIRMED ? outcome : { ...outcome, error };
+    }
+    if (error.receipt) {
+      return { ...outcomeOfReceipt(error.receipt), error };
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  STATUS,
+  storageKey,
+  createTxStore,
+  recordTransaction,
+  checkTransaction,
+  waitForTransaction
+};
@@ -3,15 +3,15 @@ import type { AppProps } from "next/app";
 
 // Applying Inter font
 import { Inter } from "@next/font/google";
-import LendStateProduction from "../context/LendStateProduction";
+import LendProvider from "../context/LendProvider";
 
 const inter = Inter({ subsets: ["latin"] });
 function MyApp({ Component, pageProps }: AppProps) {
   return (
     <main className={inter.className}>
-      <LendStateProduction>
+      <LendProvider>
         <Component {...pageProps} />
-      </LendStateProduction>
+      </LendProvider>
     </main>
   );
 }
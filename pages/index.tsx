@@ -4,7 +4,7 @@ import { useContext, useEffect } from "react";
 import { ToastContainer } from "react-toastify";
 import "react-toastify/dist/ReactToastify.min.css";
 import lendContext from "../context/lendContext";
-import { Header, MainCard, LendingPool, DisconnectedTab, HealthFactorCard, AssetMetrics, RefreshDataButton } from "../components";
+import { Header, MainCard, LendingPool, DisconnectedTab, HealthFactorCard, LiquidationPriceCard, PoolSelector, AssetMetrics, RefreshDataButton, StalePriceBanner } from "../components";
 
 const Home: NextPage = () => {
   const {
@@ -64,13 +64,24 @@ const Home: NextPage = () => {
           ) : (
             <div>
               <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-                {/* Health Factor Card - Only show if user has positions */}
+                {/* Oracle staleness warning */}
+                <StalePriceBanner />
+
+                {/* Factory pools - everything below is scoped to the selected one */}
+                <PoolSelector />
+
+                {/* Health Factor and Liquidation Prices - Only show if user has positions */}
                 {(parseFloat(healthFactor) > 0 || parseFloat(borrowPower) > 0) && (
-                  <HealthFactorCard 
-                    healthFactor={healthFactor}
-                    borrowPower={borrowPower}
-                    utilizationRate={utilizationRate}
-                  />
+                  <div className="grid grid-cols-1 lg:grid-cols-3 lg:gap-6">
+                    <div className="lg:col-span-2">
+                      <HealthFactorCard 
+                        healthFactor={healthFactor}
+                        borrowPower={borrowPower}
+                        utilizationRate={utilizationRate}
+                      />
+                    </div>
+                    <LiquidationPriceCard />
+                  </div>
                 )}
                 
                 {/* Asset Metrics - Market Overview */}
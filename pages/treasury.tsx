@@ -0,0 +1,54 @@
+import type { NextPage } from "next";
+import Head from "next/head";
+import { useContext } from "react";
+import { ToastContainer } from "react-toastify";
+import "react-toastify/dist/ReactToastify.min.css";
+import lendContext from "../context/lendContext";
+import { Header, DisconnectedTab, TreasuryPanel } from "../components";
+
+const Treasury: NextPage = () => {
+  const { metamaskDetails } = useContext(lendContext);
+
+  return (
+    <div>
+      <Head>
+        <title>LendHub - Treasury</title>
+        <link rel="icon" href="/lendhub-favi.png" />
+      </Head>
+
+      <main className="w-full p-0 m-0">
+        <div className="App bg-gradient-to-b from-[#212430] to-[#17171a] h-[12rem] text-white">
+          <Header />
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pt-8">
+            <h1 className="text-2xl font-semibold">Treasury</h1>
+            <p className="text-sm text-gray-400">
+              Reserves each pool has set aside from interest and flash loan fees.
+            </p>
+          </div>
+        </div>
+
+        {!metamaskDetails.currentAccount ? (
+          <DisconnectedTab />
+        ) : (
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 -mt-10">
+            <TreasuryPanel />
+          </div>
+        )}
+      </main>
+
+      <ToastContainer
+        position="top-center"
+        autoClose={2000}
+        hideProgressBar={false}
+        newestOnTop={false}
+        closeOnClick
+        rtl={false}
+        pauseOnFocusLoss
+        draggable
+        pauseOnHover
+      />
+    </div>
+  );
+};
+
+export default Treasury;
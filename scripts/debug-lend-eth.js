@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { formatError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🔍 [DEBUG] ETH Lend Debug Script");
@@ -59,7 +60,7 @@ async function main() {
       console.log(`Final supplied WETH: ${ethers.utils.formatEther(finalSupplied)}`);
       
     } catch (error) {
-      console.log("❌ Direct ETH lending failed:", error.message);
+      console.log("❌ Direct ETH lending failed:", formatError(error));
       
       // Method 2: ETH → WETH → Lend (like v2)
       console.log("\n📝 Method 2: ETH → WETH → Lend...");
@@ -102,7 +103,7 @@ async function main() {
     }
 
   } catch (error) {
-    console.error("❌ Lend failed:", error);
+    console.error("❌ Lend failed:", formatError(error));
   }
 }
 
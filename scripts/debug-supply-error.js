@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { decodeError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🔍 Debugging exact supply error...");
@@ -60,15 +61,11 @@ async function main() {
       console.log("✅ Gas estimates successful - transactions should work");
       
     } catch (error) {
-      console.log("❌ Gas estimation failed:", error.message);
-      
-      // Check if it's a revert reason
-      if (error.data) {
-        console.log("Error data:", error.data);
-      }
-      if (error.reason) {
-        console.log("Revert reason:", error.reason);
-      }
+      const { name, message, hint, data } = decodeError(error);
+      console.log("❌ Gas estimation failed:", message);
+      if (name) console.log("Error:", name);
+      if (hint) console.log("Hint:", hint);
+      if (data) console.log("Error data:", data);
     }
     
   } catch (error) {
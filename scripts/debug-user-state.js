@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { formatError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🔍 DEBUGGING USER STATE - TRIỆT ĐỂ");
@@ -72,7 +73,7 @@ async function main() {
     }
     
   } catch (error) {
-    console.error("❌ Debug failed:", error);
+    console.error("❌ Debug failed:", formatError(error));
   }
 }
 
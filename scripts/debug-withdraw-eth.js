@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { formatError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🔍 [DEBUG] ETH Withdraw Debug Script");
@@ -100,15 +101,7 @@ async function main() {
     }
 
   } catch (error) {
-    console.error("❌ Withdraw failed:", error);
-    
-    // Try to get more details
-    if (error.reason) {
-      console.error("Reason:", error.reason);
-    }
-    if (error.data) {
-      console.error("Data:", error.data);
-    }
+    console.error("❌ Withdraw failed:", formatError(error));
   }
 }
 
@@ -79,6 +79,12 @@ async function main() {
   deployed.core.LendingHelper = lendingHelper.address;
   console.log("LendingHelper deployed to:", lendingHelper.address);
 
+  const Multicall = await ethers.getContractFactory("Multicall");
+  const multicall = await Multicall.deploy();
+  await multicall.deployed();
+  deployed.core.Multicall = multicall.address;
+  console.log("Multicall deployed to:", multicall.address);
+
   // 4. Setup Token Mappings
   console.log("\n🔗 Setting up Token Mappings...");
   
@@ -177,7 +183,30 @@ async function main() {
   // Set liquidation manager
   await corePool.setLiquidationManager(liquidationManager.address);
   console.log("Liquidation manager configured");
-  
+
+  // Flash liquidations: helper plus a local AMM that sells seized collateral and lends debt tokens
+  const FlashLiquidator = await ethers.getContractFactory("FlashLiquidator");
+  const flashLiquidator = await FlashLiquidator.deploy(liquidationManager.address, weth.address);
+  await flashLiquidator.deployed();
+  deployed.core.FlashLiquidator = flashLiquidator.address;
+  console.log("FlashLiquidator deployed to:", flashLiquidator.address);
+
+  const MockAMM = await ethers.getContractFactory("MockAMM");
+  const mockAMM = await MockAMM.deploy();
+  await mockAMM.deployed();
+  deployed.core.MockAMM = mockAMM.address;
+  console.log("MockAMM deployed to:", mockAMM.address);
+
+  // Seed the pairs at the feed prices ($3000 WETH, $1 stablecoins)
+  await weth.deposit({ value: ethers.utils.parseEther("20") });
+  await weth.approve(mockAMM.address, ethers.constants.MaxUint256);
+  await usdc.approve(mockAMM.address, ethers.constants.MaxUint256);
+  await dai.approve(mockAMM.address, ethers.constants.MaxUint256);
+  await mockAMM.addLiquidity(weth.address, usdc.address, ethers.utils.parseEther("10"), ethers.utils.parseUnits("30000", 6));
+  await mockAMM.addLiquidity(weth.address, dai.address, ethers.utils.parseEther("10"), ethers.utils.parseEther("30000"));
+  await mockAMM.addLiquidity(usdc.address, dai.address, ethers.utils.parseUnits("100000", 6), ethers.utils.parseEther("100000"));
+  console.log("MockAMM liquidity added (WETH/USDC, WETH/DAI, USDC/DAI)");
+
   // 10. Save deployment info
   const artifactsDir = path.join(__dirname, "..", "artifacts", "config");
   if (!fs.existsSync(artifactsDir)) {
@@ -215,6 +244,9 @@ const addresses = {
   LiquidationManager: "${deployed.core.LiquidationManager}",
   KeeperAdapter: "${deployed.core.KeeperAdapter}",
   
+  // Periphery
+  Multicall: "${deployed.core.Multicall}",
+  
   // Pools
   CORE_POOL: "${deployed.pools.CORE}",
 };
@@ -250,6 +282,9 @@ module.exports = {
   console.log(`  CORE Pool: ${deployed.pools.CORE}`);
   console.log(`  LendingHelper: ${deployed.core.LendingHelper}`);
   console.log(`  LiquidationManager: ${deployed.core.LiquidationManager}`);
+  console.log(`  Multicall: ${deployed.core.Multicall}`);
+  console.log(`  FlashLiquidator: ${deployed.core.FlashLiquidator}`);
+  console.log(`  MockAMM: ${deployed.core.MockAMM}`);
   console.log("=".repeat(50));
   
   console.log("\n🎉 LendHub v2 is ready on Ganache!");
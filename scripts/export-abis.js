@@ -0,0 +1,54 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Export the ABIs the frontend, keeper and scripts share into abis/v2.
+ * Run after changing any of these contracts: npm run abis
+ */
+const CONTRACTS = [
+  "IsolatedLendingPool",
+  "LendingConfigV2",
+  "AddressToTokenMapV2",
+  "PoolFactory",
+  "LendingHelper",
+  "LiquidationManager",
+  "KeeperAdapter",
+  "Multicall",
+  "FlashLiquidator",
+  "IERC3156FlashLender",
+  "IAMM",
+  "ERC20Mintable",
+  "WETH9",
+  "Errors"
+];
+
+const OUTPUT_DIR = path.join(__dirname, "..", "abis", "v2");
+
+async function main() {
+  console.log("📦 Exporting ABIs from Hardhat artifacts...");
+
+  await hre.run("compile");
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+  for (const name of CONTRACTS) {
+    const artifact = await hre.artifacts.readArtifact(name);
+    const output = {
+      contractName: artifact.contractName,
+      sourceName: artifact.sourceName,
+      abi: artifact.abi
+    };
+
+    fs.writeFileSync(path.join(OUTPUT_DIR, `${name}.json`), JSON.stringify(output, null, 2) + "\n");
+    console.log(`✅ ${name} (${artifact.abi.length} entries)`);
+  }
+
+  console.log(`\n🎉 ${CONTRACTS.length} ABIs written to abis/v2`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
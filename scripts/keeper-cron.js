@@ -1,375 +1,594 @@
-const { ethers } = require("hardhat");
 const fs = require("fs");
-const path = require("path");
-
-// Configuration
-const CONFIG = {
-  CHECK_INTERVAL: 30000, // 30 seconds
-  MAX_LIQUIDATIONS_PER_RUN: 5,
-  MIN_HEALTH_FACTOR: ethers.utils.parseEther("1.0"), // 1.0
-  GAS_LIMIT: 500000,
-  MAX_FEE_PER_GAS: ethers.utils.parseUnits("20", "gwei"),
-  MAX_PRIORITY_FEE_PER_GAS: ethers.utils.parseUnits("2", "gwei")
-};
+const { ethers } = require("ethers");
+const abis = require("../lib/abis");
+const {
+  getBorrowers,
+  addBorrower,
+  loadIndex,
+  saveIndex,
+  scanBorrowers,
+  watchBorrowers,
+  syncKeeperAdapter
+} = require("../lib/borrowerIndex");
+const { planLiquidation } = require("../lib/liquidationPlanner");
+const { loadKeeperConfig } = require("../lib/keeperConfig");
+const { createLogger } = require("../lib/logger");
+const { formatError } = require("../lib/contractErrors");
+const { createBackoff } = require("../lib/backoff");
+const { createTxManager } = require("../lib/txManager");
+const { createMetrics, startKeeperServer } = require("../lib/keeperServer");
+
+/**
+ * Liquidation keeper daemon. Configuration comes from a JSON file, environment
+ * variables and CLI flags (lib/keeperConfig, scripts/keeper.config.example.json);
+ * logs are JSON lines and /health + /metrics are served locally.
+ *
+ *   node scripts/keeper-cron.js --config keeper.json
+ *   node scripts/keeper-cron.js --network ganache --pools all --dry-run
+ */
+
+// Configuration (resolved in startKeeper)
+let CONFIG;
+let log = createLogger({ fields: { component: "keeper" } });
 
 // Global state
-let isRunning = false;
+const state = {
+  running: false,
+  stopped: false,
+  startedAt: null,
+  lastRunAt: null,
+  lastSuccessAt: null,
+  lastError: null
+};
+let provider;
 let contracts = {};
 let signer;
+let signerAddress;
+let admin;
+let borrowerIndex;
+let txManager;
+let backoff;
+let metrics;
+let server;
+let timer;
+let stopWatching = () => {};
+
+function defineMetrics() {
+  metrics = createMetrics();
+  metrics.define("keeper_runs_total", "counter", "Keeper runs by result");
+  metrics.define("keeper_run_duration_seconds", "gauge", "Duration of the last keeper run");
+  metrics.define("keeper_last_run_timestamp_seconds", "gauge", "Unix time the last run finished");
+  metrics.define("keeper_liquidations_total", "counter", "Liquidation attempts by result");
+  metrics.define("keeper_liquidatable_users", "gauge", "Liquidatable users found in the last run");
+  metrics.define("keeper_backoff_users", "gauge", "Users currently skipped after repeated failures");
+  metrics.define("keeper_known_borrowers", "gauge", "Borrowers discovered per pool");
+  metrics.define("keeper_transactions_total", "counter", "Keeper transactions by event");
+  metrics.define("keeper_pending_transactions", "gauge", "Transactions waiting for inclusion");
+  metrics.define("keeper_signer_balance_eth", "gauge", "Native balance of the keeper signer in ETH");
+  metrics.define("keeper_uncaught_errors_total", "counter", "Unhandled errors caught by the process handlers");
+}
+
+/**
+ * Signer from a private key or an unlocked node account; null when neither is configured
+ */
+function resolveSigner({ privateKey, accountIndex }) {
+  if (privateKey) return new ethers.Wallet(privateKey, provider);
+  if (accountIndex !== null && accountIndex !== undefined) return provider.getSigner(accountIndex);
+  return null;
+}
 
 /**
  * Load deployed contract addresses and initialize contracts
  */
 async function loadContracts() {
+  if (!fs.existsSync(CONFIG.deployment)) {
+    throw new Error(`Deployment file ${CONFIG.deployment} not found. Deploy contracts first or pass --deployment.`);
+  }
+  const deployedContracts = JSON.parse(fs.readFileSync(CONFIG.deployment, "utf8"));
+
+  signer = resolveSigner(CONFIG.signer);
   try {
-    const configPath = path.join(__dirname, "..", "artifacts", "config", "ganache.json");
-    
-    if (!fs.existsSync(configPath)) {
-      console.error("❌ Config file not found. Please deploy contracts first.");
-      process.exit(1);
+    signerAddress = signer && await signer.getAddress();
+  } catch (error) {
+    if (!CONFIG.dryRun) throw new Error(`Keeper signer unavailable: ${error.message}`);
+    signer = null;
+  }
+  if (!signer && !CONFIG.dryRun) {
+    throw new Error("No keeper signer: set signer.privateKey (KEEPER_PRIVATE_KEY) or signer.accountIndex");
+  }
+  admin = resolveSigner(CONFIG.admin);
+
+  if (signer) {
+    txManager = createTxManager(signer, CONFIG.gas, { logger: log });
+    log.info("signer.loaded", { address: signerAddress, balance: await provider.getBalance(signerAddress) });
+  }
+
+  contracts.liquidationManager = new ethers.Contract(deployedContracts.core.LiquidationManager, abis.LiquidationManager, provider);
+  contracts.addressToTokenMap = new ethers.Contract(deployedContracts.core.AddressToTokenMapV2, abis.AddressToTokenMapV2, provider);
+  contracts.keeperAdapter = deployedContracts.core.KeeperAdapter
+    ? new ethers.Contract(deployedContracts.core.KeeperAdapter, abis.KeeperAdapter, provider)
+    : null;
+  contracts.gasToken = CONFIG.gasToken || deployedContracts.mockTokens?.WETH || null;
+
+  if (CONFIG.flash.enabled) {
+    const liquidator = CONFIG.flash.liquidator || deployedContracts.core.FlashLiquidator;
+    const amm = CONFIG.flash.amm || deployedContracts.core.MockAMM;
+    if (!liquidator || !amm) {
+      throw new Error("Flash mode needs flash.liquidator and flash.amm (or core.FlashLiquidator and core.MockAMM in the deployment)");
     }
+    contracts.flashLiquidator = new ethers.Contract(liquidator, abis.FlashLiquidator, provider);
+    contracts.flash = {
+      lender: CONFIG.flash.lender || amm,
+      amm,
+      weth: await contracts.flashLiquidator.weth()
+    };
+    log.info("flash.enabled", { liquidator, ...contracts.flash });
+  }
 
-    const deployedContracts = JSON.parse(fs.readFileSync(configPath, "utf8"));
-    
-    // Get signer (liquidator account)
-    const accounts = await ethers.getSigners();
-    signer = accounts[1]; // Use second account as liquidator
-    
-    console.log("🤖 Liquidator account:", signer.address);
-    console.log("💰 Liquidator balance:", ethers.utils.formatEther(await signer.getBalance()), "ETH");
-
-    // Initialize contract instances
-    contracts.addressToTokenMap = await ethers.getContractAt(
-      "AddressToTokenMapV2", 
-      deployedContracts.core.AddressToTokenMapV2,
-      signer
-    );
-
-    contracts.lendingConfig = await ethers.getContractAt(
-      "LendingConfigV2", 
-      deployedContracts.core.LendingConfigV2,
-      signer
-    );
-
-    contracts.liquidationManager = await ethers.getContractAt(
-      "LiquidationManager", 
-      deployedContracts.core.LiquidationManager,
-      signer
-    );
-
-    contracts.keeperAdapter = await ethers.getContractAt(
-      "KeeperAdapter", 
-      deployedContracts.core.KeeperAdapter,
-      signer
-    );
-
-    contracts.pool = await ethers.getContractAt(
-      "IsolatedLendingPool", 
-      deployedContracts.pools.CORE,
-      signer
-    );
-
-    // Initialize token contracts
-    contracts.tokens = {};
-    contracts.tokens.WETH = await ethers.getContractAt(
-      "ERC20Mintable", 
-      deployedContracts.mockTokens.WETH,
-      signer
-    );
-    contracts.tokens.USDC = await ethers.getContractAt(
-      "ERC20Mintable", 
-      deployedContracts.mockTokens.USDC,
-      signer
-    );
-    contracts.tokens.DAI = await ethers.getContractAt(
-      "ERC20Mintable", 
-      deployedContracts.mockTokens.DAI,
-      signer
-    );
-
-    console.log("✅ Contracts loaded successfully");
-    return true;
-  } catch (error) {
-    console.error("❌ Failed to load contracts:", error.message);
-    return false;
+  let poolAddresses = CONFIG.pools;
+  if (poolAddresses === "all") {
+    const poolFactory = new ethers.Contract(deployedContracts.core.PoolFactory, abis.PoolFactory, provider);
+    poolAddresses = await poolFactory.getAllPools();
+  }
+  contracts.pools = {};
+  for (const poolAddress of poolAddresses) {
+    const address = ethers.utils.getAddress(poolAddress);
+    contracts.pools[address] = new ethers.Contract(address, abis.IsolatedLendingPool, provider);
   }
+
+  log.info("contracts.loaded", { deployment: CONFIG.deployment, pools: Object.keys(contracts.pools) });
 }
 
 /**
- * Check for liquidatable users in the pool
+ * Build the borrower set from pool events: resume the saved checkpoint, scan
+ * up to the latest block, then keep it current from live events
  */
-async function checkLiquidatableUsers() {
-  try {
-    const poolAddress = contracts.pool.address;
-    const trackedUsers = await contracts.keeperAdapter.getTrackedUsers(poolAddress);
-    
-    if (trackedUsers.length === 0) {
-      console.log("📊 No users being tracked");
-      return [];
-    }
+async function startBorrowerDiscovery() {
+  const pools = Object.keys(contracts.pools);
+  const { checkpoint, startBlock, chunkSize } = CONFIG.discovery;
+  borrowerIndex = loadIndex(checkpoint, startBlock);
 
-    console.log(`📊 Checking ${trackedUsers.length} tracked users...`);
+  log.info("discovery.scanning", { checkpoint });
+  const discovered = await scanBorrowers(provider, pools, borrowerIndex, {
+    chunkSize,
+    onChunk: (index) => saveIndex(checkpoint, index)
+  });
+  saveIndex(checkpoint, borrowerIndex);
 
-    const liquidatableUsers = [];
-    
-    for (const user of trackedUsers) {
-      try {
-        const isLiquidatable = await contracts.liquidationManager.isLiquidatable(user, poolAddress);
-        
-        if (isLiquidatable) {
-          const result = await contracts.liquidationManager.calcHealthFactor(user, poolAddress);
-          const healthFactor = result.hf;
-          const collateralUSD = result.collateralUSD;
-          const borrowUSD = result.borrowUSD;
-          
-          liquidatableUsers.push({
-            user,
-            healthFactor: ethers.utils.formatEther(healthFactor),
-            collateralUSD: ethers.utils.formatEther(collateralUSD),
-            borrowUSD: ethers.utils.formatEther(borrowUSD)
-          });
-          
-          console.log(`🚨 User ${user} is liquidatable:`);
-          console.log(`   Health Factor: ${ethers.utils.formatEther(healthFactor)}`);
-          console.log(`   Collateral: $${ethers.utils.formatEther(collateralUSD)}`);
-          console.log(`   Debt: $${ethers.utils.formatEther(borrowUSD)}`);
-        }
-      } catch (error) {
-        console.error(`❌ Error checking user ${user}:`, error.message);
-      }
+  for (const pool of pools) {
+    log.info("discovery.pool", { pool, borrowers: getBorrowers(borrowerIndex, pool).length });
+  }
+  log.info("discovery.caught_up", { discovered: discovered.length });
+
+  stopWatching = watchBorrowers(provider, pools, (pool, user) => {
+    if (addBorrower(borrowerIndex, pool, user)) {
+      log.info("discovery.new_borrower", { pool, user });
+      saveIndex(checkpoint, borrowerIndex);
     }
-    
-    return liquidatableUsers;
-  } catch (error) {
-    console.error("❌ Error checking liquidatable users:", error.message);
-    return [];
+  });
+}
+
+/**
+ * Catch up on blocks the live listener may have missed (reconnects, polling gaps)
+ */
+async function updateBorrowers() {
+  const discovered = await scanBorrowers(provider, Object.keys(contracts.pools), borrowerIndex, {
+    chunkSize: CONFIG.discovery.chunkSize
+  });
+  saveIndex(CONFIG.discovery.checkpoint, borrowerIndex);
+
+  if (discovered.length > 0) {
+    log.info("discovery.new_borrowers", { discovered: discovered.length });
   }
 }
 
 /**
- * Execute liquidation for a user
+ * Register discovered borrowers in KeeperAdapter (opt-in: discovery.syncAdapter)
  */
-async function executeLiquidation(userInfo) {
-  try {
-    const { user } = userInfo;
-    const poolAddress = contracts.pool.address;
-    
-    console.log(`🔧 Attempting to liquidate user ${user}...`);
-    
-    // Get user's positions
-    const supportedTokens = await contracts.pool.getSupportedTokens();
-    let debtToken = null;
-    let collateralToken = null;
-    let maxDebt = ethers.constants.Zero;
-    let maxCollateral = ethers.constants.Zero;
-    
-    // Find token with highest debt and highest collateral
-    for (const token of supportedTokens) {
-      const debt = await contracts.pool.debts(user, token);
-      const collateral = await contracts.pool.supplied(user, token);
-      
-      if (debt.gt(maxDebt)) {
-        maxDebt = debt;
-        debtToken = token;
-      }
-      
-      if (collateral.gt(maxCollateral)) {
-        maxCollateral = collateral;
-        collateralToken = token;
-      }
-    }
-    
-    if (!debtToken || !collateralToken || maxDebt.eq(0) || maxCollateral.eq(0)) {
-      console.log("⚠️ No suitable debt/collateral found for liquidation");
-      return false;
-    }
-    
-    // Calculate liquidation amount (50% of debt)
-    const liquidationPercentage = 50;
-    const repayAmount = maxDebt.mul(liquidationPercentage).div(100);
-    
-    // Check liquidator has enough tokens
-    const debtTokenContract = await ethers.getContractAt("ERC20Mintable", debtToken, signer);
-    const liquidatorBalance = await debtTokenContract.balanceOf(signer.address);
-    
-    if (liquidatorBalance.lt(repayAmount)) {
-      console.log(`⚠️ Liquidator has insufficient ${await getTokenSymbol(debtToken)} balance`);
-      console.log(`   Required: ${ethers.utils.formatEther(repayAmount)}`);
-      console.log(`   Available: ${ethers.utils.formatEther(liquidatorBalance)}`);
-      return false;
+async function syncDiscoveredBorrowers() {
+  if (!CONFIG.discovery.syncAdapter || !contracts.keeperAdapter || !admin) return;
+
+  const adminAddress = await admin.getAddress();
+  const adminRole = await contracts.keeperAdapter.ADMIN_ROLE();
+  if (!(await contracts.keeperAdapter.hasRole(adminRole, adminAddress))) {
+    log.warn("discovery.sync_skipped", { admin: adminAddress, reason: "not a KeeperAdapter admin" });
+    return;
+  }
+
+  const adapter = contracts.keeperAdapter.connect(admin);
+  for (const pool of Object.keys(contracts.pools)) {
+    try {
+      await syncKeeperAdapter(adapter, pool, getBorrowers(borrowerIndex, pool), CONFIG.discovery.syncBatchSize);
+    } catch (error) {
+      log.error("discovery.sync_failed", { pool, error });
     }
-    
-    // Approve tokens for liquidation
-    console.log(`💸 Approving ${ethers.utils.formatEther(repayAmount)} tokens for liquidation...`);
-    const approveTx = await debtTokenContract.approve(
-      contracts.liquidationManager.address, 
-      repayAmount,
-      {
-        gasLimit: CONFIG.GAS_LIMIT,
-        maxFeePerGas: CONFIG.MAX_FEE_PER_GAS,
-        maxPriorityFeePerGas: CONFIG.MAX_PRIORITY_FEE_PER_GAS
-      }
-    );
-    await approveTx.wait();
-    
-    // Execute liquidation
-    console.log(`⚡ Executing liquidation...`);
-    const liquidateTx = await contracts.liquidationManager.liquidate(
-      user,
-      poolAddress,
-      debtToken,
-      repayAmount,
-      collateralToken,
-      {
-        gasLimit: CONFIG.GAS_LIMIT,
-        maxFeePerGas: CONFIG.MAX_FEE_PER_GAS,
-        maxPriorityFeePerGas: CONFIG.MAX_PRIORITY_FEE_PER_GAS
-      }
-    );
-    
-    const receipt = await liquidateTx.wait();
-    console.log(`✅ Liquidation successful! Gas used: ${receipt.gasUsed.toString()}`);
-    
-    return true;
-  } catch (error) {
-    console.error(`❌ Liquidation failed for user ${userInfo.user}:`, error.message);
-    return false;
   }
 }
 
 /**
- * Get token symbol for logging
+ * Check discovered and KeeperAdapter-tracked users of every pool
  */
-async function getTokenSymbol(tokenAddress) {
-  try {
-    return await contracts.addressToTokenMap.getSymbol(tokenAddress);
-  } catch {
-    return "UNKNOWN";
+async function checkLiquidatableUsers() {
+  const liquidatableUsers = [];
+
+  for (const poolAddress of Object.keys(contracts.pools)) {
+    liquidatableUsers.push(...await checkPoolUsers(poolAddress));
   }
+
+  return liquidatableUsers;
 }
 
 /**
- * Add users to tracking (for demo purposes)
+ * Check for liquidatable users in one pool
  */
-async function addDemoUsers() {
-  try {
-    // Get some accounts to track
-    const accounts = await ethers.getSigners();
-    const demoUsers = accounts.slice(2, 5).map(account => account.address); // Use accounts 2, 3, 4
-    
-    console.log("👥 Adding demo users to tracking...");
-    
-    for (const user of demoUsers) {
-      try {
-        await contracts.keeperAdapter.addUser(contracts.pool.address, user);
-        console.log(`✅ Added user ${user} to tracking`);
-      } catch (error) {
-        // User might already be tracked
-        console.log(`⚠️ User ${user} already tracked or error:`, error.message);
-      }
+async function checkPoolUsers(poolAddress) {
+  const trackedUsers = contracts.keeperAdapter ? await contracts.keeperAdapter.getTrackedUsers(poolAddress) : [];
+  const users = [...new Set([...getBorrowers(borrowerIndex, poolAddress), ...trackedUsers])];
+
+  log.debug("pool.checking", { pool: poolAddress, users: users.length });
+
+  const liquidatableUsers = [];
+  for (const user of users) {
+    try {
+      if (!(await contracts.liquidationManager.isLiquidatable(user, poolAddress))) continue;
+
+      const { hf, collateralUSD, borrowUSD } = await contracts.liquidationManager.calcHealthFactor(user, poolAddress);
+      liquidatableUsers.push({ user, pool: poolAddress });
+      log.info("user.liquidatable", { pool: poolAddress, user, healthFactor: hf, collateralUSD, borrowUSD });
+    } catch (error) {
+      log.error("user.check_failed", { pool: poolAddress, user, error });
     }
-  } catch (error) {
-    console.error("❌ Error adding demo users:", error.message);
   }
+
+  return liquidatableUsers;
 }
 
 /**
- * Main keeper loop
+ * Log a liquidation plan with token amounts in their own decimals
+ */
+function logPlan(plan) {
+  log.info("liquidation.plan", {
+    pool: plan.pool,
+    user: plan.user,
+    debtToken: plan.debtSymbol,
+    repay: ethers.utils.formatUnits(plan.repayAmount, plan.debtDecimals),
+    collateralToken: plan.collateralSymbol,
+    seize: ethers.utils.formatUnits(plan.seizeAmount, plan.collateralDecimals),
+    repayUSD: ethers.utils.formatEther(plan.repayUSD),
+    seizeUSD: ethers.utils.formatEther(plan.seizeUSD),
+    gasCostUSD: ethers.utils.formatEther(plan.gasCostUSD),
+    gasPriceGwei: ethers.utils.formatUnits(plan.gasPrice, "gwei"),
+    profitUSD: ethers.utils.formatEther(plan.profitUSD),
+    candidates: plan.candidates.length,
+    profitable: plan.profitable,
+    ...(plan.flash && {
+      flashFee: ethers.utils.formatUnits(plan.flash.fee, plan.debtDecimals),
+      ammOut: ethers.utils.formatUnits(plan.flash.amountOut, plan.debtDecimals)
+    })
+  });
+}
+
+/**
+ * Plan and, unless dry-running, execute the most profitable liquidation for a user
+ * @returns {Promise<string>} "executed" | "skipped" | "dry_run"; throws when execution fails
+ */
+async function executeLiquidation({ user, pool: poolAddress }) {
+  // A dry run plans as if the liquidator held enough of every debt token; flash mode borrows it
+  const plan = await planLiquidation(provider, poolAddress, user, {
+    liquidationManager: contracts.liquidationManager.address,
+    oracle: contracts.addressToTokenMap.address,
+    closeFactor: CONFIG.closeFactor,
+    gasUnits: CONFIG.gasUnits,
+    gasToken: contracts.gasToken,
+    liquidator: CONFIG.dryRun ? null : signerAddress,
+    flash: contracts.flash,
+    minProfitUSD: CONFIG.minProfitUSD
+  });
+
+  if (!plan) {
+    log.info("liquidation.skipped", { pool: poolAddress, user, reason: "no priced debt/collateral pair or no liquidator balance" });
+    return "skipped";
+  }
+
+  logPlan(plan);
+
+  if (!plan.profitable) {
+    log.info("liquidation.skipped", { pool: poolAddress, user, reason: "not profitable after gas" });
+    return "skipped";
+  }
+
+  if (CONFIG.dryRun) return "dry_run";
+
+  if (plan.flash) return executeFlashLiquidation(plan);
+
+  const manager = contracts.liquidationManager;
+  const overrides = {};
+
+  if (plan.debtIsNative) {
+    // Native ETH debt is paid with msg.value, nothing to approve
+    overrides.value = plan.repayAmount;
+  } else {
+    const debtToken = new ethers.Contract(plan.debtToken, abis.ERC20, provider);
+    const allowance = await debtToken.allowance(signerAddress, manager.address);
+    if (allowance.lt(plan.repayAmount)) {
+      await txManager.send(await debtToken.populateTransaction.approve(manager.address, plan.repayAmount));
+    }
+  }
+
+  const args = [user, poolAddress, plan.debtToken, plan.repayAmount, plan.collateralToken];
+
+  // Surface reverts (e.g. repaid meanwhile) without paying gas for them
+  await manager.callStatic.liquidate(...args, { ...overrides, from: signerAddress });
+
+  const receipt = await txManager.send(await manager.populateTransaction.liquidate(...args, overrides));
+  log.info("liquidation.executed", {
+    pool: poolAddress,
+    user,
+    hash: receipt.transactionHash,
+    gasUsed: receipt.gasUsed,
+    nativeCollateral: plan.collateralIsNative
+  });
+
+  return "executed";
+}
+
+/**
+ * Liquidate through FlashLiquidator: borrow the repay, sell the seized collateral
+ * on the AMM and keep the rest; the signer needs nothing but gas
+ * @returns {Promise<string>} "executed"
+ */
+async function executeFlashLiquidation(plan) {
+  const { lender, amm, loanToken, profit } = plan.flash;
+  const params = {
+    lender,
+    amm,
+    pool: plan.pool,
+    user: plan.user,
+    debtToken: plan.debtToken,
+    repayAmount: plan.repayAmount,
+    collateralToken: plan.collateralToken,
+    minProfit: profit.mul(10000 - CONFIG.flash.slippageBps).div(10000)
+  };
+  const flashLiquidator = contracts.flashLiquidator;
+
+  // Surface reverts (e.g. repaid meanwhile, AMM moved) without paying gas for them
+  const expectedProfit = await flashLiquidator.callStatic.flashLiquidate(params, { from: signerAddress });
+
+  // Loan, liquidation and swap together outgrow the default gas limit; size it with 20% headroom
+  const gasLimit = (await flashLiquidator.estimateGas.flashLiquidate(params, { from: signerAddress })).mul(120).div(100);
+
+  const receipt = await txManager.send(await flashLiquidator.populateTransaction.flashLiquidate(params, { gasLimit }));
+  log.info("liquidation.executed", {
+    pool: plan.pool,
+    user: plan.user,
+    hash: receipt.transactionHash,
+    gasUsed: receipt.gasUsed,
+    flash: true,
+    loanToken,
+    profit: ethers.utils.formatUnits(expectedProfit, plan.debtDecimals)
+  });
+
+  return "executed";
+}
+
+/**
+ * One keeper run: refresh borrowers, find liquidatable users and liquidate them
  */
 async function keeperLoop() {
-  if (isRunning) {
-    console.log("⚠️ Keeper loop already running, skipping...");
+  if (state.running) {
+    log.warn("run.skipped", { reason: "previous run still active" });
     return;
   }
-  
-  isRunning = true;
-  
+
+  state.running = true;
+  const startedAt = Date.now();
+
   try {
-    console.log("\n🔍 Starting liquidation check...");
-    console.log("⏰ Time:", new Date().toISOString());
-    
-    // Check for liquidatable users
+    await updateBorrowers();
+    await syncDiscoveredBorrowers();
+
     const liquidatableUsers = await checkLiquidatableUsers();
-    
-    if (liquidatableUsers.length === 0) {
-      console.log("✅ No liquidations needed");
-      return;
-    }
-    
-    console.log(`🎯 Found ${liquidatableUsers.length} users that need liquidation`);
-    
-    // Execute liquidations (up to max per run)
-    const maxLiquidations = Math.min(liquidatableUsers.length, CONFIG.MAX_LIQUIDATIONS_PER_RUN);
-    let successfulLiquidations = 0;
-    
-    for (let i = 0; i < maxLiquidations; i++) {
-      const success = await executeLiquidation(liquidatableUsers[i]);
-      if (success) {
-        successfulLiquidations++;
+    metrics.set("keeper_liquidatable_users", {}, liquidatableUsers.length);
+
+    const ready = liquidatableUsers.filter(({ user, pool }) => {
+      const blocked = backoff.isBlocked(`${pool}:${user}`);
+      if (blocked) {
+        log.debug("liquidation.backoff", { pool, user, ...backoff.get(`${pool}:${user}`) });
+      }
+      return !blocked;
+    });
+
+    let executed = 0;
+    for (const userInfo of ready.slice(0, CONFIG.maxLiquidationsPerRun)) {
+      const key = `${userInfo.pool}:${userInfo.user}`;
+      try {
+        const result = await executeLiquidation(userInfo);
+        metrics.inc("keeper_liquidations_total", { result });
+        if (result === "executed") executed++;
+        backoff.success(key);
+      } catch (error) {
+        const { failures, retryAt } = backoff.failure(key);
+        metrics.inc("keeper_liquidations_total", { result: "failed" });
+        log.error("liquidation.failed", {
+          ...userInfo,
+          error,
+          failures,
+          retryAt: new Date(retryAt).toISOString()
+        });
       }
-      
-      // Small delay between liquidations
-      await new Promise(resolve => setTimeout(resolve, 1000));
     }
-    
-    console.log(`📊 Liquidation summary: ${successfulLiquidations}/${maxLiquidations} successful`);
-    
+
+    log.info("run.completed", {
+      liquidatable: liquidatableUsers.length,
+      backingOff: liquidatableUsers.length - ready.length,
+      executed
+    });
+    state.lastSuccessAt = Date.now();
+    state.lastError = null;
+    metrics.inc("keeper_runs_total", { result: "ok" });
   } catch (error) {
-    console.error("❌ Error in keeper loop:", error.message);
+    state.lastError = formatError(error);
+    metrics.inc("keeper_runs_total", { result: "error" });
+    log.error("run.failed", { error });
   } finally {
-    isRunning = false;
+    state.running = false;
+    state.lastRunAt = Date.now();
+    metrics.set("keeper_run_duration_seconds", {}, (state.lastRunAt - startedAt) / 1000);
+    metrics.set("keeper_last_run_timestamp_seconds", {}, Math.floor(state.lastRunAt / 1000));
   }
 }
 
 /**
- * Start the keeper bot
+ * Healthy while runs keep succeeding: the last success (or the start) is under three intervals old
  */
-async function startKeeper() {
-  console.log("🤖 Starting LendHub Liquidation Keeper Bot");
-  console.log("⚙️ Configuration:");
-  console.log(`   Check Interval: ${CONFIG.CHECK_INTERVAL / 1000}s`);
-  console.log(`   Max Liquidations per Run: ${CONFIG.MAX_LIQUIDATIONS_PER_RUN}`);
-  console.log(`   Min Health Factor: ${ethers.utils.formatEther(CONFIG.MIN_HEALTH_FACTOR)}`);
-  
-  // Load contracts
-  const success = await loadContracts();
-  if (!success) {
-    process.exit(1);
+function health() {
+  const reference = state.lastSuccessAt || state.startedAt;
+  const healthy = !state.stopped && Date.now() - reference < 3 * CONFIG.intervalMs;
+
+  return {
+    healthy,
+    status: healthy ? "ok" : "degraded",
+    network: CONFIG.network,
+    signer: signerAddress || null,
+    dryRun: CONFIG.dryRun,
+    flash: CONFIG.flash.enabled,
+    pools: Object.keys(contracts.pools || {}).length,
+    running: state.running,
+    lastRunAt: state.lastRunAt && new Date(state.lastRunAt).toISOString(),
+    lastSuccessAt: state.lastSuccessAt && new Date(state.lastSuccessAt).toISOString(),
+    lastError: state.lastError,
+    pendingTransactions: txManager ? txManager.stats().pending : 0,
+    backoffUsers: backoff.blockedCount()
+  };
+}
+
+/**
+ * Refresh gauges read on demand by /metrics
+ */
+async function collectMetrics() {
+  metrics.set("keeper_backoff_users", {}, backoff.blockedCount());
+  for (const pool of Object.keys(contracts.pools || {})) {
+    metrics.set("keeper_known_borrowers", { pool }, borrowerIndex ? getBorrowers(borrowerIndex, pool).length : 0);
   }
-  
-  // Add demo users for testing
-  await addDemoUsers();
-  
-  // Start the main loop
-  console.log("\n🚀 Keeper bot started. Press Ctrl+C to stop.\n");
-  
-  const interval = setInterval(keeperLoop, CONFIG.CHECK_INTERVAL);
-  
-  // Graceful shutdown
-  process.on('SIGINT', () => {
-    console.log("\n🛑 Shutting down keeper bot...");
-    clearInterval(interval);
-    process.exit(0);
+
+  if (txManager) {
+    const { pending, ...events } = txManager.stats();
+    metrics.set("keeper_pending_transactions", {}, pending);
+    for (const [event, count] of Object.entries(events)) {
+      metrics.set("keeper_transactions_total", { event }, count);
+    }
+    try {
+      metrics.set("keeper_signer_balance_eth", {}, ethers.utils.formatEther(await provider.getBalance(signerAddress)));
+    } catch (error) {
+      log.warn("metrics.balance_failed", { error });
+    }
+  }
+}
+
+function scheduleNext() {
+  if (state.stopped) return;
+  timer = setTimeout(async () => {
+    await keeperLoop();
+    scheduleNext();
+  }, CONFIG.intervalMs);
+}
+
+/**
+ * Stop scheduling, close the listeners and the HTTP server, and save the checkpoint
+ */
+async function stopKeeper() {
+  state.stopped = true;
+  clearTimeout(timer);
+  stopWatching();
+  if (borrowerIndex) saveIndex(CONFIG.discovery.checkpoint, borrowerIndex);
+  if (server) await new Promise((resolve) => server.close(resolve));
+  log.info("keeper.stopped");
+}
+
+/**
+ * Start the keeper daemon
+ */
+async function startKeeper(options) {
+  CONFIG = loadKeeperConfig(options);
+  log = createLogger({ level: CONFIG.logLevel, fields: { component: "keeper" } });
+  backoff = createBackoff(CONFIG.backoff);
+  defineMetrics();
+
+  log.info("keeper.starting", {
+    configFile: CONFIG.configFile,
+    network: CONFIG.network,
+    rpcUrl: CONFIG.rpcUrl,
+    pools: CONFIG.pools,
+    intervalMs: CONFIG.intervalMs,
+    maxLiquidationsPerRun: CONFIG.maxLiquidationsPerRun,
+    closeFactor: ethers.utils.formatEther(CONFIG.closeFactor),
+    minProfitUSD: ethers.utils.formatEther(CONFIG.minProfitUSD),
+    gas: {
+      gasLimit: CONFIG.gas.gasLimit,
+      maxFeePerGasGwei: CONFIG.gas.maxFeePerGasGwei,
+      maxPriorityFeePerGasGwei: CONFIG.gas.maxPriorityFeePerGasGwei,
+      stuckAfterMs: CONFIG.gas.stuckAfterMs,
+      maxReplacements: CONFIG.gas.maxReplacements
+    },
+    syncAdapter: CONFIG.discovery.syncAdapter,
+    flash: CONFIG.flash.enabled,
+    dryRun: CONFIG.dryRun
   });
-  
-  // Run first check immediately
+
+  provider = new ethers.providers.JsonRpcProvider(CONFIG.rpcUrl);
+  state.startedAt = Date.now();
+
+  await loadContracts();
+  await startBorrowerDiscovery();
+
+  if (CONFIG.http.port !== null) {
+    server = await startKeeperServer({
+      host: CONFIG.http.host,
+      port: CONFIG.http.port,
+      health,
+      metrics,
+      collect: collectMetrics,
+      logger: log
+    });
+    const { address, port } = server.address();
+    log.info("http.listening", { url: `http://${address}:${port}`, endpoints: ["/health", "/metrics"] });
+  }
+
+  // Run the first check immediately, then every interval after the previous run ends
   await keeperLoop();
+  scheduleNext();
 }
 
-// Handle uncaught errors
-process.on('unhandledRejection', (error) => {
-  console.error('❌ Unhandled promise rejection:', error);
+// Errors escaping a run are logged and counted; the next run starts as usual
+process.on("unhandledRejection", (error) => {
+  log.error("process.unhandled_rejection", { error });
+  if (metrics) metrics.inc("keeper_uncaught_errors_total", { type: "unhandledRejection" });
 });
 
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught exception:', error);
-  process.exit(1);
+process.on("uncaughtException", (error) => {
+  log.error("process.uncaught_exception", { error });
+  if (metrics) metrics.inc("keeper_uncaught_errors_total", { type: "uncaughtException" });
 });
 
 // Start the keeper if run directly
 if (require.main === module) {
-  startKeeper().catch(console.error);
-}
+  // Logs piped into a reader that went away (e.g. `| head`) would fail and log that failure forever
+  process.stdout.on("error", (error) => {
+    if (error.code === "EPIPE") process.exit(0);
+  });
 
-module.exports = { startKeeper, keeperLoop, loadContracts };
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      log.info("keeper.stopping", { signal });
+      await stopKeeper();
+      process.exit(0);
+    });
+  }
+
+  startKeeper().catch((error) => {
+    log.error("keeper.start_failed", { error });
+    process.exit(1);
+  });
+}
 
+module.exports = { startKeeper, stopKeeper, keeperLoop, loadContracts, health };
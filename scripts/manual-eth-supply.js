@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { formatError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🧪 Manual ETH supply test for user account...");
@@ -35,11 +36,7 @@ async function main() {
     console.log("💡 Issue is with user account permissions or frontend flow");
     
   } catch (error) {
-    console.error("❌ Manual test failed:", error);
-    
-    if (error.reason) {
-      console.log("Specific reason:", error.reason);
-    }
+    console.error("❌ Manual test failed:", formatError(error));
   }
 }
 
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { formatError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🧪 Testing withdraw functionality...");
@@ -58,11 +59,7 @@ async function main() {
     console.log("💡 Frontend withdraw should now work");
     
   } catch (error) {
-    console.error("❌ Withdraw test failed:", error);
-    
-    if (error.reason) {
-      console.log("Specific reason:", error.reason);
-    }
+    console.error("❌ Withdraw test failed:", formatError(error));
   }
 }
 
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { formatError } = require("../lib/contractErrors");
 
 async function main() {
   console.log("🔍 Verifying LendHub v2 deployment...");
@@ -72,8 +73,7 @@ async function main() {
       console.log("New supplied amount:", ethers.utils.formatEther(newSupplied));
       
     } catch (error) {
-      console.log("❌ Supply failed:", error.message);
-      console.log("Error reason:", error.reason);
+      console.log("❌ Supply failed:", formatError(error));
     }
 
   } catch (error) {
@@ -376,4 +376,122 @@ describe("06_Keeper", function () {
         .to.be.reverted;
     });
   });
+
+  describe("Treasury Liquidations", function () {
+    const selector = (error) => ethers.utils.id(error).slice(0, 10);
+    const performData = (users) => ethers.utils.defaultAbiCoder.encode(
+      ["address[]", "address[]"],
+      [users, users.map(() => pool.address)]
+    );
+
+    before(async function () {
+      await keeperAdapter.updateConfig(0, 5, PRECISION);
+    });
+
+    it("Should fund and withdraw the treasury", async function () {
+      await dai.approve(keeperAdapter.address, ethers.utils.parseEther("30000"));
+      await expect(keeperAdapter.fundTreasury(dai.address, ethers.utils.parseEther("30000")))
+        .to.emit(keeperAdapter, "TreasuryFunded")
+        .withArgs(dai.address, deployer.address, ethers.utils.parseEther("30000"));
+
+      await expect(keeperAdapter.withdrawTreasury(dai.address, ethers.utils.parseEther("5000"), deployer.address))
+        .to.emit(keeperAdapter, "TreasuryWithdrawn")
+        .withArgs(dai.address, deployer.address, ethers.utils.parseEther("5000"));
+
+      await expect(
+        keeperAdapter.connect(user1).withdrawTreasury(dai.address, 1, user1.address)
+      ).to.be.reverted;
+
+      expect(await keeperAdapter.treasuryBalance(dai.address)).to.equal(ethers.utils.parseEther("25000"));
+    });
+
+    it("Should only let keepers perform upkeep", async function () {
+      await expect(
+        keeperAdapter.connect(user1).performUpkeep(performData([user1.address]))
+      ).to.be.reverted;
+    });
+
+    it("Should report a failed liquidation when the treasury cannot repay", async function () {
+      const KeeperAdapter = await ethers.getContractFactory("KeeperAdapter");
+      const unfunded = await KeeperAdapter.deploy(liquidationManager.address);
+
+      await expect(unfunded.performUpkeep(performData([user1.address])))
+        .to.emit(unfunded, "LiquidationFailed")
+        .withArgs(pool.address, user1.address, selector("ErrInsufficientBalance()"))
+        .and.to.emit(unfunded, "UpkeepPerformed");
+    });
+
+    it("Should report healthy users instead of liquidating them", async function () {
+      await expect(keeperAdapter.performUpkeep(performData([user2.address])))
+        .to.emit(keeperAdapter, "LiquidationFailed")
+        .withArgs(pool.address, user2.address, selector("ErrUserHealthy()"));
+    });
+
+    it("Should liquidate through LiquidationManager from the treasury", async function () {
+      // 10 WETH at $500 back ~20000 DAI of debt
+      const checkData = ethers.utils.defaultAbiCoder.encode(["address[]"], [[pool.address]]);
+      const check = await keeperAdapter.checkUpkeep(checkData);
+      expect(check.upkeepNeeded).to.be.true;
+
+      const debtBefore = await pool.debts(user1.address, dai.address);
+      const collateralBefore = await pool.supplied(user1.address, weth.address);
+      const treasuryBefore = await keeperAdapter.treasuryBalance(dai.address);
+
+      const tx = await keeperAdapter.performUpkeep(check.performData);
+      const receipt = await tx.wait();
+
+      const executed = receipt.events.filter(e => e.event === "LiquidationExecuted");
+      expect(executed).to.have.length(1);
+      const { user, debtToken, repaidAmount, collateralToken, seizedAmount } = executed[0].args;
+      expect(user).to.equal(user1.address);
+      expect(debtToken).to.equal(dai.address);
+      expect(collateralToken).to.equal(weth.address);
+
+      const upkeep = receipt.events.find(e => e.event === "UpkeepPerformed");
+      expect(upkeep.args.liquidationsExecuted).to.equal(1);
+
+      // Repay plus the 5% bonus is capped at the $5000 of collateral
+      const coverable = collateralBefore.mul(500).mul(PRECISION).div(ethers.utils.parseEther("1.05"));
+      expect(repaidAmount).to.be.closeTo(coverable, 1000);
+      expect(seizedAmount).to.be.lte(collateralBefore);
+      expect(seizedAmount).to.be.closeTo(collateralBefore, 1000);
+
+      // The pool settles against the debt with interest accrued up to the liquidation
+      const debtAfter = await pool.debts(user1.address, dai.address);
+      expect(debtAfter.add(repaidAmount)).to.be.gte(debtBefore);
+      expect(debtAfter.add(repaidAmount)).to.be.closeTo(debtBefore, ethers.utils.parseEther("0.01"));
+      expect(await pool.supplied(user1.address, weth.address)).to.equal(collateralBefore.sub(seizedAmount));
+      expect(await keeperAdapter.treasuryBalance(dai.address)).to.equal(treasuryBefore.sub(repaidAmount));
+      expect(await keeperAdapter.treasuryBalance(weth.address)).to.equal(seizedAmount);
+    });
+
+    it("Should repay what the pool's close factor allows", async function () {
+      await lendingConfig.setLiquidationParams(pool.address, {
+        closeFactor: ethers.utils.parseEther("0.25"),
+        fullLiquidationHF: 0,
+        dustThresholdUSD: 0
+      });
+
+      // 10 WETH at $500 back 3900 DAI, then WETH drops to $450 (HF ≈ 0.98)
+      await weth.mint(user2.address, ethers.utils.parseEther("10"));
+      await weth.connect(user2).approve(pool.address, ethers.utils.parseEther("10"));
+      await pool.connect(user2).lend(weth.address, ethers.utils.parseEther("10"));
+      await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("3900"));
+      await wethUsdFeed.updateAnswer(45000000000); // $450
+
+      const preview = await liquidationManager.previewLiquidation(user2.address, pool.address, dai.address, weth.address);
+      expect(preview.fullLiquidation).to.equal(false);
+      expect(preview.maxRepay).to.be.closeTo(ethers.utils.parseEther("975"), ethers.utils.parseEther("0.001"));
+
+      const receipt = await (await keeperAdapter.performUpkeep(performData([user2.address]))).wait();
+      const { repaidAmount, seizedAmount } = receipt.events.find(e => e.event === "LiquidationExecuted").args;
+
+      // A quarter of the debt as accrued at execution, three quarters left
+      expect(repaidAmount).to.be.closeTo(preview.maxRepay, ethers.utils.parseEther("0.001"));
+      expect(await pool.debts(user2.address, dai.address)).to.be.closeTo(repaidAmount.mul(3), 3);
+      expect(seizedAmount).to.equal(
+        await liquidationManager.calculateSeizeAmount(pool.address, dai.address, repaidAmount, weth.address)
+      );
+    });
+  });
 });
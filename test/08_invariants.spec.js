@@ -348,13 +348,184 @@ describe("08_Invariants", function () {
       console.log("\n🏦 Testing: Reserve accumulation bounds");
 
       const reserveFactor = await pool.reserveFactor();
-      console.log(`Reserve Factor: ${ethers.utils.formatEther(reserveFactor)}%`);
+      console.log(`Reserve Factor: ${ethers.utils.formatEther(reserveFactor.mul(100))}%`);
       
       // Reserve factor should be reasonable (0-50%)
       expect(reserveFactor).to.be.lte(ethers.utils.parseEther("0.5"));
       expect(reserveFactor).to.be.gte(0);
 
-      console.log("✅ Reserve factor within bounds");
+      const users = [user1.address, user2.address, user3.address, deployer.address];
+      const sum = (values) => values.reduce((total, value) => total.add(value), ethers.BigNumber.from(0));
+
+      // A month of interest, booked by the next touch of the market
+      await ethers.provider.send("evm_increaseTime", [30 * 24 * 3600]);
+      await ethers.provider.send("evm_mine", []);
+
+      const before = await pool.tokenStates(dai.address);
+      const projected = await pool.previewReserves(dai.address);
+      expect(projected).to.be.gt(before.totalReserves);
+
+      await dai.connect(user2).approve(pool.address, 1);
+      await expect(pool.connect(user2).lend(dai.address, 1)).to.emit(pool, "Reserves");
+      const after = await pool.tokenStates(dai.address);
+
+      const interest = after.borrows.sub(before.borrows);
+      const reserved = after.totalReserves.sub(before.totalReserves);
+      console.log(`  Interest: ${ethers.utils.formatEther(interest)} DAI`);
+      console.log(`  Reserved: ${ethers.utils.formatEther(reserved)} DAI`);
+
+      // Exactly the reserve factor's share of the interest is reserved
+      expect(interest).to.be.gt(0);
+      expect(reserved).to.equal(interest.mul(reserveFactor).div(PRECISION));
+      expect(after.totalReserves).to.be.closeTo(projected, ethers.utils.parseEther("0.001"));
+
+      // Borrows track the debts behind them, and suppliers plus reserves are covered by cash + borrows
+      const debts = sum(await Promise.all(users.map((user) => pool.previewDebt(user, dai.address))));
+      const supplies = sum(await Promise.all(users.map((user) => pool.previewSupplyBalance(user, dai.address))));
+      expect(after.borrows).to.be.closeTo(debts, ethers.utils.parseEther("0.001"));
+      expect(supplies.add(after.totalReserves)).to.be.lte(after.cash.add(after.borrows));
+      expect(after.totalReserves).to.be.lte(after.cash.add(after.borrows));
+
+      console.log("✅ Reserves match the reserve factor's share of interest");
+    });
+
+    it("Only the treasury withdraws reserves, and never more than reserved", async function () {
+      const { totalReserves } = await pool.tokenStates(dai.address);
+
+      await expect(
+        pool.connect(user1).withdrawReserves(dai.address, 1, user1.address)
+      ).to.be.reverted;
+
+      // Interest accrued on the call itself keeps it just above totalReserves; ask for far more
+      await expect(
+        pool.withdrawReserves(dai.address, totalReserves.mul(2), user3.address)
+      ).to.be.revertedWithCustomError(pool, "ErrExceedsBalance");
+
+      const amount = totalReserves.div(2);
+      const stateBefore = await pool.tokenStates(dai.address);
+      const balanceBefore = await dai.balanceOf(user3.address);
+
+      await expect(pool.withdrawReserves(dai.address, amount, user3.address))
+        .to.emit(pool, "ReservesWithdrawn");
+
+      const stateAfter = await pool.tokenStates(dai.address);
+      expect(await dai.balanceOf(user3.address)).to.equal(balanceBefore.add(amount));
+      expect(stateAfter.cash).to.equal(stateBefore.cash.sub(amount));
+      expect(stateAfter.totalReserves).to.be.closeTo(stateBefore.totalReserves.sub(amount), ethers.utils.parseEther("0.001"));
+      expect(await pool.poolBalance(dai.address)).to.be.gte(stateAfter.cash);
+    });
+  });
+
+  describe("Flash Loan Invariants", function () {
+    const FLASH_FEE = ethers.utils.parseEther("0.0009"); // 9 bps
+    const Mode = { Repay: 0, NoApproval: 1, WrongReturn: 2, ReenterLend: 3 };
+    let borrower;
+
+    const totalSupplierBalance = async (token) => {
+      const users = [user1.address, user2.address, user3.address, deployer.address];
+      const balances = await Promise.all(users.map((user) => pool.previewSupplyBalance(user, token)));
+      return balances.reduce((sum, balance) => sum.add(balance), ethers.BigNumber.from(0));
+    };
+
+    before(async function () {
+      await wethUsdFeed.updateAnswer(300000000000);
+      await lendingConfig.setFlashLoanFee(pool.address, dai.address, FLASH_FEE);
+
+      const TestFlashBorrower = await ethers.getContractFactory("TestFlashBorrower");
+      borrower = await TestFlashBorrower.deploy();
+      await dai.mint(borrower.address, ethers.utils.parseEther("1000")); // pays the fees
+    });
+
+    it("Flash loan fee lands in cash and accrues to suppliers", async function () {
+      console.log("\n⚡ Testing: Flash loan fee accounting");
+
+      const amount = ethers.utils.parseEther("20000");
+      const fee = await pool.flashFee(dai.address, amount);
+      expect(fee).to.equal(amount.mul(FLASH_FEE).div(PRECISION));
+
+      const stateBefore = await pool.tokenStates(dai.address);
+      const balanceBefore = await pool.poolBalance(dai.address);
+      const suppliersBefore = await totalSupplierBalance(dai.address);
+
+      await expect(pool.flashLoan(borrower.address, dai.address, amount, "0x"))
+        .to.emit(pool, "FlashLoan")
+        .withArgs(borrower.address, deployer.address, dai.address, amount, fee);
+
+      const stateAfter = await pool.tokenStates(dai.address);
+      const suppliersAfter = await totalSupplierBalance(dai.address);
+      const reserveFactor = await pool.reserveFactor();
+      const suppliersShare = fee.sub(fee.mul(reserveFactor).div(PRECISION));
+
+      console.log(`  Fee: ${ethers.utils.formatEther(fee)} DAI`);
+      console.log(`  Suppliers earned: ${ethers.utils.formatEther(suppliersAfter.sub(suppliersBefore))} DAI`);
+
+      // The loan leaves cash untouched but for the fee; borrows only gain a second of interest
+      expect(stateAfter.cash).to.equal(stateBefore.cash.add(fee));
+      expect(stateAfter.borrows.sub(stateBefore.borrows)).to.be.lt(ethers.utils.parseEther("0.01"));
+      expect(await pool.poolBalance(dai.address)).to.equal(balanceBefore.add(fee));
+      expect(await pool.poolBalance(dai.address)).to.be.gte(stateAfter.cash);
+
+      // Suppliers get the fee less the reserve share (plus a second of interest)
+      expect(suppliersAfter.sub(suppliersBefore)).to.be.closeTo(suppliersShare, ethers.utils.parseEther("0.01"));
+      expect(suppliersAfter).to.be.lte(stateAfter.cash.add(stateAfter.borrows));
+
+      // The rest is reserved
+      expect(stateAfter.totalReserves.sub(stateBefore.totalReserves))
+        .to.be.closeTo(fee.sub(suppliersShare), ethers.utils.parseEther("0.01"));
+
+      console.log("✅ Flash loan fee accounted");
+    });
+
+    it("Flash loans are limited to idle cash", async function () {
+      const { cash } = await pool.tokenStates(dai.address);
+      expect(await pool.maxFlashLoan(dai.address)).to.equal(cash);
+
+      await expect(
+        pool.flashLoan(borrower.address, dai.address, cash.add(1), "0x")
+      ).to.be.revertedWithCustomError(pool, "ErrInsufficientLiquidity");
+      await expect(
+        pool.flashLoan(borrower.address, dai.address, 0, "0x")
+      ).to.be.revertedWithCustomError(pool, "ErrZeroAmount");
+    });
+
+    it("Unpaid or rejected flash loans revert without touching state", async function () {
+      const amount = ethers.utils.parseEther("1000");
+      const stateBefore = await pool.tokenStates(dai.address);
+
+      await borrower.setMode(Mode.NoApproval);
+      await expect(pool.flashLoan(borrower.address, dai.address, amount, "0x")).to.be.reverted;
+
+      await borrower.setMode(Mode.WrongReturn);
+      await expect(
+        pool.flashLoan(borrower.address, dai.address, amount, "0x")
+      ).to.be.revertedWithCustomError(pool, "ErrFlashLoanFailed");
+
+      await borrower.setMode(Mode.ReenterLend);
+      await expect(
+        pool.flashLoan(borrower.address, dai.address, amount, "0x")
+      ).to.be.revertedWith("ReentrancyGuard: reentrant call");
+
+      await borrower.setMode(Mode.Repay);
+      const stateAfter = await pool.tokenStates(dai.address);
+      expect(stateAfter.cash).to.equal(stateBefore.cash);
+      expect(await pool.poolBalance(dai.address)).to.be.gte(stateAfter.cash);
+    });
+
+    it("Flash loan fees are capped and paused pools do not lend", async function () {
+      const maxFee = await lendingConfig.MAX_FLASH_LOAN_FEE();
+      await expect(
+        lendingConfig.setFlashLoanFee(pool.address, dai.address, maxFee.add(1))
+      ).to.be.revertedWithCustomError(lendingConfig, "ErrInvalidConfiguration");
+      await expect(
+        lendingConfig.connect(user1).setFlashLoanFee(pool.address, dai.address, 0)
+      ).to.be.reverted;
+
+      await pool.pause();
+      expect(await pool.maxFlashLoan(dai.address)).to.equal(0);
+      await expect(
+        pool.flashLoan(borrower.address, dai.address, ethers.utils.parseEther("1"), "0x")
+      ).to.be.revertedWith("Pausable: paused");
+      await pool.unpause();
     });
   });
 
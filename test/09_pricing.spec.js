@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  fetchTokenPrices,
+  getPriceInfo,
+  toUSD,
+  fromUSD,
+  getStalePrices
+} = require("../lib/pricing");
+
+describe("09_Pricing", function () {
+  let deployer;
+  let weth, usdc, unpriced;
+  let wethFeed, usdcFeed;
+  let addressToTokenMap;
+
+  beforeEach(async function () {
+    [deployer] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    usdc = await ERC20Mintable.deploy("USD Coin", "USDC", 6, 0);
+    unpriced = await ERC20Mintable.deploy("No Feed", "NOFEED", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    wethFeed = await MockV3Aggregator.deploy(8, 200000000000); // $2000
+    usdcFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    addressToTokenMap = await AddressToTokenMapV2.deploy();
+
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, usdc.address],
+      ["WETH", "USDC"],
+      [wethFeed.address, usdcFeed.address],
+      [18, 6]
+    );
+    await addressToTokenMap.setSymbol(unpriced.address, "NOFEED");
+  });
+
+  describe("fetchTokenPrices", function () {
+    it("Should read oracle price, decimals and symbol for every token", async function () {
+      const prices = await fetchTokenPrices(
+        ethers.provider,
+        addressToTokenMap.address,
+        [weth.address, usdc.address]
+      );
+
+      const wethInfo = getPriceInfo(prices, weth.address);
+      const usdcInfo = getPriceInfo(prices, usdc.address);
+
+      expect(wethInfo.price).to.equal(ethers.utils.parseEther("2000"));
+      expect(wethInfo.decimals).to.equal(18);
+      expect(wethInfo.symbol).to.equal("WETH");
+      expect(wethInfo.isStale).to.equal(false);
+
+      expect(usdcInfo.price).to.equal(ethers.utils.parseEther("1"));
+      expect(usdcInfo.decimals).to.equal(6);
+    });
+
+    it("Should fall back to getPriceUnsafe and flag stale prices", async function () {
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+
+      // Refresh only USDC so WETH alone is stale
+      await usdcFeed.updateAnswer(100000000);
+
+      const prices = await fetchTokenPrices(
+        ethers.provider,
+        addressToTokenMap.address,
+        [weth.address, usdc.address]
+      );
+
+      const wethInfo = getPriceInfo(prices, weth.address);
+      expect(wethInfo.isStale).to.equal(true);
+      expect(wethInfo.price).to.equal(ethers.utils.parseEther("2000"));
+      expect(getPriceInfo(prices, usdc.address).isStale).to.equal(false);
+
+      const stale = getStalePrices(prices);
+      expect(stale.length).to.equal(1);
+      expect(stale[0].symbol).to.equal("WETH");
+    });
+
+    it("Should return a null price when no oracle is configured", async function () {
+      const prices = await fetchTokenPrices(
+        ethers.provider,
+        addressToTokenMap.address,
+        [unpriced.address]
+      );
+
+      const info = getPriceInfo(prices, unpriced.address);
+      expect(info.price).to.equal(null);
+      expect(info.error).to.not.equal(null);
+      expect(toUSD(ethers.utils.parseEther("1"), info)).to.equal(0);
+    });
+  });
+
+  describe("USD conversion", function () {
+    it("Should value amounts using token decimals", async function () {
+      const prices = await fetchTokenPrices(
+        ethers.provider,
+        addressToTokenMap.address,
+        [weth.address, usdc.address]
+      );
+
+      const wethUSD = toUSD(ethers.utils.parseEther("1.5"), getPriceInfo(prices, weth.address));
+      const usdcUSD = toUSD(ethers.utils.parseUnits("250", 6), getPriceInfo(prices, usdc.address));
+
+      expect(wethUSD).to.equal(ethers.utils.parseEther("3000"));
+      expect(usdcUSD).to.equal(ethers.utils.parseEther("250"));
+    });
+
+    it("Should convert USD back to raw token amounts", async function () {
+      const prices = await fetchTokenPrices(
+        ethers.provider,
+        addressToTokenMap.address,
+        [weth.address, usdc.address]
+      );
+
+      const usd = ethers.utils.parseEther("1000");
+      expect(fromUSD(usd, getPriceInfo(prices, weth.address))).to.equal(ethers.utils.parseEther("0.5"));
+      expect(fromUSD(usd, getPriceInfo(prices, usdc.address))).to.equal(ethers.utils.parseUnits("1000", 6));
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  PRECISION,
+  SECONDS_PER_YEAR,
+  utilization,
+  rBorrow,
+  rSupply,
+  accrualFactor,
+  aprToApy,
+  fetchPoolRates,
+  getRateInfo
+} = require("../lib/interestRates");
+
+describe("10_InterestRateMirror", function () {
+  let deployer, user1;
+  let testModel;
+  let weth, dai;
+  let lendingConfig, pool;
+
+  const riskParams = {
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  };
+
+  before(async function () {
+    [deployer, user1] = await ethers.getSigners();
+
+    const TestInterestRateModel = await ethers.getContractFactory("TestInterestRateModel");
+    testModel = await TestInterestRateModel.deploy();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams, riskParams]);
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+
+    await weth.mint(user1.address, ethers.utils.parseEther("100"));
+    await dai.mint(user1.address, ethers.utils.parseEther("100000"));
+    await weth.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+    await dai.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+
+    await pool.connect(user1).lend(weth.address, ethers.utils.parseEther("50")); // $150,000 collateral
+    await pool.connect(user1).lend(dai.address, ethers.utils.parseEther("10000"));
+  });
+
+  describe("Library parity", function () {
+    const markets = [
+      [0, 0],
+      ["1000", "0"],
+      ["1000", "1000"],
+      ["500", "2000"],
+      ["100", "900"],
+      ["0", "1"],
+      ["333.333333333333333333", "777.777777777777777777"],
+      ["0.000001", "123456.789"]
+    ].map(([cash, borrows]) => [ethers.utils.parseEther(String(cash)), ethers.utils.parseEther(String(borrows))]);
+
+    it("Should match Solidity utilization exactly", async function () {
+      for (const [cash, borrows] of markets) {
+        expect(utilization(cash, borrows)).to.equal(await testModel.testUtilization(cash, borrows));
+      }
+    });
+
+    it("Should match Solidity rBorrow and rSupply exactly on both sides of the kink", async function () {
+      const reserveFactors = ["0", "0.1", "0.333333333333333333", "0.5"].map(ethers.utils.parseEther);
+      const { rBase, slope1, slope2, kink } = riskParams;
+
+      for (const [cash, borrows] of markets) {
+        const util = utilization(cash, borrows);
+        const borrowRate = rBorrow(util, riskParams);
+        expect(borrowRate).to.equal(await testModel.testRBorrow(util, rBase, slope1, slope2, kink));
+
+        for (const reserveFactor of reserveFactors) {
+          expect(rSupply(borrowRate, util, reserveFactor))
+            .to.equal(await testModel.testRSupply(borrowRate, util, reserveFactor));
+        }
+      }
+    });
+
+    it("Should compound the per-second rate to an APY close to continuous compounding", async function () {
+      const apr = ethers.utils.parseEther("0.05");
+      const apy = parseFloat(ethers.utils.formatEther(aprToApy(apr)));
+
+      expect(apy).to.be.closeTo(Math.exp(0.05) - 1, 1e-6);
+      expect(aprToApy(0)).to.equal(0);
+    });
+  });
+
+  describe("Live pool", function () {
+    it("Should read risk params and reserve factor from chain", async function () {
+      const rates = await fetchPoolRates(ethers.provider, pool.address);
+      const info = getRateInfo(rates, dai.address);
+
+      expect(info.reserveFactor).to.equal(ethers.utils.parseEther("0.1"));
+      expect(info.riskParams.slope2).to.equal(riskParams.slope2);
+      expect(info.utilization).to.equal(0);
+      expect(info.supplyRate).to.equal(0);
+    });
+
+    it("Should predict the indexes applied by the next accrue", async function () {
+      await pool.connect(user1).borrow(dai.address, ethers.utils.parseEther("9000")); // 90% utilization
+
+      const before = await pool.tokenStates(dai.address);
+      const info = getRateInfo(await fetchPoolRates(ethers.provider, pool.address), dai.address);
+
+      expect(info.utilization).to.equal(ethers.utils.parseEther("0.9"));
+      expect(info.borrowRate).to.equal(ethers.utils.parseEther("0.085")); // 2% + 5% * 0.8 + 25% * 0.1
+
+      await ethers.provider.send("evm_increaseTime", [30 * 24 * 3600]);
+      const tx = await pool.connect(user1).lend(dai.address, 1);
+      const block = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      const elapsed = block.timestamp - before.lastAccrue.toNumber();
+
+      const after = await pool.tokenStates(dai.address);
+      expect(after.indexBorrow).to.equal(
+        before.indexBorrow.mul(accrualFactor(info.borrowRate, elapsed)).div(PRECISION)
+      );
+      expect(after.indexSupply).to.equal(
+        before.indexSupply.mul(accrualFactor(info.supplyRate, elapsed)).div(PRECISION)
+      );
+    });
+
+    it("Should follow risk param and reserve factor updates", async function () {
+      await lendingConfig.setRiskParams(pool.address, dai.address, {
+        ...riskParams,
+        rBase: ethers.utils.parseEther("0.03")
+      });
+      await pool.setReserveFactor(ethers.utils.parseEther("0.2"));
+
+      const info = getRateInfo(await fetchPoolRates(ethers.provider, pool.address), dai.address);
+      const util = utilization(info.cash, info.borrows);
+      const borrowRate = await testModel.testRBorrow(
+        util,
+        ethers.utils.parseEther("0.03"),
+        riskParams.slope1,
+        riskParams.slope2,
+        riskParams.kink
+      );
+
+      expect(info.borrowRate).to.equal(borrowRate);
+      expect(info.supplyRate).to.equal(
+        await testModel.testRSupply(borrowRate, util, ethers.utils.parseEther("0.2"))
+      );
+      expect(info.borrowAPY).to.be.gt(info.borrowRate);
+      expect(SECONDS_PER_YEAR).to.equal((await pool.SECONDS_PER_YEAR()).toNumber());
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { fetchPoolRates, getRateInfo } = require("../lib/interestRates");
+const { previewIndexes, previewReserves, projectBalance, fetchAccruedPositions, getPosition } = require("../lib/accrual");
+
+describe("11_AccruedBalances", function () {
+  let deployer, user1, user2;
+  let weth, dai;
+  let pool;
+
+  before(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const riskParams = {
+      LTV: ethers.utils.parseEther("0.8"),
+      LT: ethers.utils.parseEther("0.85"),
+      kink: ethers.utils.parseEther("0.8"),
+      rBase: ethers.utils.parseEther("0.02"),
+      slope1: ethers.utils.parseEther("0.05"),
+      slope2: ethers.utils.parseEther("0.25")
+    };
+    await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams, riskParams]);
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+
+    await dai.mint(user1.address, ethers.utils.parseEther("10000"));
+    await weth.mint(user2.address, ethers.utils.parseEther("10"));
+    await dai.mint(user2.address, ethers.utils.parseEther("1000"));
+    await dai.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+    await weth.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+    await dai.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+
+    await pool.connect(user1).lend(dai.address, ethers.utils.parseEther("10000"));
+    await pool.connect(user2).lend(weth.address, ethers.utils.parseEther("10")); // $30,000 collateral
+    await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("7000"));
+  });
+
+  it("Should equal stored balances before any time passes", async function () {
+    expect(await pool.previewDebt(user2.address, dai.address))
+      .to.equal(await pool.debts(user2.address, dai.address));
+    expect(await pool.previewSupplyBalance(user1.address, dai.address))
+      .to.equal(await pool.supplied(user1.address, dai.address));
+  });
+
+  it("Should project interest that the mappings do not show yet", async function () {
+    await ethers.provider.send("evm_increaseTime", [90 * 24 * 3600]);
+    await ethers.provider.send("evm_mine", []);
+
+    const storedDebt = await pool.debts(user2.address, dai.address);
+    const storedSupply = await pool.supplied(user1.address, dai.address);
+
+    expect(await pool.previewDebt(user2.address, dai.address)).to.be.gt(storedDebt);
+    expect(await pool.previewSupplyBalance(user1.address, dai.address)).to.be.gt(storedSupply);
+  });
+
+  it("Should match the pool preview functions from the JS projection", async function () {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+
+    const positions1 = await fetchAccruedPositions(ethers.provider, pool.address, user1.address, { timestamp });
+    const positions2 = await fetchAccruedPositions(ethers.provider, pool.address, user2.address, { timestamp });
+
+    expect(getPosition(positions1, dai.address).supplied)
+      .to.equal(await pool.previewSupplyBalance(user1.address, dai.address));
+    expect(getPosition(positions2, dai.address).debt)
+      .to.equal(await pool.previewDebt(user2.address, dai.address));
+    expect(getPosition(positions2, weth.address).supplied)
+      .to.equal(await pool.previewSupplyBalance(user2.address, weth.address));
+  });
+
+  it("Should predict the supply the next withdraw applies", async function () {
+    const rateInfo = getRateInfo(await fetchPoolRates(ethers.provider, pool.address), dai.address);
+    const nextTimestamp = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const { indexSupply } = previewIndexes(rateInfo, nextTimestamp);
+
+    const expectedSupply = projectBalance(
+      await pool.supplied(user1.address, dai.address),
+      await pool.supplyIndexes(user1.address, dai.address),
+      indexSupply
+    );
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [nextTimestamp]);
+    await pool.connect(user1).withdraw(dai.address, 1);
+
+    expect(await pool.supplied(user1.address, dai.address)).to.equal(expectedSupply.sub(1));
+  });
+
+  it("Should predict the debt the next repay applies", async function () {
+    const rateInfo = getRateInfo(await fetchPoolRates(ethers.provider, pool.address), dai.address);
+    const nextTimestamp = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const { indexBorrow } = previewIndexes(rateInfo, nextTimestamp);
+
+    const expectedDebt = projectBalance(
+      await pool.debts(user2.address, dai.address),
+      await pool.borrowIndexes(user2.address, dai.address),
+      indexBorrow
+    );
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [nextTimestamp]);
+    await pool.connect(user2).repay(dai.address, 1);
+
+    expect(await pool.debts(user2.address, dai.address)).to.equal(expectedDebt.sub(1));
+  });
+
+  it("Should predict the reserves the next accrual books", async function () {
+    const rateInfo = getRateInfo(await fetchPoolRates(ethers.provider, pool.address), dai.address);
+    const nextTimestamp = (await ethers.provider.getBlock("latest")).timestamp + 30 * 24 * 3600;
+    const expectedReserves = previewReserves(rateInfo, nextTimestamp);
+    expect(expectedReserves).to.be.gt(rateInfo.totalReserves);
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [nextTimestamp]);
+    await ethers.provider.send("evm_mine", []);
+    expect(await pool.previewReserves(dai.address)).to.equal(expectedReserves);
+
+    await pool.connect(user2).repay(dai.address, 1);
+    expect((await pool.tokenStates(dai.address)).totalReserves).to.be.gte(expectedReserves);
+  });
+});
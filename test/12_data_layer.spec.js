@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const abis = require("../lib/abis");
+const { NETWORKS, getNetworkConfig, findToken, ETH_ADDRESS } = require("../lib/networks");
+const { fetchTokenPrices } = require("../lib/pricing");
+const { fetchPoolRates } = require("../lib/interestRates");
+const { fetchAccruedPositions } = require("../lib/accrual");
+const {
+  initialState,
+  positionReducer,
+  selectSupplies,
+  selectBorrows,
+  selectBorrowPowerUSD,
+  selectAssetsToBorrow,
+  selectHealthFactor,
+  resolveToken
+} = require("../lib/positionStore");
+
+describe("12_DataLayer", function () {
+  describe("Shared ABIs", function () {
+    it("Should match the compiled artifacts", async function () {
+      const names = {
+        IsolatedLendingPool: "IsolatedLendingPool",
+        LendingConfigV2: "LendingConfigV2",
+        AddressToTokenMapV2: "AddressToTokenMapV2",
+        PoolFactory: "PoolFactory",
+        LiquidationManager: "LiquidationManager",
+        Multicall: "Multicall",
+        ERC20: "ERC20Mintable",
+        WETH: "WETH9",
+        Errors: "Errors"
+      };
+
+      for (const [key, contractName] of Object.entries(names)) {
+        const artifact = await hre.artifacts.readArtifact(contractName);
+        expect(abis[key], `${key} is stale, run npm run abis`).to.deep.equal(artifact.abi);
+      }
+    });
+  });
+
+  describe("Network config", function () {
+    it("Should resolve supported chains only", function () {
+      expect(getNetworkConfig(1337).key).to.equal("ganache");
+      expect(getNetworkConfig(11155111).key).to.equal("sepolia");
+      expect(getNetworkConfig(1)).to.equal(null);
+      expect(getNetworkConfig(null)).to.equal(null);
+    });
+
+    it("Should find tokens by UI or pool address", function () {
+      const ganache = NETWORKS[1337];
+      const weth = ganache.contracts.weth;
+
+      expect(findToken(ganache, ETH_ADDRESS).symbol).to.equal("ETH");
+      expect(findToken(ganache, weth.toLowerCase()).symbol).to.equal("WETH");
+      expect(findToken(ganache, ETH_ADDRESS).poolToken).to.equal(weth);
+      expect(findToken(ganache, "0x000000000000000000000000000000000000dEaD")).to.equal(null);
+    });
+  });
+
+  describe("Position store", function () {
+    let deployer, user1, user2;
+    let weth, dai, usdc;
+    let pool, addressToTokenMap;
+    let network;
+
+    const loadStore = async (user) => {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const rates = await fetchPoolRates(ethers.provider, pool.address);
+      const prices = await fetchTokenPrices(ethers.provider, addressToTokenMap.address, Object.keys(rates));
+      const positions = await fetchAccruedPositions(ethers.provider, pool.address, user, { rates, timestamp });
+
+      let state = positionReducer(initialState, { type: "markets", rates, prices });
+      state = positionReducer(state, { type: "positions", positions, healthFactor: await pool.getHealthFactor(user) });
+      return state;
+    };
+
+    before(async function () {
+      [deployer, user1, user2] = await ethers.getSigners();
+
+      const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+      weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+      dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+      usdc = await ERC20Mintable.deploy("USD Coin", "USDC", 6, 0);
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+      const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+      const usdcFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+      const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+      addressToTokenMap = await AddressToTokenMapV2.deploy();
+      await addressToTokenMap.batchSetTokenData(
+        [weth.address, dai.address, usdc.address],
+        ["WETH", "DAI", "USDC"],
+        [wethFeed.address, daiFeed.address, usdcFeed.address],
+        [18, 18, 6]
+      );
+      await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+      const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+      const lendingConfig = await LendingConfigV2.deploy();
+
+      const LendingHelper = await ethers.getContractFactory("LendingHelper");
+      const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+      const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+      const poolImpl = await IsolatedLendingPool.deploy();
+
+      const PoolFactory = await ethers.getContractFactory("PoolFactory");
+      const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+      const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+        addressToTokenMap: addressToTokenMap.address,
+        lendingConfig: lendingConfig.address,
+        lendingHelper: lendingHelper.address,
+        reserveFactor: ethers.utils.parseEther("0.1"),
+        liquidationBonus: ethers.utils.parseEther("0.05")
+      });
+      const receipt = await tx.wait();
+      const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+      pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+      const riskParams = {
+        LTV: ethers.utils.parseEther("0.75"),
+        LT: ethers.utils.parseEther("0.85"),
+        kink: ethers.utils.parseEther("0.8"),
+        rBase: ethers.utils.parseEther("0.02"),
+        slope1: ethers.utils.parseEther("0.05"),
+        slope2: ethers.utils.parseEther("0.25")
+      };
+      await lendingConfig.batchSetRiskParams(
+        pool.address,
+        [weth.address, dai.address, usdc.address],
+        [riskParams, riskParams, riskParams]
+      );
+      await pool.addToken(weth.address);
+      await pool.addToken(dai.address);
+      await pool.addToken(usdc.address);
+
+      network = {
+        ...NETWORKS[1337],
+        contracts: { ...NETWORKS[1337].contracts, pool: pool.address, oracle: addressToTokenMap.address, weth: weth.address },
+        tokens: [
+          { symbol: "ETH", name: "Ethereum", address: ETH_ADDRESS, poolToken: weth.address, decimals: 18, isNative: true },
+          { symbol: "DAI", name: "Dai Stablecoin", address: dai.address, poolToken: dai.address, decimals: 18, isNative: false },
+          { symbol: "USDC", name: "USD Coin", address: usdc.address, poolToken: usdc.address, decimals: 6, isNative: false }
+        ]
+      };
+
+      await dai.mint(user1.address, ethers.utils.parseEther("10000"));
+      await usdc.mint(user1.address, ethers.utils.parseUnits("10000", 6));
+      await weth.mint(user2.address, ethers.utils.parseEther("2"));
+      await dai.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+      await usdc.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+      await weth.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+
+      await pool.connect(user1).lend(dai.address, ethers.utils.parseEther("10000"));
+      await pool.connect(user1).lend(usdc.address, ethers.utils.parseUnits("10000", 6));
+      await pool.connect(user2).lend(weth.address, ethers.utils.parseEther("2")); // $6,000 collateral
+      await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("2000"));
+      await pool.connect(user2).borrow(usdc.address, ethers.utils.parseUnits("1000", 6));
+    });
+
+    it("Should compute LTV-weighted borrow power net of debt", async function () {
+      const borrowPower = selectBorrowPowerUSD(await loadStore(user2.address));
+
+      // 6000 * 0.75 - 3000, less the interest accrued since the borrows
+      expect(borrowPower).to.be.lte(ethers.utils.parseEther("1500"));
+      expect(borrowPower).to.be.gt(ethers.utils.parseEther("1499.99"));
+    });
+
+    it("Should list supplies with WETH shown as native ETH", async function () {
+      const { supplies, summary } = selectSupplies(await loadStore(user2.address), network);
+
+      expect(supplies).to.have.length(1);
+      expect(supplies[0].name).to.equal("ETH");
+      expect(supplies[0].displayAddress).to.equal(ETH_ADDRESS);
+      expect(supplies[0].token).to.equal(weth.address);
+      expect(supplies[0].balance).to.equal("2");
+      expect(supplies[0].suppliedWei).to.equal(ethers.utils.parseEther("2"));
+      expect(summary.totalUSDBalance).to.equal(6000);
+    });
+
+    it("Should list borrows with token decimals", async function () {
+      const { borrows, summary } = selectBorrows(await loadStore(user2.address), network);
+
+      const usdcBorrow = borrows.find((borrow) => borrow.name === "USDC");
+      expect(borrows).to.have.length(2);
+      expect(usdcBorrow.decimals).to.equal(6);
+      expect(usdcBorrow.debtWei).to.be.gte(ethers.utils.parseUnits("1000", 6));
+      expect(usdcBorrow.borrowQty).to.match(/^1000(\.\d{1,6})?$/);
+      expect(usdcBorrow.borrowedBalInUSD).to.be.closeTo(1000, 0.01);
+      expect(summary.totalUSDBalance).to.be.closeTo(3000, 0.01);
+    });
+
+    it("Should cap assets to borrow by borrow power", async function () {
+      const assets = selectAssetsToBorrow(await loadStore(user2.address), network);
+
+      const daiAsset = assets.find((asset) => asset.name === "DAI");
+      expect(parseFloat(daiAsset.available)).to.be.closeTo(1500, 0.01);
+      expect(daiAsset.availableWei).to.be.closeTo(ethers.utils.parseEther("1500"), ethers.utils.parseEther("0.01"));
+      expect(assets.find((asset) => asset.name === "WETH").availableWei)
+        .to.be.closeTo(ethers.utils.parseEther("0.5"), ethers.utils.parseEther("0.0001"));
+    });
+
+    it("Should format the health factor only with debt", async function () {
+      expect(selectHealthFactor(await loadStore(user2.address))).to.not.equal("0");
+      expect(selectHealthFactor(await loadStore(user1.address))).to.equal("0");
+    });
+
+    it("Should resolve native ETH to its pool token and decimals", async function () {
+      const state = await loadStore(user2.address);
+
+      const eth = resolveToken(state, network, ETH_ADDRESS);
+      expect(eth.poolToken).to.equal(weth.address);
+      expect(eth.isNative).to.equal(true);
+      expect(eth.position.supplied).to.equal(ethers.utils.parseEther("2"));
+      expect(resolveToken(state, network, usdc.address).decimals).to.equal(6);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { createBatcher, getEthBalance } = require("../lib/multicall");
+const { fetchPoolRates } = require("../lib/interestRates");
+const { fetchTokenPrices } = require("../lib/pricing");
+const { fetchAccruedPositions, getPosition } = require("../lib/accrual");
+
+describe("13_Multicall", function () {
+  let deployer, user1, user2;
+  let weth, dai, usdc;
+  let pool, addressToTokenMap, multicall;
+  let provider, ethCalls;
+
+  before(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+
+    // Provider that counts eth_call round trips
+    class CountingProvider extends ethers.providers.Web3Provider {
+      call(...args) {
+        ethCalls++;
+        return super.call(...args);
+      }
+    }
+    provider = new CountingProvider(network.provider);
+
+    const Multicall = await ethers.getContractFactory("Multicall");
+    multicall = await Multicall.deploy();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+    usdc = await ERC20Mintable.deploy("USD Coin", "USDC", 6, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+    const usdcFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address, usdc.address],
+      ["WETH", "DAI", "USDC"],
+      [wethFeed.address, daiFeed.address, usdcFeed.address],
+      [18, 18, 6]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const riskParams = {
+      LTV: ethers.utils.parseEther("0.8"),
+      LT: ethers.utils.parseEther("0.85"),
+      kink: ethers.utils.parseEther("0.8"),
+      rBase: ethers.utils.parseEther("0.02"),
+      slope1: ethers.utils.parseEther("0.05"),
+      slope2: ethers.utils.parseEther("0.25")
+    };
+    await lendingConfig.batchSetRiskParams(
+      pool.address,
+      [weth.address, dai.address, usdc.address],
+      [riskParams, riskParams, riskParams]
+    );
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+    await pool.addToken(usdc.address);
+
+    await dai.mint(user1.address, ethers.utils.parseEther("10000"));
+    await usdc.mint(user1.address, ethers.utils.parseUnits("5000", 6));
+    await weth.mint(user2.address, ethers.utils.parseEther("5"));
+    await dai.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+    await weth.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+
+    await pool.connect(user1).lend(dai.address, ethers.utils.parseEther("10000"));
+    await pool.connect(user2).lend(weth.address, ethers.utils.parseEther("5"));
+    await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("4000"));
+  });
+
+  beforeEach(function () {
+    ethCalls = 0;
+  });
+
+  it("Should fold queued reads into one eth_call with direct-call results", async function () {
+    const batch = createBatcher(provider, multicall.address);
+    const poolView = pool.connect(provider);
+    const tokens = [weth, dai, usdc].map((token) => token.connect(provider));
+
+    const [balances, tokenState, ethBalance] = await Promise.all([
+      Promise.all(tokens.map((token) => batch.call(token, "balanceOf", user1.address))),
+      batch.call(poolView, "tokenStates", dai.address),
+      getEthBalance(batch, provider, user1.address)
+    ]);
+
+    expect(ethCalls).to.equal(1);
+    expect(balances[1]).to.equal(0);
+    expect(balances[2]).to.equal(ethers.utils.parseUnits("5000", 6));
+    expect(tokenState.borrows).to.equal((await pool.tokenStates(dai.address)).borrows);
+    expect(ethBalance).to.equal(await ethers.provider.getBalance(user1.address));
+  });
+
+  it("Should reject only the reverted call in a batch", async function () {
+    const batch = createBatcher(provider, multicall.address);
+    const oracle = addressToTokenMap.connect(provider);
+
+    const [price, missing] = await Promise.allSettled([
+      batch.call(oracle, "getPrice", dai.address),
+      batch.call(oracle, "getPrice", user1.address)
+    ]);
+
+    expect(ethCalls).to.equal(1);
+    expect(price.value).to.equal(ethers.utils.parseEther("1"));
+    expect(missing.status).to.equal("rejected");
+    expect(missing.reason.code).to.equal(ethers.errors.CALL_EXCEPTION);
+  });
+
+  it("Should fall back to parallel calls without a multicall address", async function () {
+    const batch = createBatcher(provider);
+    const tokens = [weth, dai, usdc].map((token) => token.connect(provider));
+
+    const balances = await Promise.all(tokens.map((token) => batch.call(token, "balanceOf", user2.address)));
+
+    expect(batch.address).to.equal(null);
+    expect(ethCalls).to.equal(3);
+    expect(balances[0]).to.equal(0);
+  });
+
+  it("Should fall back to parallel calls when the batch itself fails", async function () {
+    const batch = createBatcher(provider, user1.address); // no code at this address
+    const tokens = [dai, usdc].map((token) => token.connect(provider));
+
+    const balances = await Promise.all(tokens.map((token) => batch.call(token, "balanceOf", user1.address)));
+
+    expect(ethCalls).to.equal(3);
+    expect(balances[1]).to.equal(ethers.utils.parseUnits("5000", 6));
+  });
+
+  it("Should load rates, prices and positions identically through the batch", async function () {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const batch = createBatcher(provider, multicall.address);
+
+    const batchedRates = await fetchPoolRates(provider, pool.address, null, { batch });
+    const directRates = await fetchPoolRates(ethers.provider, pool.address);
+    expect(batchedRates[dai.address.toLowerCase()].borrowAPY).to.equal(directRates[dai.address.toLowerCase()].borrowAPY);
+    expect(Object.keys(batchedRates)).to.have.length(3);
+
+    ethCalls = 0;
+    const [prices, positions] = await Promise.all([
+      fetchTokenPrices(provider, addressToTokenMap.address, Object.keys(batchedRates), { batch }),
+      fetchAccruedPositions(provider, pool.address, user2.address, { rates: batchedRates, timestamp, batch })
+    ]);
+
+    expect(ethCalls).to.equal(1);
+    expect(prices[usdc.address.toLowerCase()].decimals).to.equal(6);
+    expect(prices[weth.address.toLowerCase()].price).to.equal(ethers.utils.parseEther("3000"));
+    expect(getPosition(positions, dai.address).debt).to.equal(await pool.debts(user2.address, dai.address));
+  });
+});
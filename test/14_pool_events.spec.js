@@ -0,0 +1,252 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  emptyChange,
+  fullChange,
+  mergeChanges,
+  changeFromEvent,
+  changesFromReceipt,
+  subscribePool,
+  createUpdateQueue
+} = require("../lib/poolEvents");
+const { fetchPoolRates } = require("../lib/interestRates");
+const { fetchAccruedPositions, getPosition } = require("../lib/accrual");
+const { initialState, positionReducer } = require("../lib/positionStore");
+
+describe("14_PoolEvents", function () {
+  let deployer, user1, user2;
+  let weth, dai;
+  let pool;
+
+  before(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const riskParams = {
+      LTV: ethers.utils.parseEther("0.8"),
+      LT: ethers.utils.parseEther("0.85"),
+      kink: ethers.utils.parseEther("0.8"),
+      rBase: ethers.utils.parseEther("0.02"),
+      slope1: ethers.utils.parseEther("0.05"),
+      slope2: ethers.utils.parseEther("0.25")
+    };
+    await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams, riskParams]);
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+
+    await dai.mint(user1.address, ethers.utils.parseEther("10000"));
+    await weth.mint(user2.address, ethers.utils.parseEther("10"));
+    await dai.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+    await weth.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+    await dai.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+
+    await pool.connect(user1).lend(dai.address, ethers.utils.parseEther("10000"));
+    await pool.connect(user2).lend(weth.address, ethers.utils.parseEther("10"));
+  });
+
+  describe("Changes", function () {
+    it("Should mark only market slices for another user's action", async function () {
+      const receipt = await (await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("1000"))).wait();
+
+      const theirs = changesFromReceipt(receipt, pool.address, user1.address);
+      expect(theirs.markets).to.deep.equal([dai.address.toLowerCase()]);
+      expect(theirs.positions).to.deep.equal([]);
+      expect(theirs.wallet).to.deep.equal([]);
+
+      const mine = changesFromReceipt(receipt, pool.address, user2.address);
+      expect(mine.positions).to.deep.equal([dai.address.toLowerCase()]);
+      expect(mine.wallet).to.deep.equal([dai.address.toLowerCase()]);
+    });
+
+    it("Should pick up Accrue from the same receipt", async function () {
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      const receipt = await (await pool.connect(user2).repay(dai.address, ethers.utils.parseEther("100"))).wait();
+
+      const change = changesFromReceipt(receipt, pool.address, user1.address);
+      expect(change.reproject).to.equal(true);
+      expect(change.markets).to.deep.equal([dai.address.toLowerCase()]);
+    });
+
+    it("Should mark both tokens of a liquidation for the liquidated user and the liquidator", function () {
+      const event = {
+        event: "Liquidate",
+        args: { liquidator: user1.address, user: user2.address, debtToken: dai.address, collateralToken: weth.address }
+      };
+      const tokens = [dai.address.toLowerCase(), weth.address.toLowerCase()];
+
+      expect(changeFromEvent(event, user2.address).positions).to.deep.equal(tokens);
+      expect(changeFromEvent(event, user1.address).wallet).to.deep.equal(tokens);
+      expect(changeFromEvent(event, deployer.address).positions).to.deep.equal([]);
+    });
+
+    it("Should mark only the market for flash loans and reserve withdrawals", function () {
+      const flashLoan = { event: "FlashLoan", args: { receiver: user1.address, initiator: user1.address, token: dai.address } };
+      const withdrawn = { name: "ReservesWithdrawn", args: { token: dai.address, to: user1.address } };
+
+      for (const event of [flashLoan, withdrawn]) {
+        const change = changeFromEvent(event, user1.address);
+        expect(change.markets).to.deep.equal([dai.address.toLowerCase()]);
+        expect(change.positions).to.deep.equal([]);
+        expect(change.wallet).to.deep.equal([]);
+      }
+    });
+
+    it("Should merge changes without duplicates", function () {
+      const a = { ...emptyChange(), markets: ["0xa"], positions: ["0xa"] };
+      const b = { ...emptyChange(), markets: ["0xa", "0xb"], prices: true };
+
+      const merged = mergeChanges(a, b);
+      expect(merged.markets).to.deep.equal(["0xa", "0xb"]);
+      expect(merged.positions).to.deep.equal(["0xa"]);
+      expect(merged.prices).to.equal(true);
+      expect(merged.full).to.equal(false);
+    });
+  });
+
+  describe("Update queue", function () {
+    it("Should merge changes scheduled in the same tick into one run", async function () {
+      const runs = [];
+      const queue = createUpdateQueue(async (change) => runs.push(change));
+
+      queue.schedule({ ...emptyChange(), markets: ["0xa"] });
+      queue.schedule({ ...emptyChange(), markets: ["0xb"] });
+      await queue.idle();
+
+      expect(runs).to.have.length(1);
+      expect(runs[0].markets).to.deep.equal(["0xa", "0xb"]);
+    });
+
+    it("Should never overlap runs and coalesce changes arriving mid-run", async function () {
+      const runs = [];
+      let active = 0;
+      let maxActive = 0;
+      let release;
+      const gate = new Promise((resolve) => { release = resolve; });
+
+      const queue = createUpdateQueue(async (change) => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        runs.push(change);
+        if (runs.length === 1) await gate;
+        active--;
+      });
+
+      queue.schedule(fullChange());
+      await Promise.resolve();
+      await Promise.resolve();
+      queue.schedule({ ...emptyChange(), positions: ["0xa"] });
+      queue.schedule({ ...emptyChange(), wallet: ["0xb"] });
+      release();
+      await queue.idle();
+
+      expect(maxActive).to.equal(1);
+      expect(runs).to.have.length(2);
+      expect(runs[1].positions).to.deep.equal(["0xa"]);
+      expect(runs[1].wallet).to.deep.equal(["0xb"]);
+    });
+
+    it("Should ignore empty changes and drop pending ones on clear", async function () {
+      const runs = [];
+      const queue = createUpdateQueue(async (change) => runs.push(change));
+
+      queue.schedule(emptyChange());
+      queue.schedule({ ...emptyChange(), markets: ["0xa"] });
+      queue.clear();
+      await queue.idle();
+
+      expect(runs).to.have.length(0);
+    });
+  });
+
+  describe("Subscription", function () {
+    it("Should deliver pool events and new blocks, and stop after unsubscribe", async function () {
+      const provider = new ethers.providers.Web3Provider(network.provider);
+      provider.pollingInterval = 50;
+      await provider.getBlockNumber(); // start polling from the current block
+
+      const changes = [];
+      let notify;
+      const received = new Promise((resolve) => { notify = resolve; });
+      const unsubscribe = subscribePool(provider, pool.address, user2.address, (change) => {
+        changes.push(change);
+        if (change.positions.length > 0) notify();
+      });
+
+      await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("10"));
+      await received;
+      unsubscribe();
+
+      const merged = changes.reduce(mergeChanges, emptyChange());
+      expect(merged.positions).to.deep.equal([dai.address.toLowerCase()]);
+      expect(merged.prices).to.equal(true);
+      expect(provider.listenerCount()).to.equal(0);
+    });
+  });
+
+  describe("Local re-projection", function () {
+    it("Should re-project positions to a later time exactly like a fresh load", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const rates = await fetchPoolRates(ethers.provider, pool.address);
+      const positions = await fetchAccruedPositions(ethers.provider, pool.address, user2.address, { rates, timestamp });
+
+      let state = positionReducer(initialState, { type: "markets", rates, prices: {} });
+      state = positionReducer(state, { type: "positions", positions });
+      state = positionReducer(state, { type: "reproject", timestamp: timestamp + 86400 });
+
+      const later = await fetchAccruedPositions(ethers.provider, pool.address, user2.address, { rates, timestamp: timestamp + 86400 });
+      expect(getPosition(state.positions, dai.address).debt).to.equal(getPosition(later, dai.address).debt);
+      expect(getPosition(state.positions, dai.address).debt).to.be.gt(getPosition(positions, dai.address).debt);
+    });
+
+    it("Should merge a single-token load into the existing slices", async function () {
+      const rates = await fetchPoolRates(ethers.provider, pool.address);
+      let state = positionReducer(initialState, { type: "markets", rates, prices: {} });
+
+      const daiOnly = await fetchPoolRates(ethers.provider, pool.address, [dai.address]);
+      state = positionReducer(state, { type: "markets", rates: daiOnly });
+
+      expect(Object.keys(state.rates)).to.have.length(2);
+      expect(state.rates[dai.address.toLowerCase()]).to.equal(daiOnly[dai.address.toLowerCase()]);
+    });
+  });
+});
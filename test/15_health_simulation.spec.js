@@ -0,0 +1,213 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { fetchTokenPrices } = require("../lib/pricing");
+const { fetchPoolRates } = require("../lib/interestRates");
+const { fetchAccruedPositions } = require("../lib/accrual");
+const { initialState, positionReducer, selectBorrowPowerUSD } = require("../lib/positionStore");
+const {
+  getAccountTotals,
+  getLiquidationPrice,
+  getLiquidationPrices,
+  simulateAction,
+  formatHealthFactor
+} = require("../lib/healthFactor");
+
+describe("15_HealthSimulation", function () {
+  const THRESHOLD = ethers.utils.parseEther("1.2");
+
+  let deployer, user1, user2;
+  let weth, dai, wethFeed;
+  let addressToTokenMap;
+  let pool;
+
+  const loadState = async (user) => {
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const rates = await fetchPoolRates(ethers.provider, pool.address);
+    const prices = await fetchTokenPrices(ethers.provider, addressToTokenMap.address, Object.keys(rates));
+    const positions = await fetchAccruedPositions(ethers.provider, pool.address, user, { rates, timestamp });
+
+    const state = positionReducer(initialState, { type: "markets", rates, prices });
+    return positionReducer(state, { type: "positions", positions });
+  };
+
+  before(async function () {
+    [deployer, user1, user2] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const riskParams = {
+      LTV: ethers.utils.parseEther("0.8"),
+      LT: ethers.utils.parseEther("0.85"),
+      kink: ethers.utils.parseEther("0.8"),
+      rBase: ethers.utils.parseEther("0.02"),
+      slope1: ethers.utils.parseEther("0.05"),
+      slope2: ethers.utils.parseEther("0.25")
+    };
+    await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams, riskParams]);
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+
+    await dai.mint(user1.address, ethers.utils.parseEther("50000"));
+    await weth.mint(user2.address, ethers.utils.parseEther("10"));
+    await dai.connect(user1).approve(pool.address, ethers.constants.MaxUint256);
+    await weth.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+
+    await pool.connect(user1).lend(dai.address, ethers.utils.parseEther("50000"));
+    await pool.connect(user2).lend(weth.address, ethers.utils.parseEther("10"));
+  });
+
+  describe("Account totals", function () {
+    it("Should report no risk without debt", async function () {
+      const state = await loadState(user2.address);
+      const totals = getAccountTotals(state);
+
+      expect(totals.healthFactor).to.equal(ethers.constants.MaxUint256);
+      expect(formatHealthFactor(totals.healthFactor)).to.equal("∞");
+      expect(getLiquidationPrice(state, totals, weth.address)).to.equal(null);
+      expect(totals.borrowPowerUSD).to.equal(await pool.getUserTotalAvailableBalanceInUSD(user2.address));
+    });
+
+    it("Should weight collateral like the pool's health factor and borrow power", async function () {
+      await pool.connect(user2).borrow(dai.address, ethers.utils.parseEther("10000"));
+      const state = await loadState(user2.address);
+      const totals = getAccountTotals(state);
+
+      expect(totals.healthFactor).to.equal(await pool.getHealthFactor(user2.address));
+      expect(totals.borrowPowerUSD).to.equal(await pool.getUserTotalAvailableBalanceInUSD(user2.address));
+      expect(selectBorrowPowerUSD(state)).to.equal(totals.borrowPowerUSD);
+      expect(formatHealthFactor(totals.healthFactor)).to.equal("2.55"); // 30000 * 0.85 / 10000
+    });
+  });
+
+  describe("Simulation", function () {
+    it("Should predict the health factor the pool reports after the borrow", async function () {
+      const amount = ethers.utils.parseEther("5000");
+      const state = await loadState(user2.address);
+      const simulation = simulateAction(state, { action: "borrow", token: dai.address, amount, threshold: THRESHOLD });
+
+      await pool.connect(user2).borrow(dai.address, amount);
+      const onChain = await pool.getHealthFactor(user2.address);
+
+      // Only the interest accrued in the borrow's own block separates them
+      expect(simulation.after.healthFactor).to.be.closeTo(onChain, ethers.utils.parseEther("0.0001"));
+      expect(simulation.after.healthFactor).to.be.lt(simulation.before.healthFactor);
+      expect(simulation.before.borrowPowerUSD.sub(simulation.after.borrowPowerUSD)).to.equal(ethers.utils.parseEther("5000"));
+    });
+
+    it("Should quote the collateral price at which the health factor reaches 1", async function () {
+      const state = await loadState(user2.address);
+      const simulation = simulateAction(state, {
+        action: "borrow",
+        token: dai.address,
+        amount: ethers.BigNumber.from(0),
+        threshold: THRESHOLD
+      });
+      expect(simulation.liquidationToken).to.equal(weth.address.toLowerCase());
+
+      const price = simulation.liquidationPrice.after;
+      expect(price).to.be.closeTo(ethers.utils.parseEther("1764.7"), ethers.utils.parseEther("1")); // 15000 / (10 * 0.85)
+
+      await wethFeed.updateAnswer(price.div(ethers.BigNumber.from(10).pow(10)));
+      expect(await pool.getHealthFactor(user2.address)).to.be.closeTo(
+        ethers.utils.parseEther("1"),
+        ethers.utils.parseEther("0.001")
+      );
+      await wethFeed.updateAnswer(300000000000);
+    });
+
+    it("Should warn under the threshold and block under 1 only for risk-increasing actions", async function () {
+      const state = await loadState(user2.address);
+      const simulate = (action, amount, threshold = THRESHOLD) =>
+        simulateAction(state, { action, token: action === "withdraw" ? weth.address : dai.address, amount: ethers.utils.parseEther(amount), threshold });
+
+      // HF is 1.7 with 15000 DAI of debt against 10 WETH
+      expect(simulate("borrow", "1000")).to.include({ warning: false, blocked: false });
+      expect(simulate("borrow", "7000")).to.include({ warning: true, blocked: false });
+      expect(simulate("withdraw", "5")).to.include({ warning: false, blocked: true });
+      expect(simulate("borrow", "7000", ethers.utils.parseEther("1.1"))).to.include({ warning: false, blocked: false });
+
+      expect(simulate("repay", "1000")).to.include({ warning: false, blocked: false });
+      expect(simulate("lend", "1")).to.include({ warning: false, blocked: false });
+    });
+
+    it("Should cap a repayment at the outstanding debt", async function () {
+      const state = await loadState(user2.address);
+      const simulation = simulateAction(state, {
+        action: "repay",
+        token: dai.address,
+        amount: ethers.utils.parseEther("1000000"),
+        threshold: THRESHOLD
+      });
+
+      expect(simulation.after.debtUSD).to.equal(0);
+      expect(simulation.after.healthFactor).to.equal(ethers.constants.MaxUint256);
+      expect(simulation.liquidationPrice.after).to.equal(null);
+    });
+  });
+
+  describe("Liquidation prices", function () {
+    it("Should solve each collateral price at which the health factor reaches 1", async function () {
+      // 10 WETH and 3000 DAI of collateral against 15000 DAI of debt
+      await dai.connect(user2).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(user2).lend(dai.address, ethers.utils.parseEther("3000"));
+
+      const state = await loadState(user2.address);
+      const [wethEntry, daiEntry] = getLiquidationPrices(state);
+      expect(wethEntry.token).to.equal(weth.address.toLowerCase());
+      expect(wethEntry.price).to.equal(ethers.utils.parseEther("3000"));
+      expect(wethEntry.liquidationPrice).to.be.closeTo(ethers.utils.parseEther("1464.7"), ethers.utils.parseEther("1")); // (15000 - 2550) / 8.5
+      expect(wethEntry.dropPercent).to.be.closeTo(51.18, 0.01);
+
+      await wethFeed.updateAnswer(wethEntry.liquidationPrice.div(ethers.BigNumber.from(10).pow(10)));
+      expect(await pool.getHealthFactor(user2.address)).to.be.closeTo(
+        ethers.utils.parseEther("1"),
+        ethers.utils.parseEther("0.001")
+      );
+      await wethFeed.updateAnswer(300000000000);
+
+      // DAI moves its own debt with it, so a falling DAI price only helps
+      expect(daiEntry.token).to.equal(dai.address.toLowerCase());
+      expect(daiEntry.liquidationPrice).to.equal(null);
+      expect(daiEntry.dropPercent).to.equal(null);
+    });
+  });
+});
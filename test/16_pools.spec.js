@@ -0,0 +1,154 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { fetchPools, fetchPoolSummary, findPool } = require("../lib/pools");
+const { fetchPoolRates } = require("../lib/interestRates");
+const { initialState, positionReducer, selectUserAssets } = require("../lib/positionStore");
+
+describe("16_Pools", function () {
+  let deployer, user1;
+  let weth, dai;
+  let poolFactory;
+  let corePool, altPool;
+
+  const riskParams = (ltv, lt) => ({
+    LTV: ethers.utils.parseEther(ltv),
+    LT: ethers.utils.parseEther(lt),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  before(async function () {
+    [deployer, user1] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const createPool = async (name, reserveFactor, liquidationBonus) => {
+      const tx = await poolFactory.createPool(ethers.utils.formatBytes32String(name), {
+        addressToTokenMap: addressToTokenMap.address,
+        lendingConfig: lendingConfig.address,
+        lendingHelper: lendingHelper.address,
+        reserveFactor: ethers.utils.parseEther(reserveFactor),
+        liquidationBonus: ethers.utils.parseEther(liquidationBonus)
+      });
+      const receipt = await tx.wait();
+      const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+      return ethers.getContractAt("IsolatedLendingPool", poolAddress);
+    };
+
+    corePool = await createPool("CORE", "0.1", "0.05");
+    altPool = await createPool("STABLE", "0.2", "0.08");
+
+    await lendingConfig.batchSetRiskParams(
+      corePool.address,
+      [weth.address, dai.address],
+      [riskParams("0.8", "0.85"), riskParams("0.8", "0.85")]
+    );
+    await corePool.addToken(weth.address);
+    await corePool.addToken(dai.address);
+
+    // The stable pool lists DAI only, with tighter risk params
+    await lendingConfig.batchSetRiskParams(altPool.address, [dai.address], [riskParams("0.6", "0.7")]);
+    await altPool.addToken(dai.address);
+
+    await weth.mint(user1.address, ethers.utils.parseEther("10"));
+    await dai.mint(user1.address, ethers.utils.parseEther("5000"));
+    await weth.connect(user1).approve(corePool.address, ethers.constants.MaxUint256);
+    await dai.connect(user1).approve(altPool.address, ethers.constants.MaxUint256);
+
+    await corePool.connect(user1).lend(weth.address, ethers.utils.parseEther("10"));
+    await altPool.connect(user1).lend(dai.address, ethers.utils.parseEther("5000"));
+  });
+
+  describe("Discovery", function () {
+    it("Should enumerate factory pools with their names", async function () {
+      const pools = await fetchPools(ethers.provider, poolFactory.address);
+
+      expect(pools.map((pool) => pool.address)).to.deep.equal([corePool.address, altPool.address]);
+      expect(pools.map((pool) => pool.name)).to.deep.equal(["CORE", "STABLE"]);
+    });
+
+    it("Should summarize markets, TVL and risk params per pool", async function () {
+      const pools = await fetchPools(ethers.provider, poolFactory.address);
+      const core = findPool(pools, corePool.address.toLowerCase());
+      const stable = findPool(pools, altPool.address);
+
+      expect(core.markets.map((market) => market.symbol)).to.deep.equal(["WETH", "DAI"]);
+      expect(core.tvlUSD).to.equal(ethers.utils.parseEther("30000"));
+      expect(core.reserveFactor).to.equal(ethers.utils.parseEther("0.1"));
+      expect(core.liquidationBonus).to.equal(ethers.utils.parseEther("0.05"));
+
+      expect(stable.markets).to.have.length(1);
+      expect(stable.markets[0].LTV).to.equal(ethers.utils.parseEther("0.6"));
+      expect(stable.markets[0].LT).to.equal(ethers.utils.parseEther("0.7"));
+      expect(stable.tvlUSD).to.equal(ethers.utils.parseEther("5000"));
+      expect(stable.liquidationBonus).to.equal(ethers.utils.parseEther("0.08"));
+    });
+
+    it("Should summarize the account's position in each pool", async function () {
+      const pools = await fetchPools(ethers.provider, poolFactory.address, { account: user1.address });
+      const [core, stable] = pools;
+
+      expect(core.position.collateralUSD).to.equal(ethers.utils.parseEther("30000"));
+      expect(core.position.debtUSD).to.equal(0);
+      expect(stable.position.collateralUSD).to.equal(ethers.utils.parseEther("5000"));
+      expect(stable.position.borrowPowerUSD).to.equal(ethers.utils.parseEther("3000")); // 5000 * 0.6
+
+      const alone = await fetchPoolSummary(ethers.provider, altPool.address, { account: deployer.address });
+      expect(alone.name).to.equal(`${altPool.address.slice(0, 6)}…${altPool.address.slice(-4)}`);
+      expect(alone.position.healthFactor).to.equal(ethers.constants.MaxUint256);
+    });
+
+    it("Should return no pools without a factory", async function () {
+      expect(await fetchPools(ethers.provider, null)).to.deep.equal([]);
+      expect(findPool([], corePool.address)).to.equal(null);
+    });
+  });
+
+  describe("Scoping", function () {
+    it("Should offer only the tokens the selected pool lists", async function () {
+      const network = {
+        contracts: { weth: weth.address },
+        tokens: [
+          { symbol: "WETH", name: "Wrapped Ether", address: weth.address, poolToken: weth.address, decimals: 18, isNative: false },
+          { symbol: "DAI", name: "Dai Stablecoin", address: dai.address, poolToken: dai.address, decimals: 18, isNative: false }
+        ]
+      };
+
+      expect(selectUserAssets(initialState, network)).to.have.length(2);
+
+      const rates = await fetchPoolRates(ethers.provider, altPool.address);
+      const state = positionReducer(initialState, { type: "markets", rates, prices: {} });
+      expect(selectUserAssets(state, network).map((asset) => asset.symbol)).to.deep.equal(["DAI"]);
+    });
+  });
+});
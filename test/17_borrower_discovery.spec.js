@@ -0,0 +1,222 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  emptyIndex,
+  getBorrowers,
+  loadIndex,
+  saveIndex,
+  scanBorrowers,
+  watchBorrowers,
+  syncKeeperAdapter
+} = require("../lib/borrowerIndex");
+
+describe("17_Borrower_Discovery", function () {
+  let deployer, user1, user2, user3, lender;
+  let weth, dai;
+  let corePool, altPool;
+  let keeperAdapter;
+  let checkpointFile;
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  // Supply WETH collateral and borrow DAI against it
+  const openPosition = async (pool, user, borrowAmount) => {
+    await weth.mint(user.address, ethers.utils.parseEther("1"));
+    await weth.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(user).lend(weth.address, ethers.utils.parseEther("1"));
+    await pool.connect(user).borrow(dai.address, ethers.utils.parseEther(borrowAmount));
+  };
+
+  before(async function () {
+    [deployer, user1, user2, user3, lender] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const createPool = async (name) => {
+      const tx = await poolFactory.createPool(ethers.utils.formatBytes32String(name), {
+        addressToTokenMap: addressToTokenMap.address,
+        lendingConfig: lendingConfig.address,
+        lendingHelper: lendingHelper.address,
+        reserveFactor: ethers.utils.parseEther("0.1"),
+        liquidationBonus: ethers.utils.parseEther("0.05")
+      });
+      const receipt = await tx.wait();
+      const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+      return ethers.getContractAt("IsolatedLendingPool", poolAddress);
+    };
+
+    corePool = await createPool("CORE");
+    altPool = await createPool("ALT");
+
+    for (const pool of [corePool, altPool]) {
+      await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams(), riskParams()]);
+      await pool.addToken(weth.address);
+      await pool.addToken(dai.address);
+
+      await dai.mint(lender.address, ethers.utils.parseEther("10000"));
+      await dai.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(lender).lend(dai.address, ethers.utils.parseEther("10000"));
+    }
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    const liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const KeeperAdapter = await ethers.getContractFactory("KeeperAdapter");
+    keeperAdapter = await KeeperAdapter.deploy(liquidationManager.address);
+
+    await openPosition(corePool, user1, "1000");
+    await openPosition(corePool, user2, "500");
+    await openPosition(altPool, user2, "200");
+    await dai.connect(user2).approve(corePool.address, ethers.constants.MaxUint256);
+    await corePool.connect(user2).repay(dai.address, ethers.utils.parseEther("100"));
+
+    checkpointFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "keeper-")), "borrowers.json");
+  });
+
+  after(function () {
+    fs.rmSync(path.dirname(checkpointFile), { recursive: true, force: true });
+  });
+
+  describe("Historical scan", function () {
+    it("Should collect every borrower of every pool, lenders excluded", async function () {
+      const index = emptyIndex();
+      const discovered = await scanBorrowers(ethers.provider, [corePool.address, altPool.address], index);
+
+      expect(getBorrowers(index, corePool.address)).to.deep.equal([user1.address, user2.address]);
+      expect(getBorrowers(index, altPool.address)).to.deep.equal([user2.address]);
+      expect(discovered).to.have.length(3);
+      expect(index.pools[corePool.address.toLowerCase()].lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should find the same borrowers when scanning in small chunks", async function () {
+      const index = emptyIndex();
+      let chunks = 0;
+      await scanBorrowers(ethers.provider, [corePool.address], index, {
+        chunkSize: 3,
+        onChunk: () => { chunks++; }
+      });
+
+      expect(getBorrowers(index, corePool.address)).to.deep.equal([user1.address, user2.address]);
+      expect(chunks).to.be.gt(1);
+    });
+  });
+
+  describe("Checkpoint", function () {
+    it("Should resume from the saved block and only pick up new borrowers", async function () {
+      const index = loadIndex(checkpointFile);
+      expect(index).to.deep.equal(emptyIndex());
+
+      await scanBorrowers(ethers.provider, [corePool.address, altPool.address], index);
+      saveIndex(checkpointFile, index);
+      const checkpoint = index.pools[corePool.address.toLowerCase()].lastBlock;
+
+      await openPosition(corePool, user3, "300");
+
+      const resumed = loadIndex(checkpointFile);
+      expect(resumed).to.deep.equal(index);
+
+      const fromBlocks = [];
+      const provider = {
+        getBlockNumber: () => ethers.provider.getBlockNumber(),
+        getLogs: (filter) => {
+          fromBlocks.push(filter.fromBlock);
+          return ethers.provider.getLogs(filter);
+        }
+      };
+      const discovered = await scanBorrowers(provider, [corePool.address, altPool.address], resumed);
+
+      expect(discovered).to.deep.equal([{ pool: corePool.address, user: user3.address }]);
+      expect(fromBlocks.every((block) => block > checkpoint)).to.equal(true);
+      expect(getBorrowers(resumed, corePool.address)).to.deep.equal([user1.address, user2.address, user3.address]);
+    });
+
+    it("Should start fresh from an unreadable checkpoint", async function () {
+      const corrupt = path.join(path.dirname(checkpointFile), "corrupt.json");
+      fs.writeFileSync(corrupt, "{not json");
+
+      expect(loadIndex(corrupt, 42)).to.deep.equal(emptyIndex(42));
+    });
+  });
+
+  describe("Live events", function () {
+    it("Should report borrowers from new events and stop after unsubscribe", async function () {
+      const provider = new ethers.providers.Web3Provider(network.provider);
+      provider.pollingInterval = 50;
+      await provider.getBlockNumber(); // start polling from the current block
+
+      let notify;
+      const received = new Promise((resolve) => { notify = resolve; });
+      const unsubscribe = watchBorrowers(provider, [corePool.address, altPool.address], (pool, user) => {
+        if (pool === altPool.address) notify({ pool, user });
+      });
+
+      await weth.mint(user1.address, ethers.utils.parseEther("1"));
+      await weth.connect(user1).approve(altPool.address, ethers.constants.MaxUint256);
+      await altPool.connect(user1).lend(weth.address, ethers.utils.parseEther("1"));
+      await altPool.connect(user1).borrow(dai.address, ethers.utils.parseEther("50"));
+
+      const event = await received;
+      unsubscribe();
+
+      expect(event).to.deep.equal({ pool: altPool.address, user: user1.address });
+      expect(provider.listenerCount()).to.equal(0);
+    });
+  });
+
+  describe("KeeperAdapter sync", function () {
+    it("Should register discovered borrowers in batches and skip tracked ones", async function () {
+      await keeperAdapter.addUser(corePool.address, user2.address);
+
+      const index = emptyIndex();
+      await scanBorrowers(ethers.provider, [corePool.address], index);
+
+      const added = await syncKeeperAdapter(keeperAdapter, corePool.address, getBorrowers(index, corePool.address), 1);
+
+      expect(added).to.equal(2); // user1 and user3
+      expect(await keeperAdapter.getTrackedUsers(corePool.address)).to.have.members([
+        user1.address,
+        user2.address,
+        user3.address
+      ]);
+      expect(await syncKeeperAdapter(keeperAdapter, corePool.address, getBorrowers(index, corePool.address))).to.equal(0);
+    });
+  });
+});
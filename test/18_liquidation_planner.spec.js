@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { planLiquidation } = require("../lib/liquidationPlanner");
+
+describe("18_Liquidation_Planner", function () {
+  let deployer, borrower, lender, liquidator;
+  let weth, dai, usdt;
+  let wethFeed;
+  let pool;
+  let lendingConfig;
+  let liquidationManager;
+
+  // Interest-free markets, so debts (and the amounts sized from them) stay exact between blocks
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: 0,
+    slope1: 0,
+    slope2: 0
+  });
+
+  // Full liquidation only below this HF, so the position below stays under the 50% close factor
+  const setFullLiquidationHF = (fullLiquidationHF) => lendingConfig.setLiquidationParams(pool.address, {
+    closeFactor: ethers.utils.parseEther("0.5"),
+    fullLiquidationHF,
+    dustThresholdUSD: ethers.utils.parseEther("10")
+  });
+
+  const plan = (options = {}) => planLiquidation(ethers.provider, pool.address, borrower.address, {
+    liquidationManager: liquidationManager.address,
+    gasPrice: 0,
+    ...options
+  });
+
+  before(async function () {
+    [deployer, borrower, lender, liquidator] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+    usdt = await ERC20Mintable.deploy("Tether USD", "USDT", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+    const usdtFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address, usdt.address],
+      ["WETH", "DAI", "USDT"],
+      [wethFeed.address, daiFeed.address, usdtFeed.address],
+      [18, 18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CORE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const tokens = [weth.address, dai.address, usdt.address];
+    await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+    for (const token of tokens) {
+      await pool.addToken(token);
+    }
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+    await pool.setLiquidationManager(liquidationManager.address);
+
+    for (const token of [dai, usdt]) {
+      await token.mint(lender.address, ethers.utils.parseEther("10000"));
+      await token.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(lender).lend(token.address, ethers.utils.parseEther("10000"));
+    }
+
+    // 1 WETH against 2000 DAI + 200 USDT, then WETH drops to $2000 (HF ≈ 0.77)
+    await weth.mint(borrower.address, ethers.utils.parseEther("1"));
+    await weth.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(borrower).lend(weth.address, ethers.utils.parseEther("1"));
+    await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther("2000"));
+    await pool.connect(borrower).borrow(usdt.address, ethers.utils.parseEther("200"));
+    await wethFeed.updateAnswer(200000000000);
+
+    expect(await liquidationManager.isLiquidatable(borrower.address, pool.address)).to.equal(true);
+    await setFullLiquidationHF(ethers.utils.parseEther("0.5"));
+  });
+
+  describe("Pair selection", function () {
+    it("Should pick the most profitable pair and repay up to the close factor", async function () {
+      const result = await plan();
+
+      expect(result.debtToken).to.equal(dai.address);
+      expect(result.collateralToken).to.equal(weth.address);
+      expect(result.repayAmount).to.equal(ethers.utils.parseEther("1000"));
+      expect(result.seizeAmount).to.equal(
+        await liquidationManager.calculateSeizeAmount(pool.address, dai.address, result.repayAmount, weth.address)
+      );
+      expect(result.repayUSD).to.equal(ethers.utils.parseEther("1000"));
+      expect(result.seizeUSD).to.equal(ethers.utils.parseEther("1050"));
+      expect(result.profitUSD).to.equal(ethers.utils.parseEther("50"));
+      expect(result.profitable).to.equal(true);
+      expect(result.candidates).to.have.length(2);
+      expect(result.candidates[1].debtToken).to.equal(usdt.address);
+      expect(result.candidates[1].profitUSD).to.equal(ethers.utils.parseEther("5"));
+    });
+
+    it("Should subtract gas valued at the gas token price", async function () {
+      const options = { gasToken: weth.address, gasPrice: ethers.utils.parseUnits("1", "gwei"), gasUnits: 400000 };
+      const cheap = await plan(options);
+
+      // 0.0004 ETH at $2000
+      expect(cheap.gasCostUSD).to.equal(ethers.utils.parseEther("0.8"));
+      expect(cheap.profitUSD).to.equal(ethers.utils.parseEther("49.2"));
+      expect(cheap.profitable).to.equal(true);
+
+      const expensive = await plan({ ...options, gasPrice: ethers.utils.parseUnits("100", "gwei") });
+      expect(expensive.profitUSD).to.equal(ethers.utils.parseEther("-30"));
+      expect(expensive.profitable).to.equal(false);
+
+      const belowMinimum = await plan({ ...options, minProfitUSD: ethers.utils.parseEther("60") });
+      expect(belowMinimum.profitable).to.equal(false);
+    });
+  });
+
+  describe("Sizing", function () {
+    it("Should shrink the repay so the seize stays within the collateral", async function () {
+      await setFullLiquidationHF(ethers.utils.parseEther("0.95")); // the default: the whole debt is repayable
+      const result = await plan();
+      await setFullLiquidationHF(ethers.utils.parseEther("0.5"));
+      const supplied = await pool.supplied(borrower.address, weth.address);
+
+      expect(result.debtToken).to.equal(dai.address);
+      expect(result.repayAmount).to.be.lt(ethers.utils.parseEther("2000"));
+      expect(result.seizeAmount).to.be.lte(supplied);
+      expect(result.seizeAmount).to.be.closeTo(supplied, ethers.utils.parseEther("0.000001"));
+      expect(result.profitUSD).to.be.closeTo(ethers.utils.parseEther("95.238"), ethers.utils.parseEther("0.001"));
+      expect(result.fullLiquidation).to.equal(true);
+    });
+
+    it("Should apply a keeper-side close factor below the pool's", async function () {
+      const result = await plan({ closeFactor: ethers.utils.parseEther("0.25") });
+
+      expect(result.repayAmount).to.equal(ethers.utils.parseEther("500"));
+      expect(result.fullLiquidation).to.equal(false);
+    });
+
+    it("Should cap the repay at the liquidator's balance", async function () {
+      await dai.mint(liquidator.address, ethers.utils.parseEther("300"));
+
+      const result = await plan({ liquidator: liquidator.address });
+
+      expect(result.debtToken).to.equal(dai.address);
+      expect(result.repayAmount).to.equal(ethers.utils.parseEther("300"));
+      expect(result.candidates).to.have.length(1); // no USDT to repay with
+    });
+
+    it("Should return no plan for a user without debt", async function () {
+      const result = await planLiquidation(ethers.provider, pool.address, lender.address, {
+        liquidationManager: liquidationManager.address,
+        gasPrice: 0
+      });
+
+      expect(result).to.equal(null);
+    });
+  });
+
+  describe("Execution", function () {
+    it("Should seize exactly the planned amount when executed", async function () {
+      const result = await plan({ liquidator: liquidator.address });
+
+      await dai.connect(liquidator).approve(liquidationManager.address, result.repayAmount);
+      await liquidationManager.connect(liquidator).liquidate(
+        borrower.address,
+        pool.address,
+        result.debtToken,
+        result.repayAmount,
+        result.collateralToken
+      );
+
+      expect(await weth.balanceOf(liquidator.address)).to.equal(result.seizeAmount);
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(
+        ethers.utils.parseEther("2000").sub(result.repayAmount)
+      );
+    });
+  });
+});
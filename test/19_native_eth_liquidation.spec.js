@@ -0,0 +1,355 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { planLiquidation } = require("../lib/liquidationPlanner");
+
+describe("19_Native_ETH_Liquidation", function () {
+  // Pools hold native ETH under a pseudo-address whose oracle symbol is "ETH"
+  const ETH = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+  const NATIVE = ethers.constants.AddressZero; // KeeperAdapter treasury key for ETH
+
+  let deployer, borrower, lender, liquidator;
+  let dai;
+  let ethFeed;
+  let pool;
+  let liquidationManager;
+  let keeperAdapter;
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  const gasCost = async (tx) => {
+    const receipt = await tx.wait();
+    return receipt.gasUsed.mul(receipt.effectiveGasPrice);
+  };
+
+  const performData = (users) => ethers.utils.defaultAbiCoder.encode(
+    ["address[]", "address[]"],
+    [users, users.map(() => pool.address)]
+  );
+
+  // Run the keeper and read back what its LiquidationExecuted event reported
+  const upkeepLiquidation = async (users) => {
+    const receipt = await (await keeperAdapter.performUpkeep(performData(users))).wait();
+    const event = receipt.events.find((e) => e.event === "LiquidationExecuted");
+    return { repaid: event.args.repaidAmount, seized: event.args.seizedAmount };
+  };
+
+  // 4000 DAI against 1 ETH of debt, then ETH rises to $4000 (HF = 0.85)
+  const openETHDebt = async () => {
+    await dai.mint(borrower.address, ethers.utils.parseEther("4000"));
+    await dai.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(borrower).lend(dai.address, ethers.utils.parseEther("4000"));
+    await pool.connect(borrower).borrow(ETH, ethers.utils.parseEther("1"));
+    await ethFeed.updateAnswer(400000000000);
+  };
+
+  // 1 ETH against 2000 DAI of debt, then ETH drops to $2000 (HF = 0.85)
+  const openETHCollateral = async () => {
+    await pool.connect(borrower).lend(ETH, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("1") });
+    await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther("2000"));
+    await ethFeed.updateAnswer(200000000000);
+  };
+
+  beforeEach(async function () {
+    [deployer, borrower, lender, liquidator] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    ethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [ETH, dai.address],
+      ["ETH", "DAI"],
+      [ethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("ETH"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const tokens = [ETH, dai.address];
+    await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+    for (const token of tokens) {
+      await pool.addToken(token);
+    }
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+    await pool.setLiquidationManager(liquidationManager.address);
+
+    const KeeperAdapter = await ethers.getContractFactory("KeeperAdapter");
+    keeperAdapter = await KeeperAdapter.deploy(liquidationManager.address);
+
+    // Liquidity on both sides
+    await pool.connect(lender).lend(ETH, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("10") });
+    await dai.mint(lender.address, ethers.utils.parseEther("10000"));
+    await dai.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(lender).lend(dai.address, ethers.utils.parseEther("10000"));
+
+    await dai.mint(liquidator.address, ethers.utils.parseEther("10000"));
+    await dai.connect(liquidator).approve(liquidationManager.address, ethers.constants.MaxUint256);
+  });
+
+  describe("LiquidationManager", function () {
+    it("Should repay ETH debt from msg.value and refund the excess", async function () {
+      await openETHDebt();
+      expect(await liquidationManager.isLiquidatable(borrower.address, pool.address)).to.equal(true);
+
+      const repay = ethers.utils.parseEther("0.5");
+      const seize = await liquidationManager.calculateSeizeAmount(pool.address, ETH, repay, dai.address);
+      const ethBefore = await liquidator.getBalance();
+      const poolEthBefore = await ethers.provider.getBalance(pool.address);
+
+      const tx = await liquidationManager.connect(liquidator).liquidate(
+        borrower.address, pool.address, ETH, repay, dai.address, { value: ethers.utils.parseEther("2") }
+      );
+      const gas = await gasCost(tx);
+
+      // $2000 repaid at a 5% bonus
+      expect(seize).to.equal(ethers.utils.parseEther("2100"));
+      expect(await liquidator.getBalance()).to.equal(ethBefore.sub(repay).sub(gas));
+      expect(await ethers.provider.getBalance(pool.address)).to.equal(poolEthBefore.add(repay));
+      expect(await ethers.provider.getBalance(liquidationManager.address)).to.equal(0);
+      expect(await dai.balanceOf(liquidator.address)).to.equal(ethers.utils.parseEther("12100"));
+      // The rest of the debt, plus the interest accrued since the borrow
+      expect(await pool.debts(borrower.address, ETH)).to.be.closeTo(ethers.utils.parseEther("0.5"), 1e10);
+    });
+
+    it("Should cap an oversized ETH repayment at what the collateral pays for and refund the rest", async function () {
+      await openETHDebt();
+      await ethFeed.updateAnswer(1000000000000); // $10000, deep underwater
+
+      // 4000 DAI of collateral covers 4000 / 1.05 / 10000 ETH of the 1 ETH debt
+      const preview = await liquidationManager.previewLiquidation(borrower.address, pool.address, ETH, dai.address);
+      expect(preview.fullLiquidation).to.equal(true);
+      expect(preview.seizeAmount).to.equal(ethers.utils.parseEther("4000"));
+      expect(preview.maxRepay).to.be.closeTo(ethers.utils.parseEther("0.380952380952380952"), 10);
+
+      const ethBefore = await liquidator.getBalance();
+      const tx = await liquidationManager.connect(liquidator).liquidate(
+        borrower.address, pool.address, ETH, ethers.utils.parseEther("5"), dai.address,
+        { value: ethers.utils.parseEther("5") }
+      );
+      const gas = await gasCost(tx);
+      const { repaidAmount } = (await tx.wait()).events.find((e) => e.event === "LiquidationExecuted").args;
+
+      // All the collateral is seized; the rest of the debt, with its interest, stays
+      expect(repaidAmount).to.equal(preview.maxRepay);
+      expect(await pool.debts(borrower.address, ETH)).to.be.closeTo(ethers.utils.parseEther("1").sub(preview.maxRepay), 1e10);
+      expect(await pool.supplied(borrower.address, dai.address)).to.equal(0);
+      expect(await liquidator.getBalance()).to.equal(ethBefore.sub(preview.maxRepay).sub(gas));
+      expect(await ethers.provider.getBalance(liquidationManager.address)).to.equal(0);
+    });
+
+    it("Should reject too little ETH for ETH debt", async function () {
+      await openETHDebt();
+
+      await expect(
+        liquidationManager.connect(liquidator).liquidate(
+          borrower.address, pool.address, ETH, ethers.utils.parseEther("0.5"), dai.address,
+          { value: ethers.utils.parseEther("0.4") }
+        )
+      ).to.be.revertedWithCustomError(liquidationManager, "ErrInvalidETHAmount");
+    });
+
+    it("Should reject ETH sent with ERC20 debt", async function () {
+      await openETHCollateral();
+
+      await expect(
+        liquidationManager.connect(liquidator).liquidate(
+          borrower.address, pool.address, dai.address, ethers.utils.parseEther("1000"), ETH,
+          { value: 1 }
+        )
+      ).to.be.revertedWithCustomError(liquidationManager, "ErrInvalidETHAmount");
+    });
+
+    it("Should pay seized ETH collateral out natively", async function () {
+      await openETHCollateral();
+
+      const repay = ethers.utils.parseEther("1000");
+      const ethBefore = await liquidator.getBalance();
+      const poolEthBefore = await ethers.provider.getBalance(pool.address);
+
+      const tx = await liquidationManager.connect(liquidator).liquidate(
+        borrower.address, pool.address, dai.address, repay, ETH
+      );
+      const gas = await gasCost(tx);
+
+      // $1000 repaid at a 5% bonus, ETH at $2000
+      const seize = ethers.utils.parseEther("0.525");
+      expect(await liquidator.getBalance()).to.equal(ethBefore.add(seize).sub(gas));
+      expect(await ethers.provider.getBalance(pool.address)).to.equal(poolEthBefore.sub(seize));
+      expect(await pool.supplied(borrower.address, ETH)).to.equal(ethers.utils.parseEther("1").sub(seize));
+    });
+  });
+
+  describe("KeeperAdapter treasury", function () {
+    it("Should fund and withdraw native ETH", async function () {
+      const amount = ethers.utils.parseEther("3");
+
+      await expect(keeperAdapter.fundTreasury(NATIVE, amount, { value: amount.sub(1) })).to.be.reverted;
+      await expect(keeperAdapter.fundTreasury(dai.address, 1, { value: 1 })).to.be.reverted;
+
+      await expect(keeperAdapter.fundTreasury(NATIVE, amount, { value: amount }))
+        .to.emit(keeperAdapter, "TreasuryFunded")
+        .withArgs(NATIVE, deployer.address, amount);
+      expect(await keeperAdapter.treasuryBalance(NATIVE)).to.equal(amount);
+
+      const ethBefore = await lender.getBalance();
+      await expect(keeperAdapter.withdrawTreasury(NATIVE, ethers.utils.parseEther("1"), lender.address))
+        .to.emit(keeperAdapter, "TreasuryWithdrawn")
+        .withArgs(NATIVE, lender.address, ethers.utils.parseEther("1"));
+
+      expect(await lender.getBalance()).to.equal(ethBefore.add(ethers.utils.parseEther("1")));
+      expect(await keeperAdapter.treasuryBalance(NATIVE)).to.equal(ethers.utils.parseEther("2"));
+    });
+
+    it("Should repay ETH debt from the treasury's ETH", async function () {
+      await openETHDebt();
+      await keeperAdapter.fundTreasury(NATIVE, ethers.utils.parseEther("5"), { value: ethers.utils.parseEther("5") });
+
+      // HF 0.85 is below the full-liquidation HF: repay what all 4000 DAI of collateral pays for
+      const preview = await liquidationManager.previewLiquidation(borrower.address, pool.address, ETH, dai.address);
+      expect(preview.fullLiquidation).to.equal(true);
+      expect(preview.seizeAmount).to.equal(ethers.utils.parseEther("4000"));
+
+      await expect(keeperAdapter.performUpkeep(performData([borrower.address])))
+        .to.emit(keeperAdapter, "LiquidationExecuted")
+        .withArgs(pool.address, borrower.address, ETH, preview.maxRepay, dai.address, preview.seizeAmount);
+
+      expect(await keeperAdapter.treasuryBalance(NATIVE)).to.equal(ethers.utils.parseEther("5").sub(preview.maxRepay));
+      expect(await keeperAdapter.treasuryBalance(dai.address)).to.equal(preview.seizeAmount);
+      expect(await ethers.provider.getBalance(liquidationManager.address)).to.equal(0);
+    });
+
+    it("Should receive seized ETH collateral into the treasury", async function () {
+      await openETHCollateral();
+      await dai.approve(keeperAdapter.address, ethers.constants.MaxUint256);
+      await dai.mint(deployer.address, ethers.utils.parseEther("5000"));
+      await keeperAdapter.fundTreasury(dai.address, ethers.utils.parseEther("5000"));
+
+      // HF 0.85 is below the full-liquidation HF: repay what all 1 ETH of collateral pays for
+      const preview = await liquidationManager.previewLiquidation(borrower.address, pool.address, dai.address, ETH);
+      expect(preview.fullLiquidation).to.equal(true);
+      expect(preview.seizeAmount).to.equal(ethers.utils.parseEther("1"));
+
+      await expect(keeperAdapter.performUpkeep(performData([borrower.address])))
+        .to.emit(keeperAdapter, "LiquidationExecuted")
+        .withArgs(pool.address, borrower.address, dai.address, preview.maxRepay, ETH, preview.seizeAmount);
+
+      expect(await keeperAdapter.treasuryBalance(NATIVE)).to.equal(preview.seizeAmount);
+      expect(await keeperAdapter.treasuryBalance(dai.address)).to.equal(ethers.utils.parseEther("5000").sub(preview.maxRepay));
+    });
+
+    it("Should report the exact seizure when ETH is both the debt and the collateral", async function () {
+      // 1 ETH against 0.4 ETH and 1100 DAI of debt, then ETH drops to $2000 (HF ≈ 0.89)
+      await pool.connect(borrower).lend(ETH, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("1") });
+      await pool.connect(borrower).borrow(ETH, ethers.utils.parseEther("0.4"));
+      await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther("1100"));
+      await ethFeed.updateAnswer(200000000000);
+
+      // An ETH-only treasury can only repay the ETH debt
+      await keeperAdapter.fundTreasury(NATIVE, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("1") });
+
+      // HF ≈ 0.89 is below the full-liquidation HF
+      const preview = await liquidationManager.previewLiquidation(borrower.address, pool.address, ETH, ETH);
+      expect(preview.fullLiquidation).to.equal(true);
+
+      // The whole ETH debt with its interest, seized from the same ETH balance at a 5% bonus
+      const { repaid, seized } = await upkeepLiquidation([borrower.address]);
+      expect(repaid).to.be.closeTo(ethers.utils.parseEther("0.4"), 1e10);
+      expect(seized).to.equal(repaid.mul(105).div(100));
+
+      expect(await pool.debts(borrower.address, ETH)).to.equal(0);
+      expect(await keeperAdapter.treasuryBalance(NATIVE)).to.equal(ethers.utils.parseEther("1").sub(repaid).add(seized));
+      expect(await ethers.provider.getBalance(liquidationManager.address)).to.equal(0);
+    });
+  });
+
+  describe("Planner", function () {
+    it("Should flag native ETH debt and execute the plan with msg.value", async function () {
+      await openETHDebt();
+
+      const plan = await planLiquidation(ethers.provider, pool.address, borrower.address, {
+        liquidationManager: liquidationManager.address,
+        liquidator: liquidator.address,
+        closeFactor: ethers.utils.parseEther("0.5"),
+        gasPrice: 0
+      });
+
+      expect(plan.debtToken).to.equal(ETH);
+      expect(plan.debtIsNative).to.equal(true);
+      expect(plan.collateralIsNative).to.equal(false);
+      expect(plan.repayAmount).to.equal(ethers.utils.parseEther("0.5"));
+
+      await liquidationManager.connect(liquidator).liquidate(
+        borrower.address, pool.address, plan.debtToken, plan.repayAmount, plan.collateralToken,
+        { value: plan.repayAmount }
+      );
+      expect(await dai.balanceOf(liquidator.address)).to.equal(ethers.utils.parseEther("10000").add(plan.seizeAmount));
+    });
+
+    it("Should cap native ETH debt at the liquidator's ETH less gas", async function () {
+      await openETHDebt();
+
+      const wallet = ethers.Wallet.createRandom();
+      await deployer.sendTransaction({ to: wallet.address, value: ethers.utils.parseEther("0.2") });
+
+      const plan = await planLiquidation(ethers.provider, pool.address, borrower.address, {
+        liquidationManager: liquidationManager.address,
+        liquidator: wallet.address,
+        gasPrice: ethers.utils.parseUnits("1", "gwei"),
+        gasUnits: 400000
+      });
+
+      expect(plan.repayAmount).to.equal(ethers.utils.parseEther("0.1996"));
+    });
+
+    it("Should flag native ETH collateral", async function () {
+      await openETHCollateral();
+
+      const plan = await planLiquidation(ethers.provider, pool.address, borrower.address, {
+        liquidationManager: liquidationManager.address,
+        closeFactor: ethers.utils.parseEther("0.5"),
+        gasPrice: 0
+      });
+
+      expect(plan.collateralToken).to.equal(ETH);
+      expect(plan.collateralIsNative).to.equal(true);
+      expect(plan.debtIsNative).to.equal(false);
+      expect(plan.seizeAmount).to.equal(ethers.utils.parseEther("0.525"));
+    });
+  });
+});
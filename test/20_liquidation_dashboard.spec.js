@@ -0,0 +1,186 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { emptyIndex } = require("../lib/borrowerIndex");
+const { fetchAtRiskPositions, sortPositions } = require("../lib/liquidations");
+
+describe("20_Liquidation_Dashboard", function () {
+  let deployer, lender, alice, bob, carol, liquidator;
+  let weth, dai;
+  let wethFeed;
+  let corePool, altPool;
+  let liquidationManager;
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  const fetchPositions = (index, options = {}) => fetchAtRiskPositions(
+    ethers.provider,
+    [corePool.address, altPool.address],
+    index,
+    // Half of a debt per liquidation, although the pool allows Alice's whole debt at HF 0.85
+    { liquidationManager: liquidationManager.address, gasPrice: 0, closeFactor: ethers.utils.parseEther("0.5"), ...options }
+  );
+
+  const openPosition = async (pool, user, borrowAmount) => {
+    await weth.mint(user.address, ethers.utils.parseEther("1"));
+    await weth.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(user).lend(weth.address, ethers.utils.parseEther("1"));
+    await pool.connect(user).borrow(dai.address, ethers.utils.parseEther(borrowAmount));
+  };
+
+  before(async function () {
+    [deployer, lender, alice, bob, carol, liquidator] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const createPool = async (name) => {
+      const tx = await poolFactory.createPool(ethers.utils.formatBytes32String(name), {
+        addressToTokenMap: addressToTokenMap.address,
+        lendingConfig: lendingConfig.address,
+        lendingHelper: lendingHelper.address,
+        reserveFactor: ethers.utils.parseEther("0.1"),
+        liquidationBonus: ethers.utils.parseEther("0.05")
+      });
+      const receipt = await tx.wait();
+      const pool = await ethers.getContractAt(
+        "IsolatedLendingPool",
+        receipt.events.find(e => e.event === "PoolCreated").args.pool
+      );
+
+      const tokens = [weth.address, dai.address];
+      await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+      for (const token of tokens) {
+        await pool.addToken(token);
+      }
+      await pool.setLiquidationManager(liquidationManager.address);
+
+      await dai.mint(lender.address, ethers.utils.parseEther("10000"));
+      await dai.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(lender).lend(dai.address, ethers.utils.parseEther("10000"));
+      return pool;
+    };
+
+    corePool = await createPool("CORE");
+    altPool = await createPool("ALT");
+
+    // Alice: 1 WETH against 2000 DAI, HF 0.85 once WETH drops to $2000
+    await openPosition(corePool, alice, "2000");
+    await wethFeed.updateAnswer(200000000000);
+
+    // Bob: HF ≈ 1.09 (at risk, not liquidatable); Carol: HF 3.4 (healthy)
+    await openPosition(altPool, bob, "1560");
+    await openPosition(altPool, carol, "500");
+
+    await dai.mint(liquidator.address, ethers.utils.parseEther("10000"));
+    await dai.connect(liquidator).approve(liquidationManager.address, ethers.constants.MaxUint256);
+  });
+
+  it("Should list at-risk borrowers of every pool with their plan", async function () {
+    const positions = await fetchPositions(emptyIndex());
+
+    expect(positions.map((position) => position.user)).to.have.members([alice.address, bob.address]);
+
+    const alicePosition = positions.find((position) => position.user === alice.address);
+    expect(alicePosition.pool).to.equal(corePool.address);
+    expect(alicePosition.liquidatable).to.equal(true);
+    // Debt includes the few seconds of interest since the borrow
+    expect(alicePosition.healthFactor).to.be.closeTo(ethers.utils.parseEther("0.85"), 1e12);
+    expect(alicePosition.collateralUSD).to.equal(ethers.utils.parseEther("1700")); // weighted by LT
+    expect(alicePosition.borrowUSD).to.be.closeTo(ethers.utils.parseEther("2000"), ethers.utils.parseEther("0.001"));
+
+    const { plan } = alicePosition;
+    expect(plan.collaterals).to.have.length(1);
+    expect(plan.collaterals[0].symbol).to.equal("WETH");
+    expect(plan.collaterals[0].valueUSD).to.equal(ethers.utils.parseEther("2000"));
+    expect(plan.debts[0].symbol).to.equal("DAI");
+    expect(plan.debts[0].amount).to.equal(ethers.utils.parseEther("2000"));
+    expect(plan.repayAmount).to.equal(ethers.utils.parseEther("1000"));
+    expect(plan.seizeAmount).to.equal(
+      await liquidationManager.calculateSeizeAmount(corePool.address, dai.address, plan.repayAmount, weth.address)
+    );
+
+    const bobPosition = positions.find((position) => position.user === bob.address);
+    expect(bobPosition.pool).to.equal(altPool.address);
+    expect(bobPosition.liquidatable).to.equal(false);
+  });
+
+  it("Should honour a custom risk threshold", async function () {
+    const positions = await fetchPositions(emptyIndex(), { threshold: ethers.utils.parseEther("1") });
+
+    expect(positions.map((position) => position.user)).to.deep.equal([alice.address]);
+  });
+
+  it("Should sort by profit and health factor", async function () {
+    const positions = await fetchPositions(emptyIndex());
+
+    const byProfit = sortPositions(positions, "profit");
+    expect(byProfit[0].plan.profitUSD).to.be.gte(byProfit[1].plan.profitUSD);
+    expect(sortPositions(positions, "profit", "asc")[0].user).to.equal(byProfit[1].user);
+
+    const byHealth = sortPositions(positions, "healthFactor", "asc");
+    expect(byHealth.map((position) => position.user)).to.deep.equal([alice.address, bob.address]);
+  });
+
+  it("Should put positions without a plan last", async function () {
+    const positions = [
+      { user: "none", healthFactor: ethers.utils.parseEther("0.9"), plan: null },
+      { user: "low", healthFactor: ethers.utils.parseEther("0.8"), plan: { profitUSD: ethers.utils.parseEther("1") } },
+      { user: "high", healthFactor: ethers.utils.parseEther("0.7"), plan: { profitUSD: ethers.utils.parseEther("5") } }
+    ];
+
+    expect(sortPositions(positions, "profit").map((position) => position.user)).to.deep.equal(["high", "low", "none"]);
+    expect(sortPositions(positions, "profit", "asc").map((position) => position.user)).to.deep.equal(["low", "high", "none"]);
+  });
+
+  it("Should reflect a liquidation on the next incremental load", async function () {
+    const index = emptyIndex();
+    const positions = await fetchPositions(index);
+    const plan = positions.find((position) => position.user === alice.address).plan;
+
+    await liquidationManager.connect(liquidator).liquidate(
+      alice.address, corePool.address, plan.debtToken, plan.repayAmount, plan.collateralToken
+    );
+
+    const alicePosition = (await fetchPositions(index)).find((position) => position.user === alice.address);
+    expect(alicePosition.plan.debts[0].amount).to.be.closeTo(ethers.utils.parseEther("1000"), ethers.utils.parseEther("0.001"));
+    // 0.475 WETH left at $2000 × 0.85 against 1000 DAI plus interest
+    expect(alicePosition.healthFactor).to.be.closeTo(ethers.utils.parseEther("0.8075"), 1e12);
+  });
+});
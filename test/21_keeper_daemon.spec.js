@@ -0,0 +1,272 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { loadKeeperConfig } = require("../lib/keeperConfig");
+const { createLogger } = require("../lib/logger");
+const { createBackoff } = require("../lib/backoff");
+const { createTxManager } = require("../lib/txManager");
+const { createMetrics, startKeeperServer } = require("../lib/keeperServer");
+
+describe("21_Keeper_Daemon", function () {
+  const POOL = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+  const waitFor = async (condition, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error("Timed out waiting for condition");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+
+  const get = (server, urlPath) => new Promise((resolve, reject) => {
+    const { port } = server.address();
+    http.get({ host: "127.0.0.1", port, path: urlPath }, (res) => {
+      let body = "";
+      res.on("data", (chunk) => { body += chunk; });
+      res.on("end", () => resolve({ status: res.statusCode, body }));
+    }).on("error", reject);
+  });
+
+  describe("Config", function () {
+    let configFile;
+
+    before(function () {
+      configFile = path.join(os.tmpdir(), `keeper-config-${process.pid}.json`);
+      fs.writeFileSync(configFile, JSON.stringify({
+        network: "sepolia",
+        rpcUrl: "https://rpc.example",
+        pools: [POOL],
+        gas: { maxFeePerGasGwei: 50 },
+        intervalMs: 10000
+      }));
+    });
+
+    after(function () {
+      fs.rmSync(configFile, { force: true });
+    });
+
+    it("Should apply defaults for a named local network", function () {
+      const config = loadKeeperConfig({ argv: [], env: {}, cwd: "/srv/keeper" });
+
+      expect(config.rpcUrl).to.equal("http://127.0.0.1:7545");
+      expect(config.pools).to.equal("all");
+      expect(config.deployment).to.equal(path.join("/srv/keeper", "artifacts", "config", "ganache.json"));
+      expect(config.discovery.checkpoint).to.equal(path.join("/srv/keeper", ".keeper", "borrowers.json"));
+      expect(config.gas.maxFeePerGas).to.equal(ethers.utils.parseUnits("20", "gwei"));
+      expect(config.closeFactor).to.equal(ethers.utils.parseEther("1"));
+      expect(config.dryRun).to.equal(false);
+    });
+
+    it("Should layer the config file, environment and CLI flags", function () {
+      const config = loadKeeperConfig({
+        argv: ["--config", configFile, "--interval", "5000", "--dry-run", "--http-port=off"],
+        env: { KEEPER_INTERVAL_MS: "7000", KEEPER_MIN_PROFIT_USD: "2.5", KEEPER_PRIORITY_FEE_GWEI: "3" }
+      });
+
+      expect(config.network).to.equal("sepolia");
+      expect(config.rpcUrl).to.equal("https://rpc.example");
+      expect(config.pools).to.deep.equal([POOL]);
+      expect(config.deployment).to.match(/sepolia\.json$/);
+      expect(config.gas.maxFeePerGas).to.equal(ethers.utils.parseUnits("50", "gwei"));
+      expect(config.gas.maxPriorityFeePerGas).to.equal(ethers.utils.parseUnits("3", "gwei"));
+      expect(config.gas.stuckAfterMs).to.equal(60000); // untouched default inside an overridden section
+      expect(config.intervalMs).to.equal(5000);
+      expect(config.minProfitUSD).to.equal(ethers.utils.parseEther("2.5"));
+      expect(config.dryRun).to.equal(true);
+      expect(config.http.port).to.equal(null);
+    });
+
+    it("Should reject invalid settings with every problem listed", function () {
+      expect(() => loadKeeperConfig({
+        argv: ["--network", "mainnet", "--pools", "0x1234", "--private-key", "abc", "--log-level", "loud"],
+        env: {}
+      })).to.throw(/no rpcUrl for network "mainnet".*invalid pool address 0x1234.*signer.privateKey.*logLevel/);
+
+      expect(() => loadKeeperConfig({ argv: ["--nope"], env: {} })).to.throw("Unknown keeper option --nope");
+      expect(() => loadKeeperConfig({ argv: ["--pools"], env: {} })).to.throw("Missing value for --pools");
+    });
+  });
+
+  describe("Logger and backoff", function () {
+    it("Should write JSON lines with BigNumbers and errors serialized", function () {
+      const lines = [];
+      const stream = { write: (line) => lines.push(line) };
+      const log = createLogger({ level: "info", stream, fields: { component: "keeper" }, now: () => new Date(0) })
+        .child({ pool: POOL });
+
+      log.debug("hidden");
+      log.info("liquidation.plan", { repay: ethers.utils.parseEther("1") });
+      log.error("liquidation.failed", { error: Object.assign(new Error("boom"), { code: "TX_STUCK" }) });
+
+      expect(lines).to.have.length(2);
+      expect(JSON.parse(lines[0])).to.deep.equal({
+        time: "1970-01-01T00:00:00.000Z",
+        level: "info",
+        msg: "liquidation.plan",
+        component: "keeper",
+        pool: POOL,
+        repay: "1000000000000000000"
+      });
+      expect(JSON.parse(lines[1]).error).to.deep.equal({ message: "boom", code: "TX_STUCK" });
+    });
+
+    it("Should back off exponentially per key and reset on success", function () {
+      let now = 0;
+      const backoff = createBackoff({ baseMs: 1000, maxMs: 5000, now: () => now });
+
+      expect(backoff.failure("a").retryAt).to.equal(1000);
+      expect(backoff.failure("a").retryAt).to.equal(2000);
+      expect(backoff.failure("a").retryAt).to.equal(4000);
+      expect(backoff.failure("a").retryAt).to.equal(5000); // capped
+      expect(backoff.isBlocked("a")).to.equal(true);
+      expect(backoff.isBlocked("b")).to.equal(false);
+      expect(backoff.blockedCount()).to.equal(1);
+
+      now = 5000;
+      expect(backoff.isBlocked("a")).to.equal(false);
+
+      backoff.success("a");
+      expect(backoff.get("a")).to.equal(null);
+      expect(backoff.failure("a").failures).to.equal(1);
+    });
+  });
+
+  describe("Transaction manager", function () {
+    let keeper, recipient;
+
+    const policy = (overrides = {}) => ({
+      gasLimit: 21000,
+      maxFeePerGas: ethers.utils.parseUnits("1000", "gwei"),
+      maxPriorityFeePerGas: ethers.utils.parseUnits("100", "gwei"),
+      bumpPercent: 15,
+      stuckAfterMs: 10000,
+      maxReplacements: 3,
+      pollMs: 20,
+      ...overrides
+    });
+
+    before(async function () {
+      const signers = await ethers.getSigners();
+      keeper = signers[8];
+      recipient = signers[9];
+    });
+
+    afterEach(async function () {
+      await network.provider.send("evm_setAutomine", [true]);
+    });
+
+    it("Should assign consecutive nonces to concurrent transactions", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const manager = createTxManager(keeper, policy());
+      const startNonce = await keeper.getTransactionCount();
+
+      const sends = [1, 2, 3].map((value) => manager.send({ to: recipient.address, value }));
+      await waitFor(() => manager.stats().sent === 3);
+      await network.provider.send("evm_mine");
+
+      const receipts = await Promise.all(sends);
+      const nonces = await Promise.all(receipts.map(async (receipt) => (await ethers.provider.getTransaction(receipt.transactionHash)).nonce));
+      expect(nonces).to.deep.equal([startNonce, startNonce + 1, startNonce + 2]);
+      expect(manager.stats()).to.include({ sent: 3, confirmed: 3, replaced: 0, pending: 0 });
+    });
+
+    it("Should replace a stuck transaction with higher fees on the same nonce", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const manager = createTxManager(keeper, policy({ stuckAfterMs: 100 }));
+      const nonce = await keeper.getTransactionCount();
+
+      const sending = manager.send({ to: recipient.address, value: 1 });
+      await waitFor(() => manager.stats().replaced === 1);
+      await network.provider.send("evm_mine");
+      const receipt = await sending;
+
+      const mined = await ethers.provider.getTransaction(receipt.transactionHash);
+      expect(mined.nonce).to.equal(nonce);
+      expect(await keeper.getTransactionCount()).to.equal(nonce + 1);
+
+      const block = await ethers.provider.getBlockWithTransactions(receipt.blockNumber);
+      expect(block.transactions).to.have.length(1);
+      expect(manager.stats()).to.include({ sent: 1, replaced: 1, confirmed: 1 });
+    });
+
+    it("Should give up with TX_STUCK once replacements are exhausted", async function () {
+      await network.provider.send("evm_setAutomine", [false]);
+      const manager = createTxManager(keeper, policy({ stuckAfterMs: 50, maxReplacements: 1 }));
+
+      let error;
+      try {
+        await manager.send({ to: recipient.address, value: 1 });
+      } catch (sendError) {
+        error = sendError;
+      }
+
+      expect(error.code).to.equal("TX_STUCK");
+      expect(error.hashes).to.have.length(2);
+      expect(manager.stats()).to.include({ replaced: 1, stuck: 1, pending: 0 });
+
+      // Clear the mempool for the following tests
+      await network.provider.send("evm_mine");
+    });
+
+    it("Should resync the nonce after another sender uses it", async function () {
+      const manager = createTxManager(keeper, policy());
+      await manager.send({ to: recipient.address, value: 1 });
+
+      // Sent outside the manager, so its local nonce is now stale
+      await keeper.sendTransaction({ to: recipient.address, value: 1 });
+
+      await expect(manager.send({ to: recipient.address, value: 1 })).to.be.rejected;
+      const receipt = await manager.send({ to: recipient.address, value: 1 });
+      expect(receipt.status).to.equal(1);
+    });
+  });
+
+  describe("HTTP endpoints", function () {
+    let server;
+    let healthy;
+
+    before(async function () {
+      const metrics = createMetrics();
+      metrics.define("keeper_runs_total", "counter", "Keeper runs by result");
+      metrics.define("keeper_backoff_users", "gauge", "Users currently skipped after repeated failures");
+      metrics.inc("keeper_runs_total", { result: "ok" });
+      metrics.inc("keeper_runs_total", { result: "ok" });
+
+      healthy = true;
+      server = await startKeeperServer({
+        port: 0,
+        metrics,
+        health: () => ({ healthy, status: healthy ? "ok" : "degraded" }),
+        collect: async () => metrics.set("keeper_backoff_users", {}, 4)
+      });
+    });
+
+    after(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should report health with a matching status code", async function () {
+      let response = await get(server, "/health");
+      expect(response.status).to.equal(200);
+      expect(JSON.parse(response.body).status).to.equal("ok");
+
+      healthy = false;
+      response = await get(server, "/health");
+      expect(response.status).to.equal(503);
+      expect(JSON.parse(response.body).status).to.equal("degraded");
+    });
+
+    it("Should expose metrics in the Prometheus text format", async function () {
+      const response = await get(server, "/metrics");
+
+      expect(response.status).to.equal(200);
+      expect(response.body).to.include("# TYPE keeper_runs_total counter");
+      expect(response.body).to.include('keeper_runs_total{result="ok"} 2');
+      expect(response.body).to.include("keeper_backoff_users 4");
+      expect((await get(server, "/nope")).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { planLiquidation } = require("../lib/liquidationPlanner");
+
+describe("22_Flash_Liquidation", function () {
+  // Pools hold native ETH under a pseudo-address whose oracle symbol is "ETH"
+  const ETH = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+  let deployer, borrower, lender, keeper;
+  let weth, dai;
+  let ethFeed;
+  let pool;
+  let liquidationManager;
+  let flashLiquidator;
+  let amm;
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  // 50 WETH against DAI at the given ETH price
+  const seedAMM = async (ethPriceUSD) => {
+    await weth.deposit({ value: ethers.utils.parseEther("50") });
+    await dai.mint(deployer.address, ethers.utils.parseEther(String(50 * ethPriceUSD)));
+    await amm.addLiquidity(weth.address, dai.address, ethers.utils.parseEther("50"), ethers.utils.parseEther(String(50 * ethPriceUSD)));
+  };
+
+  // 1 WETH (or native ETH) against 2000 DAI of debt, then ETH drops to $2000 (HF = 0.85)
+  const openDAIDebt = async (collateral) => {
+    if (collateral === ETH) {
+      await pool.connect(borrower).lend(ETH, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("1") });
+    } else {
+      await weth.connect(borrower).deposit({ value: ethers.utils.parseEther("1") });
+      await weth.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(borrower).lend(weth.address, ethers.utils.parseEther("1"));
+    }
+    await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther("2000"));
+    await ethFeed.updateAnswer(200000000000);
+  };
+
+  const params = (overrides = {}) => ({
+    lender: amm.address,
+    amm: amm.address,
+    pool: pool.address,
+    user: borrower.address,
+    debtToken: dai.address,
+    repayAmount: ethers.utils.parseEther("1000"),
+    collateralToken: weth.address,
+    minProfit: 0,
+    ...overrides
+  });
+
+  beforeEach(async function () {
+    [deployer, borrower, lender] = await ethers.getSigners();
+    keeper = ethers.Wallet.createRandom().connect(ethers.provider); // holds nothing but gas
+    await deployer.sendTransaction({ to: keeper.address, value: ethers.utils.parseEther("1") });
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    ethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [ETH, weth.address, dai.address],
+      ["ETH", "WETH", "DAI"],
+      [ethFeed.address, ethFeed.address, daiFeed.address],
+      [18, 18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("FLASH"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    const poolAddress = receipt.events.find(e => e.event === "PoolCreated").args.pool;
+    pool = await ethers.getContractAt("IsolatedLendingPool", poolAddress);
+
+    const tokens = [ETH, weth.address, dai.address];
+    await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+    for (const token of tokens) {
+      await pool.addToken(token);
+    }
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+    await pool.setLiquidationManager(liquidationManager.address);
+
+    const FlashLiquidator = await ethers.getContractFactory("FlashLiquidator");
+    flashLiquidator = await FlashLiquidator.deploy(liquidationManager.address, weth.address);
+
+    const MockAMM = await ethers.getContractFactory("MockAMM");
+    amm = await MockAMM.deploy();
+    await weth.approve(amm.address, ethers.constants.MaxUint256);
+    await dai.approve(amm.address, ethers.constants.MaxUint256);
+
+    // Liquidity on both sides
+    await pool.connect(lender).lend(ETH, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("10") });
+    await dai.mint(lender.address, ethers.utils.parseEther("10000"));
+    await dai.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(lender).lend(dai.address, ethers.utils.parseEther("10000"));
+  });
+
+  describe("MockAMM", function () {
+    it("Should swap along x*y=k with a 0.3% fee", async function () {
+      await seedAMM(2000);
+
+      const amountIn = ethers.utils.parseEther("1");
+      const expected = amountIn.mul(9970).mul(ethers.utils.parseEther("100000"))
+        .div(ethers.utils.parseEther("50").mul(10000).add(amountIn.mul(9970)));
+      expect(await amm.getAmountOut(weth.address, dai.address, amountIn)).to.equal(expected);
+
+      await weth.connect(lender).deposit({ value: amountIn });
+      await weth.connect(lender).approve(amm.address, amountIn);
+      await expect(amm.connect(lender).swap(weth.address, dai.address, amountIn, expected.add(1), lender.address))
+        .to.be.revertedWith("MockAMM: insufficient output");
+      await amm.connect(lender).swap(weth.address, dai.address, amountIn, expected, lender.address);
+
+      expect(await dai.balanceOf(lender.address)).to.equal(expected);
+      const [reserveWETH, reserveDAI] = await amm.getReserves(weth.address, dai.address);
+      expect(reserveWETH).to.equal(ethers.utils.parseEther("51"));
+      expect(reserveDAI).to.equal(ethers.utils.parseEther("100000").sub(expected));
+    });
+
+    it("Should quote ERC-3156 flash loans of its holdings", async function () {
+      await seedAMM(2000);
+
+      expect(await amm.maxFlashLoan(dai.address)).to.equal(ethers.utils.parseEther("100000"));
+      expect(await amm.flashFee(dai.address, ethers.utils.parseEther("1000"))).to.equal(ethers.utils.parseEther("0.9"));
+      await expect(amm.flashLoan(flashLiquidator.address, dai.address, ethers.utils.parseEther("100001"), "0x"))
+        .to.be.revertedWith("MockAMM: flash loan unavailable");
+    });
+  });
+
+  describe("FlashLiquidator", function () {
+    it("Should liquidate from an empty wallet and pay out the profit", async function () {
+      await openDAIDebt(weth.address);
+      await seedAMM(2000);
+
+      const repay = ethers.utils.parseEther("1000");
+      const seize = await liquidationManager.calculateSeizeAmount(pool.address, dai.address, repay, weth.address);
+      const amountOut = await amm.getAmountOut(weth.address, dai.address, seize);
+      const fee = await amm.flashFee(dai.address, repay);
+      const expectedProfit = amountOut.sub(repay).sub(fee);
+
+      expect(await dai.balanceOf(keeper.address)).to.equal(0);
+      expect(await flashLiquidator.connect(keeper).callStatic.flashLiquidate(params())).to.equal(expectedProfit);
+
+      await expect(flashLiquidator.connect(keeper).flashLiquidate(params()))
+        .to.emit(flashLiquidator, "FlashLiquidation")
+        .withArgs(keeper.address, pool.address, borrower.address, dai.address, repay, weth.address, expectedProfit)
+        .and.to.emit(amm, "FlashLoan")
+        .withArgs(flashLiquidator.address, dai.address, repay, fee);
+
+      // $1000 repaid, 0.525 WETH seized and sold, ~$40 left after the swap and flash fees
+      expect(seize).to.equal(ethers.utils.parseEther("0.525"));
+      expect(expectedProfit).to.be.gt(ethers.utils.parseEther("30"));
+      expect(await dai.balanceOf(keeper.address)).to.equal(expectedProfit);
+      // The rest of the debt, plus the interest accrued since the borrow
+      expect(await pool.debts(borrower.address, dai.address)).to.be.closeTo(ethers.utils.parseEther("1000"), ethers.utils.parseEther("0.001"));
+      expect(await pool.supplied(borrower.address, weth.address)).to.equal(ethers.utils.parseEther("0.475"));
+
+      // Nothing stays behind in the helper
+      expect(await dai.balanceOf(flashLiquidator.address)).to.equal(0);
+      expect(await weth.balanceOf(flashLiquidator.address)).to.equal(0);
+    });
+
+    it("Should revert when the profit is below the caller's minimum", async function () {
+      await openDAIDebt(weth.address);
+      await seedAMM(2000);
+
+      const profit = await flashLiquidator.connect(keeper).callStatic.flashLiquidate(params());
+      await expect(flashLiquidator.connect(keeper).flashLiquidate(params({ minProfit: profit.add(1) })))
+        .to.be.revertedWithCustomError(flashLiquidator, "ErrInsufficientProfit");
+    });
+
+    it("Should revert when selling the collateral cannot repay the loan", async function () {
+      await openDAIDebt(weth.address);
+      await seedAMM(1000); // AMM prices ETH at half the oracle
+
+      await expect(flashLiquidator.connect(keeper).flashLiquidate(params()))
+        .to.be.revertedWithCustomError(flashLiquidator, "ErrInsufficientProfit");
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(ethers.utils.parseEther("2000"));
+    });
+
+    it("Should reject flash loan callbacks it did not start", async function () {
+      await openDAIDebt(weth.address);
+      await seedAMM(2000);
+
+      const data = ethers.utils.defaultAbiCoder.encode(
+        ["tuple(address lender, address amm, address pool, address user, address debtToken, uint256 repayAmount, address collateralToken, uint256 minProfit)", "bool", "bool"],
+        [params(), false, false]
+      );
+
+      await expect(flashLiquidator.connect(keeper).onFlashLoan(keeper.address, dai.address, 1, 0, data))
+        .to.be.revertedWithCustomError(flashLiquidator, "ErrUnauthorized");
+      await expect(amm.connect(keeper).flashLoan(flashLiquidator.address, dai.address, ethers.utils.parseEther("1000"), data))
+        .to.be.revertedWithCustomError(flashLiquidator, "ErrUnauthorized");
+    });
+
+    it("Should wrap seized native ETH collateral before selling it", async function () {
+      await openDAIDebt(ETH);
+      await seedAMM(2000);
+
+      const profit = await flashLiquidator.connect(keeper).callStatic.flashLiquidate(params({ collateralToken: ETH }));
+      await flashLiquidator.connect(keeper).flashLiquidate(params({ collateralToken: ETH }));
+
+      expect(profit).to.be.gt(0);
+      expect(await dai.balanceOf(keeper.address)).to.equal(profit);
+      expect(await pool.supplied(borrower.address, ETH)).to.equal(ethers.utils.parseEther("0.475"));
+      expect(await ethers.provider.getBalance(flashLiquidator.address)).to.equal(0);
+      expect(await weth.balanceOf(flashLiquidator.address)).to.equal(0);
+    });
+
+    it("Should repay native ETH debt with unwrapped WETH and pay the profit in WETH", async function () {
+      // 4000 DAI against 1 ETH of debt, then ETH rises to $4000 (HF = 0.85)
+      await dai.mint(borrower.address, ethers.utils.parseEther("4000"));
+      await dai.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(borrower).lend(dai.address, ethers.utils.parseEther("4000"));
+      await pool.connect(borrower).borrow(ETH, ethers.utils.parseEther("1"));
+      await ethFeed.updateAnswer(400000000000);
+      await seedAMM(4000);
+
+      const flash = params({ debtToken: ETH, repayAmount: ethers.utils.parseEther("0.5"), collateralToken: dai.address });
+      const profit = await flashLiquidator.connect(keeper).callStatic.flashLiquidate(flash);
+      await expect(flashLiquidator.connect(keeper).flashLiquidate(flash))
+        .to.emit(amm, "FlashLoan")
+        .withArgs(flashLiquidator.address, weth.address, ethers.utils.parseEther("0.5"), await amm.flashFee(weth.address, ethers.utils.parseEther("0.5")));
+
+      expect(profit).to.be.gt(0);
+      expect(await weth.balanceOf(keeper.address)).to.equal(profit);
+      expect(await pool.debts(borrower.address, ETH)).to.be.closeTo(ethers.utils.parseEther("0.5"), 1e10);
+      expect(await ethers.provider.getBalance(flashLiquidator.address)).to.equal(0);
+    });
+  });
+
+  describe("Planner flash mode", function () {
+    const plan = () => planLiquidation(ethers.provider, pool.address, borrower.address, {
+      liquidationManager: liquidationManager.address,
+      liquidator: keeper.address,
+      closeFactor: ethers.utils.parseEther("0.5"), // the pool would allow the whole debt at this HF
+      flash: { lender: amm.address, amm: amm.address, weth: weth.address }
+    });
+
+    it("Should size and value the plan with the AMM quote instead of the liquidator's balance", async function () {
+      await openDAIDebt(weth.address);
+      await seedAMM(2000);
+
+      const result = await plan();
+      expect(result.debtToken).to.equal(dai.address);
+      expect(result.repayAmount).to.equal(ethers.utils.parseEther("1000")); // no DAI in the keeper wallet
+      expect(result.flash.loanToken).to.equal(dai.address);
+      expect(result.flash.fee).to.equal(ethers.utils.parseEther("0.9"));
+      expect(result.profitable).to.equal(true);
+
+      const onChain = await flashLiquidator.connect(keeper).callStatic.flashLiquidate(params({ repayAmount: result.repayAmount }));
+      expect(result.flash.profit).to.equal(onChain);
+      expect(result.profitUSD).to.equal(onChain); // DAI at $1, no gas token
+    });
+
+    it("Should flag the plan unprofitable when the AMM pays less than the repay", async function () {
+      await openDAIDebt(ETH);
+      await seedAMM(1000);
+
+      const result = await plan();
+      expect(result.collateralToken).to.equal(ETH);
+      expect(result.flash.loanToken).to.equal(dai.address);
+      expect(result.flash.profit).to.be.lt(0);
+      expect(result.profitable).to.equal(false);
+    });
+  });
+});
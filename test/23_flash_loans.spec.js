@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { quoteFlashLoan, flashLoan } = require("../lib/flashLoans");
+const { planLiquidation } = require("../lib/liquidationPlanner");
+
+describe("23_Flash_Loans", function () {
+  // Pools hold native ETH under a pseudo-address whose oracle symbol is "ETH"
+  const ETH = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+  const FLASH_FEE = ethers.utils.parseEther("0.0005"); // 5 bps
+
+  let deployer, borrower, lender, keeper;
+  let weth, dai;
+  let ethFeed;
+  let lendingConfig;
+  let pool, lenderPool;
+  let liquidationManager;
+  let amm;
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  beforeEach(async function () {
+    [deployer, borrower, lender] = await ethers.getSigners();
+    keeper = ethers.Wallet.createRandom().connect(ethers.provider); // holds nothing but gas
+    await deployer.sendTransaction({ to: keeper.address, value: ethers.utils.parseEther("1") });
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    ethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [ETH, weth.address, dai.address],
+      ["ETH", "WETH", "DAI"],
+      [ethFeed.address, ethFeed.address, daiFeed.address],
+      [18, 18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const createPool = async (name) => {
+      const tx = await poolFactory.createPool(ethers.utils.formatBytes32String(name), {
+        addressToTokenMap: addressToTokenMap.address,
+        lendingConfig: lendingConfig.address,
+        lendingHelper: lendingHelper.address,
+        reserveFactor: ethers.utils.parseEther("0.1"),
+        liquidationBonus: ethers.utils.parseEther("0.05")
+      });
+      const receipt = await tx.wait();
+      const created = await ethers.getContractAt(
+        "IsolatedLendingPool",
+        receipt.events.find(e => e.event === "PoolCreated").args.pool
+      );
+
+      const tokens = [ETH, weth.address, dai.address];
+      await lendingConfig.batchSetRiskParams(created.address, tokens, tokens.map(riskParams));
+      for (const token of tokens) {
+        await created.addToken(token);
+      }
+      await created.setLiquidationManager(liquidationManager.address);
+      await lendingConfig.setFlashLoanFee(created.address, dai.address, FLASH_FEE);
+
+      await dai.mint(lender.address, ethers.utils.parseEther("10000"));
+      await dai.connect(lender).approve(created.address, ethers.constants.MaxUint256);
+      await created.connect(lender).lend(dai.address, ethers.utils.parseEther("10000"));
+      return created;
+    };
+
+    pool = await createPool("MAIN");
+    lenderPool = await createPool("LENDER");
+
+    const MockAMM = await ethers.getContractFactory("MockAMM");
+    amm = await MockAMM.deploy();
+  });
+
+  describe("SDK", function () {
+    it("Should quote the pool's idle cash and fee", async function () {
+      const amount = ethers.utils.parseEther("3000");
+      const quote = await quoteFlashLoan(ethers.provider, pool.address, dai.address, amount);
+
+      expect(quote.maxAmount).to.equal(ethers.utils.parseEther("10000"));
+      expect(quote.amount).to.equal(amount);
+      expect(quote.feeRate).to.equal(FLASH_FEE);
+      expect(quote.fee).to.equal(ethers.utils.parseEther("1.5"));
+
+      // Fees round up in the pool's favour
+      expect(await pool.flashFee(dai.address, 1)).to.equal(1);
+    });
+
+    it("Should report nothing to lend for native ETH", async function () {
+      await pool.connect(lender).lend(ETH, ethers.utils.parseEther("1"), { value: ethers.utils.parseEther("1") });
+
+      const quote = await quoteFlashLoan(ethers.provider, pool.address, ETH);
+      expect(quote.maxAmount).to.equal(0);
+      expect(quote.fee).to.equal(0);
+      await expect(pool.flashFee(ETH, 1)).to.be.revertedWithCustomError(pool, "ErrInvalidToken");
+    });
+
+    it("Should run a flash loan through a receiver and return the pool's event", async function () {
+      const TestFlashBorrower = await ethers.getContractFactory("TestFlashBorrower");
+      const receiver = await TestFlashBorrower.deploy();
+      await dai.mint(receiver.address, ethers.utils.parseEther("10")); // covers the fee
+
+      const amount = ethers.utils.parseEther("5000");
+      const { receipt, event } = await flashLoan(deployer, {
+        pool: pool.address,
+        receiver: receiver.address,
+        token: dai.address,
+        amount
+      });
+
+      expect(receipt.status).to.equal(1);
+      expect(event.receiver).to.equal(receiver.address);
+      expect(event.initiator).to.equal(deployer.address);
+      expect(event.amount).to.equal(amount);
+      expect(event.fee).to.equal(ethers.utils.parseEther("2.5"));
+      expect(await dai.balanceOf(receiver.address)).to.equal(ethers.utils.parseEther("7.5"));
+    });
+
+    it("Should surface the revert before sending", async function () {
+      const ExampleFlashBorrower = await ethers.getContractFactory("ExampleFlashBorrower");
+      const receiver = await ExampleFlashBorrower.deploy(pool.address);
+      const nonce = await deployer.getTransactionCount();
+
+      // The example only services loans it started itself
+      await expect(flashLoan(deployer, {
+        pool: pool.address,
+        receiver: receiver.address,
+        token: dai.address,
+        amount: ethers.utils.parseEther("1")
+      })).to.be.revertedWithCustomError(receiver, "ErrUnauthorized");
+      expect(await deployer.getTransactionCount()).to.equal(nonce);
+    });
+  });
+
+  describe("ExampleFlashBorrower", function () {
+    it("Should borrow, run its strategy hook and repay amount plus fee", async function () {
+      const ExampleFlashBorrower = await ethers.getContractFactory("ExampleFlashBorrower");
+      const receiver = await ExampleFlashBorrower.deploy(pool.address);
+      await dai.mint(receiver.address, ethers.utils.parseEther("1"));
+
+      const amount = ethers.utils.parseEther("1000");
+      const cashBefore = (await pool.tokenStates(dai.address)).cash;
+
+      await expect(receiver.flashBorrow(dai.address, amount, "0x1234"))
+        .to.emit(receiver, "FlashLoanExecuted")
+        .withArgs(dai.address, amount, ethers.utils.parseEther("0.5"), "0x1234");
+
+      expect((await pool.tokenStates(dai.address)).cash).to.equal(cashBefore.add(ethers.utils.parseEther("0.5")));
+
+      await receiver.sweep(dai.address);
+      expect(await dai.balanceOf(receiver.address)).to.equal(0);
+
+      await expect(receiver.connect(borrower).flashBorrow(dai.address, amount, "0x"))
+        .to.be.revertedWithCustomError(receiver, "ErrUnauthorized");
+    });
+  });
+
+  describe("Pools as flash lenders for liquidations", function () {
+    // 1 WETH against 2000 DAI of debt in MAIN, then ETH drops to $2000 (HF = 0.85)
+    beforeEach(async function () {
+      await weth.connect(borrower).deposit({ value: ethers.utils.parseEther("1") });
+      await weth.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(borrower).lend(weth.address, ethers.utils.parseEther("1"));
+      await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther("2000"));
+      await ethFeed.updateAnswer(200000000000);
+
+      await weth.deposit({ value: ethers.utils.parseEther("50") });
+      await dai.mint(deployer.address, ethers.utils.parseEther("100000"));
+      await weth.approve(amm.address, ethers.constants.MaxUint256);
+      await dai.approve(amm.address, ethers.constants.MaxUint256);
+      await amm.addLiquidity(weth.address, dai.address, ethers.utils.parseEther("50"), ethers.utils.parseEther("100000"));
+    });
+
+    const plan = (lenderAddress) => planLiquidation(ethers.provider, pool.address, borrower.address, {
+      liquidationManager: liquidationManager.address,
+      liquidator: keeper.address,
+      closeFactor: ethers.utils.parseEther("0.5"), // the pool would allow the whole debt at this HF
+      flash: { lender: lenderAddress, amm: amm.address, weth: weth.address }
+    });
+
+    it("Should flash-liquidate with another pool's cash and pay its suppliers the fee", async function () {
+      const result = await plan(lenderPool.address);
+      expect(result.repayAmount).to.equal(ethers.utils.parseEther("1000"));
+      expect(result.flash.fee).to.equal(ethers.utils.parseEther("0.5"));
+
+      const FlashLiquidator = await ethers.getContractFactory("FlashLiquidator");
+      const flashLiquidator = await FlashLiquidator.deploy(liquidationManager.address, weth.address);
+      const cashBefore = (await lenderPool.tokenStates(dai.address)).cash;
+
+      await expect(flashLiquidator.connect(keeper).flashLiquidate({
+        lender: lenderPool.address,
+        amm: amm.address,
+        pool: pool.address,
+        user: borrower.address,
+        debtToken: dai.address,
+        repayAmount: result.repayAmount,
+        collateralToken: weth.address,
+        minProfit: result.flash.profit
+      }))
+        .to.emit(lenderPool, "FlashLoan")
+        .withArgs(flashLiquidator.address, flashLiquidator.address, dai.address, result.repayAmount, result.flash.fee);
+
+      expect(await dai.balanceOf(keeper.address)).to.equal(result.flash.profit);
+      expect((await lenderPool.tokenStates(dai.address)).cash).to.equal(cashBefore.add(result.flash.fee));
+      expect(await pool.debts(borrower.address, dai.address)).to.be.closeTo(ethers.utils.parseEther("1000"), ethers.utils.parseEther("0.001"));
+    });
+
+    it("Should not plan a flash loan from the pool being liquidated", async function () {
+      const result = await plan(pool.address);
+      expect(result).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,253 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { TREASURY_ROLE, fetchPoolReserves, fetchTreasury } = require("../lib/treasury");
+const { utilization, fetchPoolRates, getRateInfo } = require("../lib/interestRates");
+const { previewIndexes, projectBalance } = require("../lib/accrual");
+
+describe("24_Reserves", function () {
+  // Pools hold native ETH under a pseudo-address whose oracle symbol is "ETH"
+  const ETH = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+  const MONTH = 30 * 24 * 3600;
+
+  let deployer, borrower, lender, treasury;
+  let dai, ethFeed;
+  let pool;
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  const elapse = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  beforeEach(async function () {
+    [deployer, borrower, lender, treasury] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    ethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData([ETH, dai.address], ["ETH", "DAI"], [ethFeed.address, daiFeed.address], [18, 18]);
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("RESERVES"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.2"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    pool = await ethers.getContractAt("IsolatedLendingPool", receipt.events.find(e => e.event === "PoolCreated").args.pool);
+
+    const tokens = [ETH, dai.address];
+    await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+    for (const token of tokens) {
+      await pool.addToken(token);
+    }
+
+    // DAI borrowed against ETH, and ETH borrowed against DAI
+    await pool.connect(lender).lend(ETH, ethers.utils.parseEther("10"), { value: ethers.utils.parseEther("10") });
+    await dai.mint(lender.address, ethers.utils.parseEther("20000"));
+    await dai.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(lender).lend(dai.address, ethers.utils.parseEther("20000"));
+    await pool.connect(lender).borrow(ETH, ethers.utils.parseEther("4"));
+
+    await pool.connect(borrower).lend(ETH, ethers.utils.parseEther("5"), { value: ethers.utils.parseEther("5") });
+    await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther("8000"));
+    await dai.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Accrual", function () {
+    it("Should book the reserve factor's share of interest in both markets", async function () {
+      await elapse(MONTH);
+      const projected = await Promise.all([pool.previewReserves(ETH), pool.previewReserves(dai.address)]);
+      expect(projected[0]).to.be.gt(0);
+      expect(projected[1]).to.be.gt(0);
+
+      const before = await pool.tokenStates(dai.address);
+      await expect(pool.connect(borrower).repay(dai.address, ethers.utils.parseEther("1")))
+        .to.emit(pool, "Reserves");
+      const after = await pool.tokenStates(dai.address);
+
+      const interest = after.borrows.add(ethers.utils.parseEther("1")).sub(before.borrows);
+      expect(after.totalReserves).to.equal(interest.mul(ethers.utils.parseEther("0.2")).div(ethers.utils.parseEther("1")));
+    });
+
+    it("Should book interest up to a reserve factor change at the old factor", async function () {
+      await elapse(MONTH);
+      const before = await pool.tokenStates(dai.address);
+
+      await pool.setReserveFactor(ethers.utils.parseEther("0.5"));
+      const atChange = await pool.tokenStates(dai.address);
+      const interest = atChange.borrows.sub(before.borrows);
+      expect(atChange.totalReserves).to.equal(interest.mul(2).div(10));
+
+      // From here on half of the interest is reserved
+      await elapse(MONTH);
+      await pool.connect(borrower).repay(dai.address, 1);
+      const after = await pool.tokenStates(dai.address);
+      const laterInterest = after.borrows.add(1).sub(atChange.borrows);
+      expect(after.totalReserves.sub(atChange.totalReserves)).to.equal(laterInterest.div(2));
+    });
+
+    it("Should count accrued interest toward utilization and the next rates", async function () {
+      const daiRates = async () => getRateInfo(await fetchPoolRates(ethers.provider, pool.address, [dai.address]), dai.address);
+
+      // Re-setting the reserve factor accrues every market without moving cash or borrows
+      const accrueAt = async (timestamp) => {
+        await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        await pool.setReserveFactor(ethers.utils.parseEther("0.2"));
+      };
+
+      const before = await daiRates();
+      expect(before.utilization).to.equal(utilization(before.cash, before.borrows));
+
+      const t1 = before.lastAccrue + MONTH;
+      await accrueAt(t1);
+      const accrued = await daiRates();
+      const expected = previewIndexes(before, t1);
+      expect(accrued.indexBorrow).to.equal(expected.indexBorrow);
+      expect(accrued.indexSupply).to.equal(expected.indexSupply);
+      expect(accrued.cash).to.equal(before.cash);
+      expect(accrued.borrows).to.equal(
+        before.borrows.add(before.borrows.mul(accrued.indexBorrow.sub(before.indexBorrow)).div(before.indexBorrow))
+      );
+
+      // Interest joined borrows, so utilization and both rates rose
+      expect(accrued.utilization).to.equal(utilization(accrued.cash, accrued.borrows));
+      expect(accrued.utilization).to.be.gt(before.utilization);
+      expect(accrued.borrowRate).to.be.gt(before.borrowRate);
+      expect(accrued.supplyRate).to.be.gt(before.supplyRate);
+
+      // The next accrual runs at the rates the mirror derives from the grown borrows
+      const t2 = t1 + MONTH;
+      await accrueAt(t2);
+      const next = await daiRates();
+      const nextExpected = previewIndexes(accrued, t2);
+      expect(next.indexBorrow).to.equal(nextExpected.indexBorrow);
+      expect(next.indexSupply).to.equal(nextExpected.indexSupply);
+    });
+    it("Should accrue both markets before settling a liquidation", async function () {
+      await ethFeed.updateAnswer(180000000000); // $1800: 5 ETH no longer covers 8000 DAI
+      await elapse(MONTH);
+
+      const [daiBefore, ethBefore] = await Promise.all([pool.tokenStates(dai.address), pool.tokenStates(ETH)]);
+      const [debtBefore, debtIndex, suppliedBefore, supplyIndex] = await Promise.all([
+        pool.debts(borrower.address, dai.address),
+        pool.borrowIndexes(borrower.address, dai.address),
+        pool.supplied(borrower.address, ETH),
+        pool.supplyIndexes(borrower.address, ETH)
+      ]);
+
+      // The pool admin holds LIQUIDATOR_ROLE, so it can settle directly
+      const repay = ethers.utils.parseEther("1000");
+      const seize = ethers.utils.parseEther("0.5");
+      await dai.mint(pool.address, repay);
+      await expect(pool.liquidateUser(borrower.address, dai.address, repay, ETH, seize, deployer.address))
+        .to.emit(pool, "Reserves");
+
+      const [daiAfter, ethAfter] = await Promise.all([pool.tokenStates(dai.address), pool.tokenStates(ETH)]);
+      expect(daiAfter.indexBorrow).to.be.gt(daiBefore.indexBorrow);
+      expect(ethAfter.indexSupply).to.be.gt(ethBefore.indexSupply);
+      expect(daiAfter.totalReserves).to.be.gt(daiBefore.totalReserves);
+
+      // Repay and seizure apply to the balances with interest, not the stale principal
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(
+        projectBalance(debtBefore, debtIndex, daiAfter.indexBorrow).sub(repay)
+      );
+      expect(await pool.borrowIndexes(borrower.address, dai.address)).to.equal(daiAfter.indexBorrow);
+      expect(await pool.supplied(borrower.address, ETH)).to.equal(
+        projectBalance(suppliedBefore, supplyIndex, ethAfter.indexSupply).sub(seize)
+      );
+      expect(await pool.supplyIndexes(borrower.address, ETH)).to.equal(ethAfter.indexSupply);
+    });
+  });
+
+  describe("Withdrawal", function () {
+    it("Should pay native ETH reserves out as ETH to the chosen recipient", async function () {
+      await elapse(MONTH);
+      await pool.connect(lender).lend(ETH, 1, { value: 1 }); // books the reserves
+      const { totalReserves } = await pool.tokenStates(ETH);
+
+      const balanceBefore = await treasury.getBalance();
+      await expect(pool.withdrawReserves(ETH, totalReserves, treasury.address))
+        .to.emit(pool, "ReservesWithdrawn");
+
+      // Only the second of interest accrued by the withdrawal itself is left
+      expect(await treasury.getBalance()).to.equal(balanceBefore.add(totalReserves));
+      expect((await pool.tokenStates(ETH)).totalReserves).to.be.lt(totalReserves.div(1000));
+      expect(await pool.poolBalance(ETH)).to.be.gte((await pool.tokenStates(ETH)).cash);
+    });
+
+    it("Should only let TREASURY_ROLE withdraw, and not while paused", async function () {
+      await elapse(MONTH);
+
+      await expect(pool.connect(treasury).withdrawReserves(dai.address, 1, treasury.address)).to.be.reverted;
+      await pool.grantRole(TREASURY_ROLE, treasury.address);
+      await expect(pool.connect(treasury).withdrawReserves(dai.address, 1, treasury.address))
+        .to.emit(pool, "ReservesWithdrawn");
+
+      await expect(pool.connect(treasury).withdrawReserves(dai.address, 0, treasury.address))
+        .to.be.revertedWithCustomError(pool, "ErrZeroAmount");
+      await expect(pool.connect(treasury).withdrawReserves(dai.address, 1, ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(pool, "ErrZeroAddress");
+
+      await pool.pause();
+      await expect(pool.connect(treasury).withdrawReserves(dai.address, 1, treasury.address))
+        .to.be.revertedWith("Pausable: paused");
+    });
+  });
+
+  describe("Treasury view", function () {
+    it("Should project every market's reserves like previewReserves", async function () {
+      await elapse(MONTH);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      const result = await fetchPoolReserves(ethers.provider, pool.address, { account: deployer.address, timestamp });
+      expect(result.canWithdraw).to.equal(true);
+      expect(result.reserveFactor).to.equal(ethers.utils.parseEther("0.2"));
+
+      const eth = result.markets.find((market) => market.token === ETH.toLowerCase());
+      const daiMarket = result.markets.find((market) => market.token === dai.address.toLowerCase());
+      expect(eth.isNative).to.equal(true);
+      expect(eth.reserves).to.equal(await pool.previewReserves(ETH));
+      expect(daiMarket.reserves).to.equal(await pool.previewReserves(dai.address));
+      expect(daiMarket.withdrawable).to.equal(daiMarket.reserves); // plenty of cash
+
+      // $3000 ETH and $1 DAI
+      const expectedUSD = eth.reserves.mul(3000).add(daiMarket.reserves);
+      expect(result.totalUSD).to.equal(expectedUSD);
+    });
+
+    it("Should report the role per pool and skip pools that fail to load", async function () {
+      const result = await fetchTreasury(ethers.provider, [pool.address, dai.address], { account: treasury.address });
+      expect(result).to.have.length(1);
+      expect(result[0].canWithdraw).to.equal(false);
+    });
+  });
+});
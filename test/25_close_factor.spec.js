@@ -0,0 +1,288 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("25_Close_Factor", function () {
+  let deployer, borrower, lender, liquidator;
+  let weth, dai, usdc;
+  let wethFeed;
+  let lendingConfig;
+  let pool;
+  let liquidationManager;
+
+  // Interest-free markets, so debts (and the amounts sized from them) stay exact between blocks
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: 0,
+    slope1: 0,
+    slope2: 0
+  });
+
+  const liquidationParams = (overrides = {}) => ({
+    closeFactor: ethers.utils.parseEther("0.5"),
+    fullLiquidationHF: ethers.utils.parseEther("0.95"),
+    dustThresholdUSD: ethers.utils.parseEther("10"),
+    ...overrides
+  });
+
+  const setLiquidationParams = (overrides) => lendingConfig.setLiquidationParams(pool.address, liquidationParams(overrides));
+
+  const setWethPrice = (usd) => wethFeed.updateAnswer(usd * 100000000);
+
+  const openPosition = async (collateral, debt) => {
+    await weth.mint(borrower.address, ethers.utils.parseEther(collateral));
+    await weth.connect(borrower).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(borrower).lend(weth.address, ethers.utils.parseEther(collateral));
+    await pool.connect(borrower).borrow(dai.address, ethers.utils.parseEther(debt));
+  };
+
+  const preview = () => liquidationManager.previewLiquidation(borrower.address, pool.address, dai.address, weth.address);
+
+  const liquidate = (repayAmount) => liquidationManager.connect(liquidator).liquidate(
+    borrower.address, pool.address, dai.address, repayAmount, weth.address
+  );
+
+  beforeEach(async function () {
+    [deployer, borrower, lender, liquidator] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+    usdc = await ERC20Mintable.deploy("USD Coin", "USDC", 6, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+    const usdcFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address, usdc.address],
+      ["WETH", "DAI", "USDC"],
+      [wethFeed.address, daiFeed.address, usdcFeed.address],
+      [18, 18, 6]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("CLOSE"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    pool = await ethers.getContractAt("IsolatedLendingPool", receipt.events.find(e => e.event === "PoolCreated").args.pool);
+
+    const tokens = [weth.address, dai.address];
+    await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+    for (const token of tokens) {
+      await pool.addToken(token);
+    }
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+    await pool.setLiquidationManager(liquidationManager.address);
+
+    await dai.mint(lender.address, ethers.utils.parseEther("10000"));
+    await dai.connect(lender).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(lender).lend(dai.address, ethers.utils.parseEther("10000"));
+
+    await dai.mint(liquidator.address, ethers.utils.parseEther("10000"));
+    await dai.connect(liquidator).approve(liquidationManager.address, ethers.constants.MaxUint256);
+  });
+
+  describe("Configuration", function () {
+    it("Should start a new pool with the default rules", async function () {
+      const params = await lendingConfig.getLiquidationParams(pool.address);
+
+      expect(params.closeFactor).to.equal(ethers.utils.parseEther("0.5"));
+      expect(params.fullLiquidationHF).to.equal(ethers.utils.parseEther("0.95"));
+      expect(params.dustThresholdUSD).to.equal(ethers.utils.parseEther("10"));
+    });
+
+    it("Should keep a pool's rules when it registers again", async function () {
+      const custom = liquidationParams({ closeFactor: ethers.utils.parseEther("0.25"), dustThresholdUSD: 0 });
+      await lendingConfig.setLiquidationParams(deployer.address, custom);
+
+      await expect(lendingConfig.registerPool()).to.not.emit(lendingConfig, "LiquidationParamsUpdated");
+      const params = await lendingConfig.getLiquidationParams(deployer.address);
+      expect(params.closeFactor).to.equal(custom.closeFactor);
+      expect(params.dustThresholdUSD).to.equal(0);
+    });
+
+    it("Should reject a close factor out of range or a full-liquidation HF of 1 or more", async function () {
+      for (const overrides of [
+        { closeFactor: 0 },
+        { closeFactor: ethers.utils.parseEther("0.01") },
+        { closeFactor: ethers.utils.parseEther("1.01") },
+        { fullLiquidationHF: ethers.utils.parseEther("1") }
+      ]) {
+        await expect(setLiquidationParams(overrides))
+          .to.be.revertedWithCustomError(lendingConfig, "ErrInvalidConfiguration");
+      }
+
+      await expect(setLiquidationParams({ closeFactor: ethers.utils.parseEther("1"), fullLiquidationHF: 0, dustThresholdUSD: 0 }))
+        .to.emit(lendingConfig, "LiquidationParamsUpdated")
+        .withArgs(pool.address, ethers.utils.parseEther("1"), 0, 0);
+    });
+
+    it("Should only let a risk admin change the rules", async function () {
+      await expect(lendingConfig.connect(borrower).setLiquidationParams(pool.address, liquidationParams()))
+        .to.be.revertedWith(/AccessControl/);
+    });
+  });
+
+  describe("Close factor", function () {
+    it("Should cap a liquidation at the close factor and match the preview", async function () {
+      await openPosition("1", "2000");
+      await setWethPrice(2300); // HF 0.9775
+
+      const result = await preview();
+      expect(result.liquidatable).to.equal(true);
+      expect(result.fullLiquidation).to.equal(false);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("1000"));
+      expect(result.seizeAmount).to.equal(
+        await liquidationManager.calculateSeizeAmount(pool.address, dai.address, result.maxRepay, weth.address)
+      );
+
+      await expect(liquidate(ethers.utils.parseEther("2000")))
+        .to.emit(liquidationManager, "LiquidationExecuted")
+        .withArgs(liquidator.address, borrower.address, pool.address, dai.address, result.maxRepay, weth.address, result.seizeAmount);
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(ethers.utils.parseEther("1000"));
+    });
+
+    it("Should use the pool's own close factor", async function () {
+      await setLiquidationParams({ closeFactor: ethers.utils.parseEther("0.25") });
+      await openPosition("1", "2000");
+      await setWethPrice(2300);
+
+      expect((await preview()).maxRepay).to.equal(ethers.utils.parseEther("500"));
+    });
+
+    it("Should allow a smaller repay than the cap", async function () {
+      await openPosition("1", "2000");
+      await setWethPrice(2300);
+
+      await liquidate(ethers.utils.parseEther("100"));
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(ethers.utils.parseEther("1900"));
+    });
+
+    it("Should size a healthy position but refuse to liquidate it", async function () {
+      await openPosition("1", "2000");
+
+      const result = await preview();
+      expect(result.liquidatable).to.equal(false);
+      expect(result.fullLiquidation).to.equal(false);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("1000"));
+      await expect(liquidate(ethers.utils.parseEther("100")))
+        .to.be.revertedWithCustomError(liquidationManager, "ErrUserHealthy");
+    });
+  });
+
+  describe("Full liquidation", function () {
+    it("Should repay the whole debt below the full-liquidation HF", async function () {
+      await openPosition("1", "2000");
+      await setWethPrice(2200); // HF 0.935
+
+      const result = await preview();
+      expect(result.fullLiquidation).to.equal(true);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("2000"));
+
+      await liquidate(ethers.utils.parseEther("2000"));
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(0);
+      expect(await weth.balanceOf(liquidator.address)).to.equal(result.seizeAmount);
+    });
+
+    it("Should follow the pool's full-liquidation HF", async function () {
+      await setLiquidationParams({ fullLiquidationHF: ethers.utils.parseEther("0.9") });
+      await openPosition("1", "2000");
+      await setWethPrice(2200);
+
+      const result = await preview();
+      expect(result.fullLiquidation).to.equal(false);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("1000"));
+    });
+
+    it("Should repay a dust debt whole", async function () {
+      await openPosition("0.01", "8");
+      await setWethPrice(920); // HF 0.9775, $8 of debt
+
+      const result = await preview();
+      expect(result.fullLiquidation).to.equal(true);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("8"));
+
+      await liquidate(ethers.utils.parseEther("8"));
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(0);
+    });
+
+    it("Should keep the close factor however deep the HF when full liquidation is disabled", async function () {
+      await setLiquidationParams({ fullLiquidationHF: 0 });
+      await openPosition("1", "2000");
+      await setWethPrice(1500); // HF 0.6375
+
+      const result = await preview();
+      expect(result.liquidatable).to.equal(true);
+      expect(result.fullLiquidation).to.equal(false);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("1000"));
+    });
+
+    it("Should keep the close factor for a dust debt when the dust rule is disabled", async function () {
+      await setLiquidationParams({ dustThresholdUSD: 0 });
+      await openPosition("0.01", "8");
+      await setWethPrice(920); // HF 0.9775, $8 of debt
+
+      const result = await preview();
+      expect(result.fullLiquidation).to.equal(false);
+      expect(result.maxRepay).to.equal(ethers.utils.parseEther("4"));
+    });
+
+    it("Should limit the repay to what the collateral pays for", async function () {
+      await openPosition("1", "2000");
+      await setWethPrice(1500);
+
+      // 1 WETH = $1500 pays for 1500 / 1.05 DAI with the bonus
+      const result = await preview();
+      expect(result.fullLiquidation).to.equal(true);
+      expect(result.seizeAmount).to.equal(ethers.utils.parseEther("1"));
+      expect(result.maxRepay).to.be.closeTo(ethers.utils.parseEther("1428.571428571428571428"), 10);
+
+      await liquidate(ethers.utils.parseEther("2000"));
+      expect(await pool.supplied(borrower.address, weth.address)).to.equal(0);
+      expect(await pool.debts(borrower.address, dai.address)).to.equal(ethers.utils.parseEther("2000").sub(result.maxRepay));
+    });
+  });
+
+  describe("Decimals", function () {
+    it("Should seize 6-decimal collateral for 18-decimal debt", async function () {
+      const seize = await liquidationManager.calculateSeizeAmount(
+        pool.address, dai.address, ethers.utils.parseEther("1000"), usdc.address
+      );
+
+      expect(seize).to.equal(ethers.utils.parseUnits("1050", 6));
+    });
+
+    it("Should seize 18-decimal collateral for 6-decimal debt", async function () {
+      await setWethPrice(2000);
+      const seize = await liquidationManager.calculateSeizeAmount(
+        pool.address, usdc.address, ethers.utils.parseUnits("1000", 6), weth.address
+      );
+
+      expect(seize).to.equal(ethers.utils.parseEther("0.525"));
+    });
+  });
+});
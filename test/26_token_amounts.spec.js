@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NETWORKS, ETH_ADDRESS } = require("../lib/networks");
+const { fetchTokenPrices } = require("../lib/pricing");
+const { fetchPoolRates } = require("../lib/interestRates");
+const { fetchAccruedPositions } = require("../lib/accrual");
+const {
+  fetchTokenDecimals,
+  clearDecimalsCache,
+  sanitizeAmountInput,
+  parseAmount,
+  toAmountString,
+  formatAmount
+} = require("../lib/tokenAmounts");
+const {
+  initialState,
+  positionReducer,
+  selectSupplies,
+  selectAssetsToBorrow,
+  resolveToken
+} = require("../lib/positionStore");
+
+describe("26_TokenAmounts", function () {
+  describe("Parsing and formatting", function () {
+    it("Should parse typed amounts in the token's own decimals", function () {
+      expect(parseAmount("1000.5", 6)).to.equal(ethers.BigNumber.from("1000500000"));
+      expect(parseAmount("0.000000000000000001", 18)).to.equal(1);
+      expect(parseAmount(".5", 6)).to.equal(500000);
+
+      const raw = ethers.utils.parseUnits("12", 6);
+      expect(parseAmount(raw, 6)).to.equal(raw);
+    });
+
+    it("Should reject malformed or over-precise amounts", function () {
+      for (const value of ["", ".", "abc", "-1", "1e6", "1.2.3", "1.1234567"]) {
+        expect(parseAmount(value, 6), value).to.equal(null);
+      }
+      expect(parseAmount(1e21, 18)).to.equal(null);
+    });
+
+    it("Should cut input to the token's decimals and ignore invalid keystrokes", function () {
+      expect(sanitizeAmountInput("1.1234567", 6)).to.equal("1.123456");
+      expect(sanitizeAmountInput("12.", 6)).to.equal("12.");
+      expect(sanitizeAmountInput("5.5", 0)).to.equal("5");
+      expect(sanitizeAmountInput("1,000", 6)).to.equal(null);
+      expect(sanitizeAmountInput("1e3", 18)).to.equal(null);
+    });
+
+    it("Should round-trip raw amounts exactly", function () {
+      const raw = ethers.BigNumber.from("123456789012345678901");
+
+      expect(toAmountString(raw, 18)).to.equal("123.456789012345678901");
+      expect(toAmountString(ethers.utils.parseUnits("12", 6), 6)).to.equal("12");
+      expect(parseAmount(toAmountString(raw, 18), 18)).to.equal(raw);
+    });
+
+    it("Should format display amounts without rounding up", function () {
+      expect(formatAmount(ethers.utils.parseUnits("1234567.891299", 6), 6)).to.equal("1,234,567.8912");
+      expect(formatAmount(ethers.utils.parseUnits("0.999999", 6), 6, { maxDecimals: 2 })).to.equal("0.99");
+      expect(formatAmount(ethers.utils.parseUnits("3", 6), 6, { symbol: "USDC" })).to.equal("3 USDC");
+      expect(formatAmount(1, 6)).to.equal("<0.0001");
+      expect(formatAmount(ethers.utils.parseUnits("-1.5", 6), 6)).to.equal("-1.5");
+      expect(formatAmount(0, 6)).to.equal("0");
+    });
+  });
+
+  describe("Token decimals", function () {
+    let deployer, user;
+    let weth, usdc;
+    let pool, addressToTokenMap;
+    let network;
+
+    const loadStore = async (account, decimals = {}) => {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const rates = await fetchPoolRates(ethers.provider, pool.address);
+      const prices = await fetchTokenPrices(ethers.provider, addressToTokenMap.address, Object.keys(rates));
+      const positions = await fetchAccruedPositions(ethers.provider, pool.address, account, { rates, timestamp });
+
+      let state = positionReducer(initialState, { type: "markets", rates, prices, decimals });
+      state = positionReducer(state, { type: "positions", positions, healthFactor: await pool.getHealthFactor(account) });
+      return state;
+    };
+
+    before(async function () {
+      [deployer, user] = await ethers.getSigners();
+
+      const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+      weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+      usdc = await ERC20Mintable.deploy("USD Coin", "USDC", 6, 0);
+
+      const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+      const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+      const usdcFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+      const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+      addressToTokenMap = await AddressToTokenMapV2.deploy();
+      await addressToTokenMap.batchSetTokenData(
+        [weth.address, usdc.address],
+        ["WETH", "USDC"],
+        [wethFeed.address, usdcFeed.address],
+        [18, 6]
+      );
+      await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+      const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+      const lendingConfig = await LendingConfigV2.deploy();
+
+      const LendingHelper = await ethers.getContractFactory("LendingHelper");
+      const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+      const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+      const poolImpl = await IsolatedLendingPool.deploy();
+
+      const PoolFactory = await ethers.getContractFactory("PoolFactory");
+      const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+      const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("AMOUNTS"), {
+        addressToTokenMap: addressToTokenMap.address,
+        lendingConfig: lendingConfig.address,
+        lendingHelper: lendingHelper.address,
+        reserveFactor: ethers.utils.parseEther("0.1"),
+        liquidationBonus: ethers.utils.parseEther("0.05")
+      });
+      const receipt = await tx.wait();
+      pool = await ethers.getContractAt("IsolatedLendingPool", receipt.events.find(e => e.event === "PoolCreated").args.pool);
+
+      const riskParams = {
+        LTV: ethers.utils.parseEther("0.75"),
+        LT: ethers.utils.parseEther("0.85"),
+        kink: ethers.utils.parseEther("0.8"),
+        rBase: ethers.utils.parseEther("0.02"),
+        slope1: ethers.utils.parseEther("0.05"),
+        slope2: ethers.utils.parseEther("0.25")
+      };
+      await lendingConfig.batchSetRiskParams(pool.address, [weth.address, usdc.address], [riskParams, riskParams]);
+      await pool.addToken(weth.address);
+      await pool.addToken(usdc.address);
+
+      // the token list claims 18 decimals for USDC: what the chain says must win
+      network = {
+        ...NETWORKS[1337],
+        contracts: { ...NETWORKS[1337].contracts, pool: pool.address, oracle: addressToTokenMap.address, weth: weth.address },
+        tokens: [
+          { symbol: "ETH", name: "Ethereum", address: ETH_ADDRESS, poolToken: weth.address, decimals: 18, isNative: true },
+          { symbol: "USDC", name: "USD Coin", address: usdc.address, poolToken: usdc.address, decimals: 18, isNative: false }
+        ]
+      };
+
+      await usdc.mint(deployer.address, ethers.utils.parseUnits("10000", 6));
+      await usdc.approve(pool.address, ethers.constants.MaxUint256);
+      await pool.lend(usdc.address, ethers.utils.parseUnits("10000", 6));
+
+      await usdc.mint(user.address, ethers.utils.parseUnits("1234.567891", 6));
+      await usdc.connect(user).approve(pool.address, ethers.constants.MaxUint256);
+      await pool.connect(user).lend(usdc.address, ethers.utils.parseUnits("1000.000001", 6));
+    });
+
+    beforeEach(function () {
+      clearDecimalsCache();
+    });
+
+    it("Should read decimals from the token contracts", async function () {
+      const decimals = await fetchTokenDecimals(ethers.provider, [usdc.address, weth.address]);
+
+      expect(decimals[usdc.address.toLowerCase()]).to.equal(6);
+      expect(decimals[weth.address.toLowerCase()]).to.equal(18);
+    });
+
+    it("Should fall back to the oracle, then 18, for addresses without decimals()", async function () {
+      const bridged = ethers.Wallet.createRandom().address;
+      await addressToTokenMap.setDecimals(bridged, 8);
+
+      const decimals = await fetchTokenDecimals(ethers.provider, [bridged, ETH_ADDRESS], { oracle: addressToTokenMap.address });
+      expect(decimals[bridged.toLowerCase()]).to.equal(8);
+      expect(decimals[ETH_ADDRESS.toLowerCase()]).to.equal(18);
+    });
+
+    it("Should read each token once", async function () {
+      let calls = 0;
+      const batch = {
+        call: (contract, method, ...args) => {
+          calls++;
+          return contract[method](...args);
+        }
+      };
+
+      await fetchTokenDecimals(ethers.provider, [usdc.address, usdc.address.toLowerCase()], { batch });
+      await fetchTokenDecimals(ethers.provider, [usdc.address], { batch });
+      expect(calls).to.equal(1);
+    });
+
+    it("Should keep 6-decimal balances exact in the selectors", async function () {
+      const decimals = await fetchTokenDecimals(ethers.provider, [usdc.address, weth.address]);
+      const state = await loadStore(user.address, decimals);
+
+      const { supplies } = selectSupplies(state, network);
+      expect(supplies[0].decimals).to.equal(6);
+      expect(supplies[0].suppliedWei).to.equal(ethers.utils.parseUnits("1000.000001", 6));
+      expect(supplies[0].balance).to.equal("1000.000001");
+
+      const assets = selectAssetsToBorrow(state, network);
+      const usdcAsset = assets.find((asset) => asset.name === "USDC");
+      expect(usdcAsset.decimals).to.equal(6);
+      expect(usdcAsset.availableWei).to.be.closeTo(ethers.utils.parseUnits("750", 6), 1);
+    });
+
+    it("Should prefer loaded decimals over the token list", async function () {
+      const decimals = await fetchTokenDecimals(ethers.provider, [usdc.address, weth.address]);
+      const state = await loadStore(user.address, decimals);
+
+      expect(resolveToken(state, network, usdc.address).decimals).to.equal(6);
+      expect(resolveToken(state, network, ETH_ADDRESS).decimals).to.equal(18);
+    });
+  });
+});
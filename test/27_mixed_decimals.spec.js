@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("27_Mixed_Decimals", function () {
+  let deployer, lender, borrower, liquidator;
+  let wbtc, usdc, dai;
+  let wbtcFeed;
+  let pool;
+  let liquidationManager;
+
+  const btc = (amount) => ethers.utils.parseUnits(amount, 8);
+  const usd6 = (amount) => ethers.utils.parseUnits(amount, 6);
+  const usd = (amount) => ethers.utils.parseEther(amount);
+
+  const riskParams = () => ({
+    LTV: ethers.utils.parseEther("0.8"),
+    LT: ethers.utils.parseEther("0.85"),
+    kink: ethers.utils.parseEther("0.8"),
+    rBase: ethers.utils.parseEther("0.02"),
+    slope1: ethers.utils.parseEther("0.05"),
+    slope2: ethers.utils.parseEther("0.25")
+  });
+
+  const supply = async (signer, token, amount) => {
+    await token.mint(signer.address, amount);
+    await token.connect(signer).approve(pool.address, ethers.constants.MaxUint256);
+    await pool.connect(signer).lend(token.address, amount);
+  };
+
+  beforeEach(async function () {
+    [deployer, lender, borrower, liquidator] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    wbtc = await ERC20Mintable.deploy("Wrapped Bitcoin", "WBTC", 8, 0);
+    usdc = await ERC20Mintable.deploy("USD Coin", "USDC", 6, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    wbtcFeed = await MockV3Aggregator.deploy(8, 6000000000000); // $60,000
+    const usdcFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [wbtc.address, usdc.address, dai.address],
+      ["WBTC", "USDC", "DAI"],
+      [wbtcFeed.address, usdcFeed.address, daiFeed.address],
+      [8, 6, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("DECIMALS"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    pool = await ethers.getContractAt("IsolatedLendingPool", receipt.events.find(e => e.event === "PoolCreated").args.pool);
+
+    const tokens = [wbtc.address, usdc.address, dai.address];
+    await lendingConfig.batchSetRiskParams(pool.address, tokens, tokens.map(riskParams));
+    for (const token of tokens) {
+      await pool.addToken(token);
+    }
+
+    const LiquidationManager = await ethers.getContractFactory("LiquidationManager");
+    liquidationManager = await LiquidationManager.deploy(addressToTokenMap.address, lendingConfig.address);
+    await pool.setLiquidationManager(liquidationManager.address);
+
+    await supply(lender, wbtc, btc("10"));
+    await supply(lender, usdc, usd6("100000"));
+    await supply(lender, dai, usd("100000"));
+  });
+
+  describe("Lend", function () {
+    it("Should value 6- and 8-decimal collateral at its USD price", async function () {
+      await supply(borrower, usdc, usd6("10000"));
+      await supply(borrower, wbtc, btc("0.1"));
+
+      // ($10,000 + $6,000) * 0.8
+      expect(await pool.getUserTotalAvailableBalanceInUSD(borrower.address)).to.equal(usd("12800"));
+    });
+  });
+
+  describe("Borrow", function () {
+    it("Should size assets to borrow in each token's decimals", async function () {
+      await supply(borrower, wbtc, btc("0.1")); // $4,800 borrow power
+
+      const assets = await pool.getAssetsToBorrow(borrower.address);
+      const borrowQty = (token) => assets.find((asset) => asset.token === token.address).borrowQty;
+
+      expect(borrowQty(usdc)).to.equal(usd6("4800"));
+      expect(borrowQty(dai)).to.equal(usd("4800"));
+      expect(borrowQty(wbtc)).to.equal(btc("0.08"));
+    });
+
+    it("Should value 6-decimal debt against the liquidation threshold", async function () {
+      await supply(borrower, wbtc, btc("0.1")); // $5,100 after LT
+
+      await pool.connect(borrower).borrow(usdc.address, usd6("3000"));
+      expect(await pool.getHealthFactor(borrower.address)).to.equal(usd("1.7"));
+
+      await expect(pool.connect(borrower).borrow(usdc.address, usd6("2200")))
+        .to.be.revertedWithCustomError(pool, "ErrHealthFactorTooLow");
+      await expect(pool.connect(borrower).borrow(dai.address, usd("2200")))
+        .to.be.revertedWithCustomError(pool, "ErrHealthFactorTooLow");
+      await pool.connect(borrower).borrow(dai.address, usd("2000"));
+    });
+
+    it("Should agree with the liquidation manager on the health factor", async function () {
+      await supply(borrower, usdc, usd6("10000"));
+      await pool.connect(borrower).borrow(wbtc.address, btc("0.1"));
+      await pool.connect(borrower).borrow(dai.address, usd("1000"));
+
+      const { hf, collateralUSD, borrowUSD } = await liquidationManager.calcHealthFactor(borrower.address, pool.address);
+      expect(collateralUSD).to.equal(usd("8500"));
+      expect(borrowUSD).to.equal(usd("7000"));
+      expect(hf).to.equal(await pool.getHealthFactor(borrower.address));
+    });
+  });
+
+  describe("Withdraw", function () {
+    it("Should block withdrawing 8-decimal collateral that backs 6-decimal debt", async function () {
+      await supply(borrower, wbtc, btc("1"));
+      await pool.connect(borrower).borrow(usdc.address, usd6("30000"));
+
+      // 0.5 WBTC left covers $25,500 < $30,000
+      await expect(pool.connect(borrower).withdraw(wbtc.address, btc("0.5")))
+        .to.be.revertedWithCustomError(pool, "ErrHealthFactorTooLow");
+
+      // 0.6 WBTC left covers $30,600
+      await pool.connect(borrower).withdraw(wbtc.address, btc("0.4"));
+      expect(await wbtc.balanceOf(borrower.address)).to.equal(btc("0.4"));
+    });
+  });
+
+  describe("Liquidation", function () {
+    it("Should seize 8-decimal collateral for 6-decimal debt", async function () {
+      await supply(borrower, wbtc, btc("1"));
+      await pool.connect(borrower).borrow(usdc.address, usd6("48000"));
+      await wbtcFeed.updateAnswer(5500000000000); // $55,000: HF ~0.974
+
+      expect(await liquidationManager.isLiquidatable(borrower.address, pool.address)).to.equal(true);
+      const hfBefore = await pool.getHealthFactor(borrower.address);
+
+      const preview = await liquidationManager.previewLiquidation(borrower.address, pool.address, usdc.address, wbtc.address);
+      expect(preview.fullLiquidation).to.equal(false);
+      expect(preview.maxRepay).to.equal(preview.debt.div(2));
+
+      // repay valued at 1e18, plus the 5% bonus, in WBTC units
+      const seizeUSD = preview.maxRepay.mul(ethers.BigNumber.from(10).pow(12)).mul(105).div(100);
+      expect(preview.seizeAmount).to.equal(seizeUSD.mul(btc("1")).div(usd("55000")));
+
+      await usdc.mint(liquidator.address, preview.maxRepay);
+      await usdc.connect(liquidator).approve(liquidationManager.address, ethers.constants.MaxUint256);
+      await liquidationManager.connect(liquidator).liquidate(
+        borrower.address, pool.address, usdc.address, preview.maxRepay, wbtc.address
+      );
+
+      expect(await wbtc.balanceOf(liquidator.address)).to.equal(preview.seizeAmount);
+      expect(await pool.getHealthFactor(borrower.address)).to.be.gt(hfBefore);
+    });
+
+    it("Should leave a position with 6-decimal debt healthy until the price moves", async function () {
+      await supply(borrower, wbtc, btc("1"));
+      await pool.connect(borrower).borrow(usdc.address, usd6("48000"));
+
+      expect(await liquidationManager.isLiquidatable(borrower.address, pool.address)).to.equal(false);
+      await expect(liquidationManager.connect(liquidator).liquidate(
+        borrower.address, pool.address, usdc.address, usd6("1000"), wbtc.address
+      )).to.be.revertedWithCustomError(liquidationManager, "ErrUserHealthy");
+    });
+  });
+});
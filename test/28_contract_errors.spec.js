@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { decodeError, formatError } = require("../lib/contractErrors");
+const { createLogger } = require("../lib/logger");
+
+describe("28_Contract_Errors", function () {
+  let deployer, user;
+  let weth, dai;
+  let pool, addressToTokenMap;
+
+  // The error a call throws, whichever way hardhat/ethers wrapped it
+  const caught = async (promise) => {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the call to revert");
+  };
+
+  before(async function () {
+    [deployer, user] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    weth = await ERC20Mintable.deploy("Wrapped Ether", "WETH", 18, 0);
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("ERRORS"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    pool = await ethers.getContractAt("IsolatedLendingPool", receipt.events.find(e => e.event === "PoolCreated").args.pool);
+
+    const riskParams = {
+      LTV: ethers.utils.parseEther("0.75"),
+      LT: ethers.utils.parseEther("0.85"),
+      kink: ethers.utils.parseEther("0.8"),
+      rBase: ethers.utils.parseEther("0.02"),
+      slope1: ethers.utils.parseEther("0.05"),
+      slope2: ethers.utils.parseEther("0.25")
+    };
+    await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams, riskParams]);
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+
+    await dai.mint(deployer.address, ethers.utils.parseEther("10000"));
+    await dai.approve(pool.address, ethers.constants.MaxUint256);
+    await pool.lend(dai.address, ethers.utils.parseEther("10000"));
+  });
+
+  describe("Contract reverts", function () {
+    it("Should decode Errors.sol custom errors from calls, estimates and transactions", async function () {
+      const amount = ethers.utils.parseEther("100");
+      const failures = [
+        await caught(pool.connect(user).callStatic.borrow(dai.address, amount)),
+        await caught(pool.connect(user).estimateGas.borrow(dai.address, amount)),
+        await caught(pool.connect(user).borrow(dai.address, amount))
+      ];
+
+      for (const error of failures) {
+        const decoded = decodeError(error);
+        expect(decoded.name).to.equal("ErrHealthFactorTooLow");
+        expect(decoded.message).to.equal("This would drop your health factor below 1");
+        expect(decoded.hint).to.equal("Borrow or withdraw less, or add collateral first.");
+      }
+    });
+
+    it("Should decode oracle errors", async function () {
+      const missing = await caught(addressToTokenMap.getPrice(ethers.Wallet.createRandom().address));
+      expect(decodeError(missing).name).to.equal("ErrOracleNotFound");
+
+      await addressToTokenMap.setOracleStaleThreshold(1);
+      await ethers.provider.send("evm_increaseTime", [3600]);
+      await ethers.provider.send("evm_mine", []);
+      const stale = await caught(pool.connect(user).callStatic.borrow(dai.address, 1));
+      await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+      expect(decodeError(stale).name).to.equal("ErrStalePrice");
+      expect(formatError(stale)).to.equal("Price feed is stale. Wait for the oracle to update, then retry.");
+    });
+
+    it("Should name the missing AccessControl role", async function () {
+      const decoded = decodeError(await caught(pool.connect(user).callStatic.pause()));
+
+      expect(decoded.name).to.equal("AccessControlUnauthorizedAccount");
+      expect(decoded.message).to.equal(`Account ${user.address.toLowerCase()} is missing ADMIN_ROLE`);
+    });
+
+    it("Should explain a paused pool", async function () {
+      await pool.pause();
+      const error = await caught(pool.callStatic.lend(dai.address, 1));
+      await pool.unpause();
+
+      expect(decodeError(error).message).to.equal("This contract is paused");
+    });
+
+    it("Should explain a missing ERC20 allowance", async function () {
+      await weth.mint(user.address, ethers.utils.parseEther("1"));
+      const error = await caught(pool.connect(user).callStatic.lend(weth.address, ethers.utils.parseEther("1")));
+
+      expect(decodeError(error).message).to.equal("Token allowance too low");
+    });
+  });
+
+  describe("Error shapes", function () {
+    const errors = new ethers.utils.Interface([
+      "error ErrInsufficientLiquidity()",
+      "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)"
+    ]);
+
+    it("Should find revert data nested by wallets and JSON-RPC providers", function () {
+      const data = errors.encodeErrorResult("ErrInsufficientLiquidity", []);
+
+      for (const error of [
+        { code: "UNPREDICTABLE_GAS_LIMIT", error: { error: { code: -32603, data: { originalError: { data } } } } },
+        { body: JSON.stringify({ jsonrpc: "2.0", id: 1, error: { code: 3, message: "execution reverted", data } }) },
+        new Error(`cannot estimate gas (error={"data":"x"}, data="${data}", code=CALL_EXCEPTION)`)
+      ]) {
+        expect(decodeError(error).name).to.equal("ErrInsufficientLiquidity");
+      }
+    });
+
+    it("Should decode panics and ERC-6093 token errors", function () {
+      const panic = "0x4e487b71" + ethers.utils.defaultAbiCoder.encode(["uint256"], [0x11]).slice(2);
+
+      expect(decodeError({ data: panic }).message).to.equal("Arithmetic overflow or underflow");
+      expect(decodeError({ data: errors.encodeErrorResult("ERC20InsufficientBalance", [user.address, 0, 1]) }).message)
+        .to.equal("Token balance too low");
+    });
+
+    it("Should recognize wallet errors", function () {
+      expect(decodeError({ code: "ACTION_REJECTED", reason: "user rejected transaction" }).name).to.equal("ACTION_REJECTED");
+      expect(decodeError({ code: -32603, error: { code: 4001 } }).message).to.equal("Transaction rejected in your wallet");
+      expect(decodeError({ code: ethers.errors.INSUFFICIENT_FUNDS }).name).to.equal("INSUFFICIENT_FUNDS");
+      expect(decodeError({ code: ethers.errors.TRANSACTION_REPLACED, reason: "cancelled", cancelled: true }).message)
+        .to.equal("Transaction was cancelled or replaced in your wallet");
+    });
+
+    it("Should keep unrecognized messages and fall back when there is none", function () {
+      expect(decodeError(new Error("Insufficient pool liquidity. Available: 1 DAI"))).to.deep.include({
+        name: null,
+        message: "Insufficient pool liquidity. Available: 1 DAI",
+        hint: null
+      });
+      expect(formatError({}, "Borrow failed")).to.equal("Borrow failed");
+      expect(formatError({ reason: "Multicall: call failed" })).to.equal("Multicall: call failed");
+    });
+
+    it("Should log decoded errors", function () {
+      const lines = [];
+      const log = createLogger({ stream: { write: (line) => lines.push(line) }, now: () => new Date(0) });
+      const error = Object.assign(new Error("call revert exception"), {
+        code: "CALL_EXCEPTION",
+        data: errors.encodeErrorResult("ErrInsufficientLiquidity", [])
+      });
+
+      log.error("liquidation.failed", { error });
+      expect(JSON.parse(lines[0]).error).to.deep.include({
+        message: "Not enough liquidity in the pool",
+        code: "CALL_EXCEPTION",
+        name: "ErrInsufficientLiquidity",
+        hint: "Try a smaller amount, or wait for borrowers to repay."
+      });
+    });
+  });
+});
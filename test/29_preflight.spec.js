@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { FALLBACK_GAS, planStep, simulatePlan, executePlan } = require("../lib/preflight");
+
+describe("29_Preflight", function () {
+  let deployer, user;
+  let weth, dai;
+  let pool;
+
+  const eth = (amount) => ethers.utils.parseEther(amount);
+
+  // The approve → lend steps the data layer plans for an ERC20 supply
+  const supplySteps = (signer, token, amount) => [
+    planStep("Approve", token.connect(signer), "approve", [pool.address, amount], { clears: ["ERC20InsufficientAllowance"] }),
+    planStep("Supply", pool.connect(signer), "lend", [token.address, amount], { primary: true })
+  ];
+
+  before(async function () {
+    [deployer, user] = await ethers.getSigners();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    dai = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+
+    const MockV3Aggregator = await ethers.getContractFactory("MockV3Aggregator");
+    const wethFeed = await MockV3Aggregator.deploy(8, 300000000000); // $3000
+    const daiFeed = await MockV3Aggregator.deploy(8, 100000000); // $1
+
+    const AddressToTokenMapV2 = await ethers.getContractFactory("AddressToTokenMapV2");
+    const addressToTokenMap = await AddressToTokenMapV2.deploy();
+    await addressToTokenMap.batchSetTokenData(
+      [weth.address, dai.address],
+      ["WETH", "DAI"],
+      [wethFeed.address, daiFeed.address],
+      [18, 18]
+    );
+    await addressToTokenMap.setOracleStaleThreshold(86400 * 365);
+
+    const LendingConfigV2 = await ethers.getContractFactory("LendingConfigV2");
+    const lendingConfig = await LendingConfigV2.deploy();
+
+    const LendingHelper = await ethers.getContractFactory("LendingHelper");
+    const lendingHelper = await LendingHelper.deploy(addressToTokenMap.address, lendingConfig.address);
+
+    const IsolatedLendingPool = await ethers.getContractFactory("IsolatedLendingPool");
+    const poolImpl = await IsolatedLendingPool.deploy();
+
+    const PoolFactory = await ethers.getContractFactory("PoolFactory");
+    const poolFactory = await PoolFactory.deploy(poolImpl.address);
+
+    const tx = await poolFactory.createPool(ethers.utils.formatBytes32String("PREFLIGHT"), {
+      addressToTokenMap: addressToTokenMap.address,
+      lendingConfig: lendingConfig.address,
+      lendingHelper: lendingHelper.address,
+      reserveFactor: ethers.utils.parseEther("0.1"),
+      liquidationBonus: ethers.utils.parseEther("0.05")
+    });
+    const receipt = await tx.wait();
+    pool = await ethers.getContractAt("IsolatedLendingPool", receipt.events.find(e => e.event === "PoolCreated").args.pool);
+
+    const riskParams = {
+      LTV: ethers.utils.parseEther("0.75"),
+      LT: ethers.utils.parseEther("0.85"),
+      kink: ethers.utils.parseEther("0.8"),
+      rBase: ethers.utils.parseEther("0.02"),
+      slope1: ethers.utils.parseEther("0.05"),
+      slope2: ethers.utils.parseEther("0.25")
+    };
+    await lendingConfig.batchSetRiskParams(pool.address, [weth.address, dai.address], [riskParams, riskParams]);
+    await pool.addToken(weth.address);
+    await pool.addToken(dai.address);
+
+    await dai.mint(deployer.address, eth("10000"));
+    await dai.approve(pool.address, ethers.constants.MaxUint256);
+    await pool.lend(dai.address, eth("10000"));
+  });
+
+  describe("simulatePlan", function () {
+    it("Should estimate gas and price the fee", async function () {
+      const steps = [planStep("Borrow", pool.connect(deployer), "borrow", [dai.address, eth("100")])];
+      const simulation = await simulatePlan(ethers.provider, deployer.address, steps);
+
+      expect(simulation.ok).to.equal(true);
+      expect(simulation.approximate).to.equal(false);
+      expect(simulation.gasLimit).to.equal(simulation.steps[0].gasLimit);
+      expect(simulation.feeWei).to.equal(simulation.gasLimit.mul(simulation.gasPrice));
+      expect(simulation.gasPrice).to.be.gt(0);
+    });
+
+    it("Should defer a step that only reverts for what an earlier step clears", async function () {
+      await dai.mint(user.address, eth("100"));
+      const simulation = await simulatePlan(ethers.provider, user.address, supplySteps(user, dai, eth("100")));
+
+      expect(simulation.ok).to.equal(true);
+      expect(simulation.approximate).to.equal(true);
+      expect(simulation.steps.map((step) => step.estimated)).to.deep.equal([true, false]);
+      expect(simulation.steps[1].gasLimit).to.equal(FALLBACK_GAS);
+    });
+
+    it("Should defer a WETH supply until ETH is wrapped and approved", async function () {
+      const amount = eth("1");
+      const simulation = await simulatePlan(ethers.provider, user.address, [
+        planStep("Wrap ETH", weth.connect(user), "deposit", [], { overrides: { value: amount }, clears: ["ERC20InsufficientBalance"] }),
+        ...supplySteps(user, weth, amount)
+      ]);
+
+      expect(simulation.ok).to.equal(true);
+      expect(simulation.steps.map((step) => step.estimated)).to.deep.equal([true, true, false]);
+    });
+
+    it("Should report the failing step with its decoded error", async function () {
+      const steps = [
+        planStep("Approve", dai.connect(user), "approve", [pool.address, eth("1")]),
+        planStep("Borrow DAI", pool.connect(user), "borrow", [dai.address, eth("1")], { primary: true })
+      ];
+      const simulation = await simulatePlan(ethers.provider, user.address, steps);
+
+      expect(simulation.ok).to.equal(false);
+      expect(simulation.failedStep).to.equal("Borrow DAI");
+      expect(simulation.error.name).to.equal("ErrHealthFactorTooLow");
+      expect(simulation.error.hint).to.equal("Borrow or withdraw less, or add collateral first.");
+    });
+
+    it("Should not tolerate an error the earlier steps do not clear", async function () {
+      const [, supply] = supplySteps(user, dai, eth("100"));
+      const simulation = await simulatePlan(ethers.provider, user.address, [supply]);
+
+      expect(simulation.ok).to.equal(false);
+      expect(simulation.failedStep).to.equal("Supply");
+      expect(simulation.error.name).to.equal("ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("executePlan", function () {
+    it("Should send every step and return the primary receipt", async function () {
+      const amount = eth("50");
+      await dai.mint(user.address, amount);
+
+      const sent = [];
+      const settled = [];
+      const { receipt, receipts } = await executePlan(ethers.provider, user.address, supplySteps(user, dai, amount), {
+        tag: "TEST",
+        onSent: (step, transaction) => sent.push([step.label, transaction.hash]),
+        onSettled: (step, transaction, outcome) => settled.push([step.label, transaction.hash, outcome.status])
+      });
+
+      expect(receipts).to.have.length(2);
+      expect(receipt).to.equal(receipts[1]);
+      expect(sent.map(([label]) => label)).to.deep.equal(["Approve", "Supply"]);
+      expect(settled).to.deep.equal(sent.map(([label, hash]) => [label, hash, "confirmed"]));
+      expect(await pool.supplied(user.address, dai.address)).to.equal(amount);
+    });
+
+    it("Should send nothing when a step would revert", async function () {
+      const nonce = await ethers.provider.getTransactionCount(user.address);
+      const steps = [
+        planStep("Approve", dai.connect(user), "approve", [pool.address, eth("1000")]),
+        planStep("Borrow DAI", pool.connect(user), "borrow", [dai.address, eth("1000000")], { primary: true })
+      ];
+
+      let caught;
+      try {
+        await executePlan(ethers.provider, user.address, steps);
+      } catch (error) {
+        caught = error;
+      }
+
+      expect(caught).to.not.equal(undefined);
+      expect(await ethers.provider.getTransactionCount(user.address)).to.equal(nonce);
+    });
+  });
+});
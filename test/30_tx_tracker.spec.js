@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  STATUS,
+  storageKey,
+  createTxStore,
+  recordTransaction,
+  checkTransaction,
+  waitForTransaction
+} = require("../lib/txTracker");
+
+describe("30_TxTracker", function () {
+  let deployer, user, spender;
+  let token;
+
+  const memoryStorage = () => {
+    const items = {};
+    return {
+      getItem: (key) => (key in items ? items[key] : null),
+      setItem: (key, value) => {
+        items[key] = String(value);
+      },
+      removeItem: (key) => {
+        delete items[key];
+      }
+    };
+  };
+
+  const mine = () => ethers.provider.send("evm_mine", []);
+
+  // Send `first` and, with the same nonce and a higher fee, `second`; mine only the replacement
+  const replace = async (first, second) => {
+    await ethers.provider.send("evm_setAutomine", [false]);
+    try {
+      const nonce = await user.getTransactionCount();
+      const fees = (tip) => ({ nonce, gasLimit: 100000, maxPriorityFeePerGas: tip, maxFeePerGas: tip.mul(10) });
+
+      const original = await first(fees(ethers.utils.parseUnits("2", "gwei")));
+      const record = await recordTransaction(ethers.provider, original, { label: "Approve" });
+      const replacement = await second(fees(ethers.utils.parseUnits("5", "gwei")));
+      await mine();
+
+      return { record, replacement };
+    } finally {
+      await ethers.provider.send("evm_setAutomine", [true]);
+    }
+  };
+
+  before(async function () {
+    [deployer, user, spender] = await ethers.getSigners();
+
+    const ERC20Mintable = await ethers.getContractFactory("ERC20Mintable");
+    token = await ERC20Mintable.deploy("Dai Stablecoin", "DAI", 18, 0);
+    await token.mint(user.address, ethers.utils.parseEther("100"));
+  });
+
+  describe("Storage", function () {
+    it("Should keep records per chain and account, newest first", function () {
+      const storage = memoryStorage();
+      const key = storageKey(1337, user.address);
+      const txStore = createTxStore(storage, key);
+
+      txStore.add({ hash: "0x01", status: STATUS.PENDING });
+      txStore.add({ hash: "0x02", status: STATUS.PENDING });
+      txStore.update("0x01", { status: STATUS.CONFIRMED });
+
+      expect(key).to.equal(`lendhub.txs.1337.${user.address.toLowerCase()}`);
+      expect(createTxStore(storage, key).list()).to.deep.equal([
+        { hash: "0x02", status: STATUS.PENDING },
+        { hash: "0x01", status: STATUS.CONFIRMED }
+      ]);
+      expect(createTxStore(storage, storageKey(1, user.address)).list()).to.deep.equal([]);
+    });
+
+    it("Should drop the oldest finished records but never pending ones", function () {
+      const txStore = createTxStore(memoryStorage(), "txs");
+
+      txStore.add({ hash: "0xpending", status: STATUS.PENDING });
+      for (let i = 0; i < 25; i++) {
+        txStore.add({ hash: `0x${i}`, status: STATUS.CONFIRMED });
+      }
+
+      const records = txStore.list();
+      expect(records).to.have.length(21);
+      expect(records[0].hash).to.equal("0x24");
+      expect(records.map((record) => record.hash)).to.include("0xpending");
+      expect(txStore.clearFinished()).to.deep.equal([{ hash: "0xpending", status: STATUS.PENDING }]);
+    });
+
+    it("Should ignore a corrupt value", function () {
+      const storage = memoryStorage();
+      storage.setItem("txs", "{not json");
+
+      expect(createTxStore(storage, "txs").list()).to.deep.equal([]);
+    });
+  });
+
+  describe("checkTransaction", function () {
+    it("Should report mined transactions as confirmed or failed", async function () {
+      const transaction = await token.connect(user).approve(spender.address, 1);
+      const record = await recordTransaction(ethers.provider, transaction, { action: "APPROVE", amount: "1 DAI" });
+      await transaction.wait();
+
+      expect(record).to.deep.include({ hash: transaction.hash, from: user.address, nonce: transaction.nonce, status: STATUS.PENDING });
+      expect((await checkTransaction(ethers.provider, record)).status).to.equal(STATUS.CONFIRMED);
+
+      await ethers.provider.send("evm_setAutomine", [false]);
+      let reverted;
+      try {
+        reverted = await token.connect(user).transfer(spender.address, ethers.utils.parseEther("1000"), { gasLimit: 100000 });
+        await mine();
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      const failed = await checkTransaction(ethers.provider, await recordTransaction(ethers.provider, reverted));
+      expect(failed.status).to.equal(STATUS.FAILED);
+      expect(failed.receipt.status).to.equal(0);
+    });
+
+    it("Should leave an unmined transaction pending", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const transaction = await token.connect(user).approve(spender.address, 2, { gasLimit: 100000 });
+        const record = await recordTransaction(ethers.provider, transaction);
+
+        expect(await checkTransaction(ethers.provider, record)).to.deep.equal({ status: STATUS.PENDING, receipt: null, replacedBy: null });
+        await mine();
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    });
+
+    it("Should follow a sped-up transaction to its replacement's receipt", async function () {
+      const { record, replacement } = await replace(
+        (overrides) => token.connect(user).approve(spender.address, 3, overrides),
+        (overrides) => token.connect(user).approve(spender.address, 3, overrides)
+      );
+
+      const outcome = await checkTransaction(ethers.provider, record);
+      expect(outcome.status).to.equal(STATUS.CONFIRMED);
+      expect(outcome.replacedBy).to.equal(replacement.hash);
+      expect(outcome.receipt.transactionHash).to.equal(replacement.hash);
+    });
+
+    it("Should detect a cancelled transaction", async function () {
+      const { record, replacement } = await replace(
+        (overrides) => token.connect(user).approve(spender.address, 4, overrides),
+        (overrides) => user.sendTransaction({ to: user.address, value: 0, ...overrides })
+      );
+
+      expect(await checkTransaction(ethers.provider, record)).to.deep.equal({
+        status: STATUS.CANCELLED,
+        receipt: null,
+        replacedBy: replacement.hash
+      });
+    });
+
+    it("Should detect a transaction replaced by a different call", async function () {
+      const { record } = await replace(
+        (overrides) => token.connect(user).approve(spender.address, 5, overrides),
+        (overrides) => token.connect(user).transfer(deployer.address, 1, overrides)
+      );
+
+      expect((await checkTransaction(ethers.provider, record)).status).to.equal(STATUS.REPLACED);
+      expect(await token.allowance(user.address, spender.address)).to.equal(3);
+    });
+  });
+
+  describe("waitForTransaction", function () {
+    it("Should resolve a confirmed transaction with its receipt", async function () {
+      const transaction = await token.connect(user).approve(spender.address, 6);
+      const outcome = await waitForTransaction(transaction);
+
+      expect(outcome.status).to.equal(STATUS.CONFIRMED);
+      expect(outcome.receipt.transactionHash).to.equal(transaction.hash);
+      expect(outcome).to.not.have.property("error");
+    });
+
+    it("Should return a revert as failed with the error", async function () {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      let transaction;
+      try {
+        transaction = await token.connect(user).transfer(spender.address, ethers.utils.parseEther("1000"), { gasLimit: 100000 });
+        await mine();
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      const outcome = await waitForTransaction(transaction);
+      expect(outcome.status).to.equal(STATUS.FAILED);
+      expect(outcome.error.code).to.equal(ethers.errors.CALL_EXCEPTION);
+    });
+  });
+});